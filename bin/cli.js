@@ -1,9 +1,10 @@
 #!/usr/bin/env node
 
-import { VAComponentMonitor, VAComponentError, checkComponent, validateComponents, lintComponents, getComponentProperties, getComponentExamples, getOfficialExamples, ErrorCodes } from '../lib/index.js';
-import { readFileSync } from 'fs';
+import { VAComponentMonitor, VAComponentError, searchComponents, validateComponents, lintComponents, getComponentProperties, getComponentEvents, getComponentExamples, getOfficialExamples, scanProject, validateMarkupFiles, diffRefs, checkUpgrade, loadConfig, loadBaseline, saveBaseline, compareWithBaseline, ErrorCodes, DEFAULT_SCAN_PATTERNS, DEFAULT_BASELINE_FILE, EXAMPLE_FRAMEWORKS } from '../lib/index.js';
+import { startApiServer, DEFAULT_PORT, DEFAULT_HOST } from '../lib/server.js';
+import { readFileSync, existsSync, statSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve, basename } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,6 +16,25 @@ const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'
 const isQuiet = process.argv.includes('--quiet') || process.argv.includes('-q');
 const isVerbose = process.argv.includes('--verbose') || process.argv.includes('-vv');
 
+// Set once the output format is known; JSON, SARIF and markdown own stdout, so log lines go to stderr
+let machineOutput = false;
+
+// Options that take a value (their value must not be treated as a positional argument)
+const VALUE_OPTIONS = ['--timeout', '--include', '--ignore', '--cache-dir', '--snapshot', '--ref', '--format', '--history-dir', '--interval', '--config', '--env', '--baseline', '--port', '--host', '--limit', '--framework'];
+
+// Output formats beyond text and JSON, per command
+const EXTRA_FORMATS = {
+  lint: ['sarif'],
+  validate: ['sarif'],
+  scan: ['sarif'],
+  'validate-props': ['sarif'],
+  diff: ['markdown'],
+  'upgrade-check': ['markdown', 'sarif']
+};
+
+// Commands that may legitimately run longer than the default execution timeout
+const LONG_RUNNING_COMMANDS = ['cache', 'snapshot', 'diff', 'upgrade-check', 'watch', 'serve'];
+
 const logger = {
   error: (message, code = null) => {
     const timestamp = new Date().toISOString();
@@ -28,11 +48,11 @@ const logger = {
   },
   info: (message) => {
     if (isVerbose) {
-      console.log(`INFO: ${message}`);
+      (machineOutput ? console.error : console.log)(`INFO: ${message}`);
     }
   },
   success: (message) => {
-    if (!isQuiet) {
+    if (!isQuiet && !machineOutput) {
       console.log(`✅ ${message}`);
     }
   }
@@ -89,35 +109,99 @@ Usage: va-components <command> [options]
 
 Commands:
   check <component>              Check status of a specific component
-  props <component>              Show properties/props for a component
+  search <query>                 Find components by tag, name, typo or prop name, best match first
+  props <component>              Show properties/props and slots for a component
+  events <component>             Show the custom events a component emits
   examples <component>           Generate example implementations
   validate <components...>       Validate multiple components
   lint <components...>           Lint components and show issues
   list [filter]                  List components (recommended|caution|stable|experimental)
   report                         Generate full component report
   quick <component> <cmd1> [cmd2]  Run multiple commands for a component
+  scan [dir]                     Find every va-* component used in a project
+  validate-props [path]          Check component attributes in a file or directory against their props
+  cache <status|clear|warm>      Inspect, clear or pre-populate the persistent cache
+  snapshot create [output]       Save definitions and stories for offline use (.tgz or directory)
+  diff <refA> <refB>             Show component, maturity and prop changes between two library refs
+  upgrade-check <ref> [dir]      List usages affected by upgrading from --ref (default: installed) to <ref>
+  history [component]            List recorded snapshots, or show a component's status timeline
+  history <record|events|clear>  Record the current components, list change events, or clear history
+  watch                          Poll for component changes and print them as they happen
+  config                         Show the project policy from .vadsmonitorrc / va-monitor.config.js
+  serve                          Start a local HTTP JSON API (components, props, events, examples, validate, lint)
 
 Options:
   --json                         Output in JSON format
+  --format <format>              Output format: text, json, markdown (diff, upgrade-check) or
+                                 sarif (lint, validate, scan, validate-props, upgrade-check)
   --quiet, -q                    Suppress non-essential output
   --verbose, -vv                 Show detailed logging
   --timeout <ms>                 Set request timeout (default: 10000ms)
+  --include <glob>               Files to scan (repeatable, default: ${DEFAULT_SCAN_PATTERNS.join(', ')})
+  --ignore <glob>                Files to skip while scanning (repeatable)
+  --cache-dir <dir>              Persistent cache directory
+  --no-cache                     Disable the persistent cache for this run
+  --definitions-only             Skip story files with "cache warm" and "snapshot create"
+  --offline                      Read components from a local snapshot instead of GitHub
+  --snapshot <path>              Snapshot archive (.tgz) or component-library checkout for --offline
+  --ref <ref>                    component-library branch, tag or commit, or "installed" (default: main)
+  --record-history               Record fetched components in the local history
+  --history-dir <dir>            History directory (default: $XDG_DATA_HOME/va-design-system-monitor/history)
+  --interval <minutes>           Polling interval for watch (default: 60)
+  --config <file>                Project configuration file (default: nearest .vadsmonitorrc or va-monitor.config.js)
+  --no-config                    Ignore project configuration files
+  --env <name>                   Environment for minimumMaturity (default: VA_MONITOR_ENV, NODE_ENV or "default")
+  --require-justification        Fail on va-monitor-disable comments without a " -- reason"
+  --baseline <file>              Only report findings not recorded in the baseline (lint, scan, validate-props)
+  --update-baseline              Record the current findings in the baseline (default: ${DEFAULT_BASELINE_FILE})
+  --port <port>                  Port for serve (default: ${DEFAULT_PORT}, 0 picks a free port)
+  --host <host>                  Interface for serve to listen on (default: ${DEFAULT_HOST})
+  --limit <n>                    Maximum number of search results (default: 10)
+  --framework <name>             Example syntax: html, react, vue or jsx-webcomponent (default: html)
   --help, -h                     Show this help message
   --version, -v                  Show version number
 
 Examples:
   va-components check va-button
   va-components props va-button
+  va-components events va-alert
+  va-components search date
   va-components examples va-button
+  va-components examples va-button --framework react
   va-components validate va-button va-alert va-card
   va-components lint va-modal va-table
   va-components list recommended
   va-components report --json
   va-components check va-button --timeout 15000
+  va-components scan ./src --ignore "**/*.test.jsx"
+  va-components validate-props src/form.jsx
+  va-components cache warm
+  va-components snapshot create va-snapshot.tgz
+  va-components lint va-modal --offline --snapshot ./va-snapshot.tgz
+  va-components props va-button --ref v48.2.0
+  va-components scan ./src --ref installed
+  va-components diff v47.0.0 v48.2.0 --format markdown
+  va-components diff installed main
+  va-components upgrade-check v48.2.0 ./src
+  va-components scan ./src --format sarif > va-components.sarif
+  va-components history va-button
+  va-components watch --interval 15
+  va-components scan ./src --env production
+  va-components scan ./src --update-baseline
+  va-components scan ./src --baseline ${DEFAULT_BASELINE_FILE}
+  va-components serve --port 8080
 
 Environment Variables:
   NODE_ENV                       Set to 'production' for production logging
   VA_MONITOR_TIMEOUT             Default timeout in milliseconds
+  VA_MONITOR_CACHE_DIR           Persistent cache directory (default: $XDG_CACHE_HOME/va-design-system-monitor)
+  VA_MONITOR_NO_CACHE            Set to disable the persistent cache
+  VA_MONITOR_SNAPSHOT            Default snapshot path for --offline
+  VA_MONITOR_OFFLINE             Set to always run in offline mode
+  VA_MONITOR_REF                 Default component-library ref (branch, tag, commit or "installed")
+  VA_MONITOR_HISTORY             Set to record every fetch in the local history
+  VA_MONITOR_HISTORY_DIR         History directory
+  VA_MONITOR_ENV                 Environment used to pick minimumMaturity from the configuration
 `);
 }
 
@@ -146,18 +230,17 @@ function formatProperties(propertiesData, jsonOutput = false) {
     return JSON.stringify(propertiesData, null, 2);
   }
 
-  const { component, properties } = propertiesData;
+  const { component, properties, slots = [] } = propertiesData;
   
   let output = `🔧 ${component.name} (${component.tagName || 'N/A'}) Properties\n`;
   output += `   Status: ${component.status} | Level: ${component.maturityLevel}\n\n`;
   
   if (properties.length === 0) {
     output += '   No properties found\n';
-    return output;
+  } else {
+    output += `   Found ${properties.length} property/properties:\n\n`;
   }
   
-  output += `   Found ${properties.length} property/properties:\n\n`;
-  
   properties.forEach(prop => {
     const optional = prop.optional ? '?' : '';
     output += `   📋 ${prop.name}${optional}: ${prop.type}\n`;
@@ -166,10 +249,57 @@ function formatProperties(propertiesData, jsonOutput = false) {
     }
     output += '\n';
   });
+
+  if (slots.length > 0) {
+    output += `${properties.length === 0 ? '\n' : ''}   Slots:\n\n`;
+    slots.forEach(slot => {
+      output += `   🧩 ${slot.name ? `slot="${slot.name}"` : '(default)'}\n`;
+      if (slot.description) {
+        output += `      ${slot.description}\n`;
+      }
+      output += '\n';
+    });
+  }
   
   return output;
 }
 
+function formatEvents(eventsData, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify(eventsData, null, 2);
+  }
+
+  const { component, events } = eventsData;
+
+  let output = `⚡ ${component.name} (${component.tagName || 'N/A'}) Events\n`;
+  output += `   Status: ${component.status} | Level: ${component.maturityLevel}\n\n`;
+
+  if (events.length === 0) {
+    output += '   No events found\n';
+    return output;
+  }
+
+  output += `   Found ${events.length} event(s):\n\n`;
+
+  events.forEach(event => {
+    output += `   📣 ${event.eventName} (${event.name})\n`;
+    output += `      Detail: ${event.detailType}\n`;
+    if (event.description) {
+      output += `      ${event.description}\n`;
+    }
+    output += '\n';
+  });
+
+  return output;
+}
+
+// Code fence language for each example framework label
+const CODE_FENCE_LANGUAGES = {
+  React: 'jsx',
+  Vue: 'vue',
+  'JSX/Web Components': 'jsx'
+};
+
 function formatExamples(examplesData, jsonOutput = false) {
   if (jsonOutput) {
     return JSON.stringify(examplesData, null, 2);
@@ -191,14 +321,510 @@ function formatExamples(examplesData, jsonOutput = false) {
     output += `   ${index + 1}. ${example.title}\n`;
     output += `      ${example.description}\n`;
     output += `      Framework: ${example.framework}\n\n`;
-    output += `      \`\`\`html\n`;
-    output += `      ${example.code}\n`;
-    output += `      \`\`\`\n\n`;
+    output += `      \`\`\`${CODE_FENCE_LANGUAGES[example.framework] || 'html'}\n`;
+    output += `${example.code.split('\n').map(line => (line ? `      ${line}` : '')).join('\n')}\n`;
+    output += `      \`\`\`\n`;
+    if (example.rendered === false) {
+      output += `      ⚠️  Could not render this story with its args; showing the template as written\n`;
+    } else if (example.unresolved && example.unresolved.length > 0) {
+      output += `      ⚠️  Not resolved from story args: ${example.unresolved.join(', ')}\n`;
+    }
+    output += '\n';
   });
   
   return output;
 }
 
+function formatScanResult(scanResult, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify(scanResult, null, 2);
+  }
+
+  const statusIcon = {
+    'RECOMMENDED': '🟢',
+    'STABLE': '🟡',
+    'EXPERIMENTAL': '🟠',
+    'AVAILABLE_WITH_ISSUES': '🔴',
+    'USE_WITH_CAUTION': '⚠️',
+    'UNKNOWN': '❓'
+  };
+
+  const { summary } = scanResult;
+  let output = `\n🔎 Scanned ${summary.filesScanned} file(s) in ${scanResult.root}\n`;
+  output += `   Found ${summary.totalUsages} usage(s) of ${summary.uniqueComponents} component(s) in ${summary.filesWithUsages} file(s)\n\n`;
+
+  scanResult.files.forEach(({ file, usages }) => {
+    output += `📄 ${file}\n`;
+    usages.forEach(usage => {
+      const icon = usage.found ? statusIcon[usage.component.status] : '❌';
+      const status = usage.found ? `${usage.component.name} - ${usage.component.status}` : 'Not found';
+      output += `   ${usage.line}:${usage.column}  ${icon} ${usage.element} (${status})\n`;
+    });
+    output += '\n';
+  });
+
+  if (scanResult.components.length > 0) {
+    output += 'Component Inventory:\n';
+    scanResult.components.forEach(entry => {
+      const icon = entry.found ? statusIcon[entry.status] : '❌';
+      output += `  ${icon} ${entry.tagName}: ${entry.usageCount} usage(s) in ${entry.files.length} file(s)\n`;
+    });
+  }
+
+  // Statuses are shown above; list only what the project configuration adds, or
+  // everything that is new when comparing against a baseline
+  const comparingBaseline = scanResult.baseline && !scanResult.baseline.updated;
+  const listedIssues = comparingBaseline
+    ? scanResult.issues
+    : scanResult.issues.filter(issue => ['DENIED', 'BELOW_MINIMUM_MATURITY', 'UNJUSTIFIED_SUPPRESSION'].includes(issue.type));
+  if (listedIssues.length > 0) {
+    const issueIcon = { 'error': '❌', 'warning': '⚠️', 'info': 'ℹ️' };
+    output += comparingBaseline ? '\nNew issues:\n' : '\nPolicy violations:\n';
+    listedIssues.forEach(issue => {
+      output += `  ${issueIcon[issue.severity]} ${issue.file}:${issue.line}:${issue.column} ${issue.message}\n`;
+    });
+  }
+
+  output += formatSuppressions(scanResult.suppressions);
+  output += formatBaseline(scanResult.baseline);
+
+  output += `\nSummary:\n`;
+  output += `  Caution: ${summary.caution}\n`;
+  output += `  Not found: ${summary.notFound}`;
+
+  return output;
+}
+
+function formatMarkupValidation(validationResult, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify(validationResult, null, 2);
+  }
+
+  const { findings, summary } = validationResult;
+
+  if (findings.length === 0) {
+    return `✅ No attribute issues found in ${summary.validated} component usage(s)${formatSuppressions(validationResult.suppressions)}${formatBaseline(validationResult.baseline)}`;
+  }
+
+  const icon = {
+    'error': '❌',
+    'warning': '⚠️',
+    'info': 'ℹ️'
+  };
+
+  let output = `\nFound ${findings.length} attribute issue(s) in ${summary.validated} component usage(s):\n\n`;
+  findings.forEach(finding => {
+    output += `${icon[finding.severity]} ${finding.file}:${finding.line}:${finding.column} ${finding.message}\n`;
+  });
+
+  output += formatSuppressions(validationResult.suppressions);
+  output += formatBaseline(validationResult.baseline);
+
+  output += `\nSummary:\n`;
+  output += `  Unknown attributes: ${summary.unknownAttributes}\n`;
+  output += `  Missing required props: ${summary.missingRequired}\n`;
+  output += `  Invalid values: ${summary.invalidValues}`;
+
+  return output;
+}
+
+/**
+ * Suppressed finding count plus stale directives, appended to scan-based text output
+ */
+function formatSuppressions(suppressions) {
+  if (!suppressions) {
+    return '';
+  }
+
+  let output = '';
+  if (suppressions.suppressed.length > 0) {
+    output += `\n🔕 ${suppressions.suppressed.length} finding(s) suppressed by inline comments\n`;
+  }
+  if (suppressions.stale.length > 0) {
+    output += `\n🧹 Stale suppressions (no longer match a finding):\n`;
+    suppressions.stale.forEach(suppression => {
+      const types = suppression.types ? ` ${suppression.types.join(', ')}` : '';
+      output += `   ${suppression.file}:${suppression.line}  ${suppression.directive}${types}\n`;
+    });
+  }
+  return output;
+}
+
+/**
+ * Baseline summary appended to lint and scan-based text output
+ */
+function formatBaseline(baseline) {
+  if (!baseline) {
+    return '';
+  }
+
+  if (baseline.updated) {
+    return `\n📌 Baseline written to ${baseline.file} (${baseline.entries} entr${baseline.entries === 1 ? 'y' : 'ies'})\n`;
+  }
+
+  const { summary } = baseline;
+  let output = `\n📌 Baseline ${baseline.file}: ${summary.new} new, ${summary.baselined} baselined, ${summary.resolved} resolved\n`;
+  if (baseline.resolved.length > 0) {
+    output += `   Resolved since the baseline (run with --update-baseline to drop them):\n`;
+    baseline.resolved.forEach(entry => {
+      const where = entry.file ? `${entry.file}  ` : '';
+      const count = entry.resolved > 1 ? ` (x${entry.resolved})` : '';
+      output += `   ${where}${entry.type} ${entry.component || ''}${entry.attribute ? ` ${entry.attribute}` : ''}${count}\n`;
+    });
+  }
+  return output;
+}
+
+function formatMaturity(maturity) {
+  return `${maturity.maturityCategory || '?'}/${maturity.maturityLevel || '?'}`;
+}
+
+function formatPropertyList(props) {
+  return props.map(prop => `${prop.name}${prop.optional ? '?' : ''}: ${prop.type}`);
+}
+
+function formatDiffResult(diff, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(diff, null, 2);
+  }
+
+  const { summary } = diff;
+  const title = `${diff.from} → ${diff.to}`;
+
+  if (format === 'markdown') {
+    let output = `## VA component changes: \`${diff.from}\` → \`${diff.to}\`\n\n`;
+
+    if (!diff.hasChanges) {
+      return output + 'No component changes.\n';
+    }
+
+    output += `| Added | Removed | Renamed | Promoted | Demoted | Props added | Props removed | Type changes | Optionality changes |\n`;
+    output += `| --- | --- | --- | --- | --- | --- | --- | --- | --- |\n`;
+    output += `| ${summary.added} | ${summary.removed} | ${summary.renamed} | ${summary.promoted} | ${summary.demoted} | ${summary.propertiesAdded} | ${summary.propertiesRemoved} | ${summary.typeChanges} | ${summary.optionalityChanges} |\n\n`;
+
+    if (diff.added.length > 0) {
+      output += `### Added components\n\n`;
+      diff.added.forEach(c => { output += `- \`${c.tagName || c.name}\` (${c.name}, ${c.status})\n`; });
+      output += '\n';
+    }
+    if (diff.removed.length > 0) {
+      output += `### Removed components\n\n`;
+      diff.removed.forEach(c => { output += `- \`${c.tagName || c.name}\` (${c.name})\n`; });
+      output += '\n';
+    }
+    if (diff.renamed.length > 0) {
+      output += `### Renamed components\n\n`;
+      diff.renamed.forEach(r => { output += `- \`${r.from}\` → \`${r.to}\`\n`; });
+      output += '\n';
+    }
+    if (diff.maturityChanges.length > 0) {
+      output += `### Maturity changes\n\n| Component | From | To | Change |\n| --- | --- | --- | --- |\n`;
+      diff.maturityChanges.forEach(c => {
+        output += `| \`${c.tagName}\` | ${formatMaturity(c.from)} (${c.from.status}) | ${formatMaturity(c.to)} (${c.to.status}) | ${c.change} |\n`;
+      });
+      output += '\n';
+    }
+    if (diff.propertyChanges.length > 0) {
+      output += `### Property changes\n\n| Component | Property | Change |\n| --- | --- | --- |\n`;
+      const cell = value => String(value).replace(/\|/g, '\\|');
+      diff.propertyChanges.forEach(c => {
+        c.added.forEach(p => { output += `| \`${c.tagName}\` | \`${p.name}\` | Added (\`${cell(p.type)}\`${p.optional ? ', optional' : ', required'}) |\n`; });
+        c.removed.forEach(p => { output += `| \`${c.tagName}\` | \`${p.name}\` | Removed |\n`; });
+        c.typeChanged.forEach(p => { output += `| \`${c.tagName}\` | \`${p.name}\` | Type \`${cell(p.from)}\` → \`${cell(p.to)}\` |\n`; });
+        c.optionalityChanged.forEach(p => { output += `| \`${c.tagName}\` | \`${p.name}\` | ${p.to ? 'Now optional' : 'Now required'} |\n`; });
+      });
+      output += '\n';
+    }
+
+    return output;
+  }
+
+  let output = `\n🔀 Component changes ${title}\n\n`;
+
+  if (!diff.hasChanges) {
+    return output + '✅ No component changes';
+  }
+
+  if (diff.added.length > 0) {
+    output += `Added (${diff.added.length}):\n`;
+    diff.added.forEach(c => { output += `  + ${c.tagName || c.name} (${c.name} - ${c.status})\n`; });
+    output += '\n';
+  }
+  if (diff.removed.length > 0) {
+    output += `Removed (${diff.removed.length}):\n`;
+    diff.removed.forEach(c => { output += `  - ${c.tagName || c.name} (${c.name})\n`; });
+    output += '\n';
+  }
+  if (diff.renamed.length > 0) {
+    output += `Renamed (${diff.renamed.length}):\n`;
+    diff.renamed.forEach(r => { output += `  ~ ${r.from} → ${r.to}\n`; });
+    output += '\n';
+  }
+  if (diff.maturityChanges.length > 0) {
+    const changeIcon = { promoted: '⬆️', demoted: '⬇️', changed: '↔️' };
+    output += `Maturity changes (${diff.maturityChanges.length}):\n`;
+    diff.maturityChanges.forEach(c => {
+      output += `  ${changeIcon[c.change]} ${c.tagName}: ${formatMaturity(c.from)} → ${formatMaturity(c.to)} (${c.from.status} → ${c.to.status})\n`;
+    });
+    output += '\n';
+  }
+  if (diff.propertyChanges.length > 0) {
+    output += `Property changes (${diff.propertyChanges.length} component(s)):\n`;
+    diff.propertyChanges.forEach(c => {
+      output += `  ${c.tagName}\n`;
+      formatPropertyList(c.added).forEach(p => { output += `    + ${p}\n`; });
+      formatPropertyList(c.removed).forEach(p => { output += `    - ${p}\n`; });
+      c.typeChanged.forEach(p => { output += `    ~ ${p.name}: ${p.from} → ${p.to}\n`; });
+      c.optionalityChanged.forEach(p => { output += `    ~ ${p.name}: ${p.from ? 'optional' : 'required'} → ${p.to ? 'optional' : 'required'}\n`; });
+    });
+    output += '\n';
+  }
+
+  output += `Summary:\n`;
+  output += `  Components added/removed/renamed: ${summary.added}/${summary.removed}/${summary.renamed}\n`;
+  output += `  Maturity promoted/demoted: ${summary.promoted}/${summary.demoted}\n`;
+  output += `  Props added/removed: ${summary.propertiesAdded}/${summary.propertiesRemoved}\n`;
+  output += `  Type/optionality changes: ${summary.typeChanges}/${summary.optionalityChanges}`;
+
+  return output;
+}
+
+function formatUpgradeCheck(result, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(result, null, 2);
+  }
+
+  const { impacts, summary } = result;
+  const icon = { error: '❌', warning: '⚠️' };
+
+  if (format === 'markdown') {
+    let output = `## Upgrade impact: \`${result.from}\` → \`${result.to}\`\n\n`;
+    if (impacts.length === 0) {
+      return output + `No usages affected (${summary.usages} usage(s) in ${summary.filesScanned} file(s) checked).\n`;
+    }
+
+    output += `${impacts.length} impact(s) in ${summary.affectedFiles} file(s).\n\n`;
+    output += `| Location | Component | Change | Details |\n| --- | --- | --- | --- |\n`;
+    impacts.forEach(impact => {
+      output += `| \`${impact.file}:${impact.line}\` | ${impact.component ? `\`${impact.component}\`` : '-'} | ${icon[impact.severity]} ${impact.type} | ${impact.message.replace(/\|/g, '\\|')} |\n`;
+    });
+    return output;
+  }
+
+  let output = `\n⬆️  Upgrade impact ${result.from} → ${result.to}\n`;
+  output += `   Checked ${summary.usages} usage(s) in ${summary.filesScanned} file(s) under ${result.root}\n\n`;
+
+  if (impacts.length === 0) {
+    return output + '✅ No usages are affected by this upgrade' + formatSuppressions(result.suppressions);
+  }
+
+  const byFile = new Map();
+  impacts.forEach(impact => {
+    if (!byFile.has(impact.file)) byFile.set(impact.file, []);
+    byFile.get(impact.file).push(impact);
+  });
+
+  for (const [file, fileImpacts] of byFile) {
+    output += `📄 ${file}\n`;
+    fileImpacts.forEach(impact => {
+      output += `   ${impact.line}:${impact.column}  ${icon[impact.severity]} ${impact.message}\n`;
+    });
+    output += '\n';
+  }
+
+  const suppressionOutput = formatSuppressions(result.suppressions);
+  if (suppressionOutput) {
+    output += `${suppressionOutput.trimStart()}\n`;
+  }
+
+  output += `Summary (${impacts.length} impact(s) in ${summary.affectedFiles} file(s)):\n`;
+  output += `  Removed components: ${summary.removedComponents}\n`;
+  output += `  Renamed components: ${summary.renamedComponents}\n`;
+  output += `  Removed props: ${summary.removedProps}\n`;
+  output += `  Type changes: ${summary.typeChanges}\n`;
+  output += `  Newly required props: ${summary.newlyRequired}\n`;
+  output += `  New caution status: ${summary.newCaution}`;
+
+  return output;
+}
+
+const changeIcon = {
+  'component-added': '🆕',
+  'component-removed': '🗑️',
+  'component-renamed': '✏️',
+  'component-deprecated': '⚠️',
+  'maturity-upgraded': '⬆️',
+  'maturity-downgraded': '⬇️',
+  'maturity-changed': '↔️',
+  'props-changed': '🔧',
+  'first-seen': '📍'
+};
+
+function formatChangeEvent(event) {
+  return `${changeIcon[event.type] || '•'} ${event.timestamp} [${event.ref || 'custom'}] ${event.message}`;
+}
+
+function formatHistoryList(snapshots, directory, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify({ directory, snapshots }, null, 2);
+  }
+
+  if (snapshots.length === 0) {
+    return `🕑 No component history recorded in ${directory}\n   Record a snapshot with: va-components history record`;
+  }
+
+  let output = `🕑 ${snapshots.length} snapshot(s) in ${directory}\n\n`;
+  snapshots.forEach(snapshot => {
+    const changes = snapshot.changes === null ? 'first snapshot' : `${snapshot.changes} change(s)`;
+    output += `   ${snapshot.timestamp}  ${(snapshot.ref || 'custom').padEnd(12)}  ${snapshot.hash.slice(0, 12)}  ${snapshot.components} components  (${changes})\n`;
+  });
+
+  return output;
+}
+
+function formatChangeEvents(title, events, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify(events, null, 2);
+  }
+
+  if (events.length === 0) {
+    return `🕑 ${title}: no changes recorded`;
+  }
+
+  return `🕑 ${title}\n\n` + events.map(event => `   ${formatChangeEvent(event)}`).join('\n');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatCacheStatus(status, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify(status, null, 2);
+  }
+
+  if (!status.enabled) {
+    return '💾 Persistent cache is disabled';
+  }
+
+  let output = `💾 Persistent cache: ${status.directory}\n`;
+  output += `   ${status.entries} entr${status.entries === 1 ? 'y' : 'ies'}, ${formatBytes(status.totalSize)} of ${formatBytes(status.maxSize)}\n`;
+
+  if (status.items.length > 0) {
+    output += '\n';
+    status.items.forEach(item => {
+      const marker = item.notFound ? ' (not found)' : '';
+      output += `   ${item.fetchedAt}  ${formatBytes(item.size).padStart(9)}  ${item.key}${marker}\n`;
+    });
+  }
+
+  return output;
+}
+
+function formatPolicy(policy, jsonOutput = false) {
+  if (jsonOutput) {
+    return JSON.stringify(policy && {
+      ...policy,
+      allow: Array.from(policy.allow),
+      deny: Array.from(policy.deny)
+    }, null, 2);
+  }
+
+  if (!policy) {
+    return '⚙️  No configuration found (.vadsmonitorrc or va-monitor.config.js)';
+  }
+
+  const list = values => (values.size || values.length) ? Array.from(values).join(', ') : '(none)';
+  const overrides = Object.entries(policy.severity).map(([type, severity]) => `${type}=${severity}`);
+
+  let output = `⚙️  Configuration: ${policy.filepath || '(inline)'}\n`;
+  output += `   Environment:      ${policy.environment}\n`;
+  output += `   Minimum maturity: ${policy.minimumLevel || '(none)'}\n`;
+  output += `   Allowed:          ${list(policy.allow)}\n`;
+  output += `   Denied:           ${list(policy.deny)}\n`;
+  output += `   Severity:         ${overrides.length > 0 ? overrides.join(', ') : '(defaults)'}\n`;
+  output += `   Ignored paths:    ${list(policy.ignore)}\n`;
+  return output;
+}
+
+/**
+ * Print findings as a SARIF log, using the monitor's components for guidance links
+ */
+async function printSarif(findings, options, root = null, monitor = new VAComponentMonitor(options)) {
+  const log = await monitor.createSarifReport(findings, { root, toolVersion: packageJson.version });
+  console.log(JSON.stringify(log, null, 2));
+}
+
+/**
+ * Apply --baseline / --update-baseline to a result's findings (`issues` or `findings`)
+ *
+ * The result keeps only new findings, with `hasErrors`/`hasWarnings` recomputed and a
+ * `baseline` entry describing what was hidden and which baseline entries were resolved.
+ */
+async function applyBaselineOption(result, key, options, scope) {
+  if (!options.baseline) {
+    return result;
+  }
+
+  if (options.updateBaseline) {
+    const baseline = await saveBaseline(options.baseline, result[key], { scope });
+    const entries = baseline.entries.filter(entry => entry.scope === scope).length;
+    // Everything found is now baselined, so writing the baseline never fails the run
+    return { ...result, hasErrors: false, hasWarnings: false, baseline: { file: options.baseline, updated: true, entries } };
+  }
+
+  const baseline = await loadBaseline(options.baseline).catch(error => {
+    if (error.details && error.details.notFound) {
+      error.message += ' (create it with --update-baseline)';
+    }
+    throw error;
+  });
+  const comparison = compareWithBaseline(result[key], baseline, { scope });
+
+  return {
+    ...result,
+    [key]: comparison.findings,
+    hasErrors: comparison.findings.some(finding => finding.severity === 'error'),
+    hasWarnings: comparison.findings.some(finding => finding.severity === 'warning'),
+    baseline: {
+      file: options.baseline,
+      updated: false,
+      summary: comparison.summary,
+      resolved: comparison.resolved
+    }
+  };
+}
+
+/**
+ * Resolve a file or directory argument into a scan root and include patterns
+ */
+function resolveScanTarget(target, options) {
+  const targetPath = resolve(target || '.');
+  if (!existsSync(targetPath)) {
+    throw new VAComponentError(`Path not found: ${targetPath}`, ErrorCodes.INVALID_INPUT);
+  }
+
+  if (statSync(targetPath).isDirectory()) {
+    return { cwd: targetPath, patterns: options.include || DEFAULT_SCAN_PATTERNS };
+  }
+
+  return { cwd: dirname(targetPath), patterns: [basename(targetPath)] };
+}
+
+/**
+ * Error for a command whose report was printed but whose findings should fail the run
+ *
+ * The report is already the command's output, so JSON and SARIF runs don't get a second
+ * error document on stdout; the message still goes to stderr and sets the exit code.
+ */
+function findingsError(message, code) {
+  const error = new VAComponentError(message, code);
+  error.reportPrinted = true;
+  return error;
+}
+
 /**
  * Map error codes to appropriate exit codes
  */
@@ -217,7 +843,16 @@ function getExitCodeForError(errorCode) {
     [ErrorCodes.VALIDATION_ERROR]: 7,
     [ErrorCodes.LINT_ERROR]: 8,
     [ErrorCodes.PROPERTIES_ERROR]: 9,
-    [ErrorCodes.EXAMPLES_ERROR]: 10
+    [ErrorCodes.EVENTS_ERROR]: 9,
+    [ErrorCodes.EXAMPLES_ERROR]: 10,
+    [ErrorCodes.SCAN_ERROR]: 11,
+    [ErrorCodes.SNAPSHOT_ERROR]: 12,
+    [ErrorCodes.SNAPSHOT_NOT_FOUND]: 12,
+    [ErrorCodes.REF_NOT_RESOLVED]: 13,
+    [ErrorCodes.DIFF_ERROR]: 14,
+    [ErrorCodes.UPGRADE_ERROR]: 15,
+    [ErrorCodes.CONFIG_ERROR]: 16,
+    [ErrorCodes.BASELINE_ERROR]: 17
   };
   
   return exitCodes[errorCode] || 2; // Default to 2 for unknown errors
@@ -249,13 +884,184 @@ function parseOptions(args) {
     }
   }
   
+  // Parse persistent cache options
+  const cacheDirIndex = args.findIndex(arg => arg === '--cache-dir');
+  if (cacheDirIndex !== -1) {
+    if (!args[cacheDirIndex + 1]) {
+      throw new VAComponentError('--cache-dir requires a directory', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.cacheDir = resolve(args[cacheDirIndex + 1]);
+  }
+  
+  if (args.includes('--no-cache')) {
+    options.persistentCache = false;
+  }
+  
+  // Parse offline snapshot options
+  if (args.includes('--offline')) {
+    options.offline = true;
+  }
+  
+  const snapshotIndex = args.findIndex(arg => arg === '--snapshot');
+  if (snapshotIndex !== -1) {
+    if (!args[snapshotIndex + 1]) {
+      throw new VAComponentError('--snapshot requires a path', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.snapshot = resolve(args[snapshotIndex + 1]);
+  }
+  
+  // Parse component-library ref
+  const refIndex = args.findIndex(arg => arg === '--ref');
+  if (refIndex !== -1) {
+    if (!args[refIndex + 1]) {
+      throw new VAComponentError('--ref requires a branch, tag, commit SHA or "installed"', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.ref = args[refIndex + 1];
+  }
+  
+  // Parse history options
+  const historyDirIndex = args.findIndex(arg => arg === '--history-dir');
+  if (historyDirIndex !== -1) {
+    if (!args[historyDirIndex + 1]) {
+      throw new VAComponentError('--history-dir requires a directory', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.historyDir = resolve(args[historyDirIndex + 1]);
+  }
+  
+  if (args.includes('--require-justification')) {
+    options.requireJustification = true;
+  }
+  
+  // Parse baseline options
+  const baselineIndex = args.findIndex(arg => arg === '--baseline');
+  if (baselineIndex !== -1) {
+    if (!args[baselineIndex + 1]) {
+      throw new VAComponentError('--baseline requires a file', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.baseline = resolve(args[baselineIndex + 1]);
+  }
+  
+  if (args.includes('--update-baseline')) {
+    options.updateBaseline = true;
+    options.baseline = options.baseline || resolve(DEFAULT_BASELINE_FILE);
+  }
+  
+  if (args.includes('--record-history')) {
+    options.history = true;
+  }
+  
+  const intervalIndex = args.findIndex(arg => arg === '--interval');
+  if (intervalIndex !== -1) {
+    const minutes = parseFloat(args[intervalIndex + 1]);
+    if (isNaN(minutes) || minutes < 1) {
+      throw new VAComponentError('--interval must be at least 1 minute', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.interval = minutes * 60 * 1000;
+  }
+  
+  // Parse project configuration options
+  const configIndex = args.findIndex(arg => arg === '--config');
+  if (configIndex !== -1) {
+    if (!args[configIndex + 1]) {
+      throw new VAComponentError('--config requires a file', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.configFile = resolve(args[configIndex + 1]);
+  }
+  
+  const envIndex = args.findIndex(arg => arg === '--env');
+  if (envIndex !== -1) {
+    if (!args[envIndex + 1]) {
+      throw new VAComponentError('--env requires an environment name', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.env = args[envIndex + 1];
+  }
+  
+  // Parse HTTP API options
+  const portIndex = args.findIndex(arg => arg === '--port');
+  if (portIndex !== -1) {
+    const port = Number(args[portIndex + 1]);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new VAComponentError('--port must be a number between 0 and 65535', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.port = port;
+  }
+  
+  const hostIndex = args.findIndex(arg => arg === '--host');
+  if (hostIndex !== -1) {
+    if (!args[hostIndex + 1]) {
+      throw new VAComponentError('--host requires a host name or address', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.host = args[hostIndex + 1];
+  }
+  
+  const limitIndex = args.findIndex(arg => arg === '--limit');
+  if (limitIndex !== -1) {
+    const limit = Number(args[limitIndex + 1]);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new VAComponentError('--limit must be a positive whole number', ErrorCodes.INVALID_OPTIONS);
+    }
+    options.limit = limit;
+  }
+  
+  const frameworkIndex = args.findIndex(arg => arg === '--framework');
+  if (frameworkIndex !== -1) {
+    const framework = (args[frameworkIndex + 1] || '').toLowerCase();
+    if (!EXAMPLE_FRAMEWORKS.includes(framework)) {
+      throw new VAComponentError(`--framework must be one of: ${EXAMPLE_FRAMEWORKS.join(', ')}`, ErrorCodes.INVALID_OPTIONS);
+    }
+    options.framework = framework;
+  }
+  
+  // Parse scan patterns (both options may be repeated)
+  const include = getOptionValues(args, '--include');
+  if (include.length > 0) {
+    options.include = include;
+  }
+
+  const ignore = getOptionValues(args, '--ignore');
+  if (ignore.length > 0) {
+    options.ignore = ignore;
+  }
+  
   return options;
 }
 
+/**
+ * Resolve --format (or --json) into an output format supported by the command
+ */
+function getOutputFormat(args, command) {
+  const formatIndex = args.findIndex(arg => arg === '--format');
+  if (formatIndex === -1) {
+    return args.includes('--json') ? 'json' : 'text';
+  }
+
+  const format = (args[formatIndex + 1] || '').toLowerCase();
+  const supported = ['text', 'json', ...(EXTRA_FORMATS[command] || [])];
+  if (!supported.includes(format)) {
+    throw new VAComponentError(`Unsupported format "${format}" for ${command}. Use one of: ${supported.join(', ')}`, ErrorCodes.INVALID_OPTIONS);
+  }
+  return format;
+}
+
+/**
+ * Collect every value passed for a repeatable option
+ */
+function getOptionValues(args, name) {
+  const values = [];
+  args.forEach((arg, index) => {
+    if (arg === name && args[index + 1] && !args[index + 1].startsWith('--')) {
+      values.push(args[index + 1]);
+    }
+  });
+  return values;
+}
+
 /**
  * Main CLI execution with graceful shutdown and comprehensive error handling
  */
 async function main() {
+  let jsonOutput = false;
+  
   try {
     setupGracefulShutdown();
     
@@ -275,33 +1081,56 @@ async function main() {
     // Parse and validate options
     const options = parseOptions([...args]); // Pass a copy since parseOptions modifies the array
     
-    // Filter out options from args
-    const filteredArgs = args.filter(arg => 
+    // Filter out options (and the values of options that take one) from args
+    const filteredArgs = args.filter((arg, index) => 
+      !VALUE_OPTIONS.includes(args[index - 1]) &&
       !arg.startsWith('--') && 
       !arg.startsWith('-') &&
       !['quiet', 'q', 'verbose', 'vv', 'json'].includes(arg)
     );
     
     const command = sanitizeInput(filteredArgs[0]);
-    const jsonOutput = args.includes('--json');
+    jsonOutput = args.includes('--json');
     
     if (!command) {
       throw new VAComponentError('No command specified', ErrorCodes.INVALID_INPUT);
     }
     
+    options.format = getOutputFormat(args, command);
+    jsonOutput = options.format === 'json';
+    machineOutput = options.format !== 'text';
+    
+    // Project policy from .vadsmonitorrc / va-monitor.config.js (searched from the working directory)
+    if (!args.includes('--no-config')) {
+      const config = await loadConfig({ configFile: options.configFile });
+      if (config) {
+        logger.info(`Using configuration ${config.filepath}`);
+        options.config = config;
+      }
+    }
+    
     logger.info(`Executing command: ${command}`);
     
     // Execute commands with timeout protection
     const executionTimeout = options.requestTimeout || 30000; // 30 second default for CLI operations
     const executionPromise = executeCommand(command, filteredArgs, jsonOutput, options);
     
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new VAComponentError(`Command execution timeout after ${executionTimeout}ms`, ErrorCodes.TIMEOUT));
-      }, executionTimeout);
-    });
-    
-    await Promise.race([executionPromise, timeoutPromise]);
+    if (LONG_RUNNING_COMMANDS.includes(command)) {
+      await executionPromise;
+    } else {
+      let timeoutId;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+          reject(new VAComponentError(`Command execution timeout after ${executionTimeout}ms`, ErrorCodes.TIMEOUT));
+        }, executionTimeout);
+      });
+      
+      try {
+        await Promise.race([executionPromise, timeoutPromise]);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
     
     logger.success('Command completed successfully');
     
@@ -316,7 +1145,7 @@ async function main() {
       // Use specific exit codes for different error types
       const exitCode = getExitCodeForError(error.code);
       
-      if (jsonOutput) {
+      if (jsonOutput && !error.reportPrinted) {
         console.log(JSON.stringify({ 
           error: error.message,
           code: error.code,
@@ -360,10 +1189,13 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
       }
       
       logger.info(`Checking component: ${componentName}`);
-      const component = await checkComponent(componentName, options);
+      const monitor = new VAComponentMonitor(options);
+      const component = await monitor.getComponentByName(componentName);
       
       if (!component) {
-        throw new VAComponentError(`Component "${componentName}" not found`, ErrorCodes.SEARCH_ERROR);
+        const suggestions = await monitor.suggestComponentNames(componentName);
+        const hint = suggestions.length > 0 ? `. Did you mean ${suggestions.join(', ')}?` : '';
+        throw new VAComponentError(`Component "${componentName}" not found${hint}`, ErrorCodes.SEARCH_ERROR, { suggestions });
       }
 
       if (jsonOutput) {
@@ -374,6 +1206,29 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
       break;
     }
     
+    case 'search': {
+      const query = filteredArgs.slice(1).map(sanitizeInput).filter(Boolean).join(' ');
+      if (!query) {
+        throw new VAComponentError('Search query required for search command', ErrorCodes.INVALID_INPUT);
+      }
+
+      logger.info(`Searching components for: ${query}`);
+      const hits = await searchComponents(query, options);
+
+      if (jsonOutput) {
+        console.log(JSON.stringify(hits, null, 2));
+      } else if (hits.length === 0) {
+        console.log(`No components match "${query}"`);
+      } else {
+        console.log(`\n${hits.length} component(s) matching "${query}":\n`);
+        hits.forEach(hit => {
+          const matched = hit.matches.map(match => (match.field === 'prop' ? `prop ${match.value}` : `${match.kind} ${match.field}`));
+          console.log(`  ${hit.score.toFixed(2)}  ${(hit.tagName || hit.name).padEnd(28)} ${hit.status.padEnd(22)} ${matched.join(', ')}`);
+        });
+      }
+      break;
+    }
+    
     case 'props': {
       if (filteredArgs.length < 2) {
         throw new VAComponentError('Component name required for props command', ErrorCodes.INVALID_INPUT);
@@ -399,6 +1254,27 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
       break;
     }
     
+    case 'events': {
+      if (filteredArgs.length < 2) {
+        throw new VAComponentError('Component name required for events command', ErrorCodes.INVALID_INPUT);
+      }
+      
+      const componentName = sanitizeInput(filteredArgs[1]);
+      if (!componentName) {
+        throw new VAComponentError('Invalid component name provided', ErrorCodes.INVALID_INPUT);
+      }
+      
+      logger.info(`Getting events for: ${componentName}`);
+      const eventsData = await getComponentEvents(componentName, options);
+      
+      if (!eventsData) {
+        throw new VAComponentError(`Component "${componentName}" not found`, ErrorCodes.SEARCH_ERROR);
+      }
+      
+      console.log(formatEvents(eventsData, jsonOutput));
+      break;
+    }
+    
     case 'examples': {
       if (filteredArgs.length < 2) {
         throw new VAComponentError('Component name required for examples command', ErrorCodes.INVALID_INPUT);
@@ -445,7 +1321,13 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
       logger.info(`Validating ${componentNames.length} components`);
       const result = await validateComponents(componentNames, options);
       
-      if (jsonOutput) {
+      if (options.format === 'sarif') {
+        const monitor = new VAComponentMonitor(options);
+        const issues = result.validation
+          .map(item => monitor.createLintIssue(item.requested, item.component))
+          .filter(Boolean);
+        await printSarif(issues, options, null, monitor);
+      } else if (jsonOutput) {
         console.log(JSON.stringify(result, null, 2));
       } else {
         console.log(`\nValidation Results (${result.summary.found}/${result.summary.total} found):\n`);
@@ -477,9 +1359,11 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
       }
       
       logger.info(`Linting ${componentNames.length} components`);
-      const result = await lintComponents(componentNames, options);
+      const result = await applyBaselineOption(await lintComponents(componentNames, options), 'issues', options, 'lint');
       
-      if (jsonOutput) {
+      if (options.format === 'sarif') {
+        await printSarif(result.issues, options);
+      } else if (jsonOutput) {
         console.log(JSON.stringify(result, null, 2));
       } else {
         if (result.issues.length === 0) {
@@ -498,10 +1382,15 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
           });
         }
         
-        if (result.hasErrors) {
-          throw new VAComponentError('Linting found errors', ErrorCodes.LINT_ERROR);
+        const baselineSummary = formatBaseline(result.baseline);
+        if (baselineSummary) {
+          console.log(baselineSummary);
         }
       }
+      
+      if (result.hasErrors) {
+        throw findingsError('Linting found errors', ErrorCodes.LINT_ERROR);
+      }
       break;
     }
     
@@ -608,6 +1497,215 @@ async function executeCommand(command, filteredArgs, jsonOutput, options) {
       break;
     }
     
+    case 'scan': {
+      const target = resolveScanTarget(filteredArgs[1], options);
+      
+      logger.info(`Scanning ${target.cwd} for VA components`);
+      const result = await applyBaselineOption(await scanProject(target.patterns, { ...options, cwd: target.cwd }), 'issues', options, 'scan');
+      
+      if (options.format === 'sarif') {
+        await printSarif([...result.issues, ...result.suppressions.suppressed], options, result.root);
+      } else {
+        console.log(formatScanResult(result, jsonOutput));
+      }
+      
+      // Without a baseline a scan is an inventory; with one it gates on new errors
+      if (result.baseline && result.hasErrors) {
+        throw findingsError('Scan found new errors', ErrorCodes.LINT_ERROR);
+      }
+      break;
+    }
+    
+    case 'validate-props': {
+      const target = resolveScanTarget(filteredArgs[1], options);
+      
+      logger.info(`Validating component attributes in ${target.cwd}`);
+      const result = await applyBaselineOption(await validateMarkupFiles(target.patterns, { ...options, cwd: target.cwd }), 'findings', options, 'validate-props');
+      
+      if (options.format === 'sarif') {
+        await printSarif([...result.findings, ...result.suppressions.suppressed], options, result.root);
+      } else {
+        console.log(formatMarkupValidation(result, jsonOutput));
+      }
+      
+      if (result.hasErrors) {
+        throw findingsError('Attribute validation found errors', ErrorCodes.VALIDATION_ERROR);
+      }
+      break;
+    }
+    
+    case 'config': {
+      const monitor = new VAComponentMonitor(options);
+      console.log(formatPolicy(monitor.policy, jsonOutput));
+      break;
+    }
+    
+    case 'cache': {
+      const subcommand = sanitizeInput(filteredArgs[1] || 'status');
+      const monitor = new VAComponentMonitor(options);
+      
+      if (subcommand === 'status') {
+        console.log(formatCacheStatus(await monitor.getCacheStatus(), jsonOutput));
+      } else if (subcommand === 'clear') {
+        const removed = await monitor.clearCache();
+        if (jsonOutput) {
+          console.log(JSON.stringify({ removed }, null, 2));
+        } else {
+          console.log(`🧹 Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`);
+        }
+      } else if (subcommand === 'warm') {
+        logger.info('Warming persistent cache with component definitions and story files');
+        const result = await monitor.warmCache({ stories: !process.argv.includes('--definitions-only') });
+        if (jsonOutput) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(`🔥 Cached definitions for ${result.components} components and ${result.storyFiles} story file(s)`);
+          if (result.missingStories.length > 0) {
+            console.log(`   No story examples found for: ${result.missingStories.join(', ')}`);
+          }
+        }
+      } else {
+        throw new VAComponentError(`Unknown cache command: ${subcommand}. Available: status, clear, warm`, ErrorCodes.INVALID_INPUT);
+      }
+      break;
+    }
+    
+    case 'snapshot': {
+      const subcommand = sanitizeInput(filteredArgs[1] || '');
+      
+      if (subcommand !== 'create') {
+        throw new VAComponentError('Usage: snapshot create [output.tgz|directory]', ErrorCodes.INVALID_INPUT);
+      }
+      
+      const outputPath = resolve(filteredArgs[2] || 'va-components-snapshot.tgz');
+      const monitor = new VAComponentMonitor(options);
+      
+      logger.info(`Creating snapshot at ${outputPath}`);
+      const result = await monitor.createSnapshot(outputPath, { stories: !process.argv.includes('--definitions-only') });
+      
+      if (jsonOutput) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(`📦 Snapshot written to ${result.path}`);
+        console.log(`   ${result.components} components, ${result.files.length} file(s)${result.ref ? ` from ${result.ref}` : ''}`);
+        console.log(`\n   Use it with: va-components <command> --offline --snapshot ${result.path}`);
+      }
+      break;
+    }
+    
+    case 'diff': {
+      const [fromRef, toRef] = filteredArgs.slice(1, 3).map(sanitizeInput);
+      
+      if (!fromRef || !toRef) {
+        throw new VAComponentError('Usage: diff <refA> <refB>', ErrorCodes.INVALID_INPUT);
+      }
+      
+      logger.info(`Comparing components between ${fromRef} and ${toRef}`);
+      const result = await diffRefs(fromRef, toRef, options);
+      
+      console.log(formatDiffResult(result, options.format));
+      break;
+    }
+    
+    case 'upgrade-check': {
+      const targetRef = sanitizeInput(filteredArgs[1] || '');
+      
+      if (!targetRef) {
+        throw new VAComponentError('Usage: upgrade-check <target-ref> [dir]', ErrorCodes.INVALID_INPUT);
+      }
+      
+      const target = resolveScanTarget(filteredArgs[2], options);
+      
+      logger.info(`Checking the impact of upgrading to ${targetRef} in ${target.cwd}`);
+      const result = await checkUpgrade(targetRef, target.patterns, { ...options, cwd: target.cwd });
+      
+      if (options.format === 'sarif') {
+        await printSarif([...result.impacts, ...result.suppressions.suppressed], { ...options, ref: targetRef, projectDir: target.cwd }, result.root);
+      } else {
+        console.log(formatUpgradeCheck(result, options.format));
+      }
+      
+      if (result.hasErrors) {
+        throw findingsError(`Upgrading to ${result.to} breaks ${result.impacts.filter(i => i.severity === 'error').length} usage(s)`, ErrorCodes.UPGRADE_ERROR);
+      }
+      break;
+    }
+    
+    case 'history': {
+      const subcommand = sanitizeInput(filteredArgs[1] || '');
+      const monitor = new VAComponentMonitor(options);
+      const directory = monitor.historyStore.directory;
+      
+      if (subcommand === '') {
+        console.log(formatHistoryList(await monitor.getHistory(), directory, jsonOutput));
+      } else if (subcommand === 'record') {
+        const result = await monitor.recordHistory(true);
+        if (jsonOutput) {
+          console.log(JSON.stringify(result, null, 2));
+        } else if (!result.recorded) {
+          console.log(`🕑 No changes since ${result.previous.timestamp} (${result.snapshot.hash.slice(0, 12)})`);
+        } else {
+          console.log(`🕑 Recorded ${result.snapshot.components} components (${result.snapshot.hash.slice(0, 12)}) in ${directory}`);
+          result.events.forEach(event => console.log(`   ${formatChangeEvent(event)}`));
+        }
+      } else if (subcommand === 'events') {
+        console.log(formatChangeEvents('Component changes', await monitor.getHistoryEvents(), jsonOutput));
+      } else if (subcommand === 'clear') {
+        const removed = await monitor.clearHistory();
+        console.log(jsonOutput ? JSON.stringify({ removed }, null, 2) : `🗑️  Removed ${removed} history snapshot(s) from ${directory}`);
+      } else {
+        const timeline = await monitor.getComponentTimeline(subcommand);
+        console.log(formatChangeEvents(`${subcommand} timeline`, timeline, jsonOutput));
+      }
+      break;
+    }
+    
+    case 'watch': {
+      const monitor = new VAComponentMonitor({ ...options, history: true });
+      const intervalMinutes = (options.interval || 60 * 60 * 1000) / 60000;
+      
+      logger.info(`Watching for component changes every ${intervalMinutes} minute(s)`);
+      if (!jsonOutput) {
+        console.log(`👀 Watching for component changes every ${intervalMinutes} minute(s). Press Ctrl+C to stop.`);
+      }
+      
+      const watcher = monitor.watch({ interval: options.interval });
+      
+      // Runs until interrupted; events are printed as they arrive (one JSON object per line with --json)
+      await new Promise(() => {
+        watcher.on('change', event => {
+          console.log(jsonOutput ? JSON.stringify(event) : formatChangeEvent(event));
+        });
+        watcher.on('check', result => {
+          logger.info(`Checked ${result.snapshot.components} components (${result.snapshot.hash.slice(0, 12)})`);
+        });
+        watcher.on('error', error => {
+          logger.error(`Watch check failed: ${error.message}`, error.code);
+        });
+      });
+      break;
+    }
+    
+    case 'serve': {
+      const server = await startApiServer(options).catch(error => {
+        throw new VAComponentError(`Could not start the HTTP API: ${error.message}`, ErrorCodes.INVALID_OPTIONS, { originalError: error.code });
+      });
+      const { address, port } = server.address();
+      const url = `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+      
+      if (jsonOutput) {
+        console.log(JSON.stringify({ url, port }));
+      } else {
+        console.log(`🌐 VA component API listening on ${url}. Press Ctrl+C to stop.`);
+        console.log('   GET  /components, /components/:tag, /components/:tag/props, /components/:tag/examples');
+        console.log('   POST /validate, /lint');
+      }
+      
+      // Runs until interrupted
+      await new Promise(() => {});
+      break;
+    }
+    
     default:
       throw new VAComponentError(`Unknown command: ${command}`, ErrorCodes.INVALID_INPUT);
   }
@@ -5,8 +5,23 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
 } from '@modelcontextprotocol/sdk/types.js';
-import { VAComponentMonitor, getOfficialExamples } from '../lib/index.js';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { VAComponentMonitor, VAComponentError, getOfficialExamples, loadConfig, getGuidanceUrl, extractComponentUsages, EXAMPLE_FRAMEWORKS } from '../lib/index.js';
+import { startMcpHttpServer, MCP_TRANSPORTS, DEFAULT_MCP_PORT } from '../lib/mcp-http.js';
+import { validateSchema } from '../lib/schema.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
 
 /**
  * VA Design System Monitor MCP Service
@@ -19,20 +34,8 @@ import { VAComponentMonitor, getOfficialExamples } from '../lib/index.js';
  * - Fetch real examples from official VA Storybook
  */
 
-// Initialize the VA Design System Monitor
-const monitor = new VAComponentMonitor();
-
-const server = new Server(
-  {
-    name: 'va-design-system-monitor',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+// Initialize the VA Design System Monitor (recreated with the project policy in main)
+let monitor = new VAComponentMonitor();
 
 const tools = [
   {
@@ -43,10 +46,12 @@ const tools = [
       properties: {
         component: {
           type: 'string',
+          minLength: 1,
           description: 'Component name, tag name (e.g., va-button), or interface name (e.g., VaButton)',
         },
       },
       required: ['component'],
+      additionalProperties: false,
     },
   },
   {
@@ -55,6 +60,7 @@ const tools = [
     inputSchema: {
       type: 'object',
       properties: {},
+      additionalProperties: false,
     },
   },
   {
@@ -63,6 +69,7 @@ const tools = [
     inputSchema: {
       type: 'object',
       properties: {},
+      additionalProperties: false,
     },
   },
   {
@@ -78,6 +85,7 @@ const tools = [
         },
       },
       required: ['status'],
+      additionalProperties: false,
     },
   },
   {
@@ -92,6 +100,7 @@ const tools = [
           default: false,
         },
       },
+      additionalProperties: false,
     },
   },
   {
@@ -102,259 +111,840 @@ const tools = [
       properties: {
         components: {
           type: 'array',
-          items: { type: 'string' },
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
           description: 'Array of component names to validate',
         },
       },
       required: ['components'],
+      additionalProperties: false,
     },
   },
   {
-    name: 'lintComponents',
-    description: 'Lint a list of component names',
+    name: 'review_markup',
+    description: 'Review a pasted HTML or JSX snippet for VA compliance: unknown components, caution/experimental usage, invalid or missing props, and native <button>/<input>/<select>/<textarea> elements with suggested VA replacements',
     inputSchema: {
       type: 'object',
       properties: {
-        componentNames: {
+        markup: {
+          type: 'string',
+          minLength: 1,
+          description: 'The HTML or JSX snippet to review',
+        },
+        filePath: {
+          type: 'string',
+          description: 'Optional file name for locations; a .jsx/.tsx name makes replacements use React bindings',
+        },
+      },
+      required: ['markup'],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'lint_components',
+    description: 'Lint a list of component names for unknown, caution, experimental and policy-restricted components',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        components: {
           type: 'array',
-          items: { type: 'string' },
+          items: { type: 'string', minLength: 1 },
+          minItems: 1,
           description: 'Array of component names to lint',
         },
       },
-      required: ['componentNames'],
+      required: ['components'],
+      additionalProperties: false,
     },
   },
   {
-    name: 'getComponentProperties',
-    description: 'Get the properties of a specific VA component',
+    name: 'get_component_properties',
+    description: 'Get the properties and slots of a specific VA component',
     inputSchema: {
       type: 'object',
       properties: {
-        componentName: {
+        component: {
           type: 'string',
-          description: 'The name of the component',
+          minLength: 1,
+          description: 'Component name, tag name (e.g., va-button), or interface name (e.g., VaButton)',
         },
       },
-      required: ['componentName'],
+      required: ['component'],
+      additionalProperties: false,
     },
   },
   {
-    name: 'getComponentExamples',
-    description: 'Generate example implementations for a specific VA component',
+    name: 'get_component_events',
+    description: 'Get the custom events a VA component emits: handler prop, DOM event name, event.detail type and description',
     inputSchema: {
       type: 'object',
       properties: {
-        componentName: {
+        component: {
           type: 'string',
-          description: 'The name of the component to generate examples for',
+          minLength: 1,
+          description: 'Component name, tag name (e.g., va-button), or interface name (e.g., VaButton)',
         },
       },
-      required: ['componentName'],
+      required: ['component'],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'get_component_examples',
+    description: 'Get example implementations for a specific VA component, from Storybook when available',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: {
+          type: 'string',
+          minLength: 1,
+          description: 'Component name, tag name (e.g., va-button), or interface name (e.g., VaButton)',
+        },
+        framework: {
+          type: 'string',
+          enum: [...EXAMPLE_FRAMEWORKS],
+          description: 'Example syntax: html (web components, default), react (component-library React bindings), vue, or jsx-webcomponent (web components in JSX)',
+        },
+      },
+      required: ['component'],
+      additionalProperties: false,
     },
   },
 ];
 
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools };
+// Deprecated camelCase tool names and their arguments, kept until the next major version
+const deprecatedTools = {
+  lintComponents: { tool: 'lint_components', arguments: { componentNames: 'components' } },
+  getComponentProperties: { tool: 'get_component_properties', arguments: { componentName: 'component' } },
+  getComponentExamples: { tool: 'get_component_examples', arguments: { componentName: 'component' } },
+};
+
+function renameKeys(object, renames) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [renames[key] || key, value]));
+}
+
+// Aliases are listed with the schema (and argument names) they always had
+const deprecatedToolDefinitions = Object.entries(deprecatedTools).map(([name, alias]) => {
+  const target = tools.find(tool => tool.name === alias.tool);
+  const oldNames = Object.fromEntries(Object.entries(alias.arguments).map(([oldName, newName]) => [newName, oldName]));
+  return {
+    name,
+    description: `Deprecated: use ${alias.tool}. ${target.description}`,
+    inputSchema: {
+      ...target.inputSchema,
+      properties: renameKeys(target.inputSchema.properties, oldNames),
+      required: (target.inputSchema.required || []).map(key => oldNames[key] || key),
+    },
+  };
 });
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'get_component_status': {
-        const component = await monitor.getComponentByName(args.component);
-        if (!component) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `Component "${args.component}" not found in VA Design System.`,
-              },
-            ],
-          };
-        }
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                name: component.name,
-                tagName: component.tagName,
-                status: component.status,
-                maturityCategory: component.maturityCategory,
-                maturityLevel: component.maturityLevel,
-                recommendation: component.recommendation,
-                guidanceHref: component.guidanceHref,
-                translations: component.translations,
-              }, null, 2),
-            },
-          ],
-        };
-      }
+const toolDefinitions = [...tools, ...deprecatedToolDefinitions];
 
-      case 'list_recommended_components': {
-        const recommended = await monitor.getRecommendedComponents();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                count: recommended.length,
-                components: recommended.map(c => ({
-                  name: c.name,
-                  tagName: c.tagName,
-                  recommendation: c.recommendation,
-                })),
-              }, null, 2),
-            },
-          ],
-        };
-      }
+/**
+ * Validate a tool call's arguments against its schema and run it, translating deprecated names
+ */
+async function runTool(name, args = {}) {
+  const definition = toolDefinitions.find(tool => tool.name === name);
+  if (!definition) {
+    throw new VAComponentError(`Unknown tool: ${name}`, 'NOT_FOUND', { tool: name, available: tools.map(tool => tool.name) });
+  }
 
-      case 'list_caution_components': {
-        const caution = await monitor.getCautionComponents();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                count: caution.length,
-                components: caution.map(c => ({
-                  name: c.name,
-                  tagName: c.tagName,
-                  status: c.status,
-                  maturityCategory: c.maturityCategory,
-                  maturityLevel: c.maturityLevel,
-                  recommendation: c.recommendation,
-                })),
-              }, null, 2),
-            },
-          ],
-        };
-      }
+  const errors = validateSchema(args, definition.inputSchema);
+  if (errors.length > 0) {
+    throw new VAComponentError(
+      `Invalid arguments for ${name}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+      'INVALID_INPUT',
+      { tool: name, errors }
+    );
+  }
 
-      case 'get_components_by_status': {
-        const components = await monitor.getComponentsByStatus(args.status);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: args.status,
-                count: components.length,
-                components: components.map(c => ({
-                  name: c.name,
-                  tagName: c.tagName,
-                  maturityLevel: c.maturityLevel,
-                  recommendation: c.recommendation,
-                })),
-              }, null, 2),
-            },
-          ],
-        };
-      }
+  const alias = deprecatedTools[name];
+  if (!alias) {
+    return await callTool(name, args);
+  }
+  const result = await callTool(alias.tool, renameKeys(args, alias.arguments));
+  result.content.push({
+    type: 'text',
+    text: `Note: ${name} is deprecated and will be removed in the next major version; use ${alias.tool} instead.`,
+  });
+  return result;
+}
 
-      case 'generate_component_report': {
-        const report = await monitor.generateReport();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(report, null, 2),
-            },
-          ],
-        };
+/**
+ * Tool errors carry the VAComponentError code and details so clients can react to them
+ */
+function formatToolError(error) {
+  const body = {
+    error: {
+      message: error.message,
+      code: error instanceof VAComponentError ? error.code : 'UNKNOWN_ERROR',
+      details: error instanceof VAComponentError ? error.details : null,
+    },
+  };
+  const text = JSON.stringify(body, (key, value) => (value instanceof Error ? value.message : value), 2);
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+/**
+ * Run a tool against the shared monitor
+ */
+async function callTool(name, args) {
+  switch (name) {
+    case 'get_component_status': {
+      const component = await monitor.getComponentByName(args.component);
+      if (!component) {
+        throw new VAComponentError(`Component "${args.component}" not found in VA Design System`, 'NOT_FOUND', { component: args.component });
       }
 
-      case 'validate_components_in_code': {
-        const results = [];
-        for (const componentName of args.components) {
-          const component = await monitor.getComponentByName(componentName);
-          results.push({
-            requested: componentName,
-            found: !!component,
-            component: component ? {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
               name: component.name,
               tagName: component.tagName,
               status: component.status,
+              maturityCategory: component.maturityCategory,
+              maturityLevel: component.maturityLevel,
               recommendation: component.recommendation,
-            } : null,
-          });
-        }
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                validation: results,
-                summary: {
-                  total: results.length,
-                  found: results.filter(r => r.found).length,
-                  notFound: results.filter(r => !r.found).length,
-                  recommended: results.filter(r => r.component?.status === 'RECOMMENDED').length,
-                  caution: results.filter(r => r.component && ['USE_WITH_CAUTION', 'EXPERIMENTAL', 'AVAILABLE_WITH_ISSUES'].includes(r.component.status)).length,
-                },
-              }, null, 2),
-            },
-          ],
-        };
+              guidanceHref: component.guidanceHref,
+              translations: component.translations,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'list_recommended_components': {
+      const recommended = await monitor.getRecommendedComponents();
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              count: recommended.length,
+              components: recommended.map(c => ({
+                name: c.name,
+                tagName: c.tagName,
+                recommendation: c.recommendation,
+              })),
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'list_caution_components': {
+      const caution = await monitor.getCautionComponents();
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              count: caution.length,
+              components: caution.map(c => ({
+                name: c.name,
+                tagName: c.tagName,
+                status: c.status,
+                maturityCategory: c.maturityCategory,
+                maturityLevel: c.maturityLevel,
+                recommendation: c.recommendation,
+              })),
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'get_components_by_status': {
+      const components = await monitor.getComponentsByStatus(args.status);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              status: args.status,
+              count: components.length,
+              components: components.map(c => ({
+                name: c.name,
+                tagName: c.tagName,
+                maturityLevel: c.maturityLevel,
+                recommendation: c.recommendation,
+              })),
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'generate_component_report': {
+      const report = await monitor.generateReport(args.forceRefresh === true);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(report, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'validate_components_in_code': {
+      const results = [];
+      for (const componentName of args.components) {
+        const component = await monitor.getComponentByName(componentName);
+        results.push({
+          requested: componentName,
+          found: !!component,
+          component: component ? {
+            name: component.name,
+            tagName: component.tagName,
+            status: component.status,
+            recommendation: component.recommendation,
+          } : null,
+        });
       }
 
-      case 'lintComponents': {
-        const lintResults = await monitor.lintComponents(args.componentNames);
-        return { content: [{ type: "text", text: JSON.stringify(lintResults, null, 2) }] };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              validation: results,
+              summary: {
+                total: results.length,
+                found: results.filter(r => r.found).length,
+                notFound: results.filter(r => !r.found).length,
+                recommended: results.filter(r => r.component?.status === 'RECOMMENDED').length,
+                caution: results.filter(r => r.component && ['USE_WITH_CAUTION', 'EXPERIMENTAL', 'AVAILABLE_WITH_ISSUES'].includes(r.component.status)).length,
+              },
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    case 'review_markup': {
+      const review = await monitor.reviewMarkup(args.markup, { filePath: args.filePath });
+      return { content: [{ type: 'text', text: JSON.stringify(review, null, 2) }] };
+    }
+
+    case 'lint_components': {
+      const lintResults = await monitor.lintComponents(args.components);
+      return { content: [{ type: 'text', text: JSON.stringify(lintResults, null, 2) }] };
+    }
+
+    case 'get_component_properties': {
+      const propsData = await monitor.getComponentProperties(args.component);
+      if (!propsData) {
+        throw new VAComponentError(`Component "${args.component}" not found in VA Design System`, 'NOT_FOUND', { component: args.component });
       }
+      return { content: [{ type: 'text', text: JSON.stringify(propsData, null, 2) }] };
+    }
 
-      case 'getComponentProperties': {
-        const propsData = await monitor.getComponentProperties(args.componentName);
-        if (!propsData) {
-          return { content: [{ type: "text", text: `Component "${args.componentName}" not found` }] };
-        }
-        return { content: [{ type: "text", text: JSON.stringify(propsData, null, 2) }] };
+    case 'get_component_events': {
+      const eventsData = await monitor.getComponentEvents(args.component);
+      if (!eventsData) {
+        throw new VAComponentError(`Component "${args.component}" not found in VA Design System`, 'NOT_FOUND', { component: args.component });
       }
+      return { content: [{ type: 'text', text: JSON.stringify(eventsData, null, 2) }] };
+    }
+
+    case 'get_component_examples': {
+      // Try to get official examples from Storybook first
+      const exampleOptions = { framework: args.framework };
+      let examplesData = await getOfficialExamples(args.component, exampleOptions);
 
-      case 'getComponentExamples': {
-        // Try to get official examples from Storybook first
-        let examplesData = await getOfficialExamples(args.componentName);
-        
-        // Fallback to generated examples if no official ones found
-        if (!examplesData || !examplesData.examples || examplesData.examples.length === 0) {
-          examplesData = await monitor.getComponentExamples(args.componentName);
-        }
-        
-        if (!examplesData) {
-          return { content: [{ type: "text", text: `Component "${args.componentName}" not found` }] };
-        }
-        return { content: [{ type: "text", text: JSON.stringify(examplesData, null, 2) }] };
+      // Fallback to generated examples if no official ones found
+      if (!examplesData || !examplesData.examples || examplesData.examples.length === 0) {
+        examplesData = await monitor.getComponentExamples(args.component, exampleOptions);
       }
 
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+      if (!examplesData) {
+        throw new VAComponentError(`Component "${args.component}" not found in VA Design System`, 'NOT_FOUND', { component: args.component });
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(examplesData, null, 2) }] };
     }
-  } catch (error) {
+
+    default:
+      throw new VAComponentError(`Unknown tool: ${name}`, 'NOT_FOUND', { tool: name });
+  }
+}
+
+/**
+ * Resources
+ *
+ *   va-component://<tag>            component status, maturity and recommendation (JSON)
+ *   va-component://<tag>/props      component properties (JSON)
+ *   va-component://<tag>/guidance   status, recommendation and design.va.gov link (Markdown)
+ *   va-report://summary             report of all components (JSON)
+ */
+
+const COMPONENT_URI_PATTERN = /^va-component:\/\/([^/]+)(?:\/(props|guidance))?$/;
+const REPORT_URI = 'va-report://summary';
+
+const resourceTemplates = [
+  {
+    uriTemplate: 'va-component://{tag}',
+    name: 'VA component',
+    description: 'Status, maturity and recommendation for a VA component (e.g. va-component://va-button)',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'va-component://{tag}/props',
+    name: 'VA component properties',
+    description: 'Properties of a VA component with their types and descriptions',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'va-component://{tag}/guidance',
+    name: 'VA component guidance',
+    description: 'Usage guidance for a VA component with a link to design.va.gov',
+    mimeType: 'text/markdown',
+  },
+];
+
+function formatGuidance(component) {
+  const guidanceUrl = getGuidanceUrl(component.guidanceHref);
+  let text = `# ${component.name} (\`${component.tagName}\`)\n\n`;
+  text += `- Status: ${component.status}\n`;
+  text += `- Maturity: ${component.maturityCategory} / ${component.maturityLevel}\n`;
+  text += `- Recommendation: ${component.recommendation}\n`;
+  if (guidanceUrl) {
+    text += `\nGuidance: ${guidanceUrl}\n`;
+  }
+  const required = (component.properties || []).filter(prop => !prop.optional).map(prop => `\`${prop.name}\``);
+  if (required.length > 0) {
+    text += `\nRequired props: ${required.join(', ')}\n`;
+  }
+  return text;
+}
+
+async function readResource(uri) {
+  if (uri === REPORT_URI) {
+    return { uri, mimeType: 'application/json', text: JSON.stringify(await monitor.generateReport(), null, 2) };
+  }
+
+  const match = uri.match(COMPONENT_URI_PATTERN);
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  const [, tag, view] = match;
+  const component = await monitor.getComponentByName(decodeURIComponent(tag));
+  if (!component || !component.tagName) {
+    throw new McpError(ErrorCode.InvalidParams, `Component "${tag}" not found in VA Design System`);
+  }
+
+  if (view === 'props') {
+    return { uri, mimeType: 'application/json', text: JSON.stringify(await monitor.getComponentProperties(component.tagName), null, 2) };
+  }
+  if (view === 'guidance') {
+    return { uri, mimeType: 'text/markdown', text: formatGuidance(component) };
+  }
+  return {
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify({
+      name: component.name,
+      tagName: component.tagName,
+      status: component.status,
+      maturityCategory: component.maturityCategory,
+      maturityLevel: component.maturityLevel,
+      recommendation: component.recommendation,
+      guidanceUrl: getGuidanceUrl(component.guidanceHref),
+      translations: component.translations,
+    }, null, 2),
+  };
+}
+
+function hashContent(contents) {
+  return createHash('sha256').update(contents.text).digest('hex');
+}
+
+/**
+ * Prompts
+ *
+ * Each prompt is filled in with live component data so the assistant works from the
+ * current library instead of its training data.
+ */
+
+const prompts = [
+  {
+    name: 'build_va_form_page',
+    description: 'Build a VA.gov form page from VA Design System components',
+    arguments: [
+      { name: 'description', description: 'What the form collects, e.g. "contact information with phone and email"', required: true },
+      { name: 'framework', description: 'html (web components, default) or react (@department-of-veterans-affairs/component-library React bindings)', required: false },
+    ],
+  },
+  {
+    name: 'replace_buttons_with_va_button',
+    description: 'Replace plain <button> elements and custom button components with va-button',
+    arguments: [
+      { name: 'code', description: 'The HTML or JSX to update', required: true },
+    ],
+  },
+  {
+    name: 'review_va_markup',
+    description: 'Review markup for VA Design System compliance (component status, props and native elements)',
+    arguments: [
+      { name: 'markup', description: 'The HTML or JSX to review', required: true },
+    ],
+  },
+];
+
+function requireArgument(args, name) {
+  const value = args && args[name];
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${name}`);
+  }
+  return value;
+}
+
+/**
+ * One line per component, grouped into what to use and what to avoid
+ */
+function formatComponentCatalog(components) {
+  const line = component => `- ${component.tagName} — ${component.name} (${component.status}, ${component.maturityCategory}/${component.maturityLevel})`;
+  const tagged = components.filter(component => component.tagName).sort((a, b) => a.tagName.localeCompare(b.tagName));
+  const production = tagged.filter(component => ['RECOMMENDED', 'STABLE'].includes(component.status));
+  const caution = tagged.filter(component => !['RECOMMENDED', 'STABLE'].includes(component.status));
+
+  let text = `Production-ready components:\n${production.map(line).join('\n') || '- (none)'}\n`;
+  if (caution.length > 0) {
+    text += `\nUse with caution (only when nothing above fits, and say so):\n${caution.map(line).join('\n')}\n`;
+  }
+  return text;
+}
+
+function formatProps(component) {
+  if (!component || !component.properties || component.properties.length === 0) {
+    return '(no props)';
+  }
+  return component.properties
+    .map(prop => `- ${prop.name}${prop.optional ? '' : ' (required)'}: ${prop.type}`)
+    .join('\n');
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+async function buildFormPagePrompt(args) {
+  const description = requireArgument(args, 'description');
+  const framework = (args.framework || 'html').toLowerCase();
+  if (!['html', 'react'].includes(framework)) {
+    throw new McpError(ErrorCode.InvalidParams, 'framework must be "html" or "react"');
+  }
+
+  const components = Array.from((await monitor.getComponents()).values());
+  const syntax = framework === 'react'
+    ? 'React using the component-library React bindings (e.g. <VaTextInput>, with on<Event> handlers for custom events)'
+    : 'HTML using the VA web components (e.g. <va-text-input>)';
+
+  return {
+    description: `Build a VA form page: ${description}`,
+    messages: [
+      userMessage(
+        `Build a VA.gov form page that collects: ${description}\n\n` +
+        `Write it in ${syntax}. Use VA Design System components for every field, button and message, ` +
+        `set the required props of each component, give every field a label and a hint where the input format is not obvious, ` +
+        `and show validation errors with each component's error prop.\n\n` +
+        `Current VA Design System components:\n\n${formatComponentCatalog(components)}`
+      ),
+    ],
+  };
+}
+
+async function replaceButtonsPrompt(args) {
+  const code = requireArgument(args, 'code');
+  const button = await monitor.getComponentByName('va-button');
+
+  return {
+    description: 'Replace non-VA buttons with va-button',
+    messages: [
+      userMessage(
+        'Replace every plain <button>, <input type="button|submit">, link styled as a button and custom button ' +
+        'component in the code below with va-button (VaButton in JSX). Keep behavior the same: move the visible ' +
+        'label to the text prop, map type="submit" to the submit prop, keep click handlers, and keep disabled states. ' +
+        'List anything you could not convert and why.\n\n' +
+        (button
+          ? `va-button is ${button.status} (${button.maturityCategory}/${button.maturityLevel}): ${button.recommendation}\n\nva-button props:\n${formatProps(button)}\n\n`
+          : 'va-button was not found in the current component library; say so before making changes.\n\n') +
+        `Code:\n\n\`\`\`\n${code}\n\`\`\``
+      ),
+    ],
+  };
+}
+
+async function reviewMarkupPrompt(args) {
+  const markup = requireArgument(args, 'markup');
+  const usages = extractComponentUsages(markup);
+  const tagNames = [...new Set(usages.map(usage => usage.tagName))];
+  const lint = tagNames.length > 0 ? await monitor.lintComponents(tagNames) : { issues: [] };
+  const attributes = await monitor.validateMarkup(markup);
+  const findings = [...lint.issues, ...attributes.findings];
+  const components = Array.from((await monitor.getComponents()).values());
+
+  return {
+    description: 'Review markup for VA Design System compliance',
+    messages: [
+      userMessage(
+        'Review the markup below for VA Design System compliance. Check that each va-* component exists and is ' +
+        'production-ready, that props are valid and required props are set, and that native elements such as ' +
+        '<button>, <input>, <select> and <a> styled as buttons use the matching VA component instead. ' +
+        'For each problem give the line, why it matters and the corrected markup.\n\n' +
+        `Automated checks found ${findings.length} issue(s):\n` +
+        (findings.length > 0
+          ? findings.map(finding => `- ${finding.line ? `line ${finding.line}: ` : ''}[${finding.severity}] ${finding.message}`).join('\n')
+          : '- (none)') +
+        `\n\nCurrent VA Design System components:\n\n${formatComponentCatalog(components)}\n` +
+        `Markup:\n\n\`\`\`\n${markup}\n\`\`\``
+      ),
+    ],
+  };
+}
+
+const promptHandlers = {
+  build_va_form_page: buildFormPagePrompt,
+  replace_buttons_with_va_button: replaceButtonsPrompt,
+  review_va_markup: reviewMarkupPrompt,
+};
+
+/**
+ * Create an MCP server bound to the shared monitor
+ *
+ * Each client connection (the stdio client, or each HTTP/SSE session) gets its own
+ * server, so resource subscriptions are tracked per session while all sessions share
+ * the monitor and its warmed-up caches.
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'va-design-system-monitor',
+      version,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+          listChanged: true,
+        },
+        prompts: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: toolDefinitions };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    try {
+      return await runTool(name, args);
+    } catch (error) {
+      return formatToolError(error);
+    } finally {
+      // A tool may have loaded fresh component data
+      if (subscriptions.size > 0) {
+        checkForUpdates().catch(error => console.error('Failed to notify resource updates:', error.message));
+      }
+    }
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    const components = Array.from((await monitor.getComponents()).values())
+      .filter(component => component.tagName)
+      .sort((a, b) => a.tagName.localeCompare(b.tagName));
+
     return {
-      content: [
+      resources: [
         {
-          type: 'text',
-          text: `Error: ${error.message}`,
+          uri: REPORT_URI,
+          name: 'VA component report',
+          description: 'Counts and lists of all VA components by status',
+          mimeType: 'application/json',
         },
+        ...components.flatMap(component => [
+          {
+            uri: `va-component://${component.tagName}`,
+            name: `${component.name} (${component.status})`,
+            description: component.recommendation,
+            mimeType: 'application/json',
+          },
+          {
+            uri: `va-component://${component.tagName}/props`,
+            name: `${component.name} properties`,
+            mimeType: 'application/json',
+          },
+          {
+            uri: `va-component://${component.tagName}/guidance`,
+            name: `${component.name} guidance`,
+            mimeType: 'text/markdown',
+          },
+        ]),
       ],
-      isError: true,
     };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const contents = await readResource(request.params.uri);
+    return { contents: [contents] };
+  });
+
+  // Resource subscriptions: subscribed resources are re-read whenever the monitor loads
+  // new component data (on cache expiry, or when a tool forces a refresh) and a
+  // resources/updated notification is sent for each one whose content changed.
+
+  // Subscribed URI -> hash of the content last sent to the client
+  const subscriptions = new Map();
+  let subscriptionTimer = null;
+  let lastSeenFetch = null;
+  let lastSeenTags = null;
+
+  async function checkForUpdates() {
+    if (monitor.lastFetch === lastSeenFetch) {
+      return;
+    }
+    lastSeenFetch = monitor.lastFetch;
+
+    const tags = Array.from(monitor.components.values()).map(component => component.tagName).filter(Boolean).sort().join(',');
+    if (lastSeenTags !== null && tags !== lastSeenTags) {
+      await server.sendResourceListChanged();
+    }
+    lastSeenTags = tags;
+
+    for (const [uri, previousHash] of subscriptions) {
+      const hash = await readResource(uri).then(hashContent, () => null);
+      if (hash !== previousHash) {
+        subscriptions.set(uri, hash);
+        await server.sendResourceUpdated({ uri });
+      }
+    }
   }
-});
+
+  async function refreshSubscriptions() {
+    try {
+      // Reloads only once the monitor's cache has expired
+      await monitor.getComponents();
+      await checkForUpdates();
+    } catch (error) {
+      console.error('Failed to refresh subscribed resources:', error.message);
+    }
+  }
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    subscriptions.set(uri, hashContent(await readResource(uri)));
+    lastSeenFetch = monitor.lastFetch;
+
+    if (!subscriptionTimer) {
+      subscriptionTimer = setInterval(refreshSubscriptions, monitor.cacheTimeout);
+      subscriptionTimer.unref();
+    }
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    if (subscriptions.size === 0 && subscriptionTimer) {
+      clearInterval(subscriptionTimer);
+      subscriptionTimer = null;
+    }
+    return {};
+  });
+
+  server.onclose = () => {
+    if (subscriptionTimer) {
+      clearInterval(subscriptionTimer);
+      subscriptionTimer = null;
+    }
+  };
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    const handler = promptHandlers[name];
+    if (!handler) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    return await handler(args);
+  });
+
+  return server;
+}
+
+/**
+ * Read --transport, --host, --port and --token, falling back to VA_MONITOR_MCP_* variables
+ */
+function parseArgs(argv) {
+  const options = {
+    transport: process.env.VA_MONITOR_MCP_TRANSPORT || 'stdio',
+    host: process.env.VA_MONITOR_MCP_HOST || '127.0.0.1',
+    port: process.env.VA_MONITOR_MCP_PORT || DEFAULT_MCP_PORT,
+    token: process.env.VA_MONITOR_MCP_TOKEN || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(transport|host|port|token)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Option --${match[1]} requires a value`);
+    }
+    options[match[1]] = value;
+  }
+
+  if (!MCP_TRANSPORTS.includes(options.transport)) {
+    throw new Error(`Unsupported transport "${options.transport}". Use ${MCP_TRANSPORTS.join(', ')}`);
+  }
+  const port = Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  options.port = port;
+  return options;
+}
 
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('VA Design System Monitor MCP server running on stdio');
+  // Apply the project policy from VA_MONITOR_CONFIG or the nearest .vadsmonitorrc / va-monitor.config.js
+  const config = await loadConfig({ configFile: process.env.VA_MONITOR_CONFIG });
+  if (config) {
+    monitor = new VAComponentMonitor({ config });
+    console.error(`Using configuration ${config.filepath}`);
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  if (options.transport === 'stdio') {
+    await createServer().connect(new StdioServerTransport());
+    console.error('VA Design System Monitor MCP server running on stdio');
+    return;
+  }
+
+  // One MCP server per session, all sharing the monitor (and its warmed-up cache)
+  const httpServer = await startMcpHttpServer({ ...options, createServer });
+  const { address, port } = httpServer.address();
+  const endpoint = options.transport === 'sse' ? '/sse' : '/mcp';
+  console.error(`VA Design System Monitor MCP server running on http://${address}:${port}${endpoint}`);
+  if (!options.token && !['127.0.0.1', 'localhost', '::1'].includes(options.host)) {
+    console.error('Warning: listening on a non-local address without --token');
+  }
 }
 
 main().catch((error) => {
   console.error('Server error:', error);
   process.exit(1);
-}); 
\ No newline at end of file
+}); 
@@ -0,0 +1,133 @@
+/**
+ * Finding baselines
+ *
+ * A baseline records the findings a project already has so CI only fails on new ones.
+ * Findings are fingerprinted by issue type, file, component and attribute (not by line,
+ * so unrelated edits that move code don't make known findings look new) and counted, so
+ * adding a second usage of a known caution component in the same file is still reported.
+ *
+ * Entries can carry a scope (the CLI uses the command name) so lint, scan and
+ * validate-props can share one baseline file without treating each other's entries as
+ * resolved or overwriting them.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { dirname } from 'path';
+
+export const BASELINE_VERSION = 1;
+export const DEFAULT_BASELINE_FILE = '.va-monitor-baseline.json';
+
+/**
+ * Stable, line-independent fingerprint for a finding
+ */
+export function fingerprintFinding(finding) {
+  const key = [finding.type, finding.file || '', finding.component || '', finding.attribute || '']
+    .map(part => String(part).toLowerCase())
+    .join('|');
+  return createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function inScope(entry, scope) {
+  return !scope || (entry.scope || null) === scope;
+}
+
+/**
+ * Build a baseline from the current findings
+ *
+ * Options: `scope` (recorded on each entry), `previous` (a baseline whose entries from
+ * other scopes are kept) and `timestamp`.
+ */
+export function createBaseline(findings, options = {}) {
+  const scope = options.scope || null;
+  const entries = new Map();
+
+  for (const finding of findings) {
+    const fingerprint = fingerprintFinding(finding);
+    if (!entries.has(fingerprint)) {
+      entries.set(fingerprint, {
+        fingerprint,
+        ...(scope ? { scope } : {}),
+        type: finding.type,
+        component: finding.component || null,
+        file: finding.file || null,
+        ...(finding.attribute ? { attribute: finding.attribute } : {}),
+        count: 0,
+        message: finding.message
+      });
+    }
+    entries.get(fingerprint).count++;
+  }
+
+  const kept = options.previous && scope
+    ? options.previous.entries.filter(entry => !inScope(entry, scope))
+    : [];
+  const sortKey = entry => `${entry.scope || ''}|${entry.file || ''}|${entry.type}|${entry.component || ''}|${entry.attribute || ''}`;
+
+  return {
+    version: BASELINE_VERSION,
+    tool: 'va-design-system-monitor',
+    createdAt: options.timestamp || new Date().toISOString(),
+    entries: [...kept, ...entries.values()].sort((a, b) => sortKey(a).localeCompare(sortKey(b)))
+  };
+}
+
+/**
+ * Split findings into new and baselined ones, and list baseline entries that were resolved
+ *
+ * With `options.scope`, only entries recorded for that scope are considered.
+ */
+export function compareWithBaseline(findings, baseline, options = {}) {
+  const scoped = baseline.entries.filter(entry => inScope(entry, options.scope));
+  const remaining = new Map(scoped.map(entry => [entry.fingerprint, entry.count]));
+  const newFindings = [];
+  const baselined = [];
+
+  for (const finding of findings) {
+    const fingerprint = fingerprintFinding(finding);
+    const count = remaining.get(fingerprint) || 0;
+    if (count > 0) {
+      remaining.set(fingerprint, count - 1);
+      baselined.push(finding);
+    } else {
+      newFindings.push({ ...finding, fingerprint });
+    }
+  }
+
+  const resolved = scoped
+    .filter(entry => remaining.get(entry.fingerprint) > 0)
+    .map(entry => ({ ...entry, resolved: remaining.get(entry.fingerprint) }));
+
+  return {
+    findings: newFindings,
+    baselined,
+    resolved,
+    summary: {
+      new: newFindings.length,
+      baselined: baselined.length,
+      resolved: resolved.reduce((sum, entry) => sum + entry.resolved, 0)
+    }
+  };
+}
+
+/**
+ * Read a baseline file
+ */
+export async function readBaseline(path) {
+  const baseline = JSON.parse(await readFile(path, 'utf8'));
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new Error(`Unsupported baseline format in ${path}`);
+  }
+  return baseline;
+}
+
+/**
+ * Write a baseline file atomically
+ */
+export async function writeBaseline(path, baseline) {
+  const tempPath = `${path}.${process.pid}.tmp`;
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(tempPath, `${JSON.stringify(baseline, null, 2)}\n`, 'utf8');
+  await rename(tempPath, path);
+  return path;
+}
@@ -0,0 +1,185 @@
+/**
+ * Persistent file-backed cache for fetched component definitions and story files
+ *
+ * Each entry is stored as one JSON file (keyed by a hash of its URL) holding the
+ * content plus the ETag/Last-Modified validators needed for conditional requests.
+ * The cache lives in the XDG cache directory unless configured otherwise, and the
+ * oldest entries are evicted once the total size exceeds the configured limit.
+ */
+
+import { mkdir, readdir, readFile, rename, stat, unlink, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+
+export const DEFAULT_CACHE_MAX_SIZE = 50 * 1024 * 1024; // 50MB
+
+const ENTRY_EXTENSION = '.json';
+
+// Entry file names, so other files in a shared directory are never listed or removed
+const ENTRY_FILE_PATTERN = /^[0-9a-f]{40}\.json$/;
+
+/**
+ * Resolve the cache directory from VA_MONITOR_CACHE_DIR, XDG_CACHE_HOME or the platform default
+ */
+export function getDefaultCacheDir() {
+  if (process.env.VA_MONITOR_CACHE_DIR) {
+    return process.env.VA_MONITOR_CACHE_DIR;
+  }
+  if (process.env.XDG_CACHE_HOME) {
+    return join(process.env.XDG_CACHE_HOME, 'va-design-system-monitor');
+  }
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return join(process.env.LOCALAPPDATA, 'va-design-system-monitor', 'Cache');
+  }
+  return join(homedir(), '.cache', 'va-design-system-monitor');
+}
+
+export class FileCache {
+  constructor(options = {}) {
+    this.directory = options.directory || getDefaultCacheDir();
+    this.maxSize = options.maxSize || DEFAULT_CACHE_MAX_SIZE;
+  }
+
+  _pathFor(key) {
+    const hash = createHash('sha256').update(key).digest('hex').slice(0, 40);
+    return join(this.directory, `${hash}${ENTRY_EXTENSION}`);
+  }
+
+  /**
+   * Read a cache entry, returning null when it is missing or unreadable
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(await readFile(this._pathFor(key), 'utf8'));
+      return entry && entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store content with its revalidation metadata, then enforce the size limit
+   */
+  async set(key, { content = null, etag = null, lastModified = null, notFound = false } = {}) {
+    const entry = { key, content, etag, lastModified, notFound, fetchedAt: Date.now() };
+    const filePath = this._pathFor(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await mkdir(this.directory, { recursive: true });
+    // Write then rename so concurrent readers never see a partial entry
+    await writeFile(tempPath, JSON.stringify(entry), 'utf8');
+    await rename(tempPath, filePath);
+    await this.prune();
+
+    return entry;
+  }
+
+  /**
+   * Conditional request headers for revalidating an entry
+   */
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry && !entry.notFound) {
+      if (entry.etag) headers['If-None-Match'] = entry.etag;
+      if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  async _listFiles() {
+    let names;
+    try {
+      names = await readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+    for (const name of names.filter(name => ENTRY_FILE_PATTERN.test(name))) {
+      try {
+        const filePath = join(this.directory, name);
+        const stats = await stat(filePath);
+        files.push({ filePath, size: stats.size, modified: stats.mtimeMs });
+      } catch (error) {
+        // Entry removed by another process while listing
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Evict the oldest entries until the cache fits within maxSize
+   */
+  async prune() {
+    const files = (await this._listFiles()).sort((a, b) => a.modified - b.modified);
+    let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    let removed = 0;
+
+    for (const file of files) {
+      if (totalSize <= this.maxSize) break;
+      try {
+        await unlink(file.filePath);
+        totalSize -= file.size;
+        removed++;
+      } catch (error) {
+        // Already removed
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Summarize the cache contents
+   */
+  async status() {
+    const files = await this._listFiles();
+    const entries = [];
+
+    for (const file of files) {
+      try {
+        const entry = JSON.parse(await readFile(file.filePath, 'utf8'));
+        entries.push({
+          key: entry.key,
+          size: file.size,
+          fetchedAt: new Date(entry.fetchedAt).toISOString(),
+          etag: entry.etag,
+          lastModified: entry.lastModified,
+          notFound: !!entry.notFound
+        });
+      } catch (error) {
+        // Skip corrupt entries, they are replaced on the next fetch
+      }
+    }
+
+    entries.sort((a, b) => a.key.localeCompare(b.key));
+
+    return {
+      directory: this.directory,
+      entries: entries.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      maxSize: this.maxSize,
+      items: entries
+    };
+  }
+
+  /**
+   * Remove every cache entry and return how many were deleted
+   */
+  async clear() {
+    const files = await this._listFiles();
+    let removed = 0;
+
+    for (const file of files) {
+      try {
+        await unlink(file.filePath);
+        removed++;
+      } catch (error) {
+        // Already removed
+      }
+    }
+
+    return removed;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Project configuration and usage policy
+ *
+ * Teams describe how strict component checks are in `.vadsmonitorrc` (JSON) or
+ * `va-monitor.config.js` (default export), found by walking up from the working directory:
+ *
+ *   {
+ *     "minimumMaturity": { "default": "candidate", "production": "deployed" },
+ *     "allow": ["va-notification"],
+ *     "deny": ["va-memorable-date"],
+ *     "severity": { "CAUTION": "error", "ISSUES": "off" },
+ *     "ignore": ["legacy/**"],
+ *     "suppressions": { "requireJustification": true }
+ *   }
+ *
+ * The policy is applied to lint issues (lintComponents, scan) and attribute findings.
+ */
+
+import { access, readFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { MATURITY_LEVEL_ORDER } from './diff.js';
+
+export const CONFIG_FILES = Object.freeze([
+  '.vadsmonitorrc',
+  '.vadsmonitorrc.json',
+  'va-monitor.config.js',
+  'va-monitor.config.mjs'
+]);
+
+export const SEVERITY_LEVELS = Object.freeze(['error', 'warning', 'info', 'off']);
+
+// Issue types the policy itself produces, in addition to the lint and attribute types
+export const PolicyIssueType = Object.freeze({
+  DENIED: 'DENIED',
+  BELOW_MINIMUM_MATURITY: 'BELOW_MINIMUM_MATURITY'
+});
+
+const DEFAULT_ENVIRONMENT = 'default';
+const CONFIG_KEYS = ['minimumMaturity', 'allow', 'deny', 'severity', 'ignore', 'suppressions'];
+
+/**
+ * Find the nearest config file, starting in `startDir` and walking up to the filesystem root
+ */
+export async function findConfigFile(startDir = process.cwd()) {
+  let directory = resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = join(directory, name);
+      try {
+        await access(candidate);
+        return candidate;
+      } catch (error) {
+        // Not in this directory
+      }
+    }
+
+    const parent = dirname(directory);
+    if (parent === directory) {
+      return null;
+    }
+    directory = parent;
+  }
+}
+
+function assertStringList(value, key) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim().length === 0)) {
+    throw new Error(`"${key}" must be an array of non-empty strings`);
+  }
+}
+
+function assertMaturityLevel(level, key) {
+  if (!MATURITY_LEVEL_ORDER.includes(level)) {
+    throw new Error(`"${key}" must be one of ${MATURITY_LEVEL_ORDER.join(', ')} (got "${level}")`);
+  }
+}
+
+/**
+ * Validate a raw config object and fill in defaults
+ */
+export function normalizeConfig(raw = {}, filepath = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Configuration must be an object');
+  }
+
+  const unknown = Object.keys(raw).filter(key => !CONFIG_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown configuration key(s): ${unknown.join(', ')}`);
+  }
+
+  let minimumMaturity = {};
+  if (typeof raw.minimumMaturity === 'string') {
+    assertMaturityLevel(raw.minimumMaturity, 'minimumMaturity');
+    minimumMaturity = { [DEFAULT_ENVIRONMENT]: raw.minimumMaturity };
+  } else if (raw.minimumMaturity && typeof raw.minimumMaturity === 'object') {
+    for (const [environment, level] of Object.entries(raw.minimumMaturity)) {
+      assertMaturityLevel(level, `minimumMaturity.${environment}`);
+    }
+    minimumMaturity = { ...raw.minimumMaturity };
+  } else if (raw.minimumMaturity !== undefined) {
+    throw new Error('"minimumMaturity" must be a maturity level or an object of levels per environment');
+  }
+
+  const lists = {};
+  for (const key of ['allow', 'deny', 'ignore']) {
+    if (raw[key] !== undefined) {
+      assertStringList(raw[key], key);
+    }
+    lists[key] = raw[key] || [];
+  }
+
+  const severity = {};
+  if (raw.severity !== undefined) {
+    if (!raw.severity || typeof raw.severity !== 'object' || Array.isArray(raw.severity)) {
+      throw new Error('"severity" must map issue types to a severity');
+    }
+    for (const [type, level] of Object.entries(raw.severity)) {
+      if (!SEVERITY_LEVELS.includes(level)) {
+        throw new Error(`"severity.${type}" must be one of ${SEVERITY_LEVELS.join(', ')} (got "${level}")`);
+      }
+      severity[type.toUpperCase()] = level;
+    }
+  }
+
+  const suppressions = { requireJustification: false };
+  if (raw.suppressions !== undefined) {
+    if (!raw.suppressions || typeof raw.suppressions !== 'object' || Array.isArray(raw.suppressions)) {
+      throw new Error('"suppressions" must be an object');
+    }
+    if (raw.suppressions.requireJustification !== undefined && typeof raw.suppressions.requireJustification !== 'boolean') {
+      throw new Error('"suppressions.requireJustification" must be a boolean');
+    }
+    suppressions.requireJustification = !!raw.suppressions.requireJustification;
+  }
+
+  return {
+    filepath,
+    minimumMaturity,
+    allow: lists.allow.map(name => name.toLowerCase()),
+    deny: lists.deny.map(name => name.toLowerCase()),
+    severity,
+    ignore: lists.ignore,
+    suppressions
+  };
+}
+
+/**
+ * Load and validate a config file
+ *
+ * Options: `configFile` (explicit path) or `cwd` (where to start looking). Returns null
+ * when no config file is found.
+ */
+export async function loadConfig(options = {}) {
+  const filepath = options.configFile
+    ? resolve(options.cwd || process.cwd(), options.configFile)
+    : await findConfigFile(options.cwd);
+
+  if (!filepath) {
+    return null;
+  }
+
+  let raw;
+  if (/\.m?js$/.test(filepath)) {
+    const module = await import(pathToFileURL(filepath).href);
+    raw = typeof module.default === 'function' ? await module.default() : module.default;
+  } else {
+    const content = await readFile(filepath, 'utf8');
+    try {
+      raw = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filepath}: ${error.message}`);
+    }
+  }
+
+  try {
+    return normalizeConfig(raw, filepath);
+  } catch (error) {
+    throw new Error(`Invalid configuration in ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the policy for one environment (`env`, then VA_MONITOR_ENV, then NODE_ENV)
+ */
+export function resolvePolicy(config, env) {
+  // Accepts the result of loadConfig as well as an inline config object
+  const { filepath = null, ...raw } = config || {};
+  const normalized = normalizeConfig(raw, filepath);
+  const environment = env || process.env.VA_MONITOR_ENV || process.env.NODE_ENV || DEFAULT_ENVIRONMENT;
+  const levels = normalized.minimumMaturity;
+
+  return {
+    environment,
+    filepath: normalized.filepath,
+    minimumLevel: levels[environment] || levels[DEFAULT_ENVIRONMENT] || null,
+    allow: new Set(normalized.allow),
+    deny: new Set(normalized.deny),
+    severity: normalized.severity,
+    ignore: normalized.ignore,
+    requireJustification: normalized.suppressions.requireJustification
+  };
+}
+
+function matchesList(list, requested, component) {
+  if (list.size === 0) {
+    return false;
+  }
+  const names = [requested, component && component.tagName, component && component.name]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+  return names.some(name => list.has(name));
+}
+
+/**
+ * Apply a severity override to an issue or finding; null when the type is turned off
+ */
+export function applySeverity(issue, policy) {
+  const override = policy && policy.severity[issue.type];
+  if (!override) {
+    return issue;
+  }
+  return override === 'off' ? null : { ...issue, severity: override };
+}
+
+/**
+ * Apply allow/deny lists, the minimum maturity and severity overrides to a lint issue
+ *
+ * `issue` is the lint issue for `requested` without a policy (or null when it was clean).
+ */
+export function applyPolicy(issue, requested, component, policy) {
+  if (!policy) {
+    return issue;
+  }
+
+  if (matchesList(policy.allow, requested, component)) {
+    return null;
+  }
+
+  if (matchesList(policy.deny, requested, component)) {
+    return applySeverity({
+      type: PolicyIssueType.DENIED,
+      component: requested,
+      message: `Component "${requested}" is not allowed by project policy${policy.filepath ? ` (${policy.filepath})` : ''}`,
+      severity: 'error'
+    }, policy);
+  }
+
+  // Caution components are reported as CAUTION whatever their level
+  if (component && policy.minimumLevel && component.maturityCategory !== 'caution') {
+    const rank = MATURITY_LEVEL_ORDER.indexOf(component.maturityLevel);
+    if (rank !== -1 && rank < MATURITY_LEVEL_ORDER.indexOf(policy.minimumLevel)) {
+      issue = {
+        type: PolicyIssueType.BELOW_MINIMUM_MATURITY,
+        component: requested,
+        message: `Component "${requested}" is at maturity level "${component.maturityLevel}", below the "${policy.minimumLevel}" required for ${policy.environment}`,
+        severity: 'error'
+      };
+    }
+  }
+
+  return issue ? applySeverity(issue, policy) : null;
+}
@@ -0,0 +1,208 @@
+/**
+ * Component set diffing
+ *
+ * Compares two parsed component sets (e.g. the output of parseComponentMetadata for two
+ * component-library releases) and reports added, removed and likely renamed components,
+ * maturity transitions and per-component property changes.
+ */
+
+import { getInterfaceMembers } from './events.js';
+
+// Maturity levels from least to most mature
+export const MATURITY_LEVEL_ORDER = ['candidate', 'available', 'deployed', 'best_practice'];
+
+// Property-name overlap above which a removed/added pair is reported as a rename
+const RENAME_SIMILARITY = 0.75;
+
+function componentKey(component) {
+  return component.tagName || component.name;
+}
+
+function toComponentMap(components) {
+  const list = components instanceof Map ? Array.from(components.values()) : (components || []);
+  const map = new Map();
+  for (const component of list) {
+    if (component && componentKey(component)) {
+      map.set(componentKey(component), component);
+    }
+  }
+  return map;
+}
+
+function summarizeComponent(component) {
+  return {
+    tagName: component.tagName || null,
+    name: component.name,
+    status: component.status,
+    maturityCategory: component.maturityCategory,
+    maturityLevel: component.maturityLevel
+  };
+}
+
+function normalizeType(type) {
+  return String(type || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classify a maturity transition as promoted, demoted or changed
+ */
+export function classifyMaturityChange(from, to) {
+  if (from.maturityCategory !== to.maturityCategory) {
+    if (to.maturityCategory === 'caution') return 'demoted';
+    if (from.maturityCategory === 'caution') return 'promoted';
+  }
+
+  const fromRank = MATURITY_LEVEL_ORDER.indexOf(from.maturityLevel);
+  const toRank = MATURITY_LEVEL_ORDER.indexOf(to.maturityLevel);
+  if (fromRank !== -1 && toRank !== -1 && fromRank !== toRank) {
+    return toRank > fromRank ? 'promoted' : 'demoted';
+  }
+  return 'changed';
+}
+
+/**
+ * Compare the properties of one component across two versions
+ */
+export function diffProperties(before = [], after = []) {
+  const beforeByName = new Map(before.map(prop => [prop.name, prop]));
+  const afterByName = new Map(after.map(prop => [prop.name, prop]));
+  const changes = { added: [], removed: [], typeChanged: [], optionalityChanged: [] };
+
+  for (const [name, prop] of afterByName) {
+    if (!beforeByName.has(name)) {
+      changes.added.push({ name, type: prop.type, optional: prop.optional });
+    }
+  }
+
+  for (const [name, prop] of beforeByName) {
+    const next = afterByName.get(name);
+    if (!next) {
+      changes.removed.push({ name, type: prop.type, optional: prop.optional });
+      continue;
+    }
+    if (normalizeType(prop.type) !== normalizeType(next.type)) {
+      changes.typeChanged.push({ name, from: prop.type, to: next.type });
+    }
+    if (!!prop.optional !== !!next.optional) {
+      changes.optionalityChanged.push({ name, from: !!prop.optional, to: !!next.optional });
+    }
+  }
+
+  return changes;
+}
+
+function propertySimilarity(a, b) {
+  const namesA = new Set((a.properties || []).map(prop => prop.name));
+  const namesB = new Set((b.properties || []).map(prop => prop.name));
+  if (namesA.size < 3 || namesB.size < 3) {
+    return 0;
+  }
+  const shared = Array.from(namesA).filter(name => namesB.has(name)).length;
+  return shared / (namesA.size + namesB.size - shared);
+}
+
+/**
+ * Pair removed and added components that share an interface or most of their properties
+ */
+function detectRenames(removed, added) {
+  const renames = [];
+  const remaining = new Set(added);
+
+  for (const from of removed) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const to of remaining) {
+      const score = from.interfaceName && from.interfaceName === to.interfaceName ? 1 : propertySimilarity(from, to);
+      if (score > bestScore) {
+        best = to;
+        bestScore = score;
+      }
+    }
+
+    if (best && bestScore >= RENAME_SIMILARITY) {
+      remaining.delete(best);
+      renames.push({ from, to: best, similarity: Math.round(bestScore * 100) / 100 });
+    }
+  }
+
+  return renames;
+}
+
+/**
+ * Diff two component sets (Maps from parseComponentMetadata or arrays of components)
+ */
+export function diffComponentSets(before, after, options = {}) {
+  const beforeMap = toComponentMap(before);
+  const afterMap = toComponentMap(after);
+
+  let removed = Array.from(beforeMap.values()).filter(component => !afterMap.has(componentKey(component)));
+  let added = Array.from(afterMap.values()).filter(component => !beforeMap.has(componentKey(component)));
+
+  const renames = options.detectRenames === false ? [] : detectRenames(removed, added);
+  const renamedFrom = new Set(renames.map(rename => rename.from));
+  const renamedTo = new Set(renames.map(rename => rename.to));
+  removed = removed.filter(component => !renamedFrom.has(component));
+  added = added.filter(component => !renamedTo.has(component));
+
+  // Renamed components are compared like any other component that exists in both sets
+  const pairs = [
+    ...Array.from(beforeMap.values())
+      .filter(component => afterMap.has(componentKey(component)))
+      .map(component => [component, afterMap.get(componentKey(component))]),
+    ...renames.map(rename => [rename.from, rename.to])
+  ];
+
+  const maturityChanges = [];
+  const propertyChanges = [];
+
+  for (const [from, to] of pairs) {
+    if (from.maturityCategory !== to.maturityCategory || from.maturityLevel !== to.maturityLevel) {
+      maturityChanges.push({
+        tagName: componentKey(to),
+        name: to.name,
+        from: { maturityCategory: from.maturityCategory, maturityLevel: from.maturityLevel, status: from.status },
+        to: { maturityCategory: to.maturityCategory, maturityLevel: to.maturityLevel, status: to.status },
+        change: classifyMaturityChange(from, to)
+      });
+    }
+
+    const changes = diffProperties(getInterfaceMembers(from), getInterfaceMembers(to));
+    if (changes.added.length || changes.removed.length || changes.typeChanged.length || changes.optionalityChanged.length) {
+      propertyChanges.push({ tagName: componentKey(to), name: to.name, ...changes });
+    }
+  }
+
+  const byTag = (a, b) => (a.tagName || a.name).localeCompare(b.tagName || b.name);
+  const count = key => propertyChanges.reduce((sum, entry) => sum + entry[key].length, 0);
+
+  const result = {
+    from: options.from || null,
+    to: options.to || null,
+    added: added.map(summarizeComponent).sort(byTag),
+    removed: removed.map(summarizeComponent).sort(byTag),
+    renamed: renames
+      .map(rename => ({ from: componentKey(rename.from), to: componentKey(rename.to), similarity: rename.similarity }))
+      .sort((a, b) => a.from.localeCompare(b.from)),
+    maturityChanges: maturityChanges.sort(byTag),
+    propertyChanges: propertyChanges.sort(byTag),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      renamed: renames.length,
+      maturityChanges: maturityChanges.length,
+      promoted: maturityChanges.filter(change => change.change === 'promoted').length,
+      demoted: maturityChanges.filter(change => change.change === 'demoted').length,
+      componentsWithPropertyChanges: propertyChanges.length,
+      propertiesAdded: count('added'),
+      propertiesRemoved: count('removed'),
+      typeChanges: count('typeChanged'),
+      optionalityChanges: count('optionalityChanged')
+    }
+  };
+
+  result.hasChanges = result.added.length > 0 || result.removed.length > 0 || result.renamed.length > 0 ||
+    result.maturityChanges.length > 0 || result.propertyChanges.length > 0;
+
+  return result;
+}
@@ -0,0 +1,91 @@
+/**
+ * Synchronous component data for ESLint rules
+ *
+ * ESLint rules run synchronously, but VAComponentMonitor fetches asynchronously. The
+ * components are loaded once in a worker thread (so the persistent cache, offline
+ * snapshots and refs all behave as in the CLI) while the main thread blocks on
+ * Atomics.wait, then kept in memory for the monitor's cache timeout.
+ */
+
+import { MessageChannel, Worker, receiveMessageOnPort } from 'worker_threads';
+
+const LOAD_TIMEOUT = 60000;
+const MEMORY_TTL = 5 * 60 * 1000;
+
+const loaded = new Map();
+const warned = new Set();
+
+/**
+ * Monitor options from the shared `settings['va-design-system']` ESLint setting
+ */
+export function getMonitorOptions(settings = {}) {
+  const shared = settings['va-design-system'] || {};
+  const options = {};
+  for (const key of ['ref', 'projectDir', 'definitionsUrl', 'offline', 'snapshot', 'cacheDir', 'persistentCache', 'requestTimeout']) {
+    if (shared[key] !== undefined) {
+      options[key] = shared[key];
+    }
+  }
+  return options;
+}
+
+function loadInWorker(options) {
+  const signal = new Int32Array(new SharedArrayBuffer(4));
+  const { port1, port2 } = new MessageChannel();
+  const worker = new Worker(new URL('./worker.js', import.meta.url), {
+    workerData: { options, port: port2, signal },
+    transferList: [port2]
+  });
+
+  try {
+    const status = Atomics.wait(signal, 0, 0, LOAD_TIMEOUT);
+    const message = receiveMessageOnPort(port1);
+
+    if (status === 'timed-out' || !message) {
+      return { error: `Timed out after ${LOAD_TIMEOUT}ms loading VA component data` };
+    }
+    return message.message;
+  } finally {
+    port1.close();
+    worker.terminate();
+  }
+}
+
+/**
+ * Components indexed by tag name, or null when they could not be loaded
+ */
+export function getComponentsSync(settings = {}) {
+  const options = getMonitorOptions(settings);
+  const key = JSON.stringify(options);
+  const cached = loaded.get(key);
+
+  if (cached && Date.now() - cached.loadedAt < MEMORY_TTL) {
+    return cached.components;
+  }
+
+  const result = loadInWorker(options);
+  if (result.error) {
+    // Rules can't tell safe components from risky ones without data; warn once and skip
+    if (!warned.has(key)) {
+      warned.add(key);
+      process.emitWarning(`VA Design System ESLint rules are disabled: ${result.error}`, { code: 'VA_MONITOR_ESLINT' });
+    }
+    loaded.set(key, { components: null, loadedAt: Date.now() });
+    return null;
+  }
+
+  const components = new Map(result.components.filter(c => c.tagName).map(c => [c.tagName, c]));
+  loaded.set(key, { components, loadedAt: Date.now() });
+  return components;
+}
+
+/**
+ * Seed the in-memory data (used by tests and tools that already loaded components)
+ */
+export function setComponents(components, settings = {}) {
+  const list = components instanceof Map ? Array.from(components.values()) : components;
+  loaded.set(JSON.stringify(getMonitorOptions(settings)), {
+    components: new Map(list.filter(c => c.tagName).map(c => [c.tagName, c])),
+    loadedAt: Date.now()
+  });
+}
@@ -0,0 +1,53 @@
+/**
+ * ESLint plugin for VA Design System components
+ *
+ * Flat config usage:
+ *
+ *   import vaDesignSystem from 'va-design-system-monitor/eslint-plugin';
+ *   export default [vaDesignSystem.configs.recommended];
+ *
+ * Component data is shared with the CLI and API (same cache, snapshots and refs) and can
+ * be configured through `settings['va-design-system']`.
+ */
+
+import { readFileSync } from 'fs';
+import { rules } from './rules.js';
+
+const packageJson = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+export const PLUGIN_NAMESPACE = 'va-design-system';
+
+const plugin = {
+  meta: {
+    name: 'va-design-system-monitor/eslint-plugin',
+    version: packageJson.version
+  },
+  rules,
+  configs: {}
+};
+
+plugin.configs.recommended = {
+  name: `${PLUGIN_NAMESPACE}/recommended`,
+  plugins: { [PLUGIN_NAMESPACE]: plugin },
+  rules: {
+    [`${PLUGIN_NAMESPACE}/no-unknown-va-components`]: 'error',
+    [`${PLUGIN_NAMESPACE}/valid-va-props`]: 'error',
+    [`${PLUGIN_NAMESPACE}/no-caution-components`]: 'warn',
+    [`${PLUGIN_NAMESPACE}/no-experimental-components`]: 'warn'
+  }
+};
+
+plugin.configs.strict = {
+  name: `${PLUGIN_NAMESPACE}/strict`,
+  plugins: { [PLUGIN_NAMESPACE]: plugin },
+  rules: {
+    [`${PLUGIN_NAMESPACE}/no-unknown-va-components`]: 'error',
+    [`${PLUGIN_NAMESPACE}/valid-va-props`]: 'error',
+    [`${PLUGIN_NAMESPACE}/no-caution-components`]: 'error',
+    [`${PLUGIN_NAMESPACE}/no-experimental-components`]: ['error', { minimumLevel: 'deployed' }]
+  }
+};
+
+export { rules };
+export { setComponents } from './components.js';
+export default plugin;
@@ -0,0 +1,211 @@
+/**
+ * ESLint rules for VA Design System components used in JSX
+ *
+ * Elements are matched by tag (`<va-button>`) or React binding (`<VaButton>`), the same
+ * way the project scanner matches them, and checked against the component data loaded
+ * by components.js.
+ */
+
+import { MATURITY_LEVEL_ORDER } from '../diff.js';
+import { bindingToTagName } from '../frameworks.js';
+import { validateUsageAttributes } from '../validator.js';
+import { getComponentsSync } from './components.js';
+
+const DOCS_URL = 'https://github.com/amponce/va-design-system-monitor#-eslint-plugin';
+
+const allowSchema = {
+  type: 'array',
+  items: { type: 'string' },
+  uniqueItems: true
+};
+
+function jsxName(node) {
+  if (node.type === 'JSXIdentifier') {
+    return node.name;
+  }
+  if (node.type === 'JSXNamespacedName') {
+    return `${node.namespace.name}:${node.name.name}`;
+  }
+  return null;
+}
+
+/**
+ * VA tag name for a JSX element name, or null for anything else
+ */
+export function getVATagName(node) {
+  const name = node.name && node.name.type === 'JSXIdentifier' ? node.name.name : null;
+  if (!name) {
+    return null;
+  }
+  if (name.startsWith('va-')) {
+    return name;
+  }
+  if (/^Va[A-Z]/.test(name)) {
+    return bindingToTagName(name);
+  }
+  return null;
+}
+
+/**
+ * Convert JSX attributes to the usage shape produced by the scanner
+ */
+export function toUsage(node, tagName) {
+  const attributes = [];
+  let hasSpread = false;
+
+  for (const attribute of node.attributes) {
+    if (attribute.type === 'JSXSpreadAttribute') {
+      hasSpread = true;
+      continue;
+    }
+
+    const name = jsxName(attribute.name);
+    const location = { line: attribute.loc.start.line, column: attribute.loc.start.column + 1, node: attribute };
+    const value = attribute.value;
+
+    if (value === null) {
+      attributes.push({ name, rawName: name, value: null, kind: 'boolean', ...location });
+    } else if (value.type === 'Literal') {
+      attributes.push({ name, rawName: name, value: String(value.value), kind: 'static', ...location });
+    } else if (value.type === 'JSXExpressionContainer' && value.expression.type === 'Literal') {
+      attributes.push({ name, rawName: name, value: String(value.expression.value), kind: 'static', ...location });
+    } else {
+      attributes.push({ name, rawName: name, value: null, kind: 'expression', ...location });
+    }
+  }
+
+  return {
+    tagName,
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    attributes,
+    hasSpread
+  };
+}
+
+/**
+ * Build a rule that visits VA elements with their component data (or null when unknown)
+ */
+function createVARule(meta, check) {
+  return {
+    meta: { type: 'problem', ...meta, docs: { ...meta.docs, url: DOCS_URL } },
+    create(context) {
+      const options = context.options[0] || {};
+      const allow = new Set(options.allow || []);
+
+      return {
+        JSXOpeningElement(node) {
+          const tagName = getVATagName(node);
+          if (!tagName || allow.has(tagName)) {
+            return;
+          }
+
+          const components = getComponentsSync(context.settings || {});
+          if (!components) {
+            return;
+          }
+          check(context, node, tagName, components.get(tagName) || null, options);
+        }
+      };
+    }
+  };
+}
+
+export const noCautionComponents = createVARule({
+  docs: { description: 'Disallow VA components the design system marks "use with caution"', recommended: true },
+  messages: {
+    caution: '{{tagName}} is marked "use with caution" ({{maturityLevel}}). {{recommendation}}'
+  },
+  schema: [{
+    type: 'object',
+    properties: { allow: allowSchema },
+    additionalProperties: false
+  }]
+}, (context, node, tagName, component) => {
+  if (component && component.maturityCategory === 'caution') {
+    context.report({
+      node,
+      messageId: 'caution',
+      data: { tagName, maturityLevel: component.maturityLevel, recommendation: component.recommendation || '' }
+    });
+  }
+});
+
+export const noExperimentalComponents = createVARule({
+  docs: { description: 'Disallow VA components below a maturity level', recommended: true },
+  messages: {
+    belowMinimum: '{{tagName}} is at maturity level "{{maturityLevel}}", below the required "{{minimumLevel}}"'
+  },
+  schema: [{
+    type: 'object',
+    properties: {
+      minimumLevel: { enum: MATURITY_LEVEL_ORDER },
+      allow: allowSchema
+    },
+    additionalProperties: false
+  }]
+}, (context, node, tagName, component, options) => {
+  // Caution components are covered by no-caution-components
+  if (!component || component.maturityCategory !== 'use') {
+    return;
+  }
+
+  const shared = (context.settings || {})['va-design-system'] || {};
+  const minimumLevel = options.minimumLevel || shared.minimumLevel || 'available';
+  const rank = MATURITY_LEVEL_ORDER.indexOf(component.maturityLevel);
+  if (rank !== -1 && rank < MATURITY_LEVEL_ORDER.indexOf(minimumLevel)) {
+    context.report({
+      node,
+      messageId: 'belowMinimum',
+      data: { tagName, maturityLevel: component.maturityLevel, minimumLevel }
+    });
+  }
+});
+
+export const noUnknownVAComponents = createVARule({
+  docs: { description: 'Disallow va-* elements that are not VA Design System components', recommended: true },
+  messages: {
+    unknown: '{{tagName}} is not a VA Design System component'
+  },
+  schema: [{
+    type: 'object',
+    properties: { allow: allowSchema },
+    additionalProperties: false
+  }]
+}, (context, node, tagName, component) => {
+  if (!component) {
+    context.report({ node, messageId: 'unknown', data: { tagName } });
+  }
+});
+
+export const validVAProps = createVARule({
+  docs: { description: 'Validate props passed to VA components against their definitions', recommended: true },
+  messages: {
+    invalidProp: '{{message}}'
+  },
+  schema: [{
+    type: 'object',
+    properties: { allow: allowSchema },
+    additionalProperties: false
+  }]
+}, (context, node, tagName, component) => {
+  if (!component) {
+    return;
+  }
+
+  const usage = toUsage(node, tagName);
+  const attributeNodes = new Map(usage.attributes.map(attribute => [attribute.name, attribute.node]));
+
+  for (const finding of validateUsageAttributes(usage, component)) {
+    // Missing props have no attribute to point at, so they are reported on the element
+    const target = finding.type === 'MISSING_REQUIRED_PROP' ? node : attributeNodes.get(finding.attribute) || node;
+    context.report({ node: target, messageId: 'invalidProp', data: { message: finding.message } });
+  }
+});
+
+export const rules = {
+  'no-caution-components': noCautionComponents,
+  'no-experimental-components': noExperimentalComponents,
+  'no-unknown-va-components': noUnknownVAComponents,
+  'valid-va-props': validVAProps
+};
@@ -0,0 +1,23 @@
+/**
+ * Worker that loads components for the ESLint plugin (see components.js)
+ */
+
+import { workerData } from 'worker_threads';
+import { VAComponentMonitor } from '../index.js';
+
+const { options, port, signal } = workerData;
+
+async function load() {
+  try {
+    const monitor = new VAComponentMonitor(options);
+    const components = await monitor.getComponents();
+    port.postMessage({ components: Array.from(components.values()) });
+  } catch (error) {
+    port.postMessage({ error: error.message });
+  }
+
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+}
+
+load();
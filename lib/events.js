@@ -0,0 +1,101 @@
+/**
+ * Component events
+ *
+ * Stencil writes each custom event into components.d.ts as an `on<Event>` handler on the
+ * LocalJSX interface, typed `(event: VaAlertCustomEvent<Detail>) => void`, and newer
+ * versions also list it in the element's `HTML<Interface>ElementEventMap`. The handler
+ * carries the description; the event map, when present, has the exact DOM event name and
+ * detail type.
+ */
+
+/**
+ * Whether an interface member is an event handler rather than a prop
+ */
+export function isEventHandler(member) {
+  return /^on[A-Z]/.test(member.name) && /=>/.test(member.type || '');
+}
+
+// onVaChange -> vaChange
+function toEventName(handlerName) {
+  return handlerName.charAt(2).toLowerCase() + handlerName.slice(3);
+}
+
+// The type argument of the handler's CustomEvent, honouring nested generics
+function getDetailType(handlerType) {
+  const match = /CustomEvent\s*</.exec(handlerType);
+  if (!match) return 'any';
+
+  const start = match.index + match[0].length;
+  let depth = 1;
+  for (let index = start; index < handlerType.length; index++) {
+    if (handlerType[index] === '<') depth++;
+    if (handlerType[index] === '>' && handlerType[index - 1] !== '=' && --depth === 0) {
+      return handlerType.slice(start, index).trim() || 'any';
+    }
+  }
+  return 'any';
+}
+
+/**
+ * Read every `HTML<Interface>ElementEventMap` in components.d.ts
+ *
+ * Returns a Map of interface name (VaAlert) to a Map of DOM event name to detail type.
+ */
+export function parseEventMaps(content) {
+  const maps = new Map();
+
+  for (const [, interfaceName, body] of content.matchAll(/interface\s+HTML(Va\w+)ElementEventMap\s*\{([\s\S]*?)\n\s*\}/g)) {
+    const events = new Map();
+    for (const [, eventName, detailType] of body.matchAll(/^\s*"([^"]+)"\s*:\s*(.+?);?\s*$/gm)) {
+      events.set(eventName, detailType.trim());
+    }
+    maps.set(interfaceName, events);
+  }
+
+  return maps;
+}
+
+/**
+ * Describe an `on<Event>` handler member as an event
+ *
+ * `eventMap` is the component's entry from parseEventMaps, if components.d.ts has one.
+ */
+export function parseEventHandler(member, eventMap = new Map()) {
+  const derivedName = toEventName(member.name);
+  const mapped = Array.from(eventMap.keys()).find(name => `on${name.charAt(0).toUpperCase()}${name.slice(1)}` === member.name);
+  const eventName = mapped || derivedName;
+
+  return {
+    name: member.name,
+    eventName,
+    detailType: mapped ? eventMap.get(mapped) : getDetailType(member.type),
+    type: member.type,
+    description: member.description || null
+  };
+}
+
+/**
+ * Split a component interface's members into props and events
+ */
+export function splitInterfaceMembers(members, eventMap) {
+  return {
+    properties: members.filter(member => !isEventHandler(member)),
+    events: members.filter(isEventHandler).map(member => parseEventHandler(member, eventMap))
+  };
+}
+
+/**
+ * A component's props followed by its event handlers, as declared on its interface
+ *
+ * Diffs, history and attribute validation treat handlers like optional props, so they
+ * compare the same as components parsed before events were split out.
+ */
+export function getInterfaceMembers(component) {
+  const handlers = (component.events || []).map(event => ({
+    name: event.name,
+    type: event.type,
+    optional: true,
+    description: event.description
+  }));
+  return [...(component.properties || []), ...handlers];
+}
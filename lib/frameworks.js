@@ -0,0 +1,475 @@
+/**
+ * Example framework conversion
+ *
+ * Examples are written as HTML using the VA web components. This converts that markup into
+ * the form other consumers need: JSX with the component-library React bindings (`VaButton`,
+ * camelCased props, `onVaChange` handlers), Vue templates, or JSX that renders the web
+ * components directly.
+ */
+
+export const EXAMPLE_FRAMEWORKS = Object.freeze(['html', 'react', 'vue', 'jsx-webcomponent']);
+
+// Value of an example's `framework` field for each framework option
+export const FRAMEWORK_LABELS = Object.freeze({
+  html: 'HTML/Web Components',
+  react: 'React',
+  vue: 'Vue',
+  'jsx-webcomponent': 'JSX/Web Components'
+});
+
+export const REACT_BINDINGS_PACKAGE = '@department-of-veterans-affairs/component-library/dist/react-bindings';
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// HTML attributes whose JSX name isn't just the same name
+const JSX_ATTRIBUTE_NAMES = {
+  class: 'className',
+  for: 'htmlFor',
+  tabindex: 'tabIndex',
+  readonly: 'readOnly',
+  maxlength: 'maxLength',
+  minlength: 'minLength',
+  autocomplete: 'autoComplete',
+  autofocus: 'autoFocus',
+  colspan: 'colSpan',
+  rowspan: 'rowSpan',
+  inputmode: 'inputMode'
+};
+
+const MAX_LINE_LENGTH = 80;
+
+// What an example event handler does with the event
+const HANDLER_BODY = 'event => console.log(event.detail)';
+
+/**
+ * Convert a web component tag (va-button-pair) to its React binding name (VaButtonPair)
+ */
+export function toBindingName(tagName) {
+  return tagName.replace(/(^|-)([a-z0-9])/g, (match, dash, letter) => letter.toUpperCase());
+}
+
+/**
+ * Convert a React binding name (VaButtonPair) to its web component tag (va-button-pair)
+ */
+export function bindingToTagName(bindingName) {
+  return bindingName
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+function toKebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+// ---------------------------------------------------------------------------------------
+// Markup parsing
+// ---------------------------------------------------------------------------------------
+
+// Read `{...}` (or `${...}`) from `start`, skipping braces inside strings
+function readBalanced(source, start) {
+  let depth = 0;
+  let quote = null;
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return index + 1;
+    }
+  }
+  return source.length;
+}
+
+/**
+ * Parse example markup into a tree
+ *
+ * Tolerates what examples contain besides HTML: `{expression}` attribute values and
+ * children (unresolved story expressions), `${...}` lit bindings, JSX spreads and
+ * self-closing tags.
+ */
+export function parseMarkup(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let pos = 0;
+
+  while (pos < source.length) {
+    if (source.startsWith('<!--', pos)) {
+      const end = source.indexOf('-->', pos);
+      const stop = end === -1 ? source.length : end;
+      current().children.push({ type: 'comment', value: source.slice(pos + 4, stop).trim() });
+      pos = stop + 3;
+    } else if (/^<\/[A-Za-z]/.test(source.slice(pos, pos + 3))) {
+      const end = source.indexOf('>', pos);
+      const name = source.slice(pos + 2, end === -1 ? source.length : end).trim();
+      const open = stack.map(node => node.name).lastIndexOf(name);
+      if (open > 0) stack.length = open;
+      pos = end === -1 ? source.length : end + 1;
+    } else if (/^<[A-Za-z]/.test(source.slice(pos, pos + 2))) {
+      let opened = null;
+      pos = parseTag(source, pos + 1, element => {
+        current().children.push(element);
+        if (!element.selfClosing && !VOID_ELEMENTS.includes(element.name.toLowerCase())) {
+          stack.push(element);
+          opened = element;
+        }
+      });
+      // Script content is text, not markup
+      if (opened && opened.name.toLowerCase() === 'script') {
+        const end = source.toLowerCase().indexOf('</script', pos);
+        const stop = end === -1 ? source.length : end;
+        opened.children.push({ type: 'text', value: source.slice(pos, stop) });
+        pos = stop;
+      }
+    } else if (source[pos] === '{') {
+      const end = readBalanced(source, pos);
+      current().children.push({ type: 'expression', value: source.slice(pos + 1, end - 1).trim() });
+      pos = end;
+    } else {
+      let end = pos + 1;
+      while (end < source.length && source[end] !== '<' && source[end] !== '{' && !source.startsWith('${', end)) end++;
+      if (source.startsWith('${', end)) end = readBalanced(source, end + 1);
+      const last = current().children[current().children.length - 1];
+      if (last && last.type === 'text') last.value += source.slice(pos, end);
+      else current().children.push({ type: 'text', value: source.slice(pos, end) });
+      pos = end;
+    }
+  }
+
+  return root.children;
+}
+
+function parseTag(source, start, onElement) {
+  const name = /^[A-Za-z][\w.:-]*/.exec(source.slice(start))[0];
+  const element = { type: 'element', name, attributes: [], children: [], selfClosing: false };
+  let pos = start + name.length;
+
+  while (pos < source.length) {
+    while (/\s/.test(source[pos] || '')) pos++;
+    if (source.startsWith('/>', pos)) {
+      element.selfClosing = true;
+      pos += 2;
+      break;
+    }
+    if (source[pos] === '>' || pos >= source.length) {
+      pos++;
+      break;
+    }
+    if (source[pos] === '{') {
+      // {...spread}
+      const end = readBalanced(source, pos);
+      element.attributes.push({ spread: source.slice(pos + 1, end - 1).replace(/^\.\.\./, '').trim() });
+      pos = end;
+      continue;
+    }
+
+    const attributeName = /^[^\s=>/]+/.exec(source.slice(pos));
+    if (!attributeName) {
+      pos++;
+      continue;
+    }
+    pos += attributeName[0].length;
+    const attribute = { name: attributeName[0], value: null, expression: null };
+
+    if (source[pos] === '=') {
+      pos++;
+      const quote = source[pos];
+      if (quote === '"' || quote === "'") {
+        const end = source.indexOf(quote, pos + 1);
+        attribute.value = source.slice(pos + 1, end === -1 ? source.length : end);
+        pos = end === -1 ? source.length : end + 1;
+      } else if (quote === '{' || source.startsWith('${', pos)) {
+        const open = quote === '{' ? pos : pos + 1;
+        const end = readBalanced(source, open);
+        attribute.expression = source.slice(open + 1, end - 1).trim();
+        pos = end;
+      } else {
+        const value = /^[^\s>]+/.exec(source.slice(pos));
+        attribute.value = value ? value[0].replace(/\/$/, '') : '';
+        pos += value ? attribute.value.length : 0;
+      }
+    }
+    element.attributes.push(attribute);
+  }
+
+  onElement(element);
+  return pos;
+}
+
+// ---------------------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------------------
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// A JavaScript literal for a JSON value, with single-quoted strings
+function toJsLiteral(value) {
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  if (Array.isArray(value)) return `[${value.map(toJsLiteral).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : toJsLiteral(key)}: ${toJsLiteral(item)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+// Arrays and objects passed as JSON attribute values
+function parseJsonValue(value) {
+  if (!/^\s*[[{]/.test(value)) return undefined;
+  try {
+    return JSON.parse(decodeEntities(value));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// "margin-top: 1rem" -> { marginTop: '1rem' }
+function parseStyle(style) {
+  const result = {};
+  for (const declaration of style.split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+    const property = declaration.slice(0, colon).trim();
+    const value = declaration.slice(colon + 1).trim();
+    if (property) result[property.startsWith('--') ? property : toCamelCase(property)] = value;
+  }
+  return result;
+}
+
+function getPropType(component, propName) {
+  if (!component) return null;
+  const prop = (component.properties || []).find(candidate => candidate.name === propName);
+  return prop ? prop.type : null;
+}
+
+function getEvents(component) {
+  return component ? component.events || [] : [];
+}
+
+// ---------------------------------------------------------------------------------------
+// Attribute conversion
+// ---------------------------------------------------------------------------------------
+
+// Split a lit binding prefix off an attribute name: .items, ?checked, @vaChange
+function splitBinding(name) {
+  return /^[.?@]/.test(name) ? { prefix: name[0], name: name.slice(1) } : { prefix: '', name };
+}
+
+function formatJsxString(name, value) {
+  return value.includes('"') && !value.includes("'") ? `${name}='${value}'` : `${name}="${value.replace(/"/g, '&quot;')}"`;
+}
+
+/**
+ * JSX attribute for React (bindings: true) or for a web component rendered from JSX
+ */
+function toJsxAttribute(attribute, element, context) {
+  if (attribute.spread !== undefined) return `{...${attribute.spread}}`;
+
+  const { prefix, name: rawName } = splitBinding(attribute.name);
+  const isComponent = element.component !== undefined;
+  const useBindings = context.framework === 'react' && isComponent;
+
+  if (prefix === '@') {
+    const handler = attribute.expression || HANDLER_BODY;
+    return useBindings ? `on${rawName.charAt(0).toUpperCase()}${rawName.slice(1)}={${handler}}` : null;
+  }
+
+  let name;
+  if (rawName === 'class') name = 'className';
+  else if (/^(data|aria)-/.test(rawName) || rawName === 'slot') name = rawName;
+  else if (useBindings) name = toCamelCase(rawName);
+  else if (!isComponent) name = JSX_ATTRIBUTE_NAMES[rawName.toLowerCase()] || rawName;
+  else name = rawName;
+
+  if (attribute.expression !== null) return `${name}={${attribute.expression}}`;
+  if (attribute.value === null) return name;
+
+  const value = attribute.value;
+  if (name === 'style') return `style={${toJsLiteral(parseStyle(decodeEntities(value)))}}`;
+  if (!useBindings) return formatJsxString(name, value);
+
+  // React bindings take real values rather than attribute strings
+  const type = getPropType(element.component, name) || '';
+  if (/^boolean$/.test(type.trim())) {
+    return value === 'false' ? `${name}={false}` : name;
+  }
+  if (/^number$/.test(type.trim()) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return `${name}={${Number(value)}}`;
+  }
+  const json = parseJsonValue(value);
+  if (json !== undefined) return `${name}={${toJsLiteral(json)}}`;
+  return formatJsxString(name, value);
+}
+
+/**
+ * Vue template attribute: static strings stay attributes, everything else is bound
+ */
+function toVueAttribute(attribute, element) {
+  if (attribute.spread !== undefined) return `v-bind="${attribute.spread}"`;
+
+  const { prefix, name: rawName } = splitBinding(attribute.name);
+  if (prefix === '@') return `@${rawName}="${attribute.expression || HANDLER_BODY}"`;
+
+  const name = prefix === '.' && element.component ? toKebabCase(rawName) : rawName;
+  if (attribute.expression !== null) return `:${name}="${attribute.expression.replace(/"/g, "'")}"`;
+  if (attribute.value === null) return name;
+
+  const type = (getPropType(element.component, toCamelCase(name)) || '').trim();
+  if (type === 'number' && attribute.value.trim() !== '' && !Number.isNaN(Number(attribute.value))) {
+    return `:${name}="${Number(attribute.value)}"`;
+  }
+  const json = element.component ? parseJsonValue(attribute.value) : undefined;
+  if (json !== undefined) return `:${name}="${toJsLiteral(json).replace(/"/g, '&quot;')}"`;
+  return `${name}="${attribute.value.replace(/"/g, '&quot;')}"`;
+}
+
+// ---------------------------------------------------------------------------------------
+// Printing
+// ---------------------------------------------------------------------------------------
+
+function printTag(name, attributes, children, indent, options) {
+  const selfClose = children.length === 0 && options.selfClose;
+  const openEnd = selfClose ? ' />' : '>';
+  const close = selfClose || options.voidElement ? '' : `</${name}>`;
+
+  const inlineOpen = `${indent}<${name}${attributes.map(attribute => ` ${attribute}`).join('')}`;
+  const multiline = inlineOpen.length + openEnd.length + close.length > MAX_LINE_LENGTH && attributes.length > 0;
+  const openLines = multiline
+    ? [`${indent}<${name}`, ...attributes.map(attribute => `${indent}  ${attribute}`), `${indent}${openEnd.trim()}`]
+    : [`${inlineOpen}${openEnd}`];
+
+  if (children.length === 0) {
+    openLines[openLines.length - 1] += close;
+    return openLines;
+  }
+  if (children.length === 1 && !multiline && !children[0].trim().startsWith('<')) {
+    const line = `${openLines[0]}${children[0].trim()}${close}`;
+    if (line.length <= MAX_LINE_LENGTH) return [line];
+  }
+  return [...openLines, ...children, `${indent}${close}`];
+}
+
+// Nodes one per line, with text and expressions that run together kept on one line
+function printNodes(nodes, context, indent) {
+  const lines = [];
+  let inline = '';
+  const flush = () => {
+    if (inline.trim()) lines.push(`${indent}${inline.trim()}`);
+    inline = '';
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      inline += node.value.replace(/\s+/g, ' ');
+    } else if (node.type === 'expression') {
+      inline += context.framework === 'vue' ? `{{ ${node.value} }}` : `{${node.value}}`;
+    } else if (node.type === 'comment') {
+      flush();
+      lines.push(`${indent}${context.framework === 'vue' ? `<!-- ${node.value} -->` : `{/* ${node.value} */}`}`);
+    } else if (node.type === 'element') {
+      flush();
+      lines.push(...printElement(node, context, indent));
+    }
+  }
+  flush();
+  return lines;
+}
+
+function printElement(node, context, indent) {
+  const { framework } = context;
+  // React bindings render as VaButton; the other forms use the tag
+  const tagName = /^Va[A-Z]/.test(node.name) ? bindingToTagName(node.name) : node.name.toLowerCase();
+  const isComponent = tagName.startsWith('va-');
+  const element = { ...node, component: isComponent ? context.components.get(tagName) || null : undefined };
+
+  let name = node.name;
+  if (isComponent) {
+    name = framework === 'react' ? toBindingName(tagName) : tagName;
+    if (framework === 'react') context.bindings.add(name);
+  }
+
+  const convert = framework === 'vue' ? toVueAttribute : toJsxAttribute;
+  const attributes = node.attributes
+    .map(attribute => convert(attribute, element, context))
+    .filter(attribute => attribute !== null);
+
+  // Wire the component's events where the framework can listen to them
+  if (isComponent && framework !== 'jsx-webcomponent') {
+    // React bindings take the handler prop as declared (onVaChange); Vue listens by DOM event name
+    for (const event of getEvents(element.component)) {
+      const handler = framework === 'vue'
+        ? `@${event.eventName}="${HANDLER_BODY}"`
+        : `${event.name}={${HANDLER_BODY}}`;
+      const attributeName = handler.slice(0, handler.search(/[={]/));
+      if (!attributes.some(attribute => attribute.startsWith(`${attributeName}=`))) attributes.push(handler);
+    }
+  }
+
+  const children = printNodes(node.children, context, `${indent}  `);
+  return printTag(name, attributes, children, indent, {
+    selfClose: framework !== 'vue',
+    voidElement: framework === 'vue' && VOID_ELEMENTS.includes(tagName)
+  });
+}
+
+// Inline scripts don't carry over; events are wired as handler props instead
+function removeScripts(nodes) {
+  return nodes
+    .filter(node => node.type !== 'element' || node.name.toLowerCase() !== 'script')
+    .map(node => (node.type === 'element' ? { ...node, children: removeScripts(node.children) } : node));
+}
+
+/**
+ * Convert example markup to a framework's syntax
+ *
+ * `components` (a Map or array of parsed components) supplies prop types and events, so
+ * booleans, numbers and objects are passed as values and each component's events get a
+ * handler. Inline `<script>` elements are dropped. Returns `{ code, imports }`; React code
+ * starts with the bindings import.
+ */
+export function convertMarkup(code, framework, components = []) {
+  if (framework === 'html') {
+    return { code, imports: [] };
+  }
+
+  const list = components instanceof Map ? Array.from(components.values()) : components;
+  const context = {
+    framework,
+    components: new Map(list.filter(component => component.tagName).map(component => [component.tagName, component])),
+    bindings: new Set()
+  };
+
+  const nodes = removeScripts(parseMarkup(code));
+  const roots = nodes.filter(node => node.type !== 'text' || node.value.trim());
+  let lines;
+  if (framework !== 'vue' && roots.length > 1) {
+    // JSX needs a single root
+    lines = ['<>', ...printNodes(nodes, context, '  '), '</>'];
+  } else {
+    lines = printNodes(nodes, context, '');
+  }
+
+  const imports = context.bindings.size > 0
+    ? [`import { ${Array.from(context.bindings).sort().join(', ')} } from '${REACT_BINDINGS_PACKAGE}';`]
+    : [];
+  const body = lines.join('\n');
+  return { code: imports.length > 0 ? `${imports.join('\n')}\n\n${body}` : body, imports };
+}
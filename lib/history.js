@@ -0,0 +1,365 @@
+/**
+ * Component status history
+ *
+ * Records each fetched component set as a snapshot (timestamp, source ref, content hash)
+ * in a local data directory, turns the differences between consecutive snapshots into
+ * structured change events, and builds per-component maturity timelines.
+ */
+
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+
+import { diffComponentSets } from './diff.js';
+import { getInterfaceMembers } from './events.js';
+
+export const DEFAULT_HISTORY_MAX_ENTRIES = 500;
+
+export const ChangeEventType = Object.freeze({
+  COMPONENT_ADDED: 'component-added',
+  COMPONENT_REMOVED: 'component-removed',
+  COMPONENT_RENAMED: 'component-renamed',
+  COMPONENT_DEPRECATED: 'component-deprecated',
+  MATURITY_UPGRADED: 'maturity-upgraded',
+  MATURITY_DOWNGRADED: 'maturity-downgraded',
+  MATURITY_CHANGED: 'maturity-changed',
+  PROPS_CHANGED: 'props-changed'
+});
+
+const SNAPSHOT_EXTENSION = '.json';
+
+// Snapshot file names (`<timestamp>-<hash prefix>.json`), so other JSON files in the directory are left alone
+const SNAPSHOT_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{12}\.json$/;
+
+/**
+ * Resolve the history directory from VA_MONITOR_HISTORY_DIR, XDG_DATA_HOME or the platform default
+ */
+export function getDefaultHistoryDir() {
+  if (process.env.VA_MONITOR_HISTORY_DIR) {
+    return process.env.VA_MONITOR_HISTORY_DIR;
+  }
+  if (process.env.XDG_DATA_HOME) {
+    return join(process.env.XDG_DATA_HOME, 'va-design-system-monitor', 'history');
+  }
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return join(process.env.APPDATA, 'va-design-system-monitor', 'history');
+  }
+  return join(homedir(), '.local', 'share', 'va-design-system-monitor', 'history');
+}
+
+/**
+ * Reduce components to the fields history tracks, in a stable order
+ */
+function toHistoryComponents(components) {
+  const list = components instanceof Map ? Array.from(components.values()) : components;
+  return list
+    .map(component => ({
+      tagName: component.tagName || null,
+      name: component.name,
+      interfaceName: component.interfaceName || null,
+      maturityCategory: component.maturityCategory || null,
+      maturityLevel: component.maturityLevel || null,
+      status: component.status,
+      properties: getInterfaceMembers(component).map(prop => ({ name: prop.name, type: prop.type, optional: !!prop.optional }))
+    }))
+    .sort((a, b) => (a.tagName || a.name).localeCompare(b.tagName || b.name));
+}
+
+export function hashComponents(components) {
+  return createHash('sha256').update(JSON.stringify(toHistoryComponents(components))).digest('hex');
+}
+
+/**
+ * Turn the diff between two snapshots into change events
+ */
+export function createChangeEvents(previous, current) {
+  const diff = diffComponentSets(previous.components, current.components, { from: previous.ref, to: current.ref });
+  const base = { timestamp: current.timestamp, ref: current.ref, hash: current.hash, previousHash: previous.hash };
+  const events = [];
+
+  diff.added.forEach(component => events.push({
+    ...base,
+    type: ChangeEventType.COMPONENT_ADDED,
+    tagName: component.tagName || component.name,
+    name: component.name,
+    to: component.status,
+    message: `${component.tagName || component.name} added (${component.status})`
+  }));
+
+  diff.removed.forEach(component => events.push({
+    ...base,
+    type: ChangeEventType.COMPONENT_REMOVED,
+    tagName: component.tagName || component.name,
+    name: component.name,
+    from: component.status,
+    message: `${component.tagName || component.name} removed`
+  }));
+
+  diff.renamed.forEach(rename => events.push({
+    ...base,
+    type: ChangeEventType.COMPONENT_RENAMED,
+    tagName: rename.to,
+    name: rename.to,
+    from: rename.from,
+    to: rename.to,
+    message: `${rename.from} renamed to ${rename.to}`
+  }));
+
+  diff.maturityChanges.forEach(change => {
+    const deprecated = change.to.maturityCategory === 'caution' && change.from.maturityCategory !== 'caution';
+    const type = deprecated ? ChangeEventType.COMPONENT_DEPRECATED :
+      change.change === 'promoted' ? ChangeEventType.MATURITY_UPGRADED :
+        change.change === 'demoted' ? ChangeEventType.MATURITY_DOWNGRADED :
+          ChangeEventType.MATURITY_CHANGED;
+
+    events.push({
+      ...base,
+      type,
+      tagName: change.tagName,
+      name: change.name,
+      from: change.from.status,
+      to: change.to.status,
+      maturity: { from: change.from, to: change.to },
+      message: `${change.tagName} ${deprecated ? 'moved to caution' : change.change}: ${change.from.maturityLevel} → ${change.to.maturityLevel} (${change.from.status} → ${change.to.status})`
+    });
+  });
+
+  diff.propertyChanges.forEach(changes => {
+    const counts = [
+      changes.added.length && `${changes.added.length} added`,
+      changes.removed.length && `${changes.removed.length} removed`,
+      changes.typeChanged.length && `${changes.typeChanged.length} retyped`,
+      changes.optionalityChanged.length && `${changes.optionalityChanged.length} optionality changed`
+    ].filter(Boolean);
+
+    events.push({
+      ...base,
+      type: ChangeEventType.PROPS_CHANGED,
+      tagName: changes.tagName,
+      name: changes.name,
+      properties: {
+        added: changes.added,
+        removed: changes.removed,
+        typeChanged: changes.typeChanged,
+        optionalityChanged: changes.optionalityChanged
+      },
+      message: `${changes.tagName} props changed: ${counts.join(', ')}`
+    });
+  });
+
+  return events;
+}
+
+export class HistoryStore {
+  constructor(options = {}) {
+    this.directory = options.directory || getDefaultHistoryDir();
+    this.maxEntries = options.maxEntries || DEFAULT_HISTORY_MAX_ENTRIES;
+  }
+
+  async _listFiles() {
+    try {
+      const names = await readdir(this.directory);
+      // File names start with the timestamp, so name order is chronological
+      return names.filter(name => SNAPSHOT_FILE_PATTERN.test(name)).sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async _readSnapshot(name) {
+    try {
+      return JSON.parse(await readFile(join(this.directory, name), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load all snapshots, oldest first (optionally only those for one ref)
+   */
+  async _loadSnapshots(ref = null) {
+    const snapshots = [];
+    for (const name of await this._listFiles()) {
+      const snapshot = await this._readSnapshot(name);
+      if (snapshot && (!ref || snapshot.ref === ref)) {
+        snapshots.push(snapshot);
+      }
+    }
+    return snapshots;
+  }
+
+  /**
+   * Most recent snapshot, optionally for a specific ref
+   */
+  async latest(ref = null) {
+    const names = await this._listFiles();
+    for (let index = names.length - 1; index >= 0; index--) {
+      const snapshot = await this._readSnapshot(names[index]);
+      if (snapshot && (!ref || snapshot.ref === ref)) {
+        return snapshot;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record a component set, returning the change events since the previous snapshot of the same ref
+   *
+   * Nothing is written when the components are identical to the previous snapshot.
+   */
+  async record(components, { ref = null, source = null, timestamp = new Date().toISOString() } = {}) {
+    const hash = hashComponents(components);
+    const previous = await this.latest(ref);
+
+    if (previous && previous.hash === hash) {
+      return { recorded: false, snapshot: summarizeSnapshot(previous), previous: summarizeSnapshot(previous), events: [] };
+    }
+
+    const snapshot = {
+      id: `${timestamp.replace(/[:.]/g, '-')}-${hash.slice(0, 12)}`,
+      timestamp,
+      ref,
+      source,
+      hash,
+      components: toHistoryComponents(components)
+    };
+
+    const filePath = join(this.directory, `${snapshot.id}${SNAPSHOT_EXTENSION}`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(tempPath, JSON.stringify(snapshot), 'utf8');
+    await rename(tempPath, filePath);
+    await this.prune();
+
+    return {
+      recorded: true,
+      snapshot: summarizeSnapshot(snapshot),
+      previous: previous ? summarizeSnapshot(previous) : null,
+      events: previous ? createChangeEvents(previous, snapshot) : []
+    };
+  }
+
+  /**
+   * Summaries of recorded snapshots, oldest first
+   */
+  async list(options = {}) {
+    const snapshots = await this._loadSnapshots(options.ref || null);
+    return snapshots.map((snapshot, index) => {
+      const previous = snapshots.slice(0, index).reverse().find(candidate => candidate.ref === snapshot.ref);
+      return {
+        ...summarizeSnapshot(snapshot),
+        changes: previous ? createChangeEvents(previous, snapshot).length : null
+      };
+    });
+  }
+
+  /**
+   * Every change event between consecutive snapshots of each ref, oldest first
+   */
+  async events(options = {}) {
+    const snapshots = await this._loadSnapshots(options.ref || null);
+    const lastByRef = new Map();
+    const events = [];
+
+    for (const snapshot of snapshots) {
+      const previous = lastByRef.get(snapshot.ref);
+      if (previous) {
+        events.push(...createChangeEvents(previous, snapshot));
+      }
+      lastByRef.set(snapshot.ref, snapshot);
+    }
+
+    return events;
+  }
+
+  /**
+   * Maturity and prop history of one component: its first recorded state, then every change
+   */
+  async timeline(tagName, options = {}) {
+    const snapshots = await this._loadSnapshots(options.ref || null);
+    const entries = [];
+    const lastByRef = new Map();
+
+    for (const snapshot of snapshots) {
+      const component = snapshot.components.find(c => c.tagName === tagName || c.name === tagName);
+      const previous = lastByRef.get(snapshot.ref);
+      lastByRef.set(snapshot.ref, snapshot);
+
+      if (!previous) {
+        if (component) {
+          entries.push({
+            timestamp: snapshot.timestamp,
+            ref: snapshot.ref,
+            hash: snapshot.hash,
+            type: 'first-seen',
+            status: component.status,
+            maturityCategory: component.maturityCategory,
+            maturityLevel: component.maturityLevel,
+            message: `${tagName} recorded as ${component.status} (${component.maturityCategory}/${component.maturityLevel})`
+          });
+        }
+        continue;
+      }
+
+      createChangeEvents(previous, snapshot)
+        .filter(event => event.tagName === tagName || (event.type === ChangeEventType.COMPONENT_RENAMED && event.from === tagName))
+        .forEach(event => entries.push({
+          ...event,
+          status: component ? component.status : null,
+          maturityCategory: component ? component.maturityCategory : null,
+          maturityLevel: component ? component.maturityLevel : null
+        }));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Drop the oldest snapshots beyond maxEntries
+   */
+  async prune() {
+    const names = await this._listFiles();
+    const excess = names.slice(0, Math.max(0, names.length - this.maxEntries));
+
+    for (const name of excess) {
+      try {
+        await unlink(join(this.directory, name));
+      } catch (error) {
+        // Already removed
+      }
+    }
+
+    return excess.length;
+  }
+
+  /**
+   * Remove every recorded snapshot and return how many were deleted
+   */
+  async clear() {
+    const names = await this._listFiles();
+    let removed = 0;
+
+    for (const name of names) {
+      try {
+        await unlink(join(this.directory, name));
+        removed++;
+      } catch (error) {
+        // Already removed
+      }
+    }
+
+    return removed;
+  }
+}
+
+function summarizeSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    timestamp: snapshot.timestamp,
+    ref: snapshot.ref,
+    source: snapshot.source,
+    hash: snapshot.hash,
+    components: snapshot.components.length
+  };
+}
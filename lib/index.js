@@ -13,10 +13,45 @@
  * @license MIT
  */
 
-const COMPONENT_DEFINITIONS_URL = 'https://raw.githubusercontent.com/department-of-veterans-affairs/component-library/refs/heads/main/packages/web-components/src/components.d.ts';
+import { scanFiles, extractComponentUsages, extractNativeElements, DEFAULT_SCAN_PATTERNS } from './scanner.js';
+import { suggestNativeReplacement, isJsxSource } from './review.js';
+import { validateUsageAttributes } from './validator.js';
+import { FileCache, DEFAULT_CACHE_MAX_SIZE } from './cache.js';
+import { LocalSnapshot, writeSnapshot, SNAPSHOT_MANIFEST } from './snapshot.js';
+import {
+  DEFAULT_REF,
+  INSTALLED_REF,
+  DEFAULT_TAG_FORMAT,
+  COMPONENT_LIBRARY_PACKAGE,
+  isValidRef,
+  buildRawUrl,
+  formatVersionTag,
+  findInstalledVersion
+} from './ref.js';
+import { diffComponentSets } from './diff.js';
+import { analyzeUpgradeImpact, UpgradeImpactType } from './upgrade.js';
+import { HistoryStore } from './history.js';
+import { createSarifLog } from './sarif.js';
+import { loadConfig as loadConfigFile, resolvePolicy, applyPolicy, applySeverity, PolicyIssueType } from './config.js';
+import { extractSuppressions, applySuppressions } from './suppressions.js';
+import { createBaseline, readBaseline, writeBaseline } from './baseline.js';
+import { searchComponents as rankComponents, suggestComponentNames } from './search.js';
+import { parseStories } from './stories.js';
+import { convertMarkup, toBindingName, EXAMPLE_FRAMEWORKS, FRAMEWORK_LABELS } from './frameworks.js';
+import { parseEventMaps, splitInterfaceMembers } from './events.js';
+import { EventEmitter } from 'events';
+
+const COMPONENT_DEFINITIONS_PATH = 'packages/web-components/src/components.d.ts';
 const DEFAULT_TIMEOUT = 10000; // 10 seconds
 const DEFAULT_CACHE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 const MAX_CACHE_AGE = 60 * 60 * 1000; // 1 hour maximum cache age
+const DEFAULT_STALE_WHILE_REVALIDATE = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_WATCH_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Issue types each command can report, so suppressions for other commands aren't stale
+const LINT_ISSUE_TYPES = ['NOT_FOUND', 'CAUTION', 'EXPERIMENTAL', 'ISSUES', ...Object.values(PolicyIssueType)];
+const ATTRIBUTE_FINDING_TYPES = ['UNKNOWN_ATTRIBUTE', 'MISSING_REQUIRED_PROP', 'INVALID_TYPE', 'INVALID_VALUE'];
+const REVIEW_FINDING_TYPES = [...LINT_ISSUE_TYPES, ...ATTRIBUTE_FINDING_TYPES, 'NATIVE_ELEMENT'];
 
 /**
  * Cross-compatible fetch for Node 14.15.0 through Node 22+
@@ -56,13 +91,19 @@ async function fetchWithTimeout(url, options, timeoutMs) {
   const fetch = await getFetch();
   const fetchPromise = fetch(url, options);
   
+  let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => {
+    timeoutId = setTimeout(() => {
       reject(new VAComponentError('Request timeout', 'TIMEOUT'));
     }, timeoutMs);
   });
   
-  return Promise.race([fetchPromise, timeoutPromise]);
+  // Clear the timer so finished requests don't keep the process (or a server) holding timers
+  try {
+    return await Promise.race([fetchPromise, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
 }
 
 /**
@@ -93,6 +134,11 @@ function validateInput(value, type, name) {
   return value;
 }
 
+// ['a', 'b', 'c'] -> "a, b or c"
+function formatAlternatives(values) {
+  return values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : values[0];
+}
+
 /**
  * Production-ready logger that respects NODE_ENV
  */
@@ -128,11 +174,177 @@ export class VAComponentMonitor {
 
     this.components = new Map();
     this.lastFetch = null;
+    this._pendingLoad = null;
     this.cacheTimeout = this._validateTimeout(options.cacheTimeout) || DEFAULT_CACHE_TIMEOUT;
     this.requestTimeout = this._validateTimeout(options.requestTimeout) || DEFAULT_TIMEOUT;
-    this.customUrl = this._validateUrl(options.definitionsUrl) || COMPONENT_DEFINITIONS_URL;
-    this.retryAttempts = Math.max(0, Math.min(5, options.retryAttempts || 2));
+    this.customUrl = this._validateUrl(options.definitionsUrl) || null;
+    this.ref = this._validateRef(options.ref || process.env.VA_MONITOR_REF) || DEFAULT_REF;
+    this.projectDir = options.projectDir || process.cwd();
+    this.tagFormat = this._validateTagFormat(options.tagFormat);
+    this.resolvedRef = null;
+    this.retryAttempts = Math.max(0, Math.min(5, options.retryAttempts !== undefined ? options.retryAttempts : 2));
     this.retryDelay = Math.max(1000, Math.min(10000, options.retryDelay || 2000));
+    this.staleWhileRevalidate = this._validateStaleWindow(options.staleWhileRevalidate);
+    this.cache = this._createCache(options);
+    this.offline = options.offline !== undefined ? !!options.offline : !!process.env.VA_MONITOR_OFFLINE;
+    this.snapshotPath = this._validateSnapshotPath(options.snapshot) || process.env.VA_MONITOR_SNAPSHOT || null;
+    this.snapshot = null;
+    this.historyStore = new HistoryStore({ directory: options.historyDir, maxEntries: options.historyMaxEntries });
+    this.trackHistory = options.history !== undefined ? !!options.history : !!process.env.VA_MONITOR_HISTORY;
+    this.lastHistoryResult = null;
+    this.policy = this._createPolicy(options.config, options.env);
+  }
+
+  /**
+   * Resolve the usage policy from a project config (see loadConfig) for one environment
+   */
+  _createPolicy(config, env) {
+    if (config === undefined || config === null || config === false) return null;
+    if (typeof config !== 'object') {
+      throw new VAComponentError(
+        'config must be a configuration object; load config files with loadConfig() first',
+        'INVALID_OPTIONS'
+      );
+    }
+    try {
+      return resolvePolicy(config, env);
+    } catch (error) {
+      throw new VAComponentError(`Invalid configuration: ${error.message}`, 'CONFIG_ERROR', { filepath: config.filepath || null });
+    }
+  }
+
+  _validateRef(ref) {
+    if (ref === undefined || ref === null || ref === '') return undefined;
+    if (!isValidRef(ref)) {
+      throw new VAComponentError(
+        `Invalid ref "${ref}". Use a branch, tag, commit SHA or "${INSTALLED_REF}"`,
+        'INVALID_OPTIONS'
+      );
+    }
+    return ref;
+  }
+
+  _validateTagFormat(tagFormat) {
+    if (tagFormat === undefined) return DEFAULT_TAG_FORMAT;
+    if (typeof tagFormat !== 'string' || !tagFormat.includes('{version}')) {
+      throw new VAComponentError('tagFormat must be a string containing "{version}"', 'INVALID_OPTIONS');
+    }
+    return tagFormat;
+  }
+
+  /**
+   * Resolve the component-library ref that component data is read from
+   *
+   * `installed` is resolved once to the release tag of the component-library version
+   * installed in projectDir.
+   */
+  async resolveRef() {
+    if (this.resolvedRef) {
+      return this.resolvedRef;
+    }
+
+    if (this.ref !== INSTALLED_REF) {
+      this.resolvedRef = { requested: this.ref, ref: this.ref, version: null, source: null };
+      return this.resolvedRef;
+    }
+
+    const installed = await findInstalledVersion(this.projectDir);
+    if (!installed) {
+      throw new VAComponentError(
+        `Could not find an installed version of ${COMPONENT_LIBRARY_PACKAGE} in ${this.projectDir}`,
+        'REF_NOT_RESOLVED',
+        { projectDir: this.projectDir }
+      );
+    }
+    if (installed.source === 'package.json') {
+      logger.warn(`Using the version range from package.json (${installed.version}); install dependencies for an exact match`);
+    }
+
+    const ref = formatVersionTag(installed.version, this.tagFormat);
+    if (!isValidRef(ref)) {
+      throw new VAComponentError(`Installed version resolved to an invalid ref "${ref}"`, 'REF_NOT_RESOLVED', installed);
+    }
+
+    logger.info(`Using component-library ${ref} (from ${installed.source})`);
+    this.resolvedRef = { requested: INSTALLED_REF, ref, version: installed.version, source: installed.source };
+    return this.resolvedRef;
+  }
+
+  /**
+   * URL of the component definitions, honoring definitionsUrl and ref
+   */
+  async getDefinitionsUrl() {
+    if (this.customUrl) {
+      return this.customUrl;
+    }
+    const { ref } = await this.resolveRef();
+    return buildRawUrl(ref, COMPONENT_DEFINITIONS_PATH);
+  }
+
+  _validateSnapshotPath(snapshotPath) {
+    if (snapshotPath === undefined || snapshotPath === null) return undefined;
+    if (typeof snapshotPath !== 'string' || snapshotPath.trim().length === 0) {
+      throw new VAComponentError('snapshot must be a path to a directory or .tgz archive', 'INVALID_OPTIONS');
+    }
+    return snapshotPath;
+  }
+
+  /**
+   * Open the local snapshot used in offline mode (once per monitor)
+   */
+  async _getSnapshot() {
+    if (this.snapshot) {
+      return this.snapshot;
+    }
+
+    if (!this.snapshotPath) {
+      throw new VAComponentError(
+        'Offline mode requires a snapshot. Pass a component-library checkout or snapshot archive with --snapshot <path> or VA_MONITOR_SNAPSHOT',
+        'SNAPSHOT_NOT_FOUND'
+      );
+    }
+
+    try {
+      this.snapshot = await LocalSnapshot.open(this.snapshotPath);
+      logger.info(`Using offline snapshot ${this.snapshot.source}`);
+    } catch (error) {
+      throw new VAComponentError('Failed to open snapshot', 'SNAPSHOT_ERROR', { path: this.snapshotPath, originalError: error.message });
+    }
+
+    // A snapshot holds a single ref; flag a mismatch rather than failing offline
+    if (this.ref !== DEFAULT_REF) {
+      const manifest = await this.snapshot.getManifest();
+      const { ref } = await this.resolveRef();
+      if (manifest && manifest.ref && manifest.ref !== ref) {
+        logger.warn(`Snapshot was created from ${manifest.ref}, not the requested ref ${ref}`);
+      }
+    }
+
+    return this.snapshot;
+  }
+
+  _validateStaleWindow(window) {
+    if (window === undefined) return DEFAULT_STALE_WHILE_REVALIDATE;
+    if (typeof window !== 'number' || window < 0) {
+      throw new VAComponentError('staleWhileRevalidate must be a non-negative number of milliseconds', 'INVALID_OPTIONS');
+    }
+    return window;
+  }
+
+  _createCache(options) {
+    if (options.persistentCache === false || process.env.VA_MONITOR_NO_CACHE) {
+      return null;
+    }
+    if (options.cacheDir !== undefined && (typeof options.cacheDir !== 'string' || options.cacheDir.trim().length === 0)) {
+      throw new VAComponentError('cacheDir must be a non-empty string', 'INVALID_OPTIONS');
+    }
+    if (options.cacheMaxSize !== undefined && (typeof options.cacheMaxSize !== 'number' || options.cacheMaxSize < 1024 * 1024)) {
+      throw new VAComponentError('cacheMaxSize must be at least 1MB', 'INVALID_OPTIONS');
+    }
+    return new FileCache({
+      directory: options.cacheDir,
+      maxSize: options.cacheMaxSize || DEFAULT_CACHE_MAX_SIZE
+    });
   }
 
   _validateTimeout(timeout) {
@@ -156,7 +368,25 @@ export class VAComponentMonitor {
     }
   }
 
-  async fetchComponentDefinitions() {
+  async fetchComponentDefinitions(forceRefresh = false) {
+    if (this.offline) {
+      const snapshot = await this._getSnapshot();
+      const content = await snapshot.readFile(COMPONENT_DEFINITIONS_PATH);
+      if (!content) {
+        throw new VAComponentError(`Snapshot does not contain ${COMPONENT_DEFINITIONS_PATH}`, 'SNAPSHOT_ERROR', { path: snapshot.source });
+      }
+      return content;
+    }
+
+    const url = await this.getDefinitionsUrl();
+    return this._fetchWithCache(
+      url,
+      conditionalHeaders => this._requestComponentDefinitions(url, conditionalHeaders),
+      { forceRefresh }
+    );
+  }
+
+  async _requestComponentDefinitions(url, conditionalHeaders = {}) {
     let lastError = null;
     
     for (let attempt = 0; attempt <= this.retryAttempts; attempt++) {
@@ -166,6 +396,7 @@ export class VAComponentMonitor {
         const headers = {
           'User-Agent': 'VA-Design-System-Monitor/2.1.0',
           'Accept': 'text/plain',
+          ...conditionalHeaders,
         };
         
         // Add GitHub token if available
@@ -175,7 +406,7 @@ export class VAComponentMonitor {
           logger.info('Using GitHub authentication token');
         }
         
-        const response = await fetchWithTimeout(this.customUrl, { headers }, this.requestTimeout);
+        const response = await fetchWithTimeout(url, { headers }, this.requestTimeout);
         
         // Check for rate limiting
         if (response.status === 403) {
@@ -196,11 +427,16 @@ export class VAComponentMonitor {
           }
         }
         
+        if (response.status === 304) {
+          logger.info('Component definitions not modified since last fetch');
+          return { notModified: true };
+        }
+        
         if (!response.ok) {
           throw new VAComponentError(
-            'Failed to fetch component definitions', 
+            response.status === 404 ? `Component definitions not found at ${url}` : 'Failed to fetch component definitions',
             'FETCH_ERROR',
-            { status: response.status, statusText: response.statusText }
+            { status: response.status, statusText: response.statusText, url }
           );
         }
         
@@ -211,7 +447,11 @@ export class VAComponentMonitor {
         }
         
         logger.info(`Successfully fetched ${content.length} characters of component definitions`);
-        return content;
+        return {
+          content,
+          etag: response.headers.get('etag'),
+          lastModified: response.headers.get('last-modified')
+        };
         
       } catch (error) {
         lastError = error;
@@ -233,17 +473,79 @@ export class VAComponentMonitor {
     throw lastError;
   }
 
+  /**
+   * Serve a URL from the persistent cache, revalidating with ETag/Last-Modified once stale
+   *
+   * Fresh entries (younger than cacheTimeout) are returned without a request. Entries
+   * within the stale-while-revalidate window are returned immediately while a background
+   * request refreshes them. Older entries block on revalidation but still serve as a
+   * fallback when the network is unavailable.
+   */
+  async _fetchWithCache(url, request, { forceRefresh = false } = {}) {
+    if (!this.cache) {
+      const response = await request({});
+      return response.content;
+    }
+
+    const entry = await this.cache.get(url);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (entry && !forceRefresh && age < this.cacheTimeout) {
+      logger.info(`Using persistent cache for ${url} (${Math.round(age / 1000)}s old)`);
+      return entry.content;
+    }
+
+    const revalidate = async () => {
+      const response = await request(this.cache.conditionalHeaders(entry));
+      const stored = response.notModified && entry ? entry : response;
+
+      try {
+        await this.cache.set(url, {
+          content: stored.content,
+          etag: stored.etag,
+          lastModified: stored.lastModified,
+          notFound: stored.content === null || stored.content === undefined
+        });
+      } catch (error) {
+        logger.warn('Failed to write persistent cache entry', { url, error: error.message });
+      }
+
+      return stored.content === undefined ? null : stored.content;
+    };
+
+    if (entry && !forceRefresh && age < this.cacheTimeout + this.staleWhileRevalidate) {
+      revalidate().catch(error => {
+        logger.warn('Background revalidation failed', { url, error: error.message });
+      });
+      return entry.content;
+    }
+
+    try {
+      return await revalidate();
+    } catch (error) {
+      if (entry && !entry.notFound) {
+        logger.warn('Serving stale cached copy after fetch failure', { url, error: error.message });
+        return entry.content;
+      }
+      throw error;
+    }
+  }
+
   parseComponentMetadata(content) {
     const components = new Map();
     
     // First find all component comment blocks with their associated interfaces
     const componentBlocks = this.extractComponentBlocks(content);
+    const eventMaps = parseEventMaps(content);
     
     for (const block of componentBlocks) {
       if (!block.componentName || !block.interfaceName) continue;
       
-      // Extract interface properties
-      const properties = this.parseInterfaceProperties(block.interfaceBody);
+      // Extract interface properties; on<Event> handlers become the component's events
+      const { properties, events } = splitInterfaceMembers(
+        this.parseInterfaceProperties(block.interfaceBody),
+        eventMaps.get(block.interfaceName)
+      );
       
       const component = {
         name: block.componentName,
@@ -253,6 +555,8 @@ export class VAComponentMonitor {
         guidanceHref: block.guidanceHref,
         translations: block.translations,
         properties: properties,
+        events: events,
+        slots: block.slots,
         status: this.determineComponentStatus(block.maturityCategory, block.maturityLevel),
         recommendation: this.getRecommendation(block.maturityCategory, block.maturityLevel)
       };
@@ -310,13 +614,42 @@ export class VAComponentMonitor {
         maturityCategory: maturityCategoryMatch[1].trim(),
         maturityLevel: maturityLevelMatch[1].trim(),
         guidanceHref: guidanceMatch ? guidanceMatch[1].trim() : null,
-        translations: translationsMatches.map(m => m[1].trim())
+        translations: translationsMatches.map(m => m[1].trim()),
+        slots: this.extractSlots(commentContent)
       });
     }
     
     return blocks;
   }
 
+  /**
+   * Read `@slot name - description` tags from a component's JSDoc
+   *
+   * Stencil copies the component class's JSDoc into components.d.ts. `@slot - description`
+   * documents the default slot, which has an empty name. Descriptions may run onto the
+   * following lines until the next tag.
+   */
+  extractSlots(commentContent) {
+    const slots = [];
+    let current = null;
+
+    for (const rawLine of commentContent.split('\n')) {
+      const line = rawLine.replace(/^\s*\*?\s?/, '').trim();
+      const slotMatch = line.match(/^@slot(?![\w-])(?:\s+(\w[\w-]*))?\s*(?:-\s*)?(.*)$/);
+
+      if (slotMatch) {
+        current = { name: slotMatch[1] || '', description: slotMatch[2].trim() || null };
+        slots.push(current);
+      } else if (line.startsWith('@')) {
+        current = null;
+      } else if (current && line) {
+        current.description = current.description ? `${current.description} ${line}` : line;
+      }
+    }
+
+    return slots;
+  }
+
   parseInterfaceProperties(interfaceBody) {
     const properties = [];
     
@@ -419,8 +752,25 @@ export class VAComponentMonitor {
       return this.components;
     }
 
+    // Concurrent callers (e.g. HTTP API requests) share one in-flight load
+    if (!forceRefresh && this._pendingLoad) {
+      return this._pendingLoad;
+    }
+
+    const load = this._loadComponents(now, forceRefresh);
+    this._pendingLoad = load;
+    try {
+      return await load;
+    } finally {
+      if (this._pendingLoad === load) {
+        this._pendingLoad = null;
+      }
+    }
+  }
+
+  async _loadComponents(now, forceRefresh) {
     try {
-      const content = await this.fetchComponentDefinitions();
+      const content = await this.fetchComponentDefinitions(forceRefresh);
       
       if (!content || typeof content !== 'string') {
         throw new VAComponentError('Invalid component definitions received', 'INVALID_DATA');
@@ -436,6 +786,15 @@ export class VAComponentMonitor {
       this.lastFetch = now;
       
       logger.info(`Successfully loaded ${this.components.size} components`);
+      
+      if (this.trackHistory) {
+        try {
+          await this._recordSnapshot(parsedComponents);
+        } catch (historyError) {
+          logger.warn('Failed to record component history', { error: historyError.message });
+        }
+      }
+      
       return this.components;
       
     } catch (error) {
@@ -475,15 +834,15 @@ export class VAComponentMonitor {
         }
       }
       
-      // Try partial match as fallback
-      for (const [key, component] of components) {
-        if (component.name.toLowerCase().includes(sanitizedName) ||
-            (component.tagName && component.tagName.toLowerCase().includes(sanitizedName))) {
-          return component;
-        }
+      // Fall back to the best-ranked partial match, so "date" resolves the same way every time
+      const partial = rankComponents(components, sanitizedName, { limit: Infinity })
+        .find(hit => hit.matches.some(match => match.field !== 'prop' && match.kind !== 'fuzzy'));
+      if (!partial) {
+        return null;
       }
-      
-      return null;
+      return Array.from(components.values()).find(component =>
+        component.name === partial.name && (component.tagName || null) === partial.tagName
+      ) || null;
     } catch (error) {
       if (error instanceof VAComponentError) {
         throw error;
@@ -492,6 +851,33 @@ export class VAComponentMonitor {
     }
   }
 
+  /**
+   * Rank components against a free-text query (tag, name, interface name, typos, prop names)
+   */
+  async searchComponents(query, options = {}) {
+    const sanitizedQuery = validateInput(query, 'string', 'query').trim();
+    if (sanitizedQuery.length > 100) {
+      throw new VAComponentError('Search query too long', 'INVALID_INPUT');
+    }
+
+    try {
+      return rankComponents(await this.getComponents(), sanitizedQuery, options);
+    } catch (error) {
+      if (error instanceof VAComponentError) {
+        throw error;
+      }
+      throw new VAComponentError('Failed to search for components', 'SEARCH_ERROR', { originalError: error.message });
+    }
+  }
+
+  /**
+   * Tag names to suggest for a name that matched no component ("did you mean"), best first
+   */
+  async suggestComponentNames(name, limit = 3) {
+    const sanitizedName = validateInput(name, 'string', 'name').trim();
+    return suggestComponentNames(await this.getComponents(), sanitizedName, limit);
+  }
+
   async getComponentsByStatus(status) {
     // Validate status input
     const validStatuses = ['RECOMMENDED', 'STABLE', 'EXPERIMENTAL', 'AVAILABLE_WITH_ISSUES', 'USE_WITH_CAUTION', 'UNKNOWN'];
@@ -610,41 +996,72 @@ export class VAComponentMonitor {
   }
 
   /**
-   * Lint a list of components and return issues
+   * Build the lint issue for a requested component name, or null when it is safe to use
+   *
+   * The project policy (allow/deny lists, minimum maturity, severity overrides) is applied
+   * when the monitor was created with a config.
    */
-  async lintComponents(componentNames) {
-    const validation = await this.validateComponents(componentNames);
-    const issues = [];
+  createLintIssue(requested, component) {
+    return applyPolicy(this._getStatusIssue(requested, component), requested, component, this.policy);
+  }
 
-    validation.validation.forEach(result => {
-      if (!result.found) {
-        issues.push({
-          type: 'NOT_FOUND',
-          component: result.requested,
-          message: `Component "${result.requested}" not found in VA Design System`,
-          severity: 'error'
-        });
-      } else if (result.component.status === 'USE_WITH_CAUTION') {
-        issues.push({
+  /**
+   * Lint issue from the component's status alone
+   */
+  _getStatusIssue(requested, component) {
+    if (!component) {
+      const suggestions = suggestComponentNames(this.components, requested);
+      const issue = {
+        type: 'NOT_FOUND',
+        component: requested,
+        message: `Component "${requested}" not found in VA Design System`,
+        severity: 'error'
+      };
+      if (suggestions.length > 0) {
+        issue.message += `. Did you mean ${formatAlternatives(suggestions)}?`;
+        issue.suggestions = suggestions;
+      }
+      return issue;
+    }
+
+    switch (component.status) {
+      case 'USE_WITH_CAUTION':
+        return {
           type: 'CAUTION',
-          component: result.requested,
-          message: `Component "${result.requested}" should be used with caution: ${result.component.recommendation}`,
+          component: requested,
+          message: `Component "${requested}" should be used with caution: ${component.recommendation}`,
           severity: 'warning'
-        });
-      } else if (result.component.status === 'EXPERIMENTAL') {
-        issues.push({
+        };
+      case 'EXPERIMENTAL':
+        return {
           type: 'EXPERIMENTAL',
-          component: result.requested,
-          message: `Component "${result.requested}" is experimental: ${result.component.recommendation}`,
+          component: requested,
+          message: `Component "${requested}" is experimental: ${component.recommendation}`,
           severity: 'warning'
-        });
-      } else if (result.component.status === 'AVAILABLE_WITH_ISSUES') {
-        issues.push({
+        };
+      case 'AVAILABLE_WITH_ISSUES':
+        return {
           type: 'ISSUES',
-          component: result.requested,
-          message: `Component "${result.requested}" may have issues: ${result.component.recommendation}`,
+          component: requested,
+          message: `Component "${requested}" may have issues: ${component.recommendation}`,
           severity: 'info'
-        });
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Lint a list of components and return issues
+   */
+  async lintComponents(componentNames) {
+    const validation = await this.validateComponents(componentNames);
+    const issues = [];
+
+    validation.validation.forEach(result => {
+      const issue = this.createLintIssue(result.requested, result.component);
+      if (issue) {
+        issues.push(issue);
       }
     });
 
@@ -656,6 +1073,322 @@ export class VAComponentMonitor {
     };
   }
 
+  /**
+   * Scan project source files for VA component usages and resolve each tag's status
+   */
+  async scanProject(patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+    const scan = await scanFiles(patterns, this._getScanOptions(options));
+    const componentsByTag = await this._getComponentsByTagName();
+
+    const inventory = new Map();
+    const issues = [];
+
+    const files = scan.files
+      .filter(result => result.usages.length > 0)
+      .map(({ file, usages }) => ({
+        file,
+        usages: usages.map(usage => {
+          const component = componentsByTag.get(usage.tagName) || null;
+
+          if (!inventory.has(usage.tagName)) {
+            inventory.set(usage.tagName, {
+              tagName: usage.tagName,
+              found: !!component,
+              name: component ? component.name : null,
+              status: component ? component.status : null,
+              maturityCategory: component ? component.maturityCategory : null,
+              maturityLevel: component ? component.maturityLevel : null,
+              usageCount: 0,
+              files: []
+            });
+          }
+          const entry = inventory.get(usage.tagName);
+          entry.usageCount++;
+          if (!entry.files.includes(file)) {
+            entry.files.push(file);
+          }
+
+          const issue = this.createLintIssue(usage.tagName, component);
+          if (issue) {
+            issues.push({ ...issue, file, line: usage.line, column: usage.column });
+          }
+
+          return {
+            ...usage,
+            found: !!component,
+            component: component ? {
+              name: component.name,
+              tagName: component.tagName,
+              status: component.status,
+              maturityCategory: component.maturityCategory,
+              maturityLevel: component.maturityLevel,
+              recommendation: component.recommendation,
+            } : null,
+          };
+        })
+      }));
+
+    const inventoryList = Array.from(inventory.values())
+      .sort((a, b) => b.usageCount - a.usageCount || a.tagName.localeCompare(b.tagName));
+
+    const { findings, suppressions } = this._applySuppressions(issues, scan.files, LINT_ISSUE_TYPES, options);
+
+    return {
+      root: scan.root,
+      files,
+      components: inventoryList,
+      issues: findings,
+      suppressions,
+      hasErrors: findings.some(i => i.severity === 'error'),
+      hasWarnings: findings.some(i => i.severity === 'warning'),
+      summary: {
+        filesScanned: scan.files.length,
+        filesWithUsages: files.length,
+        totalUsages: files.reduce((count, f) => count + f.usages.length, 0),
+        uniqueComponents: inventoryList.length,
+        notFound: inventoryList.filter(c => !c.found).length,
+        caution: inventoryList.filter(c => ['USE_WITH_CAUTION', 'EXPERIMENTAL', 'AVAILABLE_WITH_ISSUES'].includes(c.status)).length,
+        suppressed: suppressions.suppressed.length,
+      }
+    };
+  }
+
+  /**
+   * Validate component attributes in an HTML/JSX snippet against each component's properties
+   */
+  async validateMarkup(source, options = {}) {
+    if (typeof source !== 'string') {
+      throw new VAComponentError("Parameter 'source' must be of type string", 'INVALID_INPUT');
+    }
+
+    const filePath = options.filePath || null;
+    const usages = extractComponentUsages(source, filePath);
+    const result = await this.validateUsages(usages);
+    return this._withSuppressions(result, [{ usages, suppressions: extractSuppressions(source, filePath) }], options);
+  }
+
+  /**
+   * Review a markup snippet (HTML or JSX) for VA compliance
+   *
+   * Combines component status issues, attribute findings and native elements
+   * (`<button>`, `<input>`, ...) that should be VA components, each with its location.
+   * Native element findings include a suggested replacement.
+   */
+  async reviewMarkup(source, options = {}) {
+    if (typeof source !== 'string') {
+      throw new VAComponentError("Parameter 'source' must be of type string", 'INVALID_INPUT');
+    }
+
+    const filePath = options.filePath || null;
+    const componentsByTag = await this._getComponentsByTagName();
+    const usages = extractComponentUsages(source, filePath);
+    const findings = [];
+
+    for (const usage of usages) {
+      const issue = this.createLintIssue(usage.tagName, componentsByTag.get(usage.tagName) || null);
+      if (issue) {
+        findings.push({ ...issue, file: filePath, line: usage.line, column: usage.column });
+      }
+    }
+
+    findings.push(...(await this.validateUsages(usages)).findings);
+
+    const jsx = isJsxSource(source, filePath);
+    for (const element of extractNativeElements(source, filePath)) {
+      const suggestion = suggestNativeReplacement(element, componentsByTag, { jsx });
+      if (!suggestion) {
+        continue;
+      }
+      const finding = applySeverity({
+        type: 'NATIVE_ELEMENT',
+        severity: 'warning',
+        component: suggestion.component,
+        element: element.element,
+        message: `Use ${suggestion.component} instead of a native <${element.element}>`,
+        file: filePath,
+        line: element.line,
+        column: element.column,
+        suggestion
+      }, this.policy);
+      if (finding) {
+        findings.push(finding);
+      }
+    }
+
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    const files = [{ usages, suppressions: extractSuppressions(source, filePath) }];
+    const { findings: remaining, suppressions } = this._applySuppressions(findings, files, REVIEW_FINDING_TYPES, options);
+    const count = (...types) => remaining.filter(finding => types.includes(finding.type)).length;
+
+    return {
+      usages: usages.map(usage => {
+        const component = componentsByTag.get(usage.tagName);
+        return {
+          tagName: usage.tagName,
+          element: usage.element,
+          line: usage.line,
+          column: usage.column,
+          found: !!component,
+          status: component ? component.status : null
+        };
+      }),
+      findings: remaining,
+      suppressions,
+      hasErrors: remaining.some(finding => finding.severity === 'error'),
+      hasWarnings: remaining.some(finding => finding.severity === 'warning'),
+      summary: {
+        components: usages.length,
+        unknownComponents: count('NOT_FOUND'),
+        caution: count('CAUTION', 'EXPERIMENTAL', 'ISSUES'),
+        policy: count(...Object.values(PolicyIssueType)),
+        props: count(...ATTRIBUTE_FINDING_TYPES),
+        nativeElements: count('NATIVE_ELEMENT'),
+        suppressed: suppressions.suppressed.length
+      }
+    };
+  }
+
+  /**
+   * Validate component attributes in every project file matching the given patterns
+   */
+  async validateMarkupFiles(patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+    const scan = await scanFiles(patterns, this._getScanOptions(options));
+    const usages = scan.files.reduce((all, result) => all.concat(result.usages), []);
+    const result = this._withSuppressions(await this.validateUsages(usages), scan.files, options);
+
+    return {
+      root: scan.root,
+      ...result,
+      summary: { ...result.summary, filesScanned: scan.files.length }
+    };
+  }
+
+  /**
+   * Apply suppression comments to an attribute validation result
+   */
+  _withSuppressions(result, files, options) {
+    const { findings, suppressions } = this._applySuppressions(result.findings, files, ATTRIBUTE_FINDING_TYPES, options);
+    return {
+      ...result,
+      findings,
+      suppressions,
+      hasErrors: findings.some(f => f.severity === 'error'),
+      hasWarnings: findings.some(f => f.severity === 'warning'),
+      summary: { ...result.summary, suppressed: suppressions.suppressed.length }
+    };
+  }
+
+  /**
+   * Drop findings acknowledged by inline suppression comments
+   *
+   * `files` are scan results with their suppressions. Directives without a justification
+   * are reported as UNJUSTIFIED_SUPPRESSION errors when `requireJustification` is set (in
+   * options or the project config).
+   */
+  _applySuppressions(findings, files, types, options = {}) {
+    const requireJustification = options.requireJustification !== undefined
+      ? !!options.requireJustification
+      : !!(this.policy && this.policy.requireJustification);
+    const directives = files.reduce((all, result) => all.concat(result.suppressions || []), []);
+    const usageLines = new Set();
+    files.forEach(result => (result.usages || []).forEach(usage => usageLines.add(`${usage.file}:${usage.line}`)));
+    const result = applySuppressions(findings, directives, { types, usageLines, requireJustification });
+
+    const unjustified = result.unjustified
+      .map(suppression => applySeverity({
+        type: 'UNJUSTIFIED_SUPPRESSION',
+        severity: 'error',
+        component: null,
+        message: `${suppression.directive} needs a justification: add " -- <reason>"`,
+        file: suppression.file,
+        line: suppression.line,
+        column: suppression.column
+      }, this.policy))
+      .filter(Boolean);
+
+    return {
+      findings: [...result.findings, ...unjustified],
+      suppressions: { suppressed: result.suppressed, stale: result.stale, unjustified: result.unjustified }
+    };
+  }
+
+  /**
+   * Validate the attributes of already extracted component usages
+   */
+  async validateUsages(usages) {
+    const componentsByTag = await this._getComponentsByTagName();
+    const findings = [];
+    let validated = 0;
+
+    for (const usage of usages) {
+      const component = componentsByTag.get(usage.tagName);
+      if (!component) {
+        continue;
+      }
+
+      validated++;
+      for (const finding of validateUsageAttributes(usage, component)) {
+        const adjusted = applySeverity(finding, this.policy);
+        if (adjusted) {
+          findings.push(adjusted);
+        }
+      }
+    }
+
+    return {
+      findings,
+      hasErrors: findings.some(f => f.severity === 'error'),
+      hasWarnings: findings.some(f => f.severity === 'warning'),
+      summary: {
+        usages: usages.length,
+        validated,
+        unknownAttributes: findings.filter(f => f.type === 'UNKNOWN_ATTRIBUTE').length,
+        missingRequired: findings.filter(f => f.type === 'MISSING_REQUIRED_PROP').length,
+        invalidValues: findings.filter(f => f.type === 'INVALID_TYPE' || f.type === 'INVALID_VALUE').length,
+      }
+    };
+  }
+
+  /**
+   * Convert lint issues, scan issues, attribute findings or upgrade impacts to a SARIF log
+   *
+   * Rules link to each component's guidance on design.va.gov.
+   */
+  async createSarifReport(findings, options = {}) {
+    if (!Array.isArray(findings)) {
+      throw new VAComponentError("Parameter 'findings' must be an array", 'INVALID_INPUT');
+    }
+
+    const components = await this.getComponents();
+    return createSarifLog(findings, { ...options, components });
+  }
+
+  /**
+   * Scan options with the project policy's ignore globs added
+   */
+  _getScanOptions(options = {}) {
+    if (!this.policy || this.policy.ignore.length === 0) {
+      return options;
+    }
+    return { ...options, ignore: [...(options.ignore || []), ...this.policy.ignore] };
+  }
+
+  /**
+   * Index the loaded components by their web component tag name
+   */
+  async _getComponentsByTagName() {
+    const components = await this.getComponents();
+    const componentsByTag = new Map();
+
+    for (const component of components.values()) {
+      if (component.tagName) {
+        componentsByTag.set(component.tagName, component);
+      }
+    }
+
+    return componentsByTag;
+  }
+
   /**
    * Get the properties/props for a specific component
    */
@@ -672,7 +1405,31 @@ export class VAComponentMonitor {
         status: component.status,
         maturityLevel: component.maturityLevel
       },
-      properties: component.properties || []
+      properties: component.properties || [],
+      slots: component.slots || []
+    };
+  }
+
+  /**
+   * Get the custom events a component emits
+   *
+   * Each event has the JSX handler prop (`name`, e.g. onVaChange), the DOM event name to
+   * pass to addEventListener (`eventName`), the type of `event.detail` and a description.
+   */
+  async getComponentEvents(componentName) {
+    const component = await this.getComponentByName(componentName);
+    if (!component) {
+      return null;
+    }
+
+    return {
+      component: {
+        name: component.name,
+        tagName: component.tagName,
+        status: component.status,
+        maturityLevel: component.maturityLevel
+      },
+      events: component.events || []
     };
   }
 
@@ -683,6 +1440,7 @@ export class VAComponentMonitor {
    * from the VA design system's official documentation and Storybook.
    */
   async getOfficialExamples(componentName, options = {}) {
+    const framework = this.resolveExampleFramework(options.framework);
     const component = await this.getComponentByName(componentName);
     if (!component) {
       return null;
@@ -700,7 +1458,7 @@ export class VAComponentMonitor {
           maturityLevel: component.maturityLevel,
           recommendation: component.recommendation
         },
-        examples: examples || this.generateFallbackExamples(component, options)
+        examples: await this.convertExamples(examples || this.generateFallbackExamples(component, options), framework)
       };
     } catch (error) {
       logger.warn('Failed to fetch official examples, falling back to generated ones', { error: error.message });
@@ -712,7 +1470,7 @@ export class VAComponentMonitor {
    * Fetch examples from VA design system official sources
    * 
    * This fetches real examples from:
-   * 1. GitHub repository Storybook stories (HTML templates only)
+   * 1. GitHub repository Storybook stories (one example per story)
    * 2. Component test files (basic examples)
    */
   async fetchVADesignSystemExamples(component, options = {}) {
@@ -733,26 +1491,32 @@ export class VAComponentMonitor {
   }
 
   /**
-   * Fetch real HTML examples from Storybook story files
-   * 
-   * Looks for the story file and extracts just the HTML template parts
+   * Common Storybook story file locations (based on actual VA repo structure)
    */
-  async fetchStorybookExamples(tagName) {
-    const examples = [];
-    
-    // Try common Storybook story file locations (based on actual VA repo structure)
-    const storyPaths = [
+  getStoryPaths(tagName) {
+    return [
       `packages/storybook/stories/${tagName}.stories.js`,
+      `packages/storybook/stories/${tagName}.stories.jsx`,
       `packages/storybook/stories/${tagName}.stories.ts`,
       `packages/storybook/stories/${tagName}.stories.tsx`,
       `packages/storybook/stories/${tagName}-uswds.stories.js`,
+      `packages/storybook/stories/${tagName}-uswds.stories.jsx`,
       `packages/storybook/stories/${tagName}-uswds.stories.ts`,
       `packages/storybook/stories/${tagName}-uswds.stories.tsx`,
       `packages/web-components/src/components/${tagName}/${tagName}.stories.js`,
       `packages/web-components/src/components/${tagName}/${tagName}.stories.ts`
     ];
+  }
 
-    for (const storyPath of storyPaths) {
+  /**
+   * Fetch real HTML examples from Storybook story files
+   * 
+   * Uses the first story file that has stories rendering the component
+   */
+  async fetchStorybookExamples(tagName) {
+    const examples = [];
+    
+    for (const storyPath of this.getStoryPaths(tagName)) {
       try {
         const storyContent = await this.fetchFileFromGitHub(storyPath);
         if (storyContent) {
@@ -772,122 +1536,310 @@ export class VAComponentMonitor {
   }
 
   /**
-   * Extract only HTML template examples from Storybook story content
-   * 
-   * Looks for JSX/HTML patterns containing the component
+   * Extract examples from Storybook story content
+   *
+   * Each named story that renders the component becomes one example carrying the story
+   * name, its args (meta args merged with the story's own) and the template rendered with
+   * those args. Expressions that couldn't be resolved stay in the code as `{expression}`
+   * and are listed in `unresolved`. A story whose template can't be rendered keeps its
+   * template markup as the code and has `rendered: false`.
    */
   extractHTMLFromStorybook(content, tagName, filePath) {
-    const examples = [];
+    let parsed;
+    try {
+      parsed = parseStories(content);
+    } catch (error) {
+      logger.warn(`Failed to parse story file ${filePath}`, { error: error.message });
+      return [];
+    }
+
+    // Stories may render the web component or its React binding (va-button -> VaButton)
+    const rendersComponent = new RegExp(`<(${tagName}|${toBindingName(tagName)})(?![\\w-])`);
+
+    return parsed.stories
+      .filter(story => story.markup && rendersComponent.test(story.html || story.markup))
+      .map(story => ({
+        title: story.name,
+        description: `"${story.name}" story from ${filePath}`,
+        code: story.html || story.markup,
+        framework: 'HTML/Web Components',
+        source: 'storybook',
+        story: story.exportName,
+        args: story.args,
+        rendered: story.html !== null,
+        unresolved: story.unresolved
+      }));
+  }
+
+  /**
+   * Fetch a file from the VA component library GitHub repository
+   */
+  async fetchFileFromGitHub(filePath) {
+    if (this.offline) {
+      const snapshot = await this._getSnapshot();
+      return snapshot.readFile(filePath);
+    }
+
+    const { ref } = await this.resolveRef();
+    const url = buildRawUrl(ref, filePath);
     
-    // Pattern 1: JSX return statements with component (most common in VA stories)
-    const jsxReturnRegex = new RegExp(`return\\s*\\([\\s\\S]*?(<${tagName}[\\s\\S]*?</${tagName}>)[\\s\\S]*?\\)`, 'gi');
-    const jsxMatches = [...content.matchAll(jsxReturnRegex)];
-    
-    jsxMatches.forEach((match, index) => {
-      const htmlContent = this.cleanExtractedHTML(match[1]);
-      if (htmlContent && htmlContent.length > 10) {
-        examples.push({
-          title: `Storybook Example ${index + 1}`,
-          description: `Official example from ${filePath}`,
-          code: htmlContent,
-          framework: 'HTML/Web Components',
-          source: 'storybook'
-        });
+    try {
+      return await this._fetchWithCache(url, conditionalHeaders => this._requestGitHubFile(url, filePath, conditionalHeaders));
+    } catch (error) {
+      if (error instanceof VAComponentError) {
+        throw error;
       }
-    });
+      logger.info(`File not found or error: ${filePath} - ${error.message}`);
+      return null;
+    }
+  }
 
-    // Pattern 2: Direct JSX elements (for simpler cases)
-    const directJsxRegex = new RegExp(`(<${tagName}[\\s\\S]*?</${tagName}>)`, 'gi');
-    const directMatches = [...content.matchAll(directJsxRegex)];
-    
-    directMatches.forEach((match, index) => {
-      const htmlContent = this.cleanExtractedHTML(match[1]);
-      if (htmlContent && htmlContent.length > 10 && !examples.some(ex => ex.code.includes(htmlContent.slice(0, 50)))) {
-        examples.push({
-          title: `Storybook Direct Example ${index + 1}`,
-          description: `Official template from ${filePath}`,
-          code: htmlContent,
-          framework: 'HTML/Web Components',
-          source: 'storybook'
-        });
+  async _requestGitHubFile(url, filePath, conditionalHeaders = {}) {
+    logger.info(`Checking for story file: ${filePath}`);
+    
+    const headers = {
+      'User-Agent': 'VA-Design-System-Monitor/2.1.0',
+      'Accept': 'text/plain',
+      ...conditionalHeaders,
+    };
+    
+    // Add GitHub token if available for higher rate limits
+    const githubToken = process.env.GITHUB_TOKEN || process.env.GITHUB_API_TOKEN;
+    if (githubToken) {
+      headers['Authorization'] = `token ${githubToken}`;
+    }
+    
+    // Add respectful delay
+    await new Promise(resolve => setTimeout(resolve, 500));
+    
+    const response = await fetchWithTimeout(url, { headers }, this.requestTimeout);
+    
+    // Handle rate limiting
+    if (response.status === 403) {
+      const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
+      if (rateLimitRemaining === '0') {
+        const rateLimitReset = response.headers.get('x-ratelimit-reset');
+        const resetTime = rateLimitReset ? new Date(parseInt(rateLimitReset) * 1000).toISOString() : 'unknown';
+        throw new VAComponentError(this.getRateLimitErrorMessage(resetTime), 'RATE_LIMIT_EXCEEDED');
       }
+    }
+    
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    
+    if (response.status === 404) {
+      return { content: null }; // File doesn't exist, that's OK
+    }
+    
+    if (!response.ok) {
+      throw new VAComponentError(`Failed to fetch ${filePath}: ${response.status}`, 'FETCH_ERROR');
+    }
+    
+    return {
+      content: await response.text(),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified')
+    };
+  }
+
+  /**
+   * Store a component set in the history, once per fetched set
+   */
+  async _recordSnapshot(components) {
+    if (this.lastHistoryResult && this.lastHistoryResult.components === components) {
+      return this.lastHistoryResult.result;
+    }
+
+    const result = await this.historyStore.record(components, {
+      ref: this.customUrl ? null : (await this.resolveRef()).ref,
+      source: this.offline ? this.snapshotPath : await this.getDefinitionsUrl()
     });
 
-    return examples;
+    result.events.forEach(event => logger.info(`Component change: ${event.message}`));
+    this.lastHistoryResult = { components, result };
+    return result;
+  }
+
+  /**
+   * Fetch the current components and record them in the history
+   *
+   * Returns the snapshot summary and the change events since the previous snapshot of the same ref.
+   */
+  async recordHistory(forceRefresh = true) {
+    const components = await this.getComponents(forceRefresh);
+    return this._recordSnapshot(components);
+  }
+
+  /**
+   * List recorded history snapshots, oldest first
+   */
+  async getHistory(options = {}) {
+    return this.historyStore.list(options);
+  }
+
+  /**
+   * List every recorded change event, oldest first
+   */
+  async getHistoryEvents(options = {}) {
+    return this.historyStore.events(options);
   }
 
   /**
-   * Clean up extracted HTML content
+   * Maturity and prop timeline of one component across the recorded history
    */
-  cleanExtractedHTML(html) {
-    return html
-      .replace(/\\n/g, '\n')
-      .replace(/\\t/g, '  ')
-      .replace(/\\"/g, '"')
-      .replace(/\\'/g, "'")
-      // Convert JSX attributes to HTML attributes
-      .replace(/className=/g, 'class=')
-      // Clean up extra whitespace
-      .replace(/\s+/g, ' ')
-      .replace(/>\s+</g, '><')
-      // Format for readability
-      .replace(/><va-/g, '>\n  <va-')
-      .replace(/<\/va-radio>/g, '\n</va-radio>')
-      .trim();
+  async getComponentTimeline(componentName, options = {}) {
+    if (typeof componentName !== 'string' || componentName.trim().length === 0) {
+      throw new VAComponentError("Parameter 'componentName' must be a non-empty string", 'INVALID_INPUT');
+    }
+    return this.historyStore.timeline(componentName.trim(), options);
+  }
+
+  /**
+   * Remove all recorded history snapshots
+   */
+  async clearHistory() {
+    return this.historyStore.clear();
+  }
+
+  /**
+   * Poll for component changes, recording each fetch in the history
+   *
+   * Returns an EventEmitter that emits `change` for every change event, `check` after each
+   * poll and `error` when a poll fails. Call `stop()` on it to stop polling.
+   */
+  watch(options = {}) {
+    const interval = options.interval === undefined ? DEFAULT_WATCH_INTERVAL : options.interval;
+    if (typeof interval !== 'number' || interval < 1000) {
+      throw new VAComponentError('Watch interval must be at least 1000ms', 'INVALID_OPTIONS');
+    }
+
+    const watcher = new EventEmitter();
+    let timer = null;
+    let stopped = false;
+    let lastResult = null;
+
+    const poll = async () => {
+      try {
+        const result = await this.recordHistory(true);
+        if (stopped) return;
+        // A failed refresh falls back to the previous components; don't repeat their events
+        if (result !== lastResult) {
+          result.events.forEach(event => watcher.emit('change', event));
+        }
+        lastResult = result;
+        watcher.emit('check', result);
+      } catch (error) {
+        // An EventEmitter throws on unhandled 'error' events, which would end the polling loop
+        if (!stopped && watcher.listenerCount('error') > 0) {
+          watcher.emit('error', error);
+        }
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, interval);
+      }
+    };
+
+    watcher.stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+
+    timer = setTimeout(poll, 0);
+    return watcher;
+  }
+
+  /**
+   * Report the location, size and entries of the persistent cache
+   */
+  async getCacheStatus() {
+    if (!this.cache) {
+      return { enabled: false, directory: null, entries: 0, totalSize: 0, maxSize: 0, items: [] };
+    }
+    return { enabled: true, ...(await this.cache.status()) };
   }
 
-  /**
-   * Fetch a file from the VA component library GitHub repository
-   */
-  async fetchFileFromGitHub(filePath) {
-    const fetch = await getFetch();
-    const url = `https://raw.githubusercontent.com/department-of-veterans-affairs/component-library/main/${filePath}`;
-    
-    try {
-      logger.info(`Checking for story file: ${filePath}`);
-      
-      const headers = {
-        'User-Agent': 'VA-Design-System-Monitor/2.1.0',
-        'Accept': 'text/plain',
-      };
-      
-      // Add GitHub token if available for higher rate limits
-      const githubToken = process.env.GITHUB_TOKEN || process.env.GITHUB_API_TOKEN;
-      if (githubToken) {
-        headers['Authorization'] = `token ${githubToken}`;
-      }
-      
-      // Add respectful delay
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const response = await fetchWithTimeout(url, { headers }, this.requestTimeout);
-      
-      // Handle rate limiting
-      if (response.status === 403) {
-        const rateLimitRemaining = response.headers.get('x-ratelimit-remaining');
-        if (rateLimitRemaining === '0') {
-          const rateLimitReset = response.headers.get('x-ratelimit-reset');
-          const resetTime = rateLimitReset ? new Date(parseInt(rateLimitReset) * 1000).toISOString() : 'unknown';
-          throw new VAComponentError(this.getRateLimitErrorMessage(resetTime), 'RATE_LIMIT_EXCEEDED');
+  /**
+   * Remove all persistent cache entries and reset the in-memory component cache
+   */
+  async clearCache() {
+    this.components = new Map();
+    this.lastFetch = null;
+    return this.cache ? await this.cache.clear() : 0;
+  }
+
+  /**
+   * Pre-populate the persistent cache with component definitions and Storybook story files
+   */
+  async warmCache(options = {}) {
+    const components = await this.getComponents(true);
+    const result = { components: components.size, storyFiles: 0, missingStories: [] };
+
+    if (options.stories === false) {
+      return result;
+    }
+
+    for (const component of components.values()) {
+      if (!component.tagName) continue;
+
+      const examples = await this.fetchStorybookExamples(component.tagName);
+      if (examples.length > 0) {
+        result.storyFiles++;
+      } else {
+        result.missingStories.push(component.tagName);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Write a snapshot of the component definitions and Storybook story files for offline use
+   *
+   * Writes a gzipped tarball when outputPath ends in .tgz/.tar.gz, otherwise a directory.
+   */
+  async createSnapshot(outputPath, options = {}) {
+    const definitions = await this.fetchComponentDefinitions(true);
+    const components = this.parseComponentMetadata(definitions);
+
+    if (components.size === 0) {
+      throw new VAComponentError('No components found in definitions', 'NO_COMPONENTS_FOUND');
+    }
+
+    const files = new Map([[COMPONENT_DEFINITIONS_PATH, definitions]]);
+
+    if (options.stories !== false) {
+      for (const component of components.values()) {
+        if (!component.tagName) continue;
+
+        // Mirror fetchStorybookExamples: stop at the first story file that yields examples
+        for (const storyPath of this.getStoryPaths(component.tagName)) {
+          const content = await this.fetchFileFromGitHub(storyPath);
+          if (!content) continue;
+
+          files.set(storyPath, content);
+          if (this.extractHTMLFromStorybook(content, component.tagName, storyPath).length > 0) {
+            break;
+          }
         }
       }
-      
-      if (response.status === 404) {
-        return null; // File doesn't exist, that's OK
-      }
-      
-      if (!response.ok) {
-        throw new VAComponentError(`Failed to fetch ${filePath}: ${response.status}`, 'FETCH_ERROR');
-      }
-      
-      return await response.text();
-      
+    }
+
+    const manifest = {
+      version: 1,
+      createdAt: new Date().toISOString(),
+      source: this.offline ? this.snapshotPath : await this.getDefinitionsUrl(),
+      ref: this.customUrl ? null : (await this.resolveRef()).ref,
+      components: components.size,
+      files: Array.from(files.keys())
+    };
+    files.set(SNAPSHOT_MANIFEST, JSON.stringify(manifest, null, 2));
+
+    try {
+      const path = await writeSnapshot(outputPath, files);
+      return { path, ...manifest };
     } catch (error) {
-      if (error instanceof VAComponentError) {
-        throw error;
-      }
-      logger.info(`File not found or error: ${filePath} - ${error.message}`);
-      return null;
+      throw new VAComponentError('Failed to write snapshot', 'SNAPSHOT_ERROR', { path: outputPath, originalError: error.message });
     }
   }
 
@@ -903,12 +1855,13 @@ export class VAComponentMonitor {
    * Generate example implementations for a specific component
    */
   async getComponentExamples(componentName, options = {}) {
+    const framework = this.resolveExampleFramework(options.framework);
     const component = await this.getComponentByName(componentName);
     if (!component) {
       return null;
     }
 
-    const examples = this.generateExamples(component, options);
+    const examples = await this.convertExamples(this.generateExamples(component, options), framework);
     
     return {
       component: {
@@ -922,6 +1875,39 @@ export class VAComponentMonitor {
     };
   }
 
+  /**
+   * Validate the `framework` examples option (default: html)
+   */
+  resolveExampleFramework(framework = 'html') {
+    const name = String(framework).toLowerCase();
+    if (!EXAMPLE_FRAMEWORKS.includes(name)) {
+      throw new VAComponentError(
+        `Unknown example framework "${framework}". Use one of: ${EXAMPLE_FRAMEWORKS.join(', ')}`,
+        'INVALID_OPTIONS',
+        { framework }
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Convert HTML examples to another framework's syntax
+   *
+   * Prop types and events come from the loaded component definitions, so React bindings get
+   * real boolean/number/object values and a handler for each component event.
+   */
+  async convertExamples(examples, framework) {
+    if (framework === 'html') {
+      return examples;
+    }
+
+    const components = await this.getComponents();
+    return examples.map(example => {
+      const { code, imports } = convertMarkup(example.code, framework, components);
+      return { ...example, code, framework: FRAMEWORK_LABELS[framework], ...(imports.length > 0 ? { imports } : {}) };
+    });
+  }
+
   /**
    * Generate various example implementations based on component properties
    * 
@@ -957,6 +1943,10 @@ export class VAComponentMonitor {
       examples.push(this.generateFormContextExample(tagName, analysis));
     }
 
+    if (analysis.isInteractive) {
+      examples.push(this.generateEventListenerExample(tagName, analysis));
+    }
+
     return examples.filter(Boolean); // Remove any null examples
   }
 
@@ -978,8 +1968,8 @@ export class VAComponentMonitor {
       eventProps: [],
       // Required properties
       requiredProps: [],
-      // Child/slot properties
-      slotProps: [],
+      // Documented slots
+      slots: [],
       
       // Semantic flags
       isFormRelated: false,
@@ -1026,18 +2016,6 @@ export class VAComponentMonitor {
         analysis.configProps.push(prop);
       }
       
-      // Event handlers
-      else if (this.isEventProp(propName, propType)) {
-        analysis.eventProps.push(prop);
-        analysis.isInteractive = true;
-      }
-
-      // Slot/content props
-      else if (this.isSlotProp(propName, propType)) {
-        analysis.slotProps.push(prop);
-        analysis.hasSlots = true;
-      }
-
       // Form-related detection
       if (this.isFormRelatedProp(propName)) {
         analysis.isFormRelated = true;
@@ -1049,6 +2027,12 @@ export class VAComponentMonitor {
       }
     });
 
+    // Events and slots come from the component definition rather than prop names
+    analysis.eventProps = component.events || [];
+    analysis.isInteractive = analysis.eventProps.length > 0;
+    analysis.slots = component.slots || [];
+    analysis.hasSlots = analysis.slots.length > 0;
+
     // Infer purpose from property patterns (not component name)
     analysis.inferredPurpose = this.inferPurposeFromProperties(analysis);
     
@@ -1135,28 +2119,6 @@ export class VAComponentMonitor {
            propType.includes('enum');
   }
 
-  /**
-   * Determine if a prop is an event handler
-   */
-  isEventProp(propName, propType) {
-    return propName.startsWith('on') && 
-           (propType.includes('=>') || propType.includes('function'));
-  }
-
-  /**
-   * Determine if a prop is for slots/content insertion
-   */
-  isSlotProp(propName, propType) {
-    const slotPatterns = [
-      /slot/,
-      /content/,
-      /body/,
-      /children/
-    ];
-    
-    return slotPatterns.some(pattern => pattern.test(propName));
-  }
-
   /**
    * Determine if a prop is form-related
    */
@@ -1469,27 +2431,47 @@ export class VAComponentMonitor {
   }
 
   /**
-   * Generate appropriate slot content based on inferred purpose
+   * Generate children for the component's documented slots
+   *
+   * Named slots come first, in the order they are documented, and the default slot's
+   * content last. Text follows the inferred purpose.
    */
   generateSlotContent(analysis) {
-    switch (analysis.inferredPurpose) {
-      case 'notification':
-        return analysis.hasSlots ? 
-          `\n  <h2 slot="headline">Important Update</h2>\n  <p>Please review the updated information before proceeding.</p>\n` : 
-          '';
-      
-      case 'container':
-        return analysis.hasSlots ? 
-          `\n  <h2 slot="headline">Service Information</h2>\n  <p>Learn about the benefits and services available to you.</p>\n` : 
-          '';
-      
-      case 'action':
-      case 'input':
-      case 'navigation':
-      case 'data':
-      default:
-        return '';
+    if (!analysis.hasSlots) {
+      return '';
+    }
+
+    const text = analysis.inferredPurpose === 'notification'
+      ? { heading: 'Important Update', body: 'Please review the updated information before proceeding.' }
+      : { heading: 'Service Information', body: 'Learn about the benefits and services available to you.' };
+    const slots = [
+      ...analysis.slots.filter(slot => slot.name),
+      ...analysis.slots.filter(slot => !slot.name)
+    ];
+
+    return `\n${slots.map(slot => `  ${this.generateSlotElement(slot, text)}`).join('\n')}\n`;
+  }
+
+  /**
+   * Pick an element for a slot based on its name
+   */
+  generateSlotElement(slot, text) {
+    const name = slot.name.toLowerCase();
+    const attribute = slot.name ? ` slot="${slot.name}"` : '';
+
+    if (/head|title/.test(name)) {
+      return `<h2${attribute}>${text.heading}</h2>`;
+    }
+    if (/link/.test(name)) {
+      return `<a${attribute} href="/example-page">Learn more</a>`;
+    }
+    if (/button|action/.test(name)) {
+      return `<va-button${attribute} text="Continue"></va-button>`;
     }
+    if (!slot.name || /body|content|description|message|text|footer/.test(name)) {
+      return `<p${attribute}>${text.body}</p>`;
+    }
+    return `<div${attribute}>${text.body}</div>`;
   }
 
   /**
@@ -1700,6 +2682,32 @@ export class VAComponentMonitor {
     };
   }
 
+  /**
+   * Listen for the component's custom events by their DOM event names
+   *
+   * Framework conversions drop the script and wire the same events as handler props.
+   */
+  generateEventListenerExample(tagName, analysis) {
+    const { code } = this.generateSemanticBasicExample(tagName, analysis);
+    const listeners = analysis.eventProps.map(event => {
+      const detail = event.detailType && event.detailType !== 'any' ? ` // ${event.detailType}` : '';
+      return `  element.addEventListener('${event.eventName}', event => {
+    console.log(event.detail);${detail}
+  });`;
+    });
+
+    return {
+      title: 'Handling Events',
+      description: `Listening for ${analysis.eventProps.map(event => event.eventName).join(', ')}`,
+      code: `${code}
+<script>
+  const element = document.querySelector('${tagName}');
+${listeners.join('\n')}
+</script>`,
+      framework: 'HTML/Web Components'
+    };
+  }
+
   /**
    * Generate helpful error message for rate limit issues
    */
@@ -1770,6 +2778,86 @@ export class VAComponentMonitor {
  * Production-ready convenience functions with validation
  */
 
+/**
+ * Load the project config for convenience functions called with `config: true` (search
+ * from `cwd`) or `config: '<path>'`
+ */
+async function resolveConfigOption(options) {
+  if (!options || (options.config !== true && typeof options.config !== 'string')) {
+    return options;
+  }
+  const config = await loadConfig({
+    cwd: options.cwd,
+    configFile: typeof options.config === 'string' ? options.config : undefined
+  });
+  return { ...options, config };
+}
+
+// Load a .vadsmonitorrc / va-monitor.config.js file (null when none is found)
+export async function loadConfig(options = {}) {
+  try {
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+    return await loadConfigFile(options);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError(error.message, 'CONFIG_ERROR', { originalError: error.message });
+  }
+}
+
+// Read a baseline file written by saveBaseline
+export async function loadBaseline(path) {
+  try {
+    if (typeof path !== 'string' || path.length === 0) {
+      throw new VAComponentError("Parameter 'path' must be a file path", 'INVALID_INPUT');
+    }
+    return await readBaseline(path);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    const notFound = error.code === 'ENOENT';
+    throw new VAComponentError(
+      notFound ? `Baseline not found: ${path}` : `Failed to read baseline: ${error.message}`,
+      'BASELINE_ERROR',
+      { path, notFound, originalError: error.message }
+    );
+  }
+}
+
+// Record the current findings (lint issues, scan issues or attribute findings) as a baseline.
+// With `options.scope`, only that scope's entries in an existing file are replaced.
+export async function saveBaseline(path, findings, options = {}) {
+  try {
+    if (typeof path !== 'string' || path.length === 0) {
+      throw new VAComponentError("Parameter 'path' must be a file path", 'INVALID_INPUT');
+    }
+    if (!Array.isArray(findings)) {
+      throw new VAComponentError("Parameter 'findings' must be an array", 'INVALID_INPUT');
+    }
+    // Entries from other scopes (commands) sharing the file are kept
+    const previous = options.scope
+      ? await readBaseline(path).catch(error => {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      })
+      : null;
+    const baseline = createBaseline(findings, { ...options, previous });
+    await writeBaseline(path, baseline);
+    return baseline;
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError(`Failed to write baseline: ${error.message}`, 'BASELINE_ERROR', { path, originalError: error.message });
+  }
+}
+
 // Convenience function for quick checks
 export async function checkComponent(componentName, options = {}) {
   try {
@@ -1778,7 +2866,7 @@ export async function checkComponent(componentName, options = {}) {
       throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
     }
     
-    const monitor = new VAComponentMonitor(options);
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
     return await monitor.getComponentByName(componentName);
   } catch (error) {
     if (error instanceof VAComponentError) {
@@ -1788,6 +2876,25 @@ export async function checkComponent(componentName, options = {}) {
   }
 }
 
+// Convenience function for ranked component search
+export async function searchComponents(query, options = {}) {
+  try {
+    validateInput(query, 'string', 'query');
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+
+    const { limit, minScore, ...monitorOptions } = options;
+    const monitor = new VAComponentMonitor(await resolveConfigOption(monitorOptions));
+    return await monitor.searchComponents(query, { limit, minScore });
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to search for components', 'SEARCH_ERROR', { originalError: error.message });
+  }
+}
+
 // Convenience function for validation
 export async function validateComponents(componentNames, options = {}) {
   try {
@@ -1816,7 +2923,7 @@ export async function validateComponents(componentNames, options = {}) {
       throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
     }
     
-    const monitor = new VAComponentMonitor(options);
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
     return await monitor.validateComponents(componentNames);
   } catch (error) {
     if (error instanceof VAComponentError) {
@@ -1854,7 +2961,7 @@ export async function lintComponents(componentNames, options = {}) {
       throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
     }
     
-    const monitor = new VAComponentMonitor(options);
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
     return await monitor.lintComponents(componentNames);
   } catch (error) {
     if (error instanceof VAComponentError) {
@@ -1864,6 +2971,184 @@ export async function lintComponents(componentNames, options = {}) {
   }
 }
 
+// Convenience function for scanning a project
+export async function scanProject(patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+  try {
+    const patternList = Array.isArray(patterns) ? patterns : [patterns];
+    if (patternList.length === 0) {
+      throw new VAComponentError('patterns array cannot be empty', 'INVALID_INPUT');
+    }
+
+    patternList.forEach((pattern, index) => {
+      if (typeof pattern !== 'string' || pattern.trim().length === 0) {
+        throw new VAComponentError(`Invalid glob pattern at index ${index}`, 'INVALID_INPUT');
+      }
+    });
+
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
+    return await monitor.scanProject(patternList, options);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to scan project', 'SCAN_ERROR', { originalError: error.message });
+  }
+}
+
+// Convenience function for validating component attributes in markup
+export async function validateMarkup(source, options = {}) {
+  try {
+    if (typeof source !== 'string' || source.trim().length === 0) {
+      throw new VAComponentError("Parameter 'source' must be a non-empty string", 'INVALID_INPUT');
+    }
+
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+    
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
+    return await monitor.validateMarkup(source, options);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to validate markup', 'VALIDATION_ERROR', { originalError: error.message });
+  }
+}
+
+// Convenience function for reviewing a markup snippet for VA compliance
+export async function reviewMarkup(source, options = {}) {
+  try {
+    if (typeof source !== 'string' || source.trim().length === 0) {
+      throw new VAComponentError("Parameter 'source' must be a non-empty string", 'INVALID_INPUT');
+    }
+
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+    
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
+    return await monitor.reviewMarkup(source, options);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to review markup', 'VALIDATION_ERROR', { originalError: error.message });
+  }
+}
+
+// Convenience function for validating component attributes across project files
+export async function validateMarkupFiles(patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+  try {
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+    
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
+    return await monitor.validateMarkupFiles(Array.isArray(patterns) ? patterns : [patterns], options);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to validate markup files', 'VALIDATION_ERROR', { originalError: error.message });
+  }
+}
+
+// Convenience function for comparing the components of two component-library refs
+export async function diffRefs(fromRef, toRef, options = {}) {
+  try {
+    [fromRef, toRef].forEach((ref, index) => {
+      if (typeof ref !== 'string' || ref.trim().length === 0) {
+        throw new VAComponentError(`Parameter '${index === 0 ? 'fromRef' : 'toRef'}' must be a non-empty string`, 'INVALID_INPUT');
+      }
+    });
+
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+
+    options = await resolveConfigOption(options);
+    const monitors = [fromRef, toRef].map(ref => new VAComponentMonitor({ ...options, ref }));
+    if (monitors[0].offline) {
+      // A snapshot holds a single ref, so both sides would be identical
+      throw new VAComponentError('Comparing refs needs network access and cannot run in offline mode', 'INVALID_OPTIONS');
+    }
+
+    const [before, after] = await Promise.all(monitors.map(monitor => monitor.getComponents()));
+    const [from, to] = await Promise.all(monitors.map(monitor => monitor.resolveRef()));
+
+    return diffComponentSets(before, after, { from: from.ref, to: to.ref });
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to compare component versions', 'DIFF_ERROR', { originalError: error.message });
+  }
+}
+
+// Convenience function for finding the usages an upgrade to targetRef would affect
+export async function checkUpgrade(targetRef, patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+  try {
+    if (typeof targetRef !== 'string' || targetRef.trim().length === 0) {
+      throw new VAComponentError("Parameter 'targetRef' must be a non-empty string", 'INVALID_INPUT');
+    }
+
+    const patternList = Array.isArray(patterns) ? patterns : [patterns];
+    if (patternList.length === 0) {
+      throw new VAComponentError('patterns array cannot be empty', 'INVALID_INPUT');
+    }
+
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+
+    // The current version defaults to the one installed in the scanned project
+    const projectDir = options.projectDir || options.cwd || process.cwd();
+    options = await resolveConfigOption(options);
+    const current = new VAComponentMonitor({ ...options, projectDir, ref: options.ref || INSTALLED_REF });
+    const target = new VAComponentMonitor({ ...options, projectDir, ref: targetRef });
+    if (current.offline) {
+      throw new VAComponentError('Checking an upgrade needs network access and cannot run in offline mode', 'INVALID_OPTIONS');
+    }
+
+    const [before, after, scan] = await Promise.all([
+      current.getComponents(),
+      target.getComponents(),
+      scanFiles(patternList, target._getScanOptions(options))
+    ]);
+    const [from, to] = await Promise.all([current.resolveRef(), target.resolveRef()]);
+
+    const changes = diffComponentSets(before, after, { from: from.ref, to: to.ref });
+    const usages = scan.files.reduce((all, result) => all.concat(result.usages), []);
+    const result = analyzeUpgradeImpact(usages, changes, await target._getComponentsByTagName());
+    const { findings, suppressions } = target._applySuppressions(result.impacts, scan.files, Object.values(UpgradeImpactType), options);
+    const affectedFiles = Array.from(new Set(findings.map(impact => impact.file))).sort();
+
+    return {
+      from: from.ref,
+      to: to.ref,
+      root: scan.root,
+      ...result,
+      impacts: findings,
+      affectedFiles,
+      suppressions,
+      hasErrors: findings.some(impact => impact.severity === 'error'),
+      hasWarnings: findings.some(impact => impact.severity === 'warning'),
+      changes,
+      summary: { filesScanned: scan.files.length, affectedFiles: affectedFiles.length, ...result.summary, suppressed: suppressions.suppressed.length }
+    };
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to check upgrade impact', 'UPGRADE_ERROR', { originalError: error.message });
+  }
+}
+
 // Convenience function for getting component properties
 export async function getComponentProperties(componentName, options = {}) {
   try {
@@ -1872,7 +3157,7 @@ export async function getComponentProperties(componentName, options = {}) {
       throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
     }
     
-    const monitor = new VAComponentMonitor(options);
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
     return await monitor.getComponentProperties(componentName);
   } catch (error) {
     if (error instanceof VAComponentError) {
@@ -1882,6 +3167,24 @@ export async function getComponentProperties(componentName, options = {}) {
   }
 }
 
+// Convenience function for getting component events
+export async function getComponentEvents(componentName, options = {}) {
+  try {
+    validateInput(componentName, 'string', 'componentName');
+    if (options && typeof options !== 'object') {
+      throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
+    }
+    
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
+    return await monitor.getComponentEvents(componentName);
+  } catch (error) {
+    if (error instanceof VAComponentError) {
+      throw error;
+    }
+    throw new VAComponentError('Failed to get component events', 'EVENTS_ERROR', { originalError: error.message });
+  }
+}
+
 // Convenience function for getting component examples
 export async function getComponentExamples(componentName, options = {}) {
   try {
@@ -1890,7 +3193,7 @@ export async function getComponentExamples(componentName, options = {}) {
       throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
     }
     
-    const monitor = new VAComponentMonitor(options);
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
     return await monitor.getComponentExamples(componentName, options);
   } catch (error) {
     if (error instanceof VAComponentError) {
@@ -1908,7 +3211,7 @@ export async function getOfficialExamples(componentName, options = {}) {
       throw new VAComponentError('Options must be an object', 'INVALID_OPTIONS');
     }
     
-    const monitor = new VAComponentMonitor(options);
+    const monitor = new VAComponentMonitor(await resolveConfigOption(options));
     return await monitor.getOfficialExamples(componentName, options);
   } catch (error) {
     if (error instanceof VAComponentError) {
@@ -1960,9 +3263,29 @@ export const ErrorCodes = Object.freeze({
   VALIDATION_ERROR: 'VALIDATION_ERROR',
   LINT_ERROR: 'LINT_ERROR',
   PROPERTIES_ERROR: 'PROPERTIES_ERROR',
+  EVENTS_ERROR: 'EVENTS_ERROR',
   EXAMPLES_ERROR: 'EXAMPLES_ERROR',
+  SCAN_ERROR: 'SCAN_ERROR',
+  SNAPSHOT_ERROR: 'SNAPSHOT_ERROR',
+  SNAPSHOT_NOT_FOUND: 'SNAPSHOT_NOT_FOUND',
+  REF_NOT_RESOLVED: 'REF_NOT_RESOLVED',
+  DIFF_ERROR: 'DIFF_ERROR',
+  UPGRADE_ERROR: 'UPGRADE_ERROR',
+  CONFIG_ERROR: 'CONFIG_ERROR',
+  BASELINE_ERROR: 'BASELINE_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 });
 
+export { extractComponentUsages, extractNativeElements, DEFAULT_SCAN_PATTERNS, DEFAULT_IGNORE_PATTERNS } from './scanner.js';
+export { DEFAULT_REF, INSTALLED_REF, findInstalledVersion } from './ref.js';
+export { diffComponentSets } from './diff.js';
+export { analyzeUpgradeImpact, UpgradeImpactType } from './upgrade.js';
+export { ChangeEventType } from './history.js';
+export { createSarifLog, getGuidanceUrl } from './sarif.js';
+export { CONFIG_FILES, PolicyIssueType } from './config.js';
+export { compareWithBaseline, fingerprintFinding, DEFAULT_BASELINE_FILE } from './baseline.js';
+export { EXAMPLE_FRAMEWORKS, REACT_BINDINGS_PACKAGE, convertMarkup } from './frameworks.js';
+
 // Default export
 export default VAComponentMonitor; 
\ No newline at end of file
@@ -0,0 +1,397 @@
+/**
+ * MCP over HTTP
+ *
+ * Hosts one MCP server per client session in a single process so every editor shares the
+ * warmed-up component cache:
+ *
+ *   transport 'http' (Streamable HTTP)
+ *     POST   /mcp   JSON-RPC message or batch; responses are returned as JSON. The
+ *                   initialize request creates a session, returned in Mcp-Session-Id
+ *     GET    /mcp   Server-sent event stream for notifications (e.g. resources/updated)
+ *     DELETE /mcp   End the session
+ *
+ *   transport 'sse' (HTTP with server-sent events)
+ *     GET    /sse                   Open a session stream (announces the message endpoint)
+ *     POST   /messages?sessionId=   Send a JSON-RPC message to the session
+ *
+ * With a token, every MCP request needs `Authorization: Bearer <token>`. GET /health is
+ * always open.
+ */
+
+import { createServer as createHttpServer } from 'http';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+export const MCP_TRANSPORTS = Object.freeze(['stdio', 'http', 'sse']);
+export const DEFAULT_MCP_PORT = 3333;
+export const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+export const DEFAULT_MAX_SESSIONS = 100;
+
+const MAX_MESSAGE_SIZE = 4 * 1024 * 1024;
+const SESSION_HEADER = 'mcp-session-id';
+
+// JSON-RPC error codes used for transport-level failures
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const SERVER_ERROR = -32000;
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_MESSAGE_SIZE) {
+        reject(new Error(`Message exceeds ${MAX_MESSAGE_SIZE} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+function isAuthorized(req, token) {
+  if (!token) {
+    return true;
+  }
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function isRequest(message) {
+  return !!message && !!message.method && message.id !== undefined;
+}
+
+/**
+ * Streamable HTTP transport for one session
+ *
+ * Requests arrive through handlePost; their responses are collected and returned in the
+ * same HTTP response. Each request is passed to the server under a transport-assigned id,
+ * so concurrent POSTs that reuse a JSON-RPC id still get their own responses. Anything else
+ * the server sends (notifications, server requests) goes to the session's open GET stream,
+ * and is dropped when the client has none open.
+ */
+export class StreamableHttpServerTransport {
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    // transport id -> { id: the client's id, resolve }
+    this._pending = new Map();
+    this._nextId = 1;
+    this._stream = null;
+  }
+
+  async start() {}
+
+  async send(message) {
+    const isResponse = message.id !== undefined && (message.result !== undefined || message.error !== undefined);
+    if (isResponse && this._pending.has(message.id)) {
+      const { id, resolve } = this._pending.get(message.id);
+      this._pending.delete(message.id);
+      resolve({ ...message, id });
+      return;
+    }
+    if (this._stream) {
+      this._stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+  }
+
+  async close() {
+    if (this._stream) {
+      this._stream.end();
+      this._stream = null;
+    }
+    for (const { id, resolve } of this._pending.values()) {
+      if (resolve) {
+        resolve({ jsonrpc: '2.0', id, error: { code: SERVER_ERROR, message: 'Session closed' } });
+      }
+    }
+    this._pending.clear();
+    if (this.onclose) {
+      this.onclose();
+    }
+  }
+
+  /**
+   * Deliver a POSTed message or batch and resolve with the responses to its requests
+   */
+  async handlePost(messages) {
+    const batch = (Array.isArray(messages) ? messages : [messages]).map(message => this._translate(message));
+    const responses = batch
+      .filter(isRequest)
+      .map(message => new Promise(resolve => { this._pending.get(message.id).resolve = resolve; }));
+
+    for (const message of batch) {
+      if (this.onmessage) {
+        this.onmessage(message);
+      }
+    }
+
+    const results = await Promise.all(responses);
+    return Array.isArray(messages) ? results : results[0];
+  }
+
+  // Give a request its transport id; point cancellations at the request's transport id
+  _translate(message) {
+    if (isRequest(message)) {
+      const transportId = this._nextId++;
+      this._pending.set(transportId, { id: message.id, resolve: null });
+      return { ...message, id: transportId };
+    }
+    if (message && message.method === 'notifications/cancelled' && message.params) {
+      const entry = Array.from(this._pending.entries()).find(([, pending]) => pending.id === message.params.requestId);
+      if (entry) {
+        return { ...message, params: { ...message.params, requestId: entry[0] } };
+      }
+    }
+    return message;
+  }
+
+  /**
+   * Use an HTTP response as the stream for server-initiated messages
+   */
+  openStream(res) {
+    if (this._stream) {
+      this._stream.end();
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Mcp-Session-Id': this.sessionId
+    });
+    this._stream = res;
+    res.on('close', () => {
+      if (this._stream === res) {
+        this._stream = null;
+      }
+    });
+  }
+}
+
+/**
+ * Create (but don't start) an HTTP server hosting MCP sessions
+ *
+ * Options: `createServer` (returns a new MCP Server for each session), `transport`
+ * ('http' or 'sse'), `token` (bearer token required on MCP routes), `sessionTimeout`
+ * (idle time in ms after which Streamable HTTP sessions are closed) and `maxSessions`
+ * (open sessions beyond which new ones are refused).
+ */
+export function createMcpHttpServer(options = {}) {
+  const {
+    createServer,
+    transport = 'http',
+    token = null,
+    sessionTimeout = DEFAULT_SESSION_TIMEOUT,
+    maxSessions = DEFAULT_MAX_SESSIONS
+  } = options;
+  if (typeof createServer !== 'function') {
+    throw new Error('createServer must be a function returning an MCP server');
+  }
+  if (!['http', 'sse'].includes(transport)) {
+    throw new Error(`Unsupported transport "${transport}". Use http or sse`);
+  }
+
+  // sessionId -> { server, transport, lastSeen }
+  const sessions = new Map();
+
+  async function openSession(sessionTransport) {
+    const server = createServer();
+    const session = { server, transport: sessionTransport, lastSeen: Date.now() };
+    sessions.set(sessionTransport.sessionId, session);
+    await server.connect(sessionTransport);
+
+    // connect() installs the server's own close handler; chain onto it
+    const onclose = sessionTransport.onclose;
+    sessionTransport.onclose = () => {
+      sessions.delete(sessionTransport.sessionId);
+      if (onclose) {
+        onclose();
+      }
+    };
+    return session;
+  }
+
+  async function handleStreamableHttp(req, res) {
+    const sessionId = req.headers[SESSION_HEADER];
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (sessionId && !session) {
+      sendRpcError(res, 404, INVALID_REQUEST, 'Session not found');
+      return;
+    }
+    if (session) {
+      session.lastSeen = Date.now();
+    }
+
+    if (req.method === 'GET') {
+      if (!session) {
+        sendRpcError(res, 400, INVALID_REQUEST, 'Mcp-Session-Id header is required');
+        return;
+      }
+      session.transport.openStream(res);
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (!session) {
+        sendRpcError(res, 400, INVALID_REQUEST, 'Mcp-Session-Id header is required');
+        return;
+      }
+      await session.transport.close();
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+      return;
+    }
+
+    let messages;
+    try {
+      messages = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendRpcError(res, 400, PARSE_ERROR, `Parse error: ${error.message}`);
+      return;
+    }
+
+    const batch = Array.isArray(messages) ? messages : [messages];
+    const requestIds = batch.filter(isRequest).map(message => message.id);
+    if (new Set(requestIds).size !== requestIds.length) {
+      sendRpcError(res, 400, INVALID_REQUEST, 'Request ids in a batch must be unique');
+      return;
+    }
+
+    const initializing = batch.some(message => message && message.method === 'initialize');
+    let target = session;
+    if (!target) {
+      if (!initializing) {
+        sendRpcError(res, 400, INVALID_REQUEST, 'Mcp-Session-Id header is required');
+        return;
+      }
+      if (sessions.size >= maxSessions) {
+        sendRpcError(res, 503, SERVER_ERROR, 'Too many open sessions');
+        return;
+      }
+      target = await openSession(new StreamableHttpServerTransport(randomBytes(16).toString('hex')));
+    }
+
+    const hasRequests = requestIds.length > 0;
+    const result = target.transport.handlePost(messages);
+    if (!hasRequests) {
+      res.writeHead(202, { 'Mcp-Session-Id': target.transport.sessionId }).end();
+      return;
+    }
+    sendJson(res, 200, await result, { 'Mcp-Session-Id': target.transport.sessionId });
+  }
+
+  async function handleSse(req, res, url) {
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      if (sessions.size >= maxSessions) {
+        sendRpcError(res, 503, SERVER_ERROR, 'Too many open sessions');
+        return;
+      }
+      await openSession(new SSEServerTransport('/messages', res));
+      return;
+    }
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      const session = sessions.get(url.searchParams.get('sessionId'));
+      if (!session) {
+        sendRpcError(res, 404, INVALID_REQUEST, 'Session not found');
+        return;
+      }
+      await session.transport.handlePostMessage(req, res);
+      return;
+    }
+    sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      sendRpcError(res, 400, INVALID_REQUEST, 'Malformed request URL');
+      return;
+    }
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, { status: 'ok', transport, sessions: sessions.size });
+      return;
+    }
+    if (!isAuthorized(req, token)) {
+      sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    const handled = transport === 'sse'
+      ? handleSse(req, res, url)
+      : url.pathname === '/mcp'
+        ? handleStreamableHttp(req, res)
+        : Promise.resolve(sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` }));
+
+    handled.catch(error => {
+      if (!res.headersSent) {
+        sendRpcError(res, 500, INVALID_REQUEST, error.message);
+      }
+    });
+  });
+
+  // Streamable HTTP clients may disappear without DELETE; close sessions left idle
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTimeout;
+    for (const session of sessions.values()) {
+      if (session.transport instanceof StreamableHttpServerTransport && session.lastSeen < cutoff && !session.transport._stream) {
+        session.transport.close();
+      }
+    }
+  }, Math.min(sessionTimeout, 60 * 1000));
+  sweep.unref();
+
+  httpServer.on('close', () => {
+    clearInterval(sweep);
+    for (const session of Array.from(sessions.values())) {
+      session.transport.close();
+    }
+  });
+
+  httpServer.sessions = sessions;
+  return httpServer;
+}
+
+/**
+ * Start hosting MCP sessions on a port (0 picks a free one) and resolve once listening
+ */
+export function startMcpHttpServer(options = {}) {
+  const { port = DEFAULT_MCP_PORT, host = '127.0.0.1', ...serverOptions } = options;
+  const httpServer = createMcpHttpServer(serverOptions);
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve(httpServer);
+    });
+  });
+}
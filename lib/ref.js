@@ -0,0 +1,111 @@
+/**
+ * Component-library ref resolution
+ *
+ * Resolves which git ref (branch, tag or commit SHA) of the component-library repository
+ * component data is read from. The special ref `installed` matches the version of
+ * @department-of-veterans-affairs/component-library installed in a project, read from
+ * node_modules, package-lock.json, yarn.lock or (as a last resort) package.json.
+ */
+
+import { readFile } from 'fs/promises';
+import { join, resolve } from 'path';
+
+export const DEFAULT_REF = 'main';
+export const INSTALLED_REF = 'installed';
+export const COMPONENT_LIBRARY_PACKAGE = '@department-of-veterans-affairs/component-library';
+export const DEFAULT_TAG_FORMAT = 'v{version}';
+
+const COMPONENT_LIBRARY_RAW_URL = 'https://raw.githubusercontent.com/department-of-veterans-affairs/component-library';
+
+/**
+ * Check that a ref is safe to use as a URL path segment
+ */
+export function isValidRef(ref) {
+  return typeof ref === 'string' &&
+    ref.length <= 200 &&
+    /^[A-Za-z0-9][A-Za-z0-9._/@+-]*$/.test(ref) &&
+    !ref.includes('..');
+}
+
+/**
+ * Raw file URL for a repository path at a given ref
+ */
+export function buildRawUrl(ref, filePath) {
+  return `${COMPONENT_LIBRARY_RAW_URL}/${ref}/${filePath}`;
+}
+
+/**
+ * Turn a package version into a release tag using a `{version}` template
+ */
+export function formatVersionTag(version, tagFormat = DEFAULT_TAG_FORMAT) {
+  return tagFormat.split('{version}').join(version);
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readText(filePath) {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Find the installed version of a package in a project
+ *
+ * Returns `{ version, source }` or null when the package isn't a dependency.
+ */
+export async function findInstalledVersion(projectDir = process.cwd(), packageName = COMPONENT_LIBRARY_PACKAGE) {
+  const root = resolve(projectDir);
+
+  // 1. The package actually installed in node_modules
+  const installed = await readJson(join(root, 'node_modules', ...packageName.split('/'), 'package.json'));
+  if (installed && installed.version) {
+    return { version: installed.version, source: 'node_modules' };
+  }
+
+  // 2. npm lockfile (v2/v3 "packages" or v1 "dependencies")
+  const lockfile = await readJson(join(root, 'package-lock.json'));
+  if (lockfile) {
+    const entry = (lockfile.packages && lockfile.packages[`node_modules/${packageName}`]) ||
+      (lockfile.dependencies && lockfile.dependencies[packageName]);
+    if (entry && entry.version) {
+      return { version: entry.version, source: 'package-lock.json' };
+    }
+  }
+
+  // 3. yarn lockfile (`"@scope/name@^1.0.0":` followed by `version "1.2.3"`)
+  const yarnLock = await readText(join(root, 'yarn.lock'));
+  if (yarnLock) {
+    const entryPattern = new RegExp(`^"?${escapeRegExp(packageName)}@[^\\n]*:\\n(?:[ \\t]+[^\\n]*\\n)*?[ \\t]+version:? "?([^"\\n]+)"?`, 'm');
+    const match = yarnLock.match(entryPattern);
+    if (match) {
+      return { version: match[1].trim(), source: 'yarn.lock' };
+    }
+  }
+
+  // 4. The declared range in package.json, which may not be what is installed
+  const packageJson = await readJson(join(root, 'package.json'));
+  if (packageJson) {
+    const range = ['dependencies', 'devDependencies', 'peerDependencies']
+      .map(field => packageJson[field] && packageJson[field][packageName])
+      .find(Boolean);
+    const version = range && range.match(/\d+\.\d+\.\d+(?:-[\w.]+)?/);
+    if (version) {
+      return { version: version[0], source: 'package.json' };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,141 @@
+/**
+ * Native element replacements
+ *
+ * Maps native buttons and form controls found in markup to the VA Design System
+ * component that replaces them, with a ready-to-use replacement snippet.
+ */
+
+import { toBindingName } from './frameworks.js';
+
+// Input types without a VA equivalent worth suggesting
+const IGNORED_INPUT_TYPES = ['hidden', 'range', 'color', 'image'];
+
+const TEXT_INPUT_TYPES = ['email', 'number', 'password', 'search', 'tel', 'text', 'url'];
+
+function getAttribute(element, name) {
+  const attribute = element.attributes.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+  return attribute ? attribute.value : undefined;
+}
+
+/**
+ * Pick the VA component for a native element (null when there is none)
+ */
+function getReplacementTag(element) {
+  const type = (getAttribute(element, 'type') || '').toLowerCase();
+
+  switch (element.element) {
+    case 'button':
+      return 'va-button';
+    case 'a':
+      return 'va-link-action';
+    case 'select':
+      return 'va-select';
+    case 'textarea':
+      return 'va-textarea';
+    case 'input':
+      if (['button', 'submit', 'reset'].includes(type)) return 'va-button';
+      if (type === 'checkbox') return 'va-checkbox';
+      if (type === 'radio') return 'va-radio';
+      if (type === 'date') return 'va-date';
+      if (type === 'file') return 'va-file-input';
+      if (!type || TEXT_INPUT_TYPES.includes(type)) return 'va-text-input';
+      return null;
+    default:
+      return null;
+  }
+}
+
+function quote(value) {
+  return `"${String(value).replace(/"/g, '&quot;')}"`;
+}
+
+/**
+ * Build the replacement element, keeping the attributes that carry over
+ */
+function buildReplacement(element, tagName, component, jsx) {
+  const type = (getAttribute(element, 'type') || '').toLowerCase();
+  const props = [];
+  const propNames = new Set((component.properties || []).map(prop => prop.name.toLowerCase()));
+  const add = (name, value) => {
+    if (value === undefined || value === null || props.some(([existing]) => existing === name)) {
+      return;
+    }
+    props.push([name, value]);
+  };
+
+  const label = getAttribute(element, 'aria-label') || getAttribute(element, 'placeholder');
+
+  if (tagName === 'va-button') {
+    add('text', element.text || getAttribute(element, 'value') || label || '');
+    if (type === 'submit' && propNames.has('submit')) add('submit', true);
+  } else if (tagName === 'va-link-action') {
+    add('text', element.text || label || '');
+    add('href', getAttribute(element, 'href'));
+  } else {
+    add('label', label || '');
+    add('name', getAttribute(element, 'name'));
+    if (tagName === 'va-text-input' && type && type !== 'text' && propNames.has('type')) add('type', type);
+  }
+
+  // Click handlers work unchanged on the VA component
+  const onClick = element.attributes.find(attribute => attribute.name.toLowerCase() === 'onclick');
+  if (onClick && onClick.value) {
+    add(onClick.name, onClick.kind === 'expression' ? { expression: onClick.value } : onClick.value);
+  }
+
+  if (getAttribute(element, 'required') !== undefined && propNames.has('required')) add('required', true);
+  if (getAttribute(element, 'disabled') !== undefined && propNames.has('disabled')) add('disabled', true);
+
+  // Required props that could not be filled in are left empty for the author
+  for (const prop of component.properties || []) {
+    if (!prop.optional) {
+      add(prop.name, '');
+    }
+  }
+
+  // Web component attributes are kebab-case (headingLevel -> heading-level)
+  const attributeName = name => (jsx ? name : name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase());
+  const attributes = props
+    .map(([name, value]) => {
+      if (value === true) return ` ${attributeName(name)}`;
+      if (value.expression) return ` ${name}={${value.expression}}`;
+      return ` ${attributeName(name)}=${quote(value)}`;
+    })
+    .join('');
+  return jsx ? `<${toBindingName(tagName)}${attributes} />` : `<${tagName}${attributes}></${tagName}>`;
+}
+
+/**
+ * Suggest the VA component that replaces a native element
+ *
+ * Returns `{ component, replacement }`, or null when the element has no equivalent in
+ * the current component library. `jsx` renders the React binding instead of the tag.
+ */
+export function suggestNativeReplacement(element, componentsByTag, options = {}) {
+  const type = (getAttribute(element, 'type') || '').toLowerCase();
+  if (element.element === 'input' && IGNORED_INPUT_TYPES.includes(type)) {
+    return null;
+  }
+
+  const tagName = getReplacementTag(element);
+  const component = tagName && componentsByTag.get(tagName);
+  if (!component) {
+    return null;
+  }
+
+  return {
+    component: tagName,
+    status: component.status,
+    replacement: buildReplacement(element, tagName, component, !!options.jsx)
+  };
+}
+
+/**
+ * Whether a snippet is JSX (React bindings or className attributes)
+ */
+export function isJsxSource(source, filePath = null) {
+  if (filePath && /\.(jsx|tsx)$/i.test(filePath)) {
+    return true;
+  }
+  return /\bclassName=|<Va[A-Z]/.test(source);
+}
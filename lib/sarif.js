@@ -0,0 +1,181 @@
+/**
+ * SARIF 2.1.0 output
+ *
+ * Converts lint issues, located scan issues, attribute findings and upgrade impacts into a
+ * SARIF log for GitHub code scanning, Azure DevOps and other SARIF consumers. Each issue
+ * type becomes a rule per component so every rule can link to that component's guidance
+ * on design.va.gov (from its `@guidanceHref`).
+ */
+
+import { pathToFileURL } from 'url';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+export const GUIDANCE_BASE_URL = 'https://design.va.gov/components/';
+
+const TOOL_NAME = 'va-design-system-monitor';
+const TOOL_INFORMATION_URI = 'https://github.com/amponce/va-design-system-monitor';
+
+const RULE_DESCRIPTIONS = {
+  NOT_FOUND: 'Component is not part of the VA Design System',
+  CAUTION: 'Component should be used with caution',
+  EXPERIMENTAL: 'Component is experimental',
+  ISSUES: 'Component may have known issues',
+  DENIED: 'Component is not allowed by project policy',
+  BELOW_MINIMUM_MATURITY: 'Component is below the minimum maturity required by project policy',
+  UNKNOWN_ATTRIBUTE: 'Attribute is not a prop of the component',
+  MISSING_REQUIRED_PROP: 'Required prop is missing',
+  INVALID_TYPE: 'Attribute value has the wrong type',
+  INVALID_VALUE: 'Attribute value is not one of the allowed values',
+  COMPONENT_REMOVED: 'Component is removed in the target version',
+  COMPONENT_RENAMED: 'Component is renamed in the target version',
+  PROP_REMOVED: 'Prop is removed in the target version',
+  PROP_TYPE_CHANGED: 'Prop type changes in the target version',
+  PROP_NOW_REQUIRED: 'Prop becomes required in the target version',
+  NEW_CAUTION: 'Component moves to caution in the target version',
+  UNJUSTIFIED_SUPPRESSION: 'Suppression comment has no justification',
+  NATIVE_ELEMENT: 'Native element should be a VA Design System component'
+};
+
+const SARIF_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * Absolute design.va.gov URL for a component's guidanceHref
+ */
+export function getGuidanceUrl(guidanceHref) {
+  if (!guidanceHref) {
+    return null;
+  }
+  if (/^https?:\/\//.test(guidanceHref)) {
+    return guidanceHref;
+  }
+  return `${GUIDANCE_BASE_URL}${guidanceHref.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Index components by lowercase tag name and display name
+ */
+function indexComponents(components) {
+  const index = new Map();
+  const list = components instanceof Map ? Array.from(components.values()) : (components || []);
+
+  for (const component of list) {
+    if (component.tagName) index.set(component.tagName.toLowerCase(), component);
+    if (component.name) index.set(component.name.toLowerCase(), component);
+  }
+  return index;
+}
+
+function createRule(id, type, component) {
+  const description = RULE_DESCRIPTIONS[type] || type;
+  const helpUri = getGuidanceUrl(component && component.guidanceHref) || GUIDANCE_BASE_URL;
+  const subject = component ? component.tagName || component.name : null;
+
+  return {
+    id,
+    name: type.toLowerCase().replace(/(^|_)([a-z])/g, (match, separator, letter) => letter.toUpperCase()),
+    shortDescription: { text: subject ? `${subject}: ${description}` : description },
+    helpUri,
+    help: {
+      text: `${description}. See ${helpUri}`,
+      markdown: `${description}. See [the VA Design System guidance](${helpUri}).`
+    },
+    properties: {
+      issueType: type,
+      ...(subject ? { component: subject } : {}),
+      tags: ['va-design-system']
+    }
+  };
+}
+
+function createLocation(finding) {
+  if (!finding.file) {
+    return null;
+  }
+
+  const region = {};
+  if (finding.line) region.startLine = finding.line;
+  if (finding.column) region.startColumn = finding.column;
+
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+      ...(Object.keys(region).length > 0 ? { region } : {})
+    }
+  };
+}
+
+/**
+ * Build a SARIF log from issues/findings shaped like `{ type, severity, component, message, file?, line?, column? }`
+ *
+ * Options: `components` (to resolve guidanceHref per component), `root` (directory file paths
+ * are relative to), `toolVersion`.
+ */
+export function createSarifLog(findings, options = {}) {
+  const componentIndex = indexComponents(options.components);
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = [];
+
+  for (const finding of findings) {
+    const type = finding.type || 'ISSUES';
+    const name = finding.component ? String(finding.component) : null;
+    const component = (name && componentIndex.get(name.toLowerCase())) ||
+      (finding.guidanceHref ? { tagName: name, guidanceHref: finding.guidanceHref } : null);
+
+    // Components that don't exist (NOT_FOUND) share a single rule
+    const ruleId = component ? `${type}/${component.tagName || component.name}` : type;
+    if (!ruleIndexes.has(ruleId)) {
+      ruleIndexes.set(ruleId, rules.length);
+      rules.push(createRule(ruleId, type, component));
+    }
+
+    const location = createLocation(finding);
+    results.push({
+      ruleId,
+      ruleIndex: ruleIndexes.get(ruleId),
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: { text: finding.message },
+      ...(location ? { locations: [location] } : {}),
+      // Findings acknowledged with a va-monitor-disable comment stay in the log as suppressed
+      ...(finding.suppression ? {
+        suppressions: [{
+          kind: 'inSource',
+          ...(finding.suppression.justification ? { justification: finding.suppression.justification } : {})
+        }]
+      } : {}),
+      properties: {
+        issueType: type,
+        ...(name ? { component: name } : {}),
+        ...(finding.attribute ? { attribute: finding.attribute } : {})
+      }
+    });
+  }
+
+  const run = {
+    tool: {
+      driver: {
+        name: TOOL_NAME,
+        informationUri: TOOL_INFORMATION_URI,
+        ...(options.toolVersion ? { version: options.toolVersion, semanticVersion: options.toolVersion } : {}),
+        rules
+      }
+    },
+    results
+  };
+
+  if (options.root) {
+    const rootUri = pathToFileURL(options.root).href;
+    run.originalUriBaseIds = { '%SRCROOT%': { uri: rootUri.endsWith('/') ? rootUri : `${rootUri}/` } };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run]
+  };
+}
@@ -0,0 +1,399 @@
+/**
+ * VA Design System Project Scanner
+ *
+ * Walks project source files (HTML, JSX/TSX, Vue and Liquid templates) and extracts
+ * every `<va-*>` web component tag and `Va*` React binding together with its
+ * attributes and source location. The monitor resolves the extracted tags against
+ * the component library to build a per-file usage inventory.
+ *
+ * Uses only Node.js built-ins so it runs on Node 14.15.0+ without extra dependencies.
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, relative, resolve } from 'path';
+import { extractSuppressions } from './suppressions.js';
+import { bindingToTagName } from './frameworks.js';
+
+export const DEFAULT_SCAN_PATTERNS = Object.freeze(['**/*.{html,htm,js,jsx,tsx,vue,liquid}']);
+
+export const DEFAULT_IGNORE_PATTERNS = Object.freeze([
+  '**/node_modules/**',
+  '**/.git/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**'
+]);
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB - larger files are almost always bundles
+const MAX_FILES = 20000;
+
+// `<va-button` or `<VaButton`, but not generics such as `useRef<VaButton>`
+const TAG_PATTERN = /<(va-[a-z0-9]+(?:-[a-z0-9]+)*|Va[A-Z][A-Za-z0-9]*)(?=[\s/>])/g;
+
+/**
+ * Convert a minimal glob (`**`, `*`, `?`, `{a,b}`) to a regular expression
+ * matched against forward-slash separated relative paths
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+function toPosixPath(filePath) {
+  return filePath.split('\\').join('/');
+}
+
+/**
+ * Replace comment bodies with spaces so commented-out markup is ignored
+ * while every remaining character keeps its original offset
+ */
+function maskComments(source) {
+  const blank = match => match.replace(/[^\n]/g, ' ');
+  return source
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/\{\s*\/\*[\s\S]*?\*\/\s*\}/g, blank)
+    .replace(/\{%-?\s*comment\s*-?%\}[\s\S]*?\{%-?\s*endcomment\s*-?%\}/g, blank);
+}
+
+function computeLineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Convert a character offset to a 1-based line and column
+ */
+function offsetToPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+/**
+ * Find the end of a balanced `{...}` JSX expression starting at `start`
+ */
+function skipBraces(source, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+
+  return source.length;
+}
+
+/**
+ * Resolve simple JSX literals (`{"text"}`, `{2}`, `{true}`) to their static value
+ */
+function resolveLiteralExpression(expression) {
+  const literal = expression.trim();
+  const stringMatch = literal.match(/^(["'`])([^"'`$]*)\1$/);
+  if (stringMatch) {
+    return stringMatch[2];
+  }
+  if (/^-?\d+(\.\d+)?$/.test(literal) || literal === 'true' || literal === 'false') {
+    return literal;
+  }
+  return undefined;
+}
+
+/**
+ * Parse the attributes of an opening tag starting right after its name
+ */
+function parseAttributes(source, start, lineStarts) {
+  const attributes = [];
+  let hasSpread = false;
+  let i = start;
+
+  while (i < source.length) {
+    while (i < source.length && /\s/.test(source[i])) i++;
+
+    if (source[i] === '>') {
+      return { attributes, hasSpread, selfClosing: false, end: i + 1 };
+    }
+    if (source[i] === '/' && source[i + 1] === '>') {
+      return { attributes, hasSpread, selfClosing: true, end: i + 2 };
+    }
+    if (source[i] === '{') {
+      // JSX spread attributes ({...props}) can set any prop
+      hasSpread = true;
+      i = skipBraces(source, i);
+      continue;
+    }
+
+    const nameStart = i;
+    while (i < source.length && !/[\s=>]/.test(source[i]) && !(source[i] === '/' && source[i + 1] === '>')) i++;
+    const rawName = source.slice(nameStart, i);
+    if (!rawName) {
+      i++;
+      continue;
+    }
+
+    let j = i;
+    while (j < source.length && /\s/.test(source[j])) j++;
+
+    let value = null;
+    let kind = 'boolean';
+
+    if (source[j] === '=') {
+      j++;
+      while (j < source.length && /\s/.test(source[j])) j++;
+      const quote = source[j];
+
+      if (quote === '"' || quote === "'") {
+        const valueEnd = source.indexOf(quote, j + 1);
+        const end = valueEnd === -1 ? source.length : valueEnd;
+        value = source.slice(j + 1, end);
+        kind = /\{\{|\{%/.test(value) ? 'expression' : 'static';
+        i = end + 1;
+      } else if (quote === '{') {
+        const end = skipBraces(source, j);
+        const expression = source.slice(j + 1, end - 1);
+        const literal = resolveLiteralExpression(expression);
+        value = literal !== undefined ? literal : expression.trim();
+        kind = literal !== undefined ? 'static' : 'expression';
+        i = end;
+      } else {
+        const valueStart = j;
+        while (j < source.length && !/[\s>]/.test(source[j])) j++;
+        value = source.slice(valueStart, j);
+        kind = 'static';
+        i = j;
+      }
+    }
+
+    // Vue bindings (:prop, v-bind:prop) are dynamic expressions
+    let name = rawName;
+    const vueBinding = rawName.match(/^(?::|v-bind:)(.+)$/);
+    if (vueBinding) {
+      name = vueBinding[1];
+      if (kind !== 'boolean') kind = 'expression';
+    }
+
+    attributes.push({
+      name,
+      rawName,
+      value,
+      kind,
+      ...offsetToPosition(lineStarts, nameStart)
+    });
+  }
+
+  return { attributes, hasSpread, selfClosing: false, end: source.length };
+}
+
+/**
+ * Extract every VA component usage (web component tag or React binding) from source text
+ */
+export function extractComponentUsages(source, filePath = null) {
+  if (typeof source !== 'string') {
+    return [];
+  }
+
+  const masked = maskComments(source);
+  const lineStarts = computeLineStarts(masked);
+  const usages = [];
+
+  for (const match of masked.matchAll(TAG_PATTERN)) {
+    const previous = match.index > 0 ? masked[match.index - 1] : '';
+    if (/[\w$.]/.test(previous)) {
+      continue;
+    }
+
+    const element = match[1];
+    const isReactBinding = element.startsWith('Va');
+    const parsed = parseAttributes(masked, match.index + match[0].length, lineStarts);
+
+    usages.push({
+      tagName: isReactBinding ? bindingToTagName(element) : element,
+      element,
+      binding: isReactBinding ? 'react' : 'web-component',
+      file: filePath,
+      ...offsetToPosition(lineStarts, match.index),
+      attributes: parsed.attributes,
+      hasSpread: parsed.hasSpread,
+      selfClosing: parsed.selfClosing
+    });
+  }
+
+  return usages;
+}
+
+// Native form controls and links; `<a` is only reported when styled as a button
+const NATIVE_TAG_PATTERN = /<(button|input|select|textarea|a)(?=[\s/>])/g;
+const BUTTON_CLASS_PATTERN = /(^|[\s-])(btn|button)([\s-]|$)/i;
+
+/**
+ * Extract native elements that have VA Design System equivalents (buttons, inputs,
+ * selects, textareas and links styled as buttons), with their attributes and, for
+ * buttons and links, their text content
+ */
+export function extractNativeElements(source, filePath = null) {
+  if (typeof source !== 'string') {
+    return [];
+  }
+
+  const masked = maskComments(source);
+  const lineStarts = computeLineStarts(masked);
+  const elements = [];
+
+  for (const match of masked.matchAll(NATIVE_TAG_PATTERN)) {
+    const previous = match.index > 0 ? masked[match.index - 1] : '';
+    if (/[\w$.]/.test(previous)) {
+      continue;
+    }
+
+    const element = match[1];
+    const parsed = parseAttributes(masked, match.index + match[0].length, lineStarts);
+
+    if (element === 'a') {
+      const classAttribute = parsed.attributes.find(attribute => ['class', 'className'].includes(attribute.name));
+      if (!classAttribute || !BUTTON_CLASS_PATTERN.test(classAttribute.value || '')) {
+        continue;
+      }
+    }
+
+    let text = null;
+    if ((element === 'button' || element === 'a') && !parsed.selfClosing) {
+      const close = masked.indexOf(`</${element}>`, parsed.end);
+      if (close !== -1) {
+        text = masked.slice(parsed.end, close).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim() || null;
+      }
+    }
+
+    elements.push({
+      element,
+      file: filePath,
+      ...offsetToPosition(lineStarts, match.index),
+      attributes: parsed.attributes,
+      text
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * Recursively collect files under `root` that match the include patterns
+ */
+export async function findProjectFiles(patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+  const root = resolve(options.cwd || process.cwd());
+  const includes = (Array.isArray(patterns) ? patterns : [patterns]).map(globToRegExp);
+  const ignores = [...DEFAULT_IGNORE_PATTERNS, ...(options.ignore || [])].map(globToRegExp);
+  const files = [];
+
+  const isIgnored = relativePath => ignores.some(regex => regex.test(relativePath));
+
+  async function walk(directory) {
+    const entries = await readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (files.length >= MAX_FILES) return;
+
+      const absolutePath = join(directory, entry.name);
+      const relativePath = toPosixPath(relative(root, absolutePath));
+
+      if (entry.isDirectory()) {
+        if (!isIgnored(`${relativePath}/`)) {
+          await walk(absolutePath);
+        }
+      } else if (entry.isFile() && !isIgnored(relativePath) && includes.some(regex => regex.test(relativePath))) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  await walk(root);
+  return { root, files };
+}
+
+/**
+ * Scan project files and extract VA component usages (and suppression comments) per file
+ */
+export async function scanFiles(patterns = DEFAULT_SCAN_PATTERNS, options = {}) {
+  const { root, files } = await findProjectFiles(patterns, options);
+  const results = [];
+
+  for (const file of files) {
+    const absolutePath = join(root, file);
+    const stats = await stat(absolutePath);
+    if (stats.size > MAX_FILE_SIZE) {
+      continue;
+    }
+
+    const source = await readFile(absolutePath, 'utf8');
+    results.push({ file, usages: extractComponentUsages(source, file), suppressions: extractSuppressions(source, file) });
+  }
+
+  return { root, files: results };
+}
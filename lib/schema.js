@@ -0,0 +1,71 @@
+/**
+ * JSON Schema validation
+ *
+ * Checks values against the subset of JSON Schema used by the MCP tool definitions:
+ * type, enum, required, properties, additionalProperties: false, items, minItems and
+ * minLength.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * Returns a list of `{ path, message }` errors, empty when the value is valid.
+ */
+export function validateSchema(value, schema, path = 'arguments') {
+  const errors = [];
+  if (!schema) {
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `must be of type ${schema.type}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: `${path}.${name}`, message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${name}`, message: 'is not a known argument' });
+      }
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,142 @@
+/**
+ * Component search
+ *
+ * Ranks components against a free-text query by exact, prefix and substring matches on the
+ * tag, name and interface name, edit distance for typos, and matching prop names. Scores run
+ * from 0 to 1; an exact tag/name match scores 1.
+ */
+
+// Lowest score returned by searchComponents
+export const MIN_SEARCH_SCORE = 0.3;
+
+// Lowest score offered as a "did you mean" suggestion
+const SUGGESTION_SCORE = 0.5;
+
+// Edit-distance similarity below which a name is not considered a typo of the query
+const FUZZY_SIMILARITY = 0.6;
+
+/**
+ * Levenshtein distance between two strings
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// "Memorable Date", "memorable_date" and "va memorable date" all compare as "memorable-date"
+function normalize(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-').replace(/^va-/, '');
+}
+
+function getSearchFields(component) {
+  const fields = [];
+  if (component.tagName) fields.push({ field: 'tagName', value: component.tagName, key: normalize(component.tagName) });
+  if (component.name) fields.push({ field: 'name', value: component.name, key: normalize(component.name) });
+  if (component.interfaceName) {
+    // VaMemorableDate -> memorable-date
+    const key = normalize(component.interfaceName.replace(/([a-z0-9])([A-Z])/g, '$1-$2'));
+    fields.push({ field: 'interfaceName', value: component.interfaceName, key });
+  }
+  return fields;
+}
+
+/**
+ * Score one field against the normalized query, or null when it doesn't match
+ */
+function scoreField(query, key) {
+  if (key === query) {
+    return { kind: 'exact', score: 1 };
+  }
+  if (key.startsWith(query)) {
+    return { kind: 'prefix', score: 0.8 + 0.1 * (query.length / key.length) };
+  }
+  if (key.includes(query)) {
+    return { kind: 'substring', score: 0.6 + 0.1 * (query.length / key.length) };
+  }
+
+  const similarity = 1 - editDistance(query, key) / Math.max(query.length, key.length);
+  if (similarity >= FUZZY_SIMILARITY) {
+    return { kind: 'fuzzy', score: 0.8 * similarity };
+  }
+  return null;
+}
+
+function scoreComponent(component, query) {
+  const matches = [];
+  let best = 0;
+
+  for (const { field, value, key } of getSearchFields(component)) {
+    const match = scoreField(query, key);
+    if (match) {
+      matches.push({ field, value, kind: match.kind });
+      best = Math.max(best, match.score);
+    }
+  }
+
+  // Prop names rank below any match on the component itself
+  const propQuery = query.replace(/-/g, '');
+  if (propQuery.length >= 3) {
+    for (const prop of component.properties || []) {
+      const propName = prop.name.toLowerCase();
+      if (propName === propQuery || propName.includes(propQuery)) {
+        matches.push({ field: 'prop', value: prop.name, kind: propName === propQuery ? 'exact' : 'substring' });
+        best = Math.max(best, propName === propQuery ? 0.5 : 0.4);
+      }
+    }
+  }
+
+  return { score: best, matches };
+}
+
+/**
+ * Rank components against a query
+ *
+ * Returns up to `limit` hits, best first: `{ tagName, name, status, score, matches }` where
+ * `matches` lists the fields that matched and how (exact, prefix, substring, fuzzy).
+ */
+export function searchComponents(components, query, options = {}) {
+  const { limit = 10, minScore = MIN_SEARCH_SCORE } = options;
+  const normalizedQuery = normalize(query);
+  if (!normalizedQuery) {
+    return [];
+  }
+
+  const list = components instanceof Map ? Array.from(components.values()) : components;
+  const hits = [];
+  for (const component of list) {
+    const { score, matches } = scoreComponent(component, normalizedQuery);
+    if (score >= minScore) {
+      hits.push({
+        tagName: component.tagName || null,
+        name: component.name,
+        status: component.status,
+        score: Math.round(score * 100) / 100,
+        matches
+      });
+    }
+  }
+
+  return hits
+    .sort((a, b) => b.score - a.score || String(a.tagName || a.name).localeCompare(String(b.tagName || b.name)))
+    .slice(0, limit);
+}
+
+/**
+ * Tag names to offer as "did you mean" for a name that wasn't found
+ */
+export function suggestComponentNames(components, name, limit = 3) {
+  return searchComponents(components, name, { limit, minScore: SUGGESTION_SCORE })
+    .filter(hit => hit.tagName && hit.matches.some(match => match.field !== 'prop'))
+    .map(hit => hit.tagName);
+}
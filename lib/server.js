@@ -0,0 +1,241 @@
+/**
+ * HTTP API
+ *
+ * Exposes a shared VAComponentMonitor over JSON routes for tools that can't import the
+ * library or speak MCP. Every request reuses the monitor's in-memory and persistent caches.
+ *
+ *   GET  /health
+ *   GET  /components?filter=recommended|stable|experimental|caution|issues
+ *   GET  /components/:tag
+ *   GET  /components/:tag/props
+ *   GET  /components/:tag/events
+ *   GET  /components/:tag/examples?official=true&framework=react
+ *   POST /validate   {"components": ["va-button"]} or {"markup": "<va-button ...>", "filePath": "a.html"}
+ *   POST /lint       {"components": ["va-button"]}
+ */
+
+import { createServer } from 'http';
+
+import { VAComponentMonitor, VAComponentError } from './index.js';
+
+export const DEFAULT_PORT = 3000;
+export const DEFAULT_HOST = '127.0.0.1';
+export const MAX_BODY_SIZE = 1024 * 1024;
+
+const STATUS_FILTERS = {
+  recommended: 'RECOMMENDED',
+  stable: 'STABLE',
+  experimental: 'EXPERIMENTAL',
+  issues: 'AVAILABLE_WITH_ISSUES'
+};
+
+// HTTP status for each VAComponentError code (anything else is a 500)
+const ERROR_STATUS = {
+  INVALID_INPUT: 400,
+  INVALID_OPTIONS: 400,
+  INVALID_STATUS: 400,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMIT_EXCEEDED: 429,
+  FETCH_ERROR: 502,
+  NETWORK_ERROR: 502,
+  INVALID_RESPONSE: 502,
+  TIMEOUT: 504
+};
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+function sendError(res, error) {
+  const code = error instanceof VAComponentError ? error.code : 'UNKNOWN_ERROR';
+  const status = ERROR_STATUS[code] || 500;
+  const headers = code === 'METHOD_NOT_ALLOWED' ? { Allow: error.details.allow } : {};
+  sendJson(res, status, {
+    error: status === 500 && !(error instanceof VAComponentError) ? 'An unexpected error occurred' : error.message,
+    code
+  }, headers);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new VAComponentError(`Request body exceeds ${MAX_BODY_SIZE} bytes`, 'PAYLOAD_TOO_LARGE'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('not an object');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new VAComponentError('Request body must be a JSON object', 'INVALID_INPUT'));
+      }
+    });
+  });
+}
+
+function getComponentNames(body) {
+  const { components } = body;
+  if (!Array.isArray(components) || components.length === 0 || !components.every(name => typeof name === 'string')) {
+    throw new VAComponentError('"components" must be a non-empty array of component names', 'INVALID_INPUT');
+  }
+  return components;
+}
+
+async function listComponents(monitor, query) {
+  const filter = query.get('filter') || query.get('status');
+  if (!filter) {
+    return Array.from((await monitor.getComponents()).values());
+  }
+
+  const normalized = filter.toLowerCase();
+  if (normalized === 'caution') {
+    return await monitor.getCautionComponents();
+  }
+  // Full status names (e.g. USE_WITH_CAUTION) are accepted as well
+  return await monitor.getComponentsByStatus(STATUS_FILTERS[normalized] || filter);
+}
+
+async function findComponent(monitor, tag) {
+  const component = await monitor.getComponentByName(tag);
+  if (!component) {
+    throw new VAComponentError(`Component "${tag}" not found`, 'NOT_FOUND');
+  }
+  return component;
+}
+
+/**
+ * Resolve a request to its JSON response body
+ */
+async function route(monitor, req) {
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (error) {
+    throw new VAComponentError(`Malformed request URL: ${req.url}`, 'INVALID_INPUT');
+  }
+
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw new VAComponentError(`Malformed path: ${url.pathname}`, 'INVALID_INPUT');
+  }
+  const method = req.method;
+  const allow = expected => {
+    if (method !== expected) {
+      throw new VAComponentError(`${method} is not supported for ${url.pathname}; use ${expected}`, 'METHOD_NOT_ALLOWED', { allow: expected });
+    }
+  };
+
+  if (segments.length === 1 && segments[0] === 'health') {
+    allow('GET');
+    return {
+      status: 'ok',
+      components: monitor.components.size,
+      lastFetch: monitor.lastFetch ? new Date(monitor.lastFetch).toISOString() : null
+    };
+  }
+
+  if (segments[0] === 'components' && segments.length <= 3) {
+    allow('GET');
+    if (segments.length === 1) {
+      return await listComponents(monitor, url.searchParams);
+    }
+
+    const tag = segments[1];
+    if (segments.length === 2) {
+      return await findComponent(monitor, tag);
+    }
+    if (segments[2] === 'props') {
+      await findComponent(monitor, tag);
+      return await monitor.getComponentProperties(tag);
+    }
+    if (segments[2] === 'events') {
+      await findComponent(monitor, tag);
+      return await monitor.getComponentEvents(tag);
+    }
+    if (segments[2] === 'examples') {
+      await findComponent(monitor, tag);
+      const options = { framework: url.searchParams.get('framework') || undefined };
+      return url.searchParams.get('official') === 'true'
+        ? await monitor.getOfficialExamples(tag, options)
+        : await monitor.getComponentExamples(tag, options);
+    }
+  }
+
+  if (segments.length === 1 && segments[0] === 'validate') {
+    allow('POST');
+    const body = await readJsonBody(req);
+    if (typeof body.markup === 'string') {
+      return await monitor.validateMarkup(body.markup, { filePath: typeof body.filePath === 'string' ? body.filePath : null });
+    }
+    return await monitor.validateComponents(getComponentNames(body));
+  }
+
+  if (segments.length === 1 && segments[0] === 'lint') {
+    allow('POST');
+    return await monitor.lintComponents(getComponentNames(await readJsonBody(req)));
+  }
+
+  throw new VAComponentError(`No route for ${method} ${url.pathname}`, 'NOT_FOUND');
+}
+
+/**
+ * Create (but don't start) an HTTP server for the monitor
+ *
+ * Pass `monitor` to share an existing instance; other options create one.
+ */
+export function createApiServer(options = {}) {
+  const { monitor: sharedMonitor, ...monitorOptions } = options;
+  const monitor = sharedMonitor || new VAComponentMonitor(monitorOptions);
+
+  const server = createServer((req, res) => {
+    route(monitor, req)
+      .then(body => sendJson(res, 200, body))
+      .catch(error => sendError(res, error));
+  });
+
+  server.monitor = monitor;
+  return server;
+}
+
+/**
+ * Start the HTTP API on a port (0 picks a free one) and resolve once it is listening
+ */
+export function startApiServer(options = {}) {
+  const { port = DEFAULT_PORT, host = DEFAULT_HOST, ...serverOptions } = options;
+  const server = createApiServer(serverOptions);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
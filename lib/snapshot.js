@@ -0,0 +1,291 @@
+/**
+ * Local component-library snapshots for offline use
+ *
+ * A snapshot is either a directory (a checked-out component-library repository or an
+ * extracted snapshot) or a gzipped tarball (a snapshot created by `va-components snapshot
+ * create`, or a release archive of the component-library repository). Files are addressed
+ * by their repository-relative path, e.g. `packages/web-components/src/components.d.ts`.
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { mkdir, readFile, stat, writeFile } from 'fs/promises';
+import { dirname, join, resolve, sep } from 'path';
+import { gunzipSync, gzipSync } from 'zlib';
+
+export const SNAPSHOT_MANIFEST = 'snapshot.json';
+
+// Marker file used to find the repository root inside a directory or archive
+const ROOT_MARKER = 'packages/web-components/src/components.d.ts';
+
+const BLOCK_SIZE = 512;
+
+function isTarball(filePath) {
+  return /\.(tgz|tar\.gz|tar)$/i.test(filePath);
+}
+
+/**
+ * Read a NUL-terminated string field from a tar header
+ */
+function readField(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(header, offset, length) {
+  const value = readField(header, offset, length).trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+/**
+ * Parse pax extended header records (`<length> <key>=<value>\n`)
+ */
+function parsePaxHeader(buffer) {
+  const records = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(buffer.subarray(offset, space).toString('utf8'), 10);
+    if (!length) break;
+
+    const record = buffer.subarray(space + 1, offset + length - 1).toString('utf8');
+    const separator = record.indexOf('=');
+    if (separator !== -1) {
+      records[record.slice(0, separator)] = record.slice(separator + 1);
+    }
+    offset += length;
+  }
+
+  return records;
+}
+
+/**
+ * Extract regular files from a (optionally gzipped) tar archive
+ */
+export function readTarball(buffer) {
+  const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? gunzipSync(buffer) : buffer;
+  const files = new Map();
+  let offset = 0;
+  let pendingPath = null;
+
+  while (offset + BLOCK_SIZE <= data.length) {
+    const header = data.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const bodyStart = offset + BLOCK_SIZE;
+    const body = data.subarray(bodyStart, bodyStart + size);
+    offset = bodyStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'x') {
+      pendingPath = parsePaxHeader(body).path || null;
+      continue;
+    }
+    if (type === 'L') {
+      pendingPath = body.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+
+    let name = readField(header, 0, 100);
+    const prefix = readField(header, 345, 155);
+    if (readField(header, 257, 6).startsWith('ustar') && prefix) {
+      name = `${prefix}/${name}`;
+    }
+    if (pendingPath) {
+      name = pendingPath;
+      pendingPath = null;
+    }
+
+    if (type === '0' || type === '\0') {
+      files.set(name.replace(/^\.\//, ''), body.toString('utf8'));
+    }
+  }
+
+  return files;
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+function createTarHeader(path, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  let name = path;
+  let prefix = '';
+
+  // ustar allows 100 characters for the name plus 155 for a directory prefix
+  if (Buffer.byteLength(path) > 100) {
+    const split = path.lastIndexOf('/', 155);
+    prefix = path.slice(0, split);
+    name = path.slice(split + 1);
+  }
+  if (Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+    throw new Error(`Path too long for snapshot archive: ${path}`);
+  }
+
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+}
+
+/**
+ * Build an uncompressed tar archive from a map of relative paths to file contents
+ */
+export function createTarball(files, mtime = Date.now()) {
+  const blocks = [];
+
+  for (const [path, content] of files) {
+    const body = Buffer.from(content, 'utf8');
+    blocks.push(createTarHeader(path, body.length, mtime));
+    blocks.push(body);
+    const padding = (BLOCK_SIZE - (body.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Find the directory that contains `packages/` inside a checkout or extracted archive
+ */
+function findDirectoryRoot(directory) {
+  if (existsSync(join(directory, ...ROOT_MARKER.split('/'))) || existsSync(join(directory, SNAPSHOT_MANIFEST))) {
+    return directory;
+  }
+
+  // Release archives extract to a single `component-library-<version>/` folder
+  const children = readdirSync(directory, { withFileTypes: true }).filter(entry => entry.isDirectory());
+  for (const child of children) {
+    if (existsSync(join(directory, child.name, ...ROOT_MARKER.split('/')))) {
+      return join(directory, child.name);
+    }
+  }
+
+  return directory;
+}
+
+/**
+ * Strip a shared top-level folder (e.g. `component-library-1.2.3/`) from archive paths
+ */
+function stripArchivePrefix(files) {
+  const markerPath = Array.from(files.keys()).find(path => path === ROOT_MARKER || path.endsWith(`/${ROOT_MARKER}`)) ||
+    Array.from(files.keys()).find(path => path === SNAPSHOT_MANIFEST || path.endsWith(`/${SNAPSHOT_MANIFEST}`));
+  if (!markerPath) {
+    return files;
+  }
+
+  const prefix = markerPath.endsWith(ROOT_MARKER) ?
+    markerPath.slice(0, markerPath.length - ROOT_MARKER.length) :
+    markerPath.slice(0, markerPath.length - SNAPSHOT_MANIFEST.length);
+  if (!prefix) {
+    return files;
+  }
+
+  const stripped = new Map();
+  for (const [path, content] of files) {
+    if (path.startsWith(prefix)) {
+      stripped.set(path.slice(prefix.length), content);
+    }
+  }
+  return stripped;
+}
+
+export class LocalSnapshot {
+  constructor(source, { root = null, files = null } = {}) {
+    this.source = source;
+    this.root = root;
+    this.files = files;
+  }
+
+  /**
+   * Open a snapshot directory or tarball
+   */
+  static async open(snapshotPath) {
+    const source = resolve(snapshotPath);
+    const stats = await stat(source);
+
+    if (stats.isDirectory()) {
+      return new LocalSnapshot(source, { root: findDirectoryRoot(source) });
+    }
+    if (isTarball(source)) {
+      return new LocalSnapshot(source, { files: stripArchivePrefix(readTarball(await readFile(source))) });
+    }
+
+    throw new Error(`Unsupported snapshot format: ${source} (expected a directory or .tgz archive)`);
+  }
+
+  /**
+   * Read a repository-relative file, returning null when the snapshot doesn't contain it
+   */
+  async readFile(relativePath) {
+    const normalized = relativePath.replace(/^\/+/, '');
+
+    if (this.files) {
+      return this.files.has(normalized) ? this.files.get(normalized) : null;
+    }
+
+    const filePath = resolve(this.root, ...normalized.split('/'));
+    if (!filePath.startsWith(this.root + sep)) {
+      return null;
+    }
+
+    try {
+      return await readFile(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the snapshot manifest, if this snapshot was created by the monitor
+   */
+  async getManifest() {
+    const manifest = await this.readFile(SNAPSHOT_MANIFEST);
+    try {
+      return manifest ? JSON.parse(manifest) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Write snapshot files to a .tgz/.tar archive or, for any other path, to a directory
+ */
+export async function writeSnapshot(outputPath, files) {
+  const target = resolve(outputPath);
+
+  if (isTarball(target)) {
+    const archive = createTarball(files);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, /\.tar$/i.test(target) ? archive : gzipSync(archive));
+    return target;
+  }
+
+  for (const [path, content] of files) {
+    const filePath = join(target, ...path.split('/'));
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content, 'utf8');
+  }
+  return target;
+}
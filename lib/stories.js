@@ -0,0 +1,1894 @@
+/**
+ * Storybook story parsing
+ *
+ * Reads Component Story Format files (JS, JSX, TS, TSX) without executing them: the default
+ * export (meta), every named story export, `Story.args` / `Story.storyName` assignments, CSF3
+ * story objects, and the template each story renders.
+ *
+ * The parser models the syntax stories are written in (object and array literals, arrow and
+ * function templates, JSX, tagged templates, TypeScript annotations) and keeps anything else
+ * as raw source, so unfamiliar code degrades to a skipped statement rather than a failure.
+ */
+
+// Returned by evaluation for values that can't be known without running the story
+export const UNRESOLVED = Symbol('unresolved');
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+  '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', '!',
+  '~', '?', ':', '=', '.', '@', '#'
+];
+
+const BINARY_PRECEDENCE = {
+  '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8, instanceof: 8, in: 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10, '*': 11, '/': 11, '%': 11, '**': 12
+};
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='];
+
+// Elements serialized without a closing tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// JSX attribute names that differ from their HTML attribute
+const HTML_ATTRIBUTE_NAMES = { className: 'class', htmlFor: 'for' };
+
+const MAX_LINE_LENGTH = 80;
+
+class StoryParseError extends Error {}
+
+function isIdentifierStart(char) {
+  return /[A-Za-z_$]/.test(char) || char > '\x7f';
+}
+
+function isIdentifierPart(char) {
+  return /[\w$]/.test(char) || char > '\x7f';
+}
+
+/**
+ * Cursor-based parser; JSX and regular expressions are told apart from operators by
+ * whether the parser expects an operand or an operator at that point
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  error(message) {
+    return new StoryParseError(`${message} at offset ${this.pos}`);
+  }
+
+  // Whitespace and comments; returns whether a line break was skipped
+  skipTrivia() {
+    const { source } = this;
+    let newline = false;
+    while (this.pos < source.length) {
+      const char = source[this.pos];
+      if (char === '\n') {
+        newline = true;
+        this.pos++;
+      } else if (/\s/.test(char)) {
+        this.pos++;
+      } else if (source.startsWith('//', this.pos)) {
+        const end = source.indexOf('\n', this.pos);
+        this.pos = end === -1 ? source.length : end;
+      } else if (source.startsWith('/*', this.pos)) {
+        const end = source.indexOf('*/', this.pos + 2);
+        if (source.slice(this.pos, end).includes('\n')) newline = true;
+        this.pos = end === -1 ? source.length : end + 2;
+      } else {
+        break;
+      }
+    }
+    return newline;
+  }
+
+  eof() {
+    this.skipTrivia();
+    return this.pos >= this.source.length;
+  }
+
+  peekChar() {
+    this.skipTrivia();
+    return this.source[this.pos];
+  }
+
+  peekPunctuator() {
+    this.skipTrivia();
+    return PUNCTUATORS.find(punctuator => this.source.startsWith(punctuator, this.pos)) || null;
+  }
+
+  is(punctuator) {
+    return this.peekPunctuator() === punctuator;
+  }
+
+  eat(punctuator) {
+    if (this.is(punctuator)) {
+      this.pos += punctuator.length;
+      return true;
+    }
+    return false;
+  }
+
+  expect(punctuator) {
+    if (!this.eat(punctuator)) {
+      throw this.error(`Expected "${punctuator}"`);
+    }
+  }
+
+  peekIdentifier() {
+    this.skipTrivia();
+    if (!isIdentifierStart(this.source[this.pos] || '')) {
+      return null;
+    }
+    let end = this.pos + 1;
+    while (end < this.source.length && isIdentifierPart(this.source[end])) end++;
+    return this.source.slice(this.pos, end);
+  }
+
+  readIdentifier() {
+    const name = this.peekIdentifier();
+    if (name) {
+      this.pos += name.length;
+    }
+    return name;
+  }
+
+  eatKeyword(keyword) {
+    if (this.peekIdentifier() === keyword) {
+      this.pos += keyword.length;
+      return true;
+    }
+    return false;
+  }
+
+  // Identifier that follows the current one, without consuming either
+  peekIdentifierAfter(name) {
+    const saved = this.pos;
+    this.pos += name.length;
+    const next = this.peekIdentifier();
+    this.pos = saved;
+    return next;
+  }
+
+  node(type, start, props) {
+    return { type, start, end: this.pos, ...props };
+  }
+
+  raw(node) {
+    return this.source.slice(node.start, node.end);
+  }
+
+  // ---------------------------------------------------------------------------------------
+  // Raw skipping (used for types, class bodies and statements the parser doesn't model)
+  // ---------------------------------------------------------------------------------------
+
+  skipStringLiteral() {
+    const quote = this.source[this.pos++];
+    while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+      if (this.source[this.pos] === '\\') this.pos++;
+      if (this.source[this.pos] === '\n' && quote !== '`') break;
+      if (quote === '`' && this.source.startsWith('${', this.pos)) {
+        this.pos += 2;
+        this.skipUntil(['}']);
+      }
+      this.pos++;
+    }
+    this.pos++;
+  }
+
+  /**
+   * Skip balanced source up to (not including) a terminator at depth 0
+   *
+   * With `newlines`, a line break at depth 0 also ends the skip unless the next line
+   * continues the expression (starts with an operator such as | or &).
+   */
+  skipUntil(terminators, options = {}) {
+    const { source } = this;
+    let depth = 0;
+    while (this.pos < source.length) {
+      const newline = this.skipTrivia();
+      if (this.pos >= source.length) break;
+      if (newline && depth === 0 && options.newlines && !/^[|&.?:=]/.test(source[this.pos])) break;
+
+      const char = source[this.pos];
+      if (depth === 0 && options.stopAtArrow && source.startsWith('=>', this.pos)) break;
+      if (source.startsWith('=>', this.pos)) {
+        this.pos += 2;
+        continue;
+      }
+      if (depth === 0 && terminators.some(terminator => source.startsWith(terminator, this.pos))) break;
+
+      if (char === '"' || char === "'" || char === '`') {
+        this.skipStringLiteral();
+        continue;
+      }
+      if ('([{'.includes(char) || (char === '<' && options.angles)) depth++;
+      if (')]}'.includes(char) || (char === '>' && options.angles)) {
+        if (depth === 0) break;
+        depth--;
+      }
+      this.pos++;
+    }
+  }
+
+  skipType(terminators, options = {}) {
+    this.skipUntil(terminators, { ...options, angles: true });
+  }
+
+  skipBalanced(open, close) {
+    this.expect(open);
+    this.skipUntil([close]);
+    this.expect(close);
+  }
+
+  // ---------------------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------------------
+
+  /**
+   * Parse statements into a scope until the end of input or a closing brace
+   *
+   * A scope collects declarations, `return` expressions (with their block depth), member
+   * assignments (`Primary.args = ...`), the default export and exported names.
+   */
+  parseStatements(scope, depth = 0) {
+    while (!this.eof() && !this.is('}')) {
+      const start = this.pos;
+      try {
+        this.parseStatement(scope, depth);
+      } catch (error) {
+        if (!(error instanceof StoryParseError)) throw error;
+        // Skip what couldn't be parsed and carry on with the next statement
+        this.pos = start;
+        this.skipUntil([';'], { newlines: true });
+        this.eat(';');
+        if (this.pos === start) this.pos++;
+      }
+    }
+  }
+
+  parseStatement(scope, depth) {
+    if (this.eat(';')) return;
+    if (this.is('{')) {
+      this.pos++;
+      this.parseStatements(scope, depth + 1);
+      this.expect('}');
+      return;
+    }
+    if (this.is('@')) {
+      // Decorators
+      this.pos++;
+      this.parsePostfix();
+      return;
+    }
+
+    const keyword = this.peekIdentifier();
+    switch (keyword) {
+      case 'import': {
+        const next = this.source[this.pos + 6];
+        if (next === '(' || next === '.') break;
+        this.pos += 6;
+        this.skipUntil([';'], { newlines: true });
+        this.eat(';');
+        return;
+      }
+      case 'export':
+        this.pos += 6;
+        this.parseExport(scope, depth);
+        return;
+      case 'const':
+      case 'let':
+      case 'var':
+        this.pos += keyword.length;
+        this.parseDeclarations(scope);
+        return;
+      case 'function':
+        this.parseFunctionDeclaration(scope);
+        return;
+      case 'async':
+        if (this.peekIdentifierAfter('async') === 'function') {
+          this.parseFunctionDeclaration(scope);
+          return;
+        }
+        break;
+      case 'class':
+        this.parseClass(scope);
+        return;
+      case 'type':
+      case 'interface':
+      case 'enum':
+      case 'declare':
+      case 'namespace':
+      case 'module':
+      case 'abstract':
+        if (this.skipTypeDeclaration(keyword)) return;
+        break;
+      case 'return': {
+        this.pos += 6;
+        const newline = this.skipTrivia();
+        if (!newline && !this.is(';') && !this.is('}') && !this.eof()) {
+          scope.returns.push({ node: this.parseExpression(), depth });
+        }
+        this.eat(';');
+        return;
+      }
+      case 'if':
+      case 'for':
+      case 'while':
+      case 'with':
+      case 'switch':
+      case 'catch':
+        this.pos += keyword.length;
+        this.eatKeyword('await');
+        if (this.is('(')) this.skipBalanced('(', ')');
+        this.parseStatement(scope, depth + 1);
+        if (keyword === 'if' && this.eatKeyword('else')) this.parseStatement(scope, depth + 1);
+        return;
+      case 'do':
+      case 'try':
+      case 'finally':
+        this.pos += keyword.length;
+        this.parseStatement(scope, depth + 1);
+        return;
+      case 'case':
+        this.pos += 4;
+        this.parseExpression();
+        this.expect(':');
+        return;
+      case 'default':
+        if (this.source.slice(this.pos + 7).trimStart().startsWith(':')) {
+          this.pos += 7;
+          this.expect(':');
+          return;
+        }
+        break;
+      case 'break':
+      case 'continue':
+      case 'throw':
+      case 'debugger':
+        this.pos += keyword.length;
+        this.skipUntil([';', '}'], { newlines: true });
+        this.eat(';');
+        return;
+      default:
+        break;
+    }
+
+    const expression = this.parseExpression();
+    if (expression.type === 'Assignment' && expression.left.type === 'MemberExpression') {
+      const path = memberPath(expression.left);
+      if (path) {
+        scope.assignments.push({ path, node: expression.right });
+      }
+    }
+    this.eat(';');
+  }
+
+  parseExport(scope, depth) {
+    if (this.eatKeyword('default')) {
+      if (['function', 'class'].includes(this.peekIdentifier()) || this.peekIdentifier() === 'async') {
+        scope.exportDefault = this.parseExpression();
+      } else {
+        scope.exportDefault = this.parseAssignment();
+      }
+      this.eat(';');
+      return;
+    }
+
+    if (this.is('{') || this.is('*')) {
+      // export { Primary as Default } / export * from './x'
+      if (this.is('{')) {
+        this.pos++;
+        while (!this.eof() && !this.is('}')) {
+          const local = this.readIdentifier();
+          const exported = this.eatKeyword('as') ? this.readIdentifier() : local;
+          if (!local) throw this.error('Expected export specifier');
+          scope.exports.push({ name: exported, local });
+          this.eat(',');
+        }
+        this.expect('}');
+      } else {
+        this.pos++;
+      }
+      this.skipUntil([';'], { newlines: true });
+      this.eat(';');
+      return;
+    }
+
+    const before = new Set(scope.bindings.keys());
+    this.parseStatement(scope, depth);
+    for (const name of scope.bindings.keys()) {
+      if (!before.has(name)) {
+        scope.exports.push({ name, local: name });
+      }
+    }
+  }
+
+  parseDeclarations(scope) {
+    do {
+      const pattern = this.parseBindingPattern();
+      const value = this.eat('=') ? this.parseAssignment() : null;
+      if (pattern.type === 'Identifier') {
+        scope.bindings.set(pattern.name, value);
+      }
+      scope.declarations.push({ pattern, value });
+    } while (this.eat(','));
+    this.eat(';');
+  }
+
+  parseFunctionDeclaration(scope) {
+    const fn = this.parseFunction();
+    if (fn.name) {
+      scope.bindings.set(fn.name, fn);
+    }
+  }
+
+  parseClass(scope) {
+    const start = this.pos;
+    this.eatKeyword('class');
+    const name = this.readIdentifier();
+    this.skipUntil(['{']);
+    this.skipBalanced('{', '}');
+    const node = this.node('Raw', start, {});
+    if (scope && name) {
+      scope.bindings.set(name, node);
+    }
+    return node;
+  }
+
+  // TypeScript-only declarations; returns false when the keyword is used as an identifier
+  skipTypeDeclaration(keyword) {
+    const next = this.peekIdentifierAfter(keyword);
+    if (!next) {
+      return false;
+    }
+    this.pos += keyword.length;
+    if (keyword === 'type') {
+      this.skipType([';', '='], { newlines: true });
+      if (this.eat('=')) this.skipType([';'], { newlines: true });
+    } else if (keyword === 'declare' || keyword === 'abstract') {
+      return this.skipTypeDeclaration(this.peekIdentifier()) || (this.skipUntil([';'], { newlines: true }), true);
+    } else {
+      this.skipUntil(['{']);
+      this.skipBalanced('{', '}');
+    }
+    this.eat(';');
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------------------
+  // Functions and patterns
+  // ---------------------------------------------------------------------------------------
+
+  parseFunction() {
+    const start = this.pos;
+    const isAsync = this.eatKeyword('async');
+    if (!this.eatKeyword('function')) throw this.error('Expected function');
+    this.eat('*');
+    const name = this.peekIdentifier() && !this.is('(') ? this.readIdentifier() : null;
+    if (this.is('<')) this.skipGenerics();
+    const params = this.parseParameters();
+    if (this.eat(':')) this.skipType(['{']);
+    const body = this.parseFunctionBody();
+    return this.node('Function', start, { name, params, body, expression: false, async: isAsync });
+  }
+
+  skipGenerics() {
+    this.pos++;
+    this.skipUntil(['>'], { angles: true });
+    this.expect('>');
+  }
+
+  parseParameters() {
+    this.expect('(');
+    const params = [];
+    while (!this.is(')')) {
+      if (this.eof()) throw this.error('Unterminated parameters');
+      if (this.eat('...')) {
+        params.push({ type: 'RestElement', argument: this.parseBindingPattern() });
+      } else {
+        // TypeScript parameter properties and `this` annotations
+        if (['public', 'private', 'protected', 'readonly'].includes(this.peekIdentifier())) this.readIdentifier();
+        params.push(this.parseBindingElement());
+      }
+      if (!this.eat(',')) break;
+    }
+    this.expect(')');
+    return params;
+  }
+
+  parseFunctionBody() {
+    const start = this.pos;
+    this.expect('{');
+    const scope = createScope();
+    this.parseStatements(scope);
+    this.expect('}');
+    return this.node('Block', start, { scope });
+  }
+
+  parseBindingElement() {
+    const start = this.pos;
+    const target = this.parseBindingPattern();
+    if (this.eat('=')) {
+      return this.node('AssignmentPattern', start, { left: target, right: this.parseAssignment() });
+    }
+    return target;
+  }
+
+  // Identifier, { a, b: c, ...rest } or [a, b] with optional TypeScript annotation
+  parseBindingPattern() {
+    const start = this.pos;
+    let pattern;
+    if (this.eat('{')) {
+      const properties = [];
+      let rest = null;
+      while (!this.is('}')) {
+        if (this.eof()) throw this.error('Unterminated object pattern');
+        if (this.eat('...')) {
+          rest = this.parseBindingPattern();
+        } else {
+          const key = this.parsePropertyKey();
+          let value;
+          if (this.eat(':')) {
+            value = this.parseBindingElement();
+          } else {
+            value = { type: 'Identifier', name: key.name };
+            if (this.eat('=')) value = { type: 'AssignmentPattern', left: value, right: this.parseAssignment() };
+          }
+          properties.push({ key: key.name, computed: key.computed, value });
+        }
+        if (!this.eat(',')) break;
+      }
+      this.expect('}');
+      pattern = this.node('ObjectPattern', start, { properties, rest });
+    } else if (this.eat('[')) {
+      const elements = [];
+      while (!this.is(']')) {
+        if (this.eof()) throw this.error('Unterminated array pattern');
+        if (this.is(',')) {
+          elements.push(null);
+        } else if (this.eat('...')) {
+          elements.push({ type: 'RestElement', argument: this.parseBindingPattern() });
+        } else {
+          elements.push(this.parseBindingElement());
+        }
+        if (!this.eat(',')) break;
+      }
+      this.expect(']');
+      pattern = this.node('ArrayPattern', start, { elements });
+    } else {
+      const name = this.readIdentifier();
+      if (!name) throw this.error('Expected binding name');
+      pattern = this.node('Identifier', start, { name });
+    }
+
+    this.eat('?');
+    if (this.is(':') ) {
+      this.pos++;
+      this.skipType([',', ')', '=', ';', '}', ']'], { newlines: false });
+    }
+    return pattern;
+  }
+
+  // ---------------------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------------------
+
+  parseExpression() {
+    const start = this.pos;
+    let expression = this.parseAssignment();
+    if (this.is(',')) {
+      const expressions = [expression];
+      while (this.eat(',')) expressions.push(this.parseAssignment());
+      expression = this.node('Sequence', start, { expressions });
+    }
+    return expression;
+  }
+
+  parseAssignment() {
+    const arrow = this.tryParseArrow();
+    if (arrow) {
+      return arrow;
+    }
+
+    const start = this.pos;
+    const left = this.parseConditional();
+    const operator = this.peekPunctuator();
+    if (ASSIGNMENT_OPERATORS.includes(operator)) {
+      this.pos += operator.length;
+      const right = this.parseAssignment();
+      return this.node('Assignment', start, { operator, left, right });
+    }
+    return left;
+  }
+
+  // Arrow functions: x => ..., (a, { b }) => ..., async (a): Type => ...
+  tryParseArrow() {
+    const start = this.pos;
+    const isAsync = this.peekIdentifier() === 'async' && /^\s*[(\w$]/.test(this.source.slice(this.pos + 5, this.pos + 7));
+    if (isAsync) this.pos += 5;
+
+    let params = null;
+    const name = this.peekIdentifier();
+    if (name && !['function', 'class', 'new', 'typeof', 'void', 'delete', 'await'].includes(name)) {
+      const saved = this.pos;
+      this.pos += name.length;
+      if (this.is('=>')) {
+        params = [{ type: 'Identifier', name }];
+      } else {
+        this.pos = saved;
+      }
+    } else if (this.is('(') || this.is('<')) {
+      const saved = this.pos;
+      try {
+        if (this.is('<')) this.skipGenerics();
+        params = this.parseParameters();
+        if (this.eat(':')) this.skipType(['=>', '{', ';'], { stopAtArrow: true });
+        if (!this.is('=>')) params = null;
+      } catch (error) {
+        if (!(error instanceof StoryParseError)) throw error;
+        params = null;
+      }
+      if (!params) this.pos = saved;
+    }
+
+    if (!params) {
+      this.pos = start;
+      return null;
+    }
+
+    this.expect('=>');
+    if (this.is('{')) {
+      const body = this.parseFunctionBody();
+      return this.node('Function', start, { name: null, params, body, expression: false, async: isAsync });
+    }
+    const body = this.parseAssignment();
+    return this.node('Function', start, { name: null, params, body, expression: true, async: isAsync });
+  }
+
+  parseConditional() {
+    const start = this.pos;
+    const test = this.parseBinary(0);
+    if (this.is('?')) {
+      this.pos++;
+      const consequent = this.parseAssignment();
+      this.expect(':');
+      const alternate = this.parseAssignment();
+      return this.node('Conditional', start, { test, consequent, alternate });
+    }
+    return test;
+  }
+
+  parseBinary(minPrecedence) {
+    const start = this.pos;
+    let left = this.parseUnary();
+
+    for (;;) {
+      const newline = this.skipTrivia();
+      const word = this.peekIdentifier();
+
+      // TypeScript `as Type` / `satisfies Type` leave the value unchanged
+      if (!newline && (word === 'as' || word === 'satisfies')) {
+        this.pos += word.length;
+        this.skipType([',', ')', ']', '}', ';', '=', '?', ':'], { newlines: true });
+        left = this.node(left.type, left.start, { ...left, end: left.end });
+        continue;
+      }
+
+      const operator = word === 'instanceof' || word === 'in' ? word : this.peekPunctuator();
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (!precedence || precedence <= minPrecedence) {
+        return left;
+      }
+      this.pos += operator.length;
+      // ** is right-associative
+      const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence);
+      left = this.node('Binary', start, { operator, left, right });
+    }
+  }
+
+  parseUnary() {
+    const start = this.pos;
+    const operator = ['!', '-', '+', '~', '++', '--', '...'].find(candidate => this.is(candidate) && candidate !== '...');
+    if (operator) {
+      this.pos += operator.length;
+      return this.node('Unary', start, { operator, argument: this.parseUnary() });
+    }
+    const word = this.peekIdentifier();
+    if (['typeof', 'void', 'delete', 'await', 'yield'].includes(word)) {
+      this.pos += word.length;
+      return this.node('Unary', start, { operator: word, argument: this.parseUnary() });
+    }
+    if (this.is('<') && this.isTypeAssertion()) {
+      this.skipGenerics();
+      return this.parseUnary();
+    }
+    return this.parsePostfix();
+  }
+
+  // `<Type>value` (in .ts files) rather than JSX: no matching closing tag follows
+  isTypeAssertion() {
+    const match = /^<\s*([A-Za-z_$][\w$.]*)\s*(\[\s*\]\s*)?>\s*[\w$([]/.exec(this.source.slice(this.pos, this.pos + 120));
+    return Boolean(match) && !new RegExp(`</\\s*${match[1].replace(/[$.]/g, '\\$&')}\\s*>`).test(this.source.slice(this.pos));
+  }
+
+  parsePostfix() {
+    const start = this.pos;
+    let expression = this.parsePrimary();
+
+    for (;;) {
+      const newline = this.skipTrivia();
+      if (this.is('?.')) {
+        this.pos += 2;
+        if (this.is('(')) {
+          expression = this.node('Call', start, { callee: expression, arguments: this.parseArguments(), optional: true });
+        } else if (this.eat('[')) {
+          const property = this.parseExpression();
+          this.expect(']');
+          expression = this.node('MemberExpression', start, { object: expression, property, computed: true, optional: true });
+        } else {
+          expression = this.node('MemberExpression', start, { object: expression, property: this.readIdentifier(), computed: false, optional: true });
+        }
+      } else if (this.is('.') && !this.is('...')) {
+        this.pos++;
+        this.eat('#');
+        const property = this.readIdentifier();
+        if (!property) throw this.error('Expected property name');
+        expression = this.node('MemberExpression', start, { object: expression, property, computed: false });
+      } else if (this.is('[') && !newline) {
+        this.pos++;
+        const property = this.parseExpression();
+        this.expect(']');
+        expression = this.node('MemberExpression', start, { object: expression, property, computed: true });
+      } else if (this.is('(') && !newline) {
+        expression = this.node('Call', start, { callee: expression, arguments: this.parseArguments() });
+      } else if (this.source[this.pos] === '`') {
+        expression = this.node('TaggedTemplate', start, { tag: expression, quasi: this.parseTemplate() });
+      } else if (this.is('!') && !this.source.startsWith('!=', this.pos) && !newline) {
+        // TypeScript non-null assertion
+        this.pos++;
+      } else if ((this.is('++') || this.is('--')) && !newline) {
+        this.pos += 2;
+      } else if (this.is('<') && !newline && this.isGenericCall()) {
+        this.skipGenerics();
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  // foo<Type>(...) in TypeScript
+  isGenericCall() {
+    return /^<[\w$.,\s[\]|&<>]*>\(/.test(this.source.slice(this.pos, this.pos + 120));
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    while (!this.is(')')) {
+      if (this.eof()) throw this.error('Unterminated arguments');
+      const start = this.pos;
+      if (this.eat('...')) {
+        args.push(this.node('Spread', start, { argument: this.parseAssignment() }));
+      } else {
+        args.push(this.parseAssignment());
+      }
+      if (!this.eat(',')) break;
+    }
+    this.expect(')');
+    return args;
+  }
+
+  parsePrimary() {
+    this.skipTrivia();
+    const start = this.pos;
+    const char = this.source[this.pos];
+
+    if (char === undefined) throw this.error('Unexpected end of input');
+    if (char === '"' || char === "'") return this.parseString();
+    if (char === '`') return this.parseTemplate();
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(this.source[this.pos + 1]))) return this.parseNumber();
+    if (char === '/') return this.parseRegExp();
+    if (char === '<') return this.parseJSX();
+    if (char === '(') {
+      this.pos++;
+      const expression = this.parseExpression();
+      this.expect(')');
+      return expression;
+    }
+    if (char === '[') return this.parseArray();
+    if (char === '{') return this.parseObject();
+
+    const word = this.peekIdentifier();
+    if (!word) throw this.error(`Unexpected "${char}"`);
+
+    switch (word) {
+      case 'true':
+      case 'false':
+        this.pos += word.length;
+        return this.node('Literal', start, { value: word === 'true' });
+      case 'null':
+        this.pos += 4;
+        return this.node('Literal', start, { value: null });
+      case 'undefined':
+        this.pos += 9;
+        return this.node('Literal', start, { value: undefined });
+      case 'function':
+        return this.parseFunction();
+      case 'async':
+        if (this.peekIdentifierAfter('async') === 'function') return this.parseFunction();
+        break;
+      case 'class':
+        return this.parseClass(null);
+      case 'new': {
+        this.pos += 3;
+        if (this.eat('.')) {
+          this.readIdentifier();
+          return this.node('Raw', start, {});
+        }
+        const callee = this.parsePrimary();
+        const args = this.is('(') ? this.parseArguments() : [];
+        return this.node('New', start, { callee, arguments: args });
+      }
+      default:
+        break;
+    }
+
+    this.pos += word.length;
+    return this.node('Identifier', start, { name: word });
+  }
+
+  parseString() {
+    const start = this.pos;
+    const quote = this.source[this.pos++];
+    let value = '';
+    while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+      if (this.source[this.pos] === '\n') throw this.error('Unterminated string');
+      if (this.source[this.pos] === '\\') {
+        value += this.readEscape();
+      } else {
+        value += this.source[this.pos++];
+      }
+    }
+    this.pos++;
+    return this.node('Literal', start, { value });
+  }
+
+  readEscape() {
+    this.pos++;
+    const char = this.source[this.pos++];
+    switch (char) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      case 'b': return '\b';
+      case 'f': return '\f';
+      case 'v': return '\v';
+      case '0': return '\0';
+      case '\r':
+        if (this.source[this.pos] === '\n') this.pos++;
+        return '';
+      case '\n':
+        return '';
+      case 'x': {
+        const hex = this.source.slice(this.pos, this.pos + 2);
+        this.pos += 2;
+        return String.fromCharCode(parseInt(hex, 16));
+      }
+      case 'u': {
+        if (this.source[this.pos] === '{') {
+          const end = this.source.indexOf('}', this.pos);
+          const code = parseInt(this.source.slice(this.pos + 1, end), 16);
+          this.pos = end + 1;
+          return String.fromCodePoint(code);
+        }
+        const hex = this.source.slice(this.pos, this.pos + 4);
+        this.pos += 4;
+        return String.fromCharCode(parseInt(hex, 16));
+      }
+      default:
+        return char;
+    }
+  }
+
+  parseTemplate() {
+    const start = this.pos;
+    this.pos++;
+    const quasis = [];
+    const expressions = [];
+    let text = '';
+    while (this.pos < this.source.length && this.source[this.pos] !== '`') {
+      if (this.source[this.pos] === '\\') {
+        text += this.readEscape();
+      } else if (this.source.startsWith('${', this.pos)) {
+        this.pos += 2;
+        quasis.push(text);
+        text = '';
+        expressions.push(this.parseExpression());
+        this.expect('}');
+      } else {
+        text += this.source[this.pos++];
+      }
+    }
+    quasis.push(text);
+    this.pos++;
+    return this.node('TemplateLiteral', start, { quasis, expressions });
+  }
+
+  parseNumber() {
+    const start = this.pos;
+    const match = /^(0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(\d[\d_]*)?\.?[\d_]*([eE][+-]?\d+)?)n?/.exec(this.source.slice(this.pos));
+    this.pos += match[0].length;
+    return this.node('Literal', start, { value: Number(match[0].replace(/[_n]/g, '')) });
+  }
+
+  parseRegExp() {
+    const start = this.pos;
+    this.pos++;
+    let inClass = false;
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos++];
+      if (char === '\\') this.pos++;
+      else if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+      else if (char === '\n') throw this.error('Unterminated regular expression');
+    }
+    while (isIdentifierPart(this.source[this.pos] || '')) this.pos++;
+    return this.node('Raw', start, {});
+  }
+
+  parseArray() {
+    const start = this.pos;
+    this.expect('[');
+    const elements = [];
+    while (!this.is(']')) {
+      if (this.eof()) throw this.error('Unterminated array');
+      const elementStart = this.pos;
+      if (this.is(',')) {
+        elements.push(null);
+      } else if (this.eat('...')) {
+        elements.push(this.node('Spread', elementStart, { argument: this.parseAssignment() }));
+      } else {
+        elements.push(this.parseAssignment());
+      }
+      if (!this.eat(',')) break;
+    }
+    this.expect(']');
+    return this.node('ArrayExpression', start, { elements });
+  }
+
+  parsePropertyKey() {
+    this.skipTrivia();
+    const char = this.source[this.pos];
+    if (char === '[') {
+      this.pos++;
+      const expression = this.parseAssignment();
+      this.expect(']');
+      return { name: null, computed: true, expression };
+    }
+    if (char === '"' || char === "'") {
+      return { name: this.parseString().value, computed: false };
+    }
+    if (/[0-9]/.test(char)) {
+      return { name: String(this.parseNumber().value), computed: false };
+    }
+    this.eat('#');
+    const name = this.readIdentifier();
+    if (!name) throw this.error('Expected property name');
+    return { name, computed: false };
+  }
+
+  parseObject() {
+    const start = this.pos;
+    this.expect('{');
+    const properties = [];
+    while (!this.is('}')) {
+      if (this.eof()) throw this.error('Unterminated object');
+      const propertyStart = this.pos;
+      if (this.eat('...')) {
+        properties.push(this.node('Spread', propertyStart, { argument: this.parseAssignment() }));
+      } else {
+        let key = this.parsePropertyKey();
+        // get/set/async/* method modifiers
+        if (['get', 'set', 'async'].includes(key.name) && !key.computed && !/^[:(,}=]/.test(this.peekChar())) {
+          this.eat('*');
+          key = this.parsePropertyKey();
+        } else if (this.eat('*')) {
+          key = this.parsePropertyKey();
+        }
+
+        let value;
+        if (this.is('(') || this.is('<')) {
+          if (this.is('<')) this.skipGenerics();
+          const params = this.parseParameters();
+          if (this.eat(':')) this.skipType(['{']);
+          value = this.node('Function', propertyStart, { name: key.name, params, body: this.parseFunctionBody(), expression: false });
+        } else if (this.eat(':')) {
+          value = this.parseAssignment();
+        } else {
+          value = this.node('Identifier', propertyStart, { name: key.name });
+          if (this.eat('=')) this.parseAssignment();
+        }
+        properties.push(this.node('Property', propertyStart, { key: key.name, computed: key.computed, value }));
+      }
+      if (!this.eat(',')) break;
+    }
+    this.expect('}');
+    return this.node('ObjectExpression', start, { properties });
+  }
+
+  // ---------------------------------------------------------------------------------------
+  // JSX
+  // ---------------------------------------------------------------------------------------
+
+  readJSXName() {
+    this.skipTrivia();
+    const match = /^[A-Za-z_$][\w$.:-]*/.exec(this.source.slice(this.pos));
+    if (!match) throw this.error('Expected JSX name');
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  parseJSX() {
+    const start = this.pos;
+    this.expect('<');
+
+    if (this.eat('>')) {
+      const children = this.parseJSXChildren(null);
+      return this.node('JSXFragment', start, { children });
+    }
+
+    const name = this.readJSXName();
+    if (this.is('<')) this.skipGenerics();
+    const attributes = [];
+    let selfClosing = false;
+
+    for (;;) {
+      if (this.eof()) throw this.error('Unterminated JSX tag');
+      if (this.source.startsWith('/>', this.pos)) {
+        this.pos += 2;
+        selfClosing = true;
+        break;
+      }
+      if (this.eat('>')) break;
+
+      const attributeStart = this.pos;
+      if (this.eat('{')) {
+        this.expect('...');
+        const argument = this.parseAssignment();
+        this.expect('}');
+        attributes.push(this.node('JSXSpreadAttribute', attributeStart, { argument }));
+        continue;
+      }
+
+      const attributeName = this.readJSXName();
+      let value = null;
+      if (this.eat('=')) {
+        this.skipTrivia();
+        const char = this.source[this.pos];
+        if (char === '"' || char === "'") {
+          const end = this.source.indexOf(char, this.pos + 1);
+          if (end === -1) throw this.error('Unterminated attribute value');
+          value = { type: 'Literal', value: decodeEntities(this.source.slice(this.pos + 1, end)) };
+          this.pos = end + 1;
+        } else if (char === '{') {
+          value = this.parseJSXExpressionContainer();
+        } else {
+          value = this.parseJSX();
+        }
+      }
+      attributes.push(this.node('JSXAttribute', attributeStart, { name: attributeName, value }));
+    }
+
+    const children = selfClosing ? [] : this.parseJSXChildren(name);
+    return this.node('JSXElement', start, { name, attributes, children, selfClosing });
+  }
+
+  parseJSXExpressionContainer() {
+    const start = this.pos;
+    this.expect('{');
+    if (this.eat('}')) {
+      return this.node('JSXEmptyExpression', start, {});
+    }
+    const expression = this.parseExpression();
+    this.expect('}');
+    return this.node('JSXExpressionContainer', start, { expression });
+  }
+
+  // Children up to the closing tag (null name for fragments)
+  parseJSXChildren(name) {
+    const children = [];
+    for (;;) {
+      const textStart = this.pos;
+      while (this.pos < this.source.length && !'<{'.includes(this.source[this.pos])) this.pos++;
+      if (this.pos > textStart) {
+        children.push({ type: 'JSXText', value: this.source.slice(textStart, this.pos) });
+      }
+      if (this.pos >= this.source.length) throw this.error(`Unterminated <${name || ''}>`);
+
+      if (this.source[this.pos] === '{') {
+        children.push(this.parseJSXExpressionContainer());
+      } else if (/^<\s*\//.test(this.source.slice(this.pos, this.pos + 8))) {
+        this.pos = this.source.indexOf('/', this.pos) + 1;
+        const closing = this.is('>') ? null : this.readJSXName();
+        this.expect('>');
+        if (closing !== name) throw this.error(`Expected </${name || ''}>`);
+        return children;
+      } else {
+        children.push(this.parseJSX());
+      }
+    }
+  }
+}
+
+function createScope() {
+  return { bindings: new Map(), declarations: [], returns: [], assignments: [], exports: [], exportDefault: null };
+}
+
+// Primary.args -> ['Primary', 'args']
+function memberPath(node) {
+  if (node.type === 'Identifier') return [node.name];
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const path = memberPath(node.object);
+    return path && [...path, node.property];
+  }
+  return null;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// -----------------------------------------------------------------------------------------
+// Static evaluation
+// -----------------------------------------------------------------------------------------
+
+/**
+ * Evaluate a node to a plain value using the file's top-level bindings
+ *
+ * Literals, objects, arrays, spreads, simple operators and references to other constants
+ * (including `Story.args` assignments) are resolved; anything else is UNRESOLVED. Object
+ * properties that can't be resolved are left out.
+ */
+function evaluate(node, context, seen = new Set()) {
+  if (!node) return undefined;
+
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'TemplateLiteral': {
+      const values = node.expressions.map(expression => evaluate(expression, context, seen));
+      if (values.some(value => value === UNRESOLVED)) return UNRESOLVED;
+      return node.quasis.reduce((text, quasi, index) => text + quasi + (index < values.length ? String(values[index]) : ''), '');
+    }
+
+    case 'ObjectExpression': {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type === 'Spread') {
+          const value = evaluate(property.argument, context, seen);
+          if (value && typeof value === 'object' && value !== UNRESOLVED) Object.assign(result, value);
+        } else if (!property.computed) {
+          const value = evaluate(property.value, context, seen);
+          if (value !== UNRESOLVED) result[property.key] = value;
+        }
+      }
+      return result;
+    }
+
+    case 'ArrayExpression': {
+      const result = [];
+      for (const element of node.elements) {
+        if (element && element.type === 'Spread') {
+          const value = evaluate(element.argument, context, seen);
+          if (!Array.isArray(value)) return UNRESOLVED;
+          result.push(...value);
+        } else {
+          const value = evaluate(element, context, seen);
+          if (value === UNRESOLVED) return UNRESOLVED;
+          result.push(value);
+        }
+      }
+      return result;
+    }
+
+    case 'Identifier': {
+      if (node.name === 'undefined') return undefined;
+      if (context.values && context.values.has(node.name)) return context.values.get(node.name);
+      if (seen.has(node.name) || !context.bindings.has(node.name)) return UNRESOLVED;
+      const binding = context.bindings.get(node.name);
+      if (!binding || binding.type === 'Function' || binding.type === 'Raw') return UNRESOLVED;
+      return evaluate(binding, context, new Set([...seen, node.name]));
+    }
+
+    case 'MemberExpression': {
+      const path = memberPath(node);
+      const assigned = path && context.assignments.get(path.join('.'));
+      if (assigned) {
+        return evaluate(assigned, context, seen);
+      }
+      const object = evaluate(node.object, context, seen);
+      if (!object || typeof object !== 'object' || object === UNRESOLVED) return UNRESOLVED;
+      const key = node.computed ? evaluate(node.property, context, seen) : node.property;
+      return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : UNRESOLVED;
+    }
+
+    case 'Unary': {
+      const value = evaluate(node.argument, context, seen);
+      if (value === UNRESOLVED) return UNRESOLVED;
+      switch (node.operator) {
+        case '!': return !value;
+        case '-': return -value;
+        case '+': return +value;
+        case 'typeof': return typeof value;
+        default: return UNRESOLVED;
+      }
+    }
+
+    case 'Binary': {
+      const left = evaluate(node.left, context, seen);
+      if (left === UNRESOLVED) return UNRESOLVED;
+      if (node.operator === '&&' && !left) return left;
+      if (node.operator === '||' && left) return left;
+      if (node.operator === '??' && left !== null && left !== undefined) return left;
+      const right = evaluate(node.right, context, seen);
+      if (right === UNRESOLVED) return UNRESOLVED;
+      switch (node.operator) {
+        case '&&': case '||': case '??': return right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '===': case '==': return left === right;
+        case '!==': case '!=': return left !== right;
+        default: return UNRESOLVED;
+      }
+    }
+
+    case 'Conditional': {
+      const test = evaluate(node.test, context, seen);
+      if (test === UNRESOLVED) return UNRESOLVED;
+      return evaluate(test ? node.consequent : node.alternate, context, seen);
+    }
+
+    default:
+      return UNRESOLVED;
+  }
+}
+
+// -----------------------------------------------------------------------------------------
+// Markup printing and rendering
+// -----------------------------------------------------------------------------------------
+
+// Resolved to a function (event handlers and other callbacks have no markup form)
+const FUNCTION = Symbol('function');
+
+// JSX attributes that only mean something to React
+const REACT_ONLY_ATTRIBUTES = ['key', 'ref'];
+
+/**
+ * A rendered JSX element or template, printed once its indentation is known
+ */
+class Markup {
+  constructor(print) {
+    this.print = print;
+  }
+}
+
+// JSX text whitespace: trim around line breaks, collapse the rest (as React does)
+function cleanJSXText(text) {
+  const lines = text.split(/\r\n|\n|\r/);
+  const kept = [];
+  lines.forEach((line, index) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (index > 0) trimmed = trimmed.replace(/^ +/, '');
+    if (index < lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+    if (trimmed) kept.push(trimmed);
+  });
+  return kept.join(' ').replace(/ {2,}/g, ' ');
+}
+
+// Reindent multi-line source so its first line starts at `indent`
+function reindent(text, indent) {
+  const lines = text.split('\n');
+  const margins = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^ */)[0].length);
+  const margin = margins.length > 0 ? Math.min(...margins) : 0;
+  return lines.map((line, index) => (index === 0 ? line : `${indent}${line.slice(margin)}`)).join('\n');
+}
+
+// Strip the blank first/last lines and common indentation of template text
+function dedent(text) {
+  const lines = text.replace(/^\s*\n/, '').replace(/\n\s*$/, '').split('\n');
+  const margins = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const margin = margins.length > 0 ? Math.min(...margins) : 0;
+  return lines.map(line => line.slice(margin).replace(/\s+$/, '')).join('\n').trim();
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function isHTMLElementName(name) {
+  return /^[a-z]/.test(name);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Markup);
+}
+
+// { marginTop: '1rem' } -> "margin-top: 1rem"
+function formatStyle(style) {
+  return Object.entries(style)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([property, value]) => `${property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${value}`)
+    .join('; ');
+}
+
+/**
+ * Print one resolved attribute, or null when it has no markup form
+ *
+ * HTML follows attribute semantics: `true` is a bare boolean attribute, `false`, null and
+ * undefined leave the attribute out, and arrays/objects are passed as JSON (as VA components
+ * accept them). React components keep JSX prop syntax.
+ */
+function formatAttribute(name, value, htmlElement) {
+  if (value === FUNCTION || value === undefined || value === null || value === false) return null;
+  if (value === true) return name;
+  if (typeof value === 'string' || typeof value === 'number') return `${name}="${escapeAttribute(String(value))}"`;
+  if (!htmlElement) return `${name}={${JSON.stringify(value)}}`;
+  if (name === 'style' && isPlainObject(value)) return `style="${escapeAttribute(formatStyle(value))}"`;
+  return `${name}='${JSON.stringify(value).replace(/'/g, '&#39;')}'`;
+}
+
+/**
+ * Resolve an expression for printing
+ *
+ * Without a context (printing the template as written) only string literals resolve.
+ * With one, story args bound to the template's parameters are substituted: JSX and
+ * templates become Markup, `list.map(item => <el />)` becomes an array of Markup,
+ * conditionals and `&&` pick their branch, and functions resolve to FUNCTION.
+ */
+function resolveValue(node, printer, context) {
+  switch (node.type) {
+    case 'JSXElement':
+    case 'JSXFragment':
+      return new Markup(indent => printJSX(node, printer, indent, context));
+    case 'TaggedTemplate':
+      return new Markup(indent => dedent(printTemplate(node.quasi, printer, context)).split('\n').map(line => `${indent}${line}`));
+    default:
+      break;
+  }
+
+  if (!context) {
+    return node.type === 'Literal' && typeof node.value === 'string' ? node.value : UNRESOLVED;
+  }
+
+  switch (node.type) {
+    case 'Function':
+      return FUNCTION;
+
+    case 'Identifier': {
+      if (context.values.has(node.name)) return context.values.get(node.name);
+      const binding = context.bindings.get(node.name);
+      if (binding && binding.type === 'Function') return FUNCTION;
+      if (binding && isMarkupNode(binding)) return resolveValue(binding, printer, context);
+      break;
+    }
+
+    case 'Conditional': {
+      const test = evaluate(node.test, context);
+      if (test === UNRESOLVED) return UNRESOLVED;
+      return resolveValue(test ? node.consequent : node.alternate, printer, context);
+    }
+
+    case 'Binary': {
+      if (!['&&', '||', '??'].includes(node.operator)) break;
+      const left = resolveValue(node.left, printer, context);
+      if (left === UNRESOLVED) return UNRESOLVED;
+      if (node.operator === '&&' ? !left : node.operator === '||' ? left : left !== null && left !== undefined) return left;
+      return resolveValue(node.right, printer, context);
+    }
+
+    case 'Call': {
+      // items.map(item => <va-radio-option label={item} />)
+      const { callee } = node;
+      const callback = node.arguments[0];
+      if (callee.type !== 'MemberExpression' || callee.computed || callee.property !== 'map' || !callback || callback.type !== 'Function') break;
+      const items = evaluate(callee.object, context);
+      if (!Array.isArray(items)) return UNRESOLVED;
+      const results = items.map((item, index) => callTemplate(callback, [item, index, items], context, printer));
+      return results.includes(UNRESOLVED) ? UNRESOLVED : results;
+    }
+
+    default:
+      break;
+  }
+
+  return evaluate(node, context);
+}
+
+// Bind a parameter or declaration pattern to a value in the context
+function bindPattern(pattern, value, context) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      context.values.set(pattern.name, value);
+      break;
+    case 'AssignmentPattern':
+      bindPattern(pattern.left, value === undefined ? evaluate(pattern.right, context) : value, context);
+      break;
+    case 'RestElement':
+      bindPattern(pattern.argument, value, context);
+      break;
+    case 'ObjectPattern': {
+      const object = isPlainObject(value) ? value : null;
+      const member = key => {
+        if (!object || key === null) return value === undefined || value === null ? undefined : UNRESOLVED;
+        return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+      };
+      for (const property of pattern.properties) {
+        bindPattern(property.value, property.computed ? UNRESOLVED : member(property.key), context);
+      }
+      if (pattern.rest) {
+        const used = pattern.properties.map(property => property.key);
+        const rest = object ? Object.fromEntries(Object.entries(object).filter(([key]) => !used.includes(key))) : UNRESOLVED;
+        bindPattern(pattern.rest, rest, context);
+      }
+      break;
+    }
+    case 'ArrayPattern':
+      pattern.elements.forEach((element, index) => {
+        if (element && element.type === 'RestElement') {
+          bindPattern(element, Array.isArray(value) ? value.slice(index) : UNRESOLVED, context);
+        } else {
+          bindPattern(element, Array.isArray(value) ? value[index] : UNRESOLVED, context);
+        }
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Resolve what a template function renders when called with `args`
+ *
+ * Parameters and the function's own declarations are bound in order, so templates that
+ * destructure args or derive values from them render with those values.
+ */
+function callTemplate(fn, args, context, printer) {
+  const local = { ...context, bindings: new Map(context.bindings), values: new Map(context.values) };
+  fn.params.forEach((param, index) => bindPattern(param, args[index], local));
+
+  if (!fn.expression) {
+    const { scope } = fn.body;
+    for (const [name, node] of scope.bindings) {
+      if (node && node.type === 'Function') local.bindings.set(name, node);
+    }
+    for (const { pattern, value } of scope.declarations) {
+      bindPattern(pattern, value ? resolveValue(value, printer, local) : undefined, local);
+    }
+  }
+
+  const rendered = getRenderedNode(fn);
+  if (!rendered) return UNRESOLVED;
+  if (rendered.type === 'TemplateLiteral') {
+    // An untagged template returned from a template function is an HTML string
+    return new Markup(indent => dedent(printTemplate(rendered, printer, local)).split('\n').map(line => `${indent}${line}`));
+  }
+  return resolveValue(rendered, printer, local);
+}
+
+// Source of an expression that couldn't be resolved, flagged when rendering
+function keep(node, printer) {
+  const raw = printer.source.slice(node.start, node.end);
+  if (printer.rendering && !printer.unresolved.includes(raw)) {
+    printer.unresolved.push(raw);
+  }
+  return raw;
+}
+
+function printAttributes(node, printer, context) {
+  const htmlElement = isHTMLElementName(node.name);
+  const printed = [];
+
+  for (const attribute of node.attributes) {
+    if (attribute.type === 'JSXSpreadAttribute') {
+      // <va-alert {...args} />
+      const value = resolveValue(attribute.argument, printer, context);
+      if (isPlainObject(value)) {
+        for (const [name, propValue] of Object.entries(value)) {
+          const formatted = formatAttribute(name, propValue, htmlElement);
+          if (formatted !== null) printed.push(formatted);
+        }
+      } else {
+        printed.push(`{...${keep(attribute.argument, printer)}}`);
+      }
+      continue;
+    }
+
+    if (printer.rendering && REACT_ONLY_ATTRIBUTES.includes(attribute.name)) continue;
+    const name = htmlElement ? HTML_ATTRIBUTE_NAMES[attribute.name] || attribute.name : attribute.name;
+    const { value } = attribute;
+    if (value === null) {
+      printed.push(name);
+      continue;
+    }
+
+    const expression = value.type === 'JSXExpressionContainer' ? value.expression : value;
+    if (value.type === 'JSXEmptyExpression') continue;
+    const resolved = value.type === 'Literal' ? value.value : resolveValue(expression, printer, context);
+    if (resolved === UNRESOLVED || resolved instanceof Markup || (resolved === FUNCTION && !printer.rendering)) {
+      printed.push(`${name}={${keep(expression, printer)}}`);
+      continue;
+    }
+    const formatted = formatAttribute(name, resolved, htmlElement);
+    if (formatted !== null) printed.push(formatted);
+  }
+
+  return printed;
+}
+
+// Lines for a resolved child value
+function printValue(value, node, printer, indent) {
+  if (value === UNRESOLVED || isPlainObject(value)) {
+    return [`${indent}{${reindent(keep(node, printer), indent)}}`];
+  }
+  if (value instanceof Markup) return value.print(indent);
+  if (Array.isArray(value)) return value.flatMap(item => printValue(item, node, printer, indent));
+  if (typeof value === 'string' || typeof value === 'number') {
+    const text = escapeText(String(value));
+    return text ? [`${indent}${text}`] : [];
+  }
+  // null, undefined, booleans and functions render nothing
+  return [];
+}
+
+// Children one per line, with adjacent text and inline values joined as JSX renders them
+function printChildren(children, printer, indent, context) {
+  const lines = [];
+  let inline = '';
+  const flush = () => {
+    if (inline.trim()) lines.push(`${indent}${inline.trim()}`);
+    inline = '';
+  };
+
+  for (const child of children) {
+    if (child.type === 'JSXText') {
+      inline += cleanJSXText(child.value);
+    } else if (child.type === 'JSXExpressionContainer') {
+      const value = resolveValue(child.expression, printer, context);
+      const printed = printValue(value, child.expression, printer, '');
+      if (typeof value === 'string' || typeof value === 'number' || (printed.length === 1 && printed[0].startsWith('{'))) {
+        inline += printed.join('');
+      } else {
+        flush();
+        lines.push(...printed.map(line => `${indent}${line}`));
+      }
+    } else if (child.type === 'JSXElement' || child.type === 'JSXFragment') {
+      flush();
+      lines.push(...printJSX(child, printer, indent, context));
+    }
+  }
+  flush();
+  return lines;
+}
+
+/**
+ * Print a JSX tree as indented markup
+ *
+ * Lower-case (HTML and custom) elements get explicit closing tags, as custom elements can't
+ * self-close in HTML; capitalized React components keep the JSX form. Expressions that
+ * aren't resolved are kept as `{expression}`.
+ */
+function printJSX(node, printer, indent, context) {
+  if (node.type === 'JSXFragment') {
+    return printChildren(node.children, printer, indent, context);
+  }
+
+  const htmlElement = isHTMLElementName(node.name);
+  const attributes = printAttributes(node, printer, context);
+  const voidElement = htmlElement && VOID_ELEMENTS.includes(node.name.toLowerCase());
+  const children = printChildren(node.children, printer, `${indent}  `, context);
+
+  let openEnd = '>';
+  let close = `</${node.name}>`;
+  if (voidElement) {
+    close = '';
+  } else if (!htmlElement && children.length === 0) {
+    openEnd = ' />';
+    close = '';
+  }
+
+  const inlineOpen = `${indent}<${node.name}${attributes.map(attribute => ` ${attribute}`).join('')}`;
+  const multiline = attributes.some(attribute => attribute.includes('\n')) || inlineOpen.length + openEnd.length + close.length > MAX_LINE_LENGTH;
+  const openLines = multiline
+    ? [`${indent}<${node.name}`, ...attributes.map(attribute => `${indent}  ${reindent(attribute, `${indent}  `)}`), `${indent}${openEnd.trim()}`]
+    : [`${inlineOpen}${openEnd}`];
+
+  if (children.length === 0) {
+    if (close) openLines[openLines.length - 1] += close;
+    return openLines;
+  }
+
+  // A single short line of text stays on the tag's line
+  if (children.length === 1 && !multiline && !children[0].trim().startsWith('<')) {
+    const line = `${openLines[0]}${children[0].trim()}${close}`;
+    if (line.length <= MAX_LINE_LENGTH) return [line];
+  }
+
+  return [...openLines, ...children, `${indent}${close}`];
+}
+
+/**
+ * Text of a (tagged) template literal with interpolations substituted where they resolve
+ *
+ * Interpolations follow lit's binding syntax: `attr=${value}` sets an attribute,
+ * `?attr=${flag}` a boolean attribute, `.prop=${value}` a property (printed as its
+ * attribute for primitive values) and `@event=${handler}` a listener, which is left out.
+ */
+function printTemplate(node, printer, context) {
+  let text = '';
+  let dropQuote = null;
+
+  node.quasis.forEach((quasi, index) => {
+    text += dropQuote && quasi.startsWith(dropQuote) ? quasi.slice(1) : quasi;
+    dropQuote = null;
+
+    const expression = node.expressions[index];
+    if (!expression) return;
+
+    const value = resolveValue(expression, printer, context);
+    const binding = /\s([.?@]?)([^\s"'<>/=]+)=(["']?)$/.exec(text);
+    if (!binding) {
+      // Text content
+      if (value instanceof Markup || Array.isArray(value)) {
+        const lineIndent = text.slice(text.lastIndexOf('\n') + 1).match(/^\s*/)[0];
+        const lines = printValue(value, expression, printer, lineIndent);
+        text += lines.map(line => line.trim()).join(`\n${lineIndent}`);
+      } else if (value === UNRESOLVED || isPlainObject(value)) {
+        text += `\${${keep(expression, printer)}}`;
+      } else if (typeof value === 'string' || typeof value === 'number') {
+        text += escapeText(String(value));
+      }
+      return;
+    }
+
+    const [match, prefix, name, quote] = binding;
+    const attributeName = prefix === '.' ? name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`) : name;
+    const isPrimitive = ['string', 'number', 'boolean'].includes(typeof value) || value === null || value === undefined;
+    const replace = replacement => {
+      text = text.slice(0, text.length - match.length) + (replacement === null ? '' : ` ${replacement}`);
+      dropQuote = quote || null;
+    };
+
+    if (prefix === '@' || value === FUNCTION) {
+      replace(null);
+    } else if (value === UNRESOLVED || value instanceof Markup || (prefix === '.' && !isPrimitive)) {
+      text += `\${${keep(expression, printer)}}`;
+    } else if (prefix === '?') {
+      replace(value ? name : null);
+    } else if (quote && isPrimitive) {
+      text += value === null || value === undefined ? '' : escapeAttribute(String(value));
+    } else {
+      replace(formatAttribute(attributeName, value, true));
+    }
+  });
+
+  return text;
+}
+
+function isMarkupNode(node) {
+  return Boolean(node) && ['JSXElement', 'JSXFragment', 'TemplateLiteral', 'TaggedTemplate'].includes(node.type);
+}
+
+// What a template function renders: its expression body or the last top-level return
+function getRenderedNode(fn) {
+  if (!fn || fn.type !== 'Function') return null;
+  if (fn.expression) return fn.body;
+  const returns = fn.body.scope.returns.filter(entry => entry.node);
+  const topLevel = returns.filter(entry => entry.depth === 0);
+  const markup = returns.filter(entry => isMarkupNode(entry.node));
+  const chosen = topLevel.length > 0 && isMarkupNode(topLevel[topLevel.length - 1].node)
+    ? topLevel[topLevel.length - 1]
+    : markup[markup.length - 1] || topLevel[topLevel.length - 1];
+  return chosen ? chosen.node : null;
+}
+
+// The template as written, with every expression kept
+function printMarkup(node, source) {
+  const printer = { source, rendering: false, unresolved: [] };
+  if (!node) return null;
+  if (node.type === 'JSXElement' || node.type === 'JSXFragment') {
+    return printJSX(node, printer, '', null).join('\n');
+  }
+  if (node.type === 'TemplateLiteral') return dedent(printTemplate(node, printer, null));
+  if (node.type === 'TaggedTemplate') return dedent(printTemplate(node.quasi, printer, null));
+  // A template choosing between markup branches is kept as written
+  if (node.type === 'Conditional' && (isMarkupNode(node.consequent) || isMarkupNode(node.alternate))) {
+    return dedent(source.slice(node.start, node.end));
+  }
+  return null;
+}
+
+/**
+ * Render a story's template with its args
+ *
+ * Returns `{ html, unresolved }`: the markup with every resolvable expression substituted,
+ * and the source of each expression that had to be kept as written. `html` is null when
+ * the template's output itself can't be determined, and `unresolved` then names the
+ * expression it depends on.
+ */
+function renderStory(template, args, source, context) {
+  if (!template || template.type !== 'Function') {
+    return { html: null, unresolved: [] };
+  }
+  const printer = { source, rendering: true, unresolved: [] };
+  const rendered = callTemplate(template, [args], { ...context, values: new Map() }, printer);
+  if (!(rendered instanceof Markup)) {
+    // Report what decided the output, e.g. the test of a conditional template
+    const node = getRenderedNode(template);
+    if (rendered === UNRESOLVED && node) {
+      keep(node.type === 'Conditional' ? node.test : node, printer);
+    }
+    return { html: null, unresolved: printer.unresolved };
+  }
+  const html = rendered.print('').join('\n');
+  return { html, unresolved: printer.unresolved };
+}
+
+// -----------------------------------------------------------------------------------------
+// Stories
+// -----------------------------------------------------------------------------------------
+
+/**
+ * Storybook's display name for an export: PrimaryAlternate -> "Primary Alternate"
+ */
+export function storyNameFromExport(exportName) {
+  return exportName
+    .replace(/_/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Za-z])([0-9])/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/(^|\s)([a-z])/g, (match, space, letter) => space + letter.toUpperCase());
+}
+
+// Last value given to `key` in an object literal, following spreads of other bindings
+function getProperty(objectNode, key, bindings = new Map(), seen = new Set()) {
+  if (!objectNode || objectNode.type !== 'ObjectExpression') return null;
+  let found = null;
+  for (const property of objectNode.properties) {
+    if (property.type === 'Property' && !property.computed && property.key === key) {
+      found = property.value;
+    } else if (property.type === 'Spread' && property.argument.type === 'Identifier' && !seen.has(property.argument.name)) {
+      const { name } = property.argument;
+      found = getProperty(bindings.get(name), key, bindings, new Set([...seen, name])) || found;
+    }
+  }
+  return found;
+}
+
+function lineOf(source, offset) {
+  let line = 1;
+  for (let index = 0; index < offset; index++) {
+    if (source[index] === '\n') line++;
+  }
+  return line;
+}
+
+/**
+ * Parse a story file
+ *
+ * Returns the meta (`title`, `component`, `args`) and every story in export order as
+ * `{ exportName, name, args, template, markup, html, unresolved, line }`. `template` names
+ * the shared template function (e.g. "Template") when the story binds one; `markup` is
+ * what the template renders as written, and `html` the same markup rendered with the
+ * story's args. Expressions `html` still contains as `{expression}` are listed in
+ * `unresolved`.
+ *
+ * Files without named story exports (plain template snippets) yield their top-level
+ * template functions instead.
+ */
+export function parseStories(source) {
+  const parser = new Parser(source);
+  const scope = createScope();
+  parser.parseStatements(scope);
+
+  const context = {
+    bindings: scope.bindings,
+    assignments: new Map(scope.assignments.map(({ path, node }) => [path.join('.'), node]))
+  };
+  const resolve = node => (node && node.type === 'Identifier' && scope.bindings.get(node.name)) || node;
+
+  const property = (node, key) => getProperty(node, key, scope.bindings);
+
+  const meta = resolve(scope.exportDefault);
+  const metaArgs = evaluate(property(meta, 'args'), context);
+  const title = evaluate(property(meta, 'title'), context);
+  const componentNode = property(meta, 'component');
+  const excluded = evaluate(property(meta, 'excludeStories'), context);
+  const metaRender = resolve(property(meta, 'render'));
+
+  const storyFrom = (exportName, node, line) => {
+    let template = null;
+    let templateName = null;
+    let storyArgs = context.assignments.get(`${exportName}.args`) || null;
+    let name = evaluate(context.assignments.get(`${exportName}.storyName`), context);
+
+    if (node.type === 'Call' && node.callee.type === 'MemberExpression' && node.callee.property === 'bind') {
+      // Template.bind({})
+      templateName = node.callee.object.type === 'Identifier' ? node.callee.object.name : null;
+      template = resolve(node.callee.object);
+    } else if (node.type === 'Function') {
+      template = node;
+    } else if (node.type === 'ObjectExpression') {
+      // CSF3: { args, render, name }
+      const render = property(node, 'render');
+      template = resolve(render) || metaRender;
+      templateName = render && render.type === 'Identifier' ? render.name : null;
+      storyArgs = property(node, 'args') || storyArgs;
+      const storyName = evaluate(property(node, 'name'), context);
+      if (typeof storyName === 'string') name = storyName;
+    } else {
+      return null;
+    }
+
+    const ownArgs = evaluate(storyArgs, context);
+    const args = {
+      ...(metaArgs && metaArgs !== UNRESOLVED ? metaArgs : {}),
+      ...(ownArgs && ownArgs !== UNRESOLVED ? ownArgs : {})
+    };
+    const { html, unresolved } = renderStory(template, args, source, context);
+
+    return {
+      exportName,
+      name: typeof name === 'string' ? name : storyNameFromExport(exportName),
+      args,
+      template: templateName,
+      markup: printMarkup(getRenderedNode(template), source),
+      html,
+      unresolved,
+      line
+    };
+  };
+
+  let stories = scope.exports
+    .filter(({ name }) => name !== 'default' && !(Array.isArray(excluded) && excluded.includes(name)))
+    .map(({ name, local }) => {
+      const node = scope.bindings.get(local);
+      return node ? storyFrom(name, node, lineOf(source, node.start)) : null;
+    })
+    .filter(Boolean);
+
+  if (stories.length === 0) {
+    stories = Array.from(scope.bindings.entries())
+      .filter(([, node]) => node && node.type === 'Function' && isMarkupNode(getRenderedNode(node)))
+      .map(([name, node]) => storyFrom(name, node, lineOf(source, node.start)));
+  }
+
+  return {
+    title: typeof title === 'string' ? title : null,
+    component: componentNode ? (componentNode.type === 'Literal' ? componentNode.value : parser.raw(componentNode)) : null,
+    args: metaArgs && metaArgs !== UNRESOLVED ? metaArgs : {},
+    stories
+  };
+}
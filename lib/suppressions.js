@@ -0,0 +1,122 @@
+/**
+ * Inline suppression comments
+ *
+ * Findings on a line can be acknowledged in the source instead of turning a check off:
+ *
+ *   <!-- va-monitor-disable-next-line caution -- approved by design review -->
+ *   <va-memorable-date label="Birthday" name="dob"></va-memorable-date>
+ *
+ *   <VaAlert status="info" /> // va-monitor-disable-line
+ *   {/* va-monitor-disable-next-line unknown-attribute, experimental -- legacy markup *\/}
+ *
+ * Issue types are optional (all types when omitted), case-insensitive and may use dashes.
+ * Text after ` -- ` is the justification.
+ */
+
+const COMMENT_PATTERN = /<!--([\s\S]*?)-->|\/\*([\s\S]*?)\*\/|\/\/([^\n]*)/g;
+const DIRECTIVE_PATTERN = /^va-monitor-(disable-next-line|disable-line)(?=\s|$)([\s\S]*)$/;
+
+/**
+ * Normalize a directive issue type, e.g. "unknown-attribute" -> "UNKNOWN_ATTRIBUTE"
+ */
+function normalizeType(type) {
+  return type.trim().toUpperCase().replace(/-/g, '_');
+}
+
+// Directives are rare, so lines are counted only for the comments that contain one
+function lineAt(source, offset) {
+  let line = 1;
+  for (let i = source.indexOf('\n'); i !== -1 && i < offset; i = source.indexOf('\n', i + 1)) {
+    line++;
+  }
+  return line;
+}
+
+/**
+ * Find suppression directives in a source file
+ */
+export function extractSuppressions(source, filePath = null) {
+  const suppressions = [];
+  let match;
+
+  COMMENT_PATTERN.lastIndex = 0;
+  while ((match = COMMENT_PATTERN.exec(source)) !== null) {
+    const body = (match[1] ?? match[2] ?? match[3]).replace(/^\s*\*?\s*/, '').trim();
+    const directive = body.match(DIRECTIVE_PATTERN);
+    if (!directive) {
+      continue;
+    }
+
+    const [rules, ...justification] = directive[2].split(/\s--\s|\s--$/);
+    const types = rules.split(/[\s,]+/).filter(Boolean).map(normalizeType);
+    const line = lineAt(source, match.index);
+    const column = match.index - source.lastIndexOf('\n', match.index - 1);
+    const endLine = line + (match[0].match(/\n/g) || []).length;
+
+    suppressions.push({
+      file: filePath,
+      line,
+      column,
+      directive: `va-monitor-${directive[1]}`,
+      targetLine: directive[1] === 'disable-line' ? line : endLine + 1,
+      types: types.length > 0 ? types : null,
+      justification: justification.join(' -- ').trim() || null
+    });
+  }
+
+  return suppressions;
+}
+
+function matches(suppression, finding) {
+  return suppression.file === (finding.file || null) &&
+    suppression.targetLine === finding.line &&
+    (!suppression.types || suppression.types.includes(finding.type));
+}
+
+/**
+ * Remove suppressed findings
+ *
+ * Options: `types` (issue types the findings could have; directives only for other types
+ * are left out of the stale report), `usageLines` (`file:line` keys of component usages;
+ * directives without types are only stale once their line has no usage, since another
+ * command may report on it) and `requireJustification` (directives without one are
+ * reported as unjustified and suppress nothing).
+ *
+ * Returns the remaining findings, the suppressed findings (with their directive), directives
+ * that matched no finding (stale) and directives missing a justification (unjustified).
+ */
+export function applySuppressions(findings, suppressions, options = {}) {
+  const relevant = suppressions.filter(suppression =>
+    !options.types || !suppression.types || suppression.types.some(type => options.types.includes(type))
+  );
+  const unjustified = options.requireJustification
+    ? relevant.filter(suppression => !suppression.justification)
+    : [];
+  const active = relevant.filter(suppression => !unjustified.includes(suppression));
+  const used = new Set();
+  const remaining = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const suppression = active.find(candidate => matches(candidate, finding));
+    if (suppression) {
+      used.add(suppression);
+      suppressed.push({
+        ...finding,
+        suppression: { directive: suppression.directive, line: suppression.line, justification: suppression.justification }
+      });
+    } else {
+      remaining.push(finding);
+    }
+  }
+
+  const isStale = suppression => !used.has(suppression) &&
+    (suppression.types || !options.usageLines || !options.usageLines.has(`${suppression.file}:${suppression.targetLine}`));
+
+  return {
+    findings: remaining,
+    suppressed,
+    stale: active.filter(isStale),
+    unjustified
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Upgrade impact analysis
+ *
+ * Intersects a component set diff (see diff.js) with scanned component usages to find
+ * every usage an upgrade would affect: removed or renamed components, removed props,
+ * props whose type changed or that became required, and components newly marked caution.
+ */
+
+import { normalizeName, validateUsageAttributes } from './validator.js';
+
+export const UpgradeImpactType = Object.freeze({
+  COMPONENT_REMOVED: 'COMPONENT_REMOVED',
+  COMPONENT_RENAMED: 'COMPONENT_RENAMED',
+  PROP_REMOVED: 'PROP_REMOVED',
+  PROP_TYPE_CHANGED: 'PROP_TYPE_CHANGED',
+  PROP_NOW_REQUIRED: 'PROP_NOW_REQUIRED',
+  NEW_CAUTION: 'NEW_CAUTION'
+});
+
+function findAttribute(usage, propName) {
+  const normalized = normalizeName(propName);
+  return usage.attributes.find(attribute => normalizeName(attribute.name) === normalized) || null;
+}
+
+/**
+ * List the impacts of a diff on a set of component usages
+ *
+ * `targetComponents` (tag name → component in the target version) lets type changes be
+ * checked against the new type: static values the new type rejects are errors, other
+ * usages of a retyped prop are warnings to review.
+ */
+export function analyzeUpgradeImpact(usages, diff, targetComponents = new Map()) {
+  const removed = new Map(diff.removed.map(component => [component.tagName, component]));
+  const renamed = new Map(diff.renamed.map(rename => [rename.from, rename]));
+  const newCaution = new Map(diff.maturityChanges
+    .filter(change => change.to.maturityCategory === 'caution' && change.from.maturityCategory !== 'caution')
+    .map(change => [change.tagName, change]));
+  const propertyChanges = new Map(diff.propertyChanges.map(changes => [changes.tagName, changes]));
+  const renamedTo = new Map(diff.renamed.map(rename => [rename.to, rename.from]));
+
+  const impacts = [];
+
+  for (const usage of usages) {
+    const tagName = usage.tagName;
+    const impact = (type, severity, message, location = usage, extra = {}) => impacts.push({
+      type,
+      severity,
+      component: tagName,
+      message,
+      file: usage.file,
+      line: location.line,
+      column: location.column,
+      ...extra
+    });
+
+    if (removed.has(tagName)) {
+      impact(UpgradeImpactType.COMPONENT_REMOVED, 'error', `${tagName} is removed in ${diff.to}`);
+      continue;
+    }
+
+    // Property changes of a renamed component are recorded under its new tag name
+    let changesKey = tagName;
+    if (renamed.has(tagName)) {
+      const rename = renamed.get(tagName);
+      impact(UpgradeImpactType.COMPONENT_RENAMED, 'error', `${tagName} is renamed to ${rename.to} in ${diff.to}`, usage, { replacement: rename.to });
+      changesKey = rename.to;
+    } else if (renamedTo.has(tagName)) {
+      continue;
+    }
+
+    if (newCaution.has(changesKey)) {
+      const change = newCaution.get(changesKey);
+      impact(
+        UpgradeImpactType.NEW_CAUTION,
+        'warning',
+        `${tagName} moves to caution (${change.to.maturityLevel}) in ${diff.to}`,
+        usage,
+        { from: change.from.status, to: change.to.status }
+      );
+    }
+
+    const changes = propertyChanges.get(changesKey);
+    if (!changes) {
+      continue;
+    }
+
+    for (const prop of changes.removed) {
+      const attribute = findAttribute(usage, prop.name);
+      if (attribute) {
+        impact(UpgradeImpactType.PROP_REMOVED, 'error', `"${attribute.name}" is removed from ${changesKey} in ${diff.to}`, attribute, { attribute: attribute.name });
+      }
+    }
+
+    if (changes.typeChanged.length > 0) {
+      const targetComponent = targetComponents.get(changesKey);
+      const invalid = targetComponent ?
+        validateUsageAttributes(usage, targetComponent).filter(finding => finding.type === 'INVALID_TYPE' || finding.type === 'INVALID_VALUE') :
+        [];
+
+      for (const change of changes.typeChanged) {
+        const attribute = findAttribute(usage, change.name);
+        if (!attribute) continue;
+
+        const finding = invalid.find(f => normalizeName(f.attribute) === normalizeName(change.name));
+        impact(
+          UpgradeImpactType.PROP_TYPE_CHANGED,
+          finding ? 'error' : 'warning',
+          finding ?
+            `"${attribute.name}" on ${changesKey} changes type to ${change.to} in ${diff.to}: ${finding.message.split(': ').pop()}` :
+            `"${attribute.name}" on ${changesKey} changes type from ${change.from} to ${change.to} in ${diff.to}`,
+          attribute,
+          { attribute: attribute.name, from: change.from, to: change.to }
+        );
+      }
+    }
+
+    if (!usage.hasSpread) {
+      for (const change of changes.optionalityChanged.filter(c => !c.to)) {
+        if (!findAttribute(usage, change.name)) {
+          impact(UpgradeImpactType.PROP_NOW_REQUIRED, 'error', `"${change.name}" becomes required on ${changesKey} in ${diff.to}`, usage, { attribute: change.name });
+        }
+      }
+    }
+  }
+
+  impacts.sort((a, b) => String(a.file).localeCompare(String(b.file)) || a.line - b.line || a.column - b.column);
+
+  const count = type => impacts.filter(impact => impact.type === type).length;
+
+  return {
+    impacts,
+    affectedFiles: Array.from(new Set(impacts.map(impact => impact.file))).sort(),
+    hasErrors: impacts.some(impact => impact.severity === 'error'),
+    hasWarnings: impacts.some(impact => impact.severity === 'warning'),
+    summary: {
+      usages: usages.length,
+      impacts: impacts.length,
+      removedComponents: count(UpgradeImpactType.COMPONENT_REMOVED),
+      renamedComponents: count(UpgradeImpactType.COMPONENT_RENAMED),
+      removedProps: count(UpgradeImpactType.PROP_REMOVED),
+      typeChanges: count(UpgradeImpactType.PROP_TYPE_CHANGED),
+      newlyRequired: count(UpgradeImpactType.PROP_NOW_REQUIRED),
+      newCaution: count(UpgradeImpactType.NEW_CAUTION)
+    }
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * VA Design System Attribute Validator
+ *
+ * Checks the attributes of scanned component usages against the properties parsed
+ * from components.d.ts: unknown attributes, missing required props, values of the
+ * wrong type and values outside a string/number literal union.
+ */
+
+import { getInterfaceMembers } from './events.js';
+
+// Attributes every element accepts regardless of its component properties
+const GLOBAL_ATTRIBUTES = [
+  'id', 'class', 'classname', 'style', 'slot', 'key', 'ref', 'role', 'tabindex',
+  'title', 'hidden', 'lang', 'dir', 'part', 'exportparts', 'is', 'autofocus', 'inert',
+  'children', 'dangerouslysetinnerhtml', 'suppresshydrationwarning'
+];
+
+const GLOBAL_ATTRIBUTE_PREFIXES = ['aria-', 'data-', 'v-', '@', '#'];
+
+// Native DOM events that can be listened to on any custom element
+const DOM_EVENTS = [
+  'click', 'dblclick', 'blur', 'focus', 'focusin', 'focusout', 'input', 'change',
+  'keydown', 'keyup', 'keypress', 'mousedown', 'mouseup', 'mouseenter', 'mouseleave',
+  'mouseover', 'mouseout', 'submit', 'touchstart', 'touchend', 'pointerdown', 'pointerup'
+];
+
+/**
+ * Normalize attribute and prop names so `heading-level`, `headingLevel`
+ * and `headinglevel` all compare equal
+ */
+export function normalizeName(name) {
+  return name.toLowerCase().replace(/-/g, '');
+}
+
+/**
+ * Split a TypeScript type on top-level `|` separators
+ */
+function splitUnion(type) {
+  const members = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of type) {
+    if ('(<[{'.includes(char)) depth++;
+    if (')>]}'.includes(char)) depth--;
+
+    if (char === '|' && depth === 0) {
+      members.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) {
+    members.push(current.trim());
+  }
+  return members.filter(Boolean);
+}
+
+/**
+ * Describe which static attribute values a property type accepts
+ */
+export function analyzePropertyType(type) {
+  const analysis = {
+    stringLiterals: [],
+    numberLiterals: [],
+    allowsString: false,
+    allowsNumber: false,
+    allowsBoolean: false,
+    allowsComplex: false,
+    allowsAny: false
+  };
+
+  for (const member of splitUnion(type)) {
+    const stringLiteral = member.match(/^(['"])(.*)\1$/);
+
+    if (stringLiteral) {
+      analysis.stringLiterals.push(stringLiteral[2]);
+    } else if (/^-?\d+(\.\d+)?$/.test(member)) {
+      analysis.numberLiterals.push(member);
+    } else if (member === 'string') {
+      analysis.allowsString = true;
+    } else if (member === 'number') {
+      analysis.allowsNumber = true;
+    } else if (['boolean', 'true', 'false'].includes(member)) {
+      analysis.allowsBoolean = true;
+    } else if (['any', 'unknown'].includes(member)) {
+      analysis.allowsAny = true;
+    } else if (!['undefined', 'null', 'void'].includes(member)) {
+      analysis.allowsComplex = true;
+    }
+  }
+
+  return analysis;
+}
+
+function isNumeric(value) {
+  return /^-?\d+(\.\d+)?$/.test(value.trim());
+}
+
+function isJson(value) {
+  try {
+    JSON.parse(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a static attribute value against a property type
+ *
+ * Returns null when the value is acceptable, otherwise the finding type and expectation
+ */
+function checkValue(attribute, prop) {
+  const type = analyzePropertyType(prop.type);
+  // Bare HTML attributes (`<va-alert closeable>`) carry an empty string value
+  const value = attribute.kind === 'boolean' ? '' : attribute.value;
+
+  if (type.allowsAny || type.allowsString) {
+    return null;
+  }
+  if (type.stringLiterals.includes(value)) {
+    return null;
+  }
+  if (type.numberLiterals.length > 0 && isNumeric(value) && type.numberLiterals.includes(String(Number(value)))) {
+    return null;
+  }
+  if (type.allowsNumber && isNumeric(value)) {
+    return null;
+  }
+  if (type.allowsBoolean && ['', 'true', 'false', attribute.name, attribute.rawName].includes(value)) {
+    return null;
+  }
+  if (type.allowsComplex && isJson(value)) {
+    return null;
+  }
+
+  const literals = [...type.stringLiterals.map(l => `'${l}'`), ...type.numberLiterals];
+  if (literals.length > 0) {
+    return { type: 'INVALID_VALUE', expected: `one of ${literals.join(', ')}` };
+  }
+
+  const expected = [
+    type.allowsNumber && 'a number',
+    type.allowsBoolean && 'a boolean',
+    type.allowsComplex && 'a JSON value'
+  ].filter(Boolean).join(' or ');
+
+  return { type: 'INVALID_TYPE', expected: expected || prop.type };
+}
+
+function isGlobalAttribute(name) {
+  const lowerName = name.toLowerCase();
+
+  if (GLOBAL_ATTRIBUTES.includes(lowerName) || GLOBAL_ATTRIBUTE_PREFIXES.some(prefix => lowerName.startsWith(prefix))) {
+    return true;
+  }
+
+  const eventMatch = lowerName.match(/^on-?(.+)$/);
+  return !!eventMatch && DOM_EVENTS.includes(eventMatch[1]);
+}
+
+/**
+ * Validate the attributes of a single component usage against its component definition
+ */
+export function validateUsageAttributes(usage, component) {
+  const findings = [];
+  const properties = getInterfaceMembers(component);
+  const propsByName = new Map(properties.map(prop => [normalizeName(prop.name), prop]));
+  const handlerNames = new Set((component.events || []).map(event => event.name));
+  const isEventProperty = prop => handlerNames.has(prop.name);
+  const presentProps = new Set();
+  let hasSpread = usage.hasSpread;
+
+  const createFinding = (type, severity, message, location, extra = {}) => ({
+    type,
+    severity,
+    component: usage.tagName,
+    message,
+    file: usage.file,
+    line: location.line,
+    column: location.column,
+    ...extra
+  });
+
+  for (const attribute of usage.attributes) {
+    // Vue object binding (v-bind="props") behaves like a JSX spread
+    if (attribute.rawName === 'v-bind') {
+      hasSpread = true;
+      continue;
+    }
+
+    const prop = propsByName.get(normalizeName(attribute.name));
+
+    if (!prop) {
+      if (!isGlobalAttribute(attribute.name)) {
+        findings.push(createFinding(
+          'UNKNOWN_ATTRIBUTE',
+          'warning',
+          `Unknown attribute "${attribute.name}" on ${usage.tagName}`,
+          attribute,
+          { attribute: attribute.name }
+        ));
+      }
+      continue;
+    }
+
+    presentProps.add(normalizeName(prop.name));
+
+    if (attribute.kind === 'expression' || isEventProperty(prop)) {
+      continue;
+    }
+
+    const problem = checkValue(attribute, prop);
+    if (problem) {
+      const shownValue = attribute.kind === 'boolean' ? '(no value)' : `"${attribute.value}"`;
+      findings.push(createFinding(
+        problem.type,
+        'error',
+        `Invalid value ${shownValue} for "${attribute.name}" on ${usage.tagName}: expected ${problem.expected}`,
+        attribute,
+        { attribute: attribute.name, value: attribute.value, expected: problem.expected, propType: prop.type }
+      ));
+    }
+  }
+
+  if (!hasSpread) {
+    properties
+      .filter(prop => !prop.optional && !isEventProperty(prop) && !presentProps.has(normalizeName(prop.name)))
+      .forEach(prop => {
+        findings.push(createFinding(
+          'MISSING_REQUIRED_PROP',
+          'error',
+          `Missing required prop "${prop.name}" on ${usage.tagName}`,
+          usage,
+          { attribute: prop.name, propType: prop.type }
+        ));
+      });
+  }
+
+  return findings;
+}
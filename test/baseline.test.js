@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { saveBaseline, loadBaseline, compareWithBaseline } from '../lib/index.js';
+
+const caution = (file, line) => ({ type: 'CAUTION', severity: 'warning', component: 'va-memorable-date', file, line, message: 'caution' });
+const unknownAttribute = (file, line) => ({ type: 'UNKNOWN_ATTRIBUTE', severity: 'warning', component: 'va-button', attribute: 'colour', file, line, message: 'unknown' });
+
+test('reports only findings beyond the baseline and lists resolved entries', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-baseline-'));
+  const path = join(root, 'baseline.json');
+  try {
+    await saveBaseline(path, [caution('a.html', 1), caution('a.html', 9), unknownAttribute('b.jsx', 4)]);
+    const baseline = await loadBaseline(path);
+    assert.deepStrictEqual(baseline.entries.map(e => [e.type, e.file, e.count]), [
+      ['CAUTION', 'a.html', 2],
+      ['UNKNOWN_ATTRIBUTE', 'b.jsx', 1]
+    ]);
+
+    // Lines moved, a third usage was added to a.html and b.jsx was fixed
+    const comparison = compareWithBaseline([caution('a.html', 3), caution('a.html', 12), caution('a.html', 20), caution('c.html', 1)], baseline);
+    assert.deepStrictEqual(comparison.findings.map(f => [f.file, f.line]), [['a.html', 20], ['c.html', 1]]);
+    assert.deepStrictEqual(comparison.resolved.map(e => [e.type, e.file, e.resolved]), [['UNKNOWN_ATTRIBUTE', 'b.jsx', 1]]);
+    assert.deepStrictEqual(comparison.summary, { new: 2, baselined: 2, resolved: 1 });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('scoped entries share a file without affecting each other', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-baseline-'));
+  const path = join(root, 'baseline.json');
+  try {
+    await saveBaseline(path, [caution('a.html', 1)], { scope: 'scan' });
+    await saveBaseline(path, [unknownAttribute('b.jsx', 4)], { scope: 'validate-props' });
+    await saveBaseline(path, [], { scope: 'validate-props' });
+
+    const baseline = await loadBaseline(path);
+    assert.deepStrictEqual(baseline.entries.map(e => [e.scope, e.type]), [['scan', 'CAUTION']]);
+    assert.deepStrictEqual(compareWithBaseline([], baseline, { scope: 'validate-props' }).resolved, []);
+
+    await assert.rejects(loadBaseline(join(root, 'missing.json')), error => error.code === 'BASELINE_ERROR' && error.details.notFound);
+    writeFileSync(path, '{"entries": []}');
+    await assert.rejects(loadBaseline(path), { code: 'BASELINE_ERROR', message: /Unsupported baseline format/ });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import { FileCache } from '../lib/cache.js';
+
+const STORY_PATH = 'packages/storybook/stories/va-button.stories.jsx';
+
+function stubFetch(responses) {
+  const requests = [];
+  const originalFetch = globalThis.fetch;
+
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, headers: options.headers });
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return {
+      status: next.status,
+      ok: next.status >= 200 && next.status < 300,
+      headers: new Map(Object.entries(next.headers || {})),
+      text: async () => next.body
+    };
+  };
+
+  return { requests, restore: () => { globalThis.fetch = originalFetch; } };
+}
+
+test('serves fresh entries from disk and revalidates stale ones with ETag', async () => {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'va-cache-'));
+  const fetchStub = stubFetch([
+    { status: 200, body: '<va-button text="Go"></va-button>', headers: { etag: '"abc"' } },
+    { status: 304 }
+  ]);
+
+  try {
+    const monitor = new VAComponentMonitor({ cacheDir });
+
+    assert.strictEqual(await monitor.fetchFileFromGitHub(STORY_PATH), '<va-button text="Go"></va-button>');
+
+    // A second monitor (e.g. the next CLI run) reads the file cache without a request
+    const nextRun = new VAComponentMonitor({ cacheDir });
+    assert.strictEqual(await nextRun.fetchFileFromGitHub(STORY_PATH), '<va-button text="Go"></va-button>');
+    assert.strictEqual(fetchStub.requests.length, 1);
+
+    // Forced revalidation sends the stored validator and keeps the cached body on 304
+    const url = fetchStub.requests[0].url;
+    const content = await nextRun._fetchWithCache(url, headers => nextRun._requestGitHubFile(url, STORY_PATH, headers), { forceRefresh: true });
+    assert.strictEqual(content, '<va-button text="Go"></va-button>');
+    assert.strictEqual(fetchStub.requests[1].headers['If-None-Match'], '"abc"');
+
+    const status = await nextRun.getCacheStatus();
+    assert.strictEqual(status.entries, 1);
+    assert.strictEqual(status.items[0].etag, '"abc"');
+  } finally {
+    fetchStub.restore();
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('falls back to the cached copy when revalidation fails and caches 404s', async () => {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'va-cache-'));
+  const fetchStub = stubFetch([
+    { status: 200, body: 'story source' },
+    new Error('getaddrinfo ENOTFOUND'),
+    { status: 404 }
+  ]);
+
+  try {
+    const monitor = new VAComponentMonitor({ cacheDir, staleWhileRevalidate: 0 });
+    await monitor.fetchFileFromGitHub(STORY_PATH);
+
+    const url = fetchStub.requests[0].url;
+    const content = await monitor._fetchWithCache(url, headers => monitor._requestGitHubFile(url, STORY_PATH, headers), { forceRefresh: true });
+    assert.strictEqual(content, 'story source');
+
+    assert.strictEqual(await monitor.fetchFileFromGitHub('missing.stories.js'), null);
+    assert.strictEqual(await monitor.fetchFileFromGitHub('missing.stories.js'), null);
+    assert.strictEqual(fetchStub.requests.length, 3);
+
+    assert.strictEqual(await monitor.clearCache(), 2);
+  } finally {
+    fetchStub.restore();
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('evicts the oldest entries beyond the size limit', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'va-cache-'));
+  try {
+    const cache = new FileCache({ directory, maxSize: 1500 });
+    await cache.set('first', { content: 'a'.repeat(1000) });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.set('second', { content: 'b'.repeat(1000) });
+
+    assert.strictEqual(await cache.get('first'), null);
+    assert.strictEqual((await cache.get('second')).content, 'b'.repeat(1000));
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('leaves files that are not cache entries alone', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'va-cache-'));
+  try {
+    // Older and larger than the entries, so it would be evicted first if it were listed
+    const packagePath = join(directory, 'package.json');
+    writeFileSync(packagePath, JSON.stringify({ name: 'app', description: 'x'.repeat(2000) }));
+    utimesSync(packagePath, new Date(2020, 0, 1), new Date(2020, 0, 1));
+
+    const cache = new FileCache({ directory, maxSize: 1500 });
+    await cache.set('first', { content: 'a'.repeat(1000) });
+    assert.strictEqual((await cache.get('first')).content, 'a'.repeat(1000));
+    assert.strictEqual((await cache.status()).entries, 1);
+
+    assert.strictEqual(await cache.clear(), 1);
+    assert.strictEqual(JSON.parse(readFileSync(packagePath, 'utf8')).name, 'app');
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFileSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const run = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const cli = join(__dirname, '..', 'bin', 'cli.js');
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+function createProject(root) {
+  const definitions = join(root, 'snapshot', 'packages', 'web-components', 'src');
+  mkdirSync(definitions, { recursive: true });
+  writeFileSync(join(definitions, 'components.d.ts'), fixture);
+
+  mkdirSync(join(root, 'app', 'src'), { recursive: true });
+  writeFileSync(join(root, 'app', 'src', 'page.html'), '<va-alert status="info"></va-alert>\n');
+}
+
+test('machine-readable output keeps stdout parseable', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-cli-'));
+  try {
+    createProject(root);
+    const scan = format => run(process.execPath, [
+      cli, 'scan', '.', ...format, '--verbose',
+      '--offline', '--snapshot', join(root, 'snapshot'), '--no-cache', '--no-config'
+    ], { cwd: join(root, 'app') });
+
+    const sarif = await scan(['--format', 'sarif']);
+    assert.strictEqual(JSON.parse(sarif.stdout).version, '2.1.0');
+    assert.match(sarif.stderr, /INFO: Executing command: scan/);
+    assert.ok(!sarif.stderr.includes('Command completed successfully'));
+
+    const json = await scan(['--json']);
+    assert.deepStrictEqual(JSON.parse(json.stdout).files.map(file => file.file), ['src/page.html']);
+
+    const text = await scan([]);
+    assert.match(text.stdout, /Command completed successfully/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('new findings fail a baselined scan in every output format', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-cli-'));
+  try {
+    createProject(root);
+    const page = join(root, 'app', 'src', 'page.html');
+    const scan = (...args) => run(process.execPath, [
+      cli, 'scan', '.', '--baseline', '.va-monitor-baseline.json', ...args,
+      '--offline', '--snapshot', join(root, 'snapshot'), '--no-cache', '--no-config'
+    ], { cwd: join(root, 'app') });
+
+    writeFileSync(page, '<va-made-up></va-made-up>\n');
+    await scan('--update-baseline', '--format', 'sarif');
+    assert.deepStrictEqual(JSON.parse((await scan('--format', 'sarif')).stdout).runs[0].results, []);
+
+    writeFileSync(page, '<va-made-up></va-made-up>\n<va-other></va-other>\n');
+    await assert.rejects(scan('--format', 'sarif'), error => {
+      assert.strictEqual(error.code, 8);
+      const [result] = JSON.parse(error.stdout).runs[0].results;
+      assert.strictEqual(result.locations[0].physicalLocation.region.startLine, 2);
+      assert.match(error.stderr, /Scan found new errors/);
+      return true;
+    });
+    await assert.rejects(scan('--json'), error => {
+      assert.strictEqual(error.code, 8);
+      assert.deepStrictEqual(JSON.parse(error.stdout).issues.map(issue => issue.line), [2]);
+      return true;
+    });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('check suggests close component names', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-cli-'));
+  try {
+    createProject(root);
+    await assert.rejects(run(process.execPath, [
+      cli, 'check', 'va-buton', '--json',
+      '--offline', '--snapshot', join(root, 'snapshot'), '--no-cache', '--no-config'
+    ], { cwd: join(root, 'app') }), error => {
+      assert.strictEqual(JSON.parse(error.stdout).error, 'Component "va-buton" not found. Did you mean va-button?');
+      return true;
+    });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
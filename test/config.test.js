@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { loadConfig } from '../lib/index.js';
+import { createMonitor } from './helpers.js';
+
+test('finds the nearest config file and validates it', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-config-'));
+  try {
+    mkdirSync(join(root, 'app', 'src'), { recursive: true });
+    writeFileSync(join(root, '.vadsmonitorrc'), JSON.stringify({ deny: ['VA-Memorable-Date'] }));
+    writeFileSync(join(root, 'app', 'va-monitor.config.js'), 'export default { minimumMaturity: "deployed" };\n');
+
+    const jsConfig = await loadConfig({ cwd: join(root, 'app', 'src') });
+    assert.strictEqual(jsConfig.filepath, join(root, 'app', 'va-monitor.config.js'));
+    assert.deepStrictEqual(jsConfig.minimumMaturity, { default: 'deployed' });
+
+    const rcConfig = await loadConfig({ cwd: root });
+    assert.deepStrictEqual(rcConfig.deny, ['va-memorable-date']);
+
+    writeFileSync(join(root, '.vadsmonitorrc'), JSON.stringify({ severity: { CAUTION: 'fatal' } }));
+    await assert.rejects(loadConfig({ cwd: root }), { code: 'CONFIG_ERROR', message: /severity\.CAUTION/ });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('applies allow/deny lists, minimum maturity per environment and severity overrides', async () => {
+  const config = {
+    minimumMaturity: { default: 'candidate', production: 'deployed' },
+    allow: ['va-custom-widget'],
+    deny: ['va-memorable-date'],
+    severity: { ISSUES: 'off', CAUTION: 'error' }
+  };
+  const names = ['va-memorable-date', 'va-notification', 'va-custom-widget', 'va-button'];
+
+  const development = await createMonitor({ config, env: 'development' }).lintComponents(names);
+  assert.deepStrictEqual(development.issues.map(i => [i.type, i.component, i.severity]), [
+    ['DENIED', 'va-memorable-date', 'error'],
+    ['EXPERIMENTAL', 'va-notification', 'warning']
+  ]);
+
+  const production = await createMonitor({ config, env: 'production' }).lintComponents(names);
+  assert.deepStrictEqual(production.issues.map(i => [i.type, i.component]), [
+    ['DENIED', 'va-memorable-date'],
+    ['BELOW_MINIMUM_MATURITY', 'va-notification']
+  ]);
+
+  const markup = '<va-alert status="info" colour="red"></va-alert>';
+  const findings = await createMonitor({ config: { severity: { UNKNOWN_ATTRIBUTE: 'off' } } }).validateMarkup(markup);
+  assert.deepStrictEqual(findings.findings, []);
+
+  assert.throws(() => createMonitor({ config: { minimumMaturity: 'stable' } }), { code: 'CONFIG_ERROR' });
+});
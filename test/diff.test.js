@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { VAComponentMonitor, diffComponentSets, diffRefs } from '../lib/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+// The next release: button promoted and reshaped, alert moved to caution and closeable removed.
+// Definitions repeat each interface in the Components and LocalJSX namespaces, so replace both.
+const replaceAll = (content, from, to) => content.split(from).join(to);
+const nextRelease = [
+  ['@maturityLevel deployed', '@maturityLevel best_practice'],
+  ['"label"?: string;', '"label": string;'],
+  ['"submit"?: boolean;', '"submit"?: boolean | string;'],
+  ['"text": string;', '"text": string;\n        "big"?: boolean;'],
+  ['"closeable"?: boolean;', ''],
+  ['@maturityCategory use\n     * @maturityLevel best_practice\n     * @guidanceHref alert', '@maturityCategory caution\n     * @maturityLevel best_practice\n     * @guidanceHref alert']
+].reduce((content, [from, to]) => replaceAll(content, from, to), fixture);
+
+function parse(content) {
+  return new VAComponentMonitor({ persistentCache: false }).parseComponentMetadata(content);
+}
+
+test('reports maturity transitions and property changes', () => {
+  const diff = diffComponentSets(parse(fixture), parse(nextRelease), { from: 'v1.0.0', to: 'v2.0.0' });
+
+  assert.strictEqual(diff.from, 'v1.0.0');
+  assert.ok(diff.hasChanges);
+  assert.deepStrictEqual(diff.maturityChanges.map(c => [c.tagName, c.change]), [
+    ['va-alert', 'demoted'],
+    ['va-button', 'promoted']
+  ]);
+
+  const button = diff.propertyChanges.find(c => c.tagName === 'va-button');
+  assert.deepStrictEqual(button.added, [{ name: 'big', type: 'boolean', optional: true }]);
+  assert.deepStrictEqual(button.typeChanged, [{ name: 'submit', from: 'boolean', to: 'boolean | string' }]);
+  assert.deepStrictEqual(button.optionalityChanged, [{ name: 'label', from: true, to: false }]);
+
+  const alert = diff.propertyChanges.find(c => c.tagName === 'va-alert');
+  assert.deepStrictEqual(alert.removed.map(p => p.name), ['closeable']);
+
+  assert.deepStrictEqual(diff.summary.propertiesAdded, 1);
+  assert.deepStrictEqual(diff.summary.demoted, 1);
+});
+
+test('reports added, removed and renamed components', () => {
+  const before = [
+    { tagName: 'va-old-input', name: 'Input', interfaceName: 'VaOldInput', properties: ['a', 'b', 'c', 'd'].map(name => ({ name, type: 'string' })) },
+    { tagName: 'va-gone', name: 'Gone', properties: [] }
+  ];
+  const after = [
+    { tagName: 'va-text-input', name: 'Text input', interfaceName: 'VaTextInput', properties: ['a', 'b', 'c', 'd', 'e'].map(name => ({ name, type: 'string' })) },
+    { tagName: 'va-new', name: 'New', status: 'EXPERIMENTAL', properties: [] }
+  ];
+
+  const diff = diffComponentSets(before, after);
+
+  assert.deepStrictEqual(diff.renamed, [{ from: 'va-old-input', to: 'va-text-input', similarity: 0.8 }]);
+  assert.deepStrictEqual(diff.removed.map(c => c.tagName), ['va-gone']);
+  assert.deepStrictEqual(diff.added.map(c => c.tagName), ['va-new']);
+  assert.deepStrictEqual(diff.propertyChanges[0].added.map(p => p.name), ['e']);
+});
+
+test('diffRefs fetches definitions for both refs', async () => {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async url => ({
+    status: 200,
+    ok: true,
+    headers: new Map(),
+    text: async () => (url.includes('/v2.0.0/') ? nextRelease : fixture)
+  });
+
+  try {
+    const diff = await diffRefs('v1.0.0', 'v2.0.0', { persistentCache: false });
+    assert.strictEqual(diff.to, 'v2.0.0');
+    assert.strictEqual(diff.summary.maturityChanges, 2);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  await assert.rejects(() => diffRefs('v1.0.0', '', {}), { code: 'INVALID_INPUT' });
+});
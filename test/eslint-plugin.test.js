@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import plugin, { setComponents } from '../lib/eslint-plugin/index.js';
+import { getComponentsSync } from '../lib/eslint-plugin/components.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+const loc = (line, column) => ({ start: { line, column }, end: { line, column } });
+
+// Minimal JSXOpeningElement: attrs map names to a string, true (boolean), { expression } or '...'
+function element(name, attrs = {}, line = 1) {
+  const attributes = Object.entries(attrs).map(([attr, value], index) => {
+    if (value === '...') {
+      return { type: 'JSXSpreadAttribute', loc: loc(line, 10 * (index + 1)) };
+    }
+    let node = { type: 'Literal', value };
+    if (value === true) node = null;
+    else if (typeof value === 'object') node = { type: 'JSXExpressionContainer', expression: value.expression };
+    return { type: 'JSXAttribute', name: { type: 'JSXIdentifier', name: attr }, value: node, loc: loc(line, 10 * (index + 1)) };
+  });
+  return { type: 'JSXOpeningElement', name: { type: 'JSXIdentifier', name }, attributes, loc: loc(line, 0) };
+}
+
+function lint(ruleName, elements, options = [], settings = {}) {
+  const reports = [];
+  const context = { options, settings, report: descriptor => reports.push(descriptor) };
+  const visitor = plugin.rules[ruleName].create(context);
+  elements.forEach(node => visitor.JSXOpeningElement(node));
+  return reports;
+}
+
+setComponents(new VAComponentMonitor({ persistentCache: false }).parseComponentMetadata(fixture));
+
+test('recommended config registers every rule under the plugin namespace', () => {
+  const { recommended } = plugin.configs;
+  assert.strictEqual(recommended.plugins['va-design-system'], plugin);
+  assert.deepStrictEqual(
+    Object.keys(recommended.rules).map(name => name.replace('va-design-system/', '')).sort(),
+    Object.keys(plugin.rules).sort()
+  );
+});
+
+test('flags caution, below-threshold and unknown components', () => {
+  const elements = [
+    element('va-memorable-date'),
+    element('VaNotification'),
+    element('va-button', { text: 'Go' }),
+    element('va-buton'),
+    element('div')
+  ];
+
+  assert.deepStrictEqual(lint('no-caution-components', elements).map(r => r.data.tagName), ['va-memorable-date']);
+  assert.deepStrictEqual(lint('no-caution-components', elements, [{ allow: ['va-memorable-date'] }]), []);
+
+  assert.deepStrictEqual(lint('no-experimental-components', elements).map(r => r.data.tagName), ['va-notification']);
+  assert.deepStrictEqual(
+    lint('no-experimental-components', elements, [{ minimumLevel: 'best_practice' }]).map(r => r.data.tagName),
+    ['va-notification', 'va-button']
+  );
+  assert.deepStrictEqual(
+    lint('no-experimental-components', elements, [], { 'va-design-system': { minimumLevel: 'candidate' } }),
+    []
+  );
+
+  assert.deepStrictEqual(lint('no-unknown-va-components', elements).map(r => r.data.tagName), ['va-buton']);
+});
+
+test('valid-va-props reports at the offending attribute or element', () => {
+  const missing = element('VaButton', { disabled: true });
+  const invalid = element('va-alert', { status: 'danger', visible: { expression: { type: 'Literal', value: 'yes' } } });
+  const dynamic = element('va-alert', { status: { expression: { type: 'Identifier', name: 'status' } } });
+  const spread = element('va-button', { props: '...' });
+
+  const reports = lint('valid-va-props', [missing, invalid, dynamic, spread]);
+
+  assert.deepStrictEqual(reports.map(r => [r.node === missing ? 'element' : r.node.name.name, r.data.message]), [
+    ['element', 'Missing required prop "text" on va-button'],
+    ['status', reports[1].data.message],
+    ['visible', reports[2].data.message]
+  ]);
+  assert.match(reports[1].data.message, /^Invalid value "danger" for "status"/);
+  assert.match(reports[2].data.message, /^Invalid value "yes" for "visible"/);
+});
+
+test('loads component data synchronously through the monitor', () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-eslint-'));
+  try {
+    mkdirSync(join(root, 'packages', 'web-components', 'src'), { recursive: true });
+    writeFileSync(join(root, 'packages', 'web-components', 'src', 'components.d.ts'), fixture);
+
+    const components = getComponentsSync({ 'va-design-system': { offline: true, snapshot: root, persistentCache: false } });
+    assert.strictEqual(components.get('va-memorable-date').maturityCategory, 'caution');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { diffComponentSets, convertMarkup } from '../lib/index.js';
+import { createMonitor, fixture } from './helpers.js';
+
+test('parses on<Event> handlers into events instead of properties', async () => {
+  const monitor = createMonitor();
+  const { component, events } = await monitor.getComponentEvents('va-alert');
+
+  assert.strictEqual(component.tagName, 'va-alert');
+  assert.deepStrictEqual(events.map(event => [event.name, event.eventName, event.detailType, event.type]), [
+    ['onCloseEvent', 'closeEvent', 'any', '(event: VaAlertCustomEvent<any>) => void']
+  ]);
+  assert.match(events[0].description, /Fires when the component is closed/);
+
+  const { properties } = await monitor.getComponentProperties('va-alert');
+  assert.deepStrictEqual(properties.map(prop => prop.name), ['closeable', 'status', 'visible']);
+  assert.deepStrictEqual((await monitor.getComponentEvents('va-button')).events, []);
+  assert.strictEqual(await monitor.getComponentEvents('va-nope'), null);
+});
+
+test('takes event names and detail types from the element event map', () => {
+  const source = fixture
+    .replace(
+      '"onDateChange"?: (event: VaMemorableDateCustomEvent<any>) => void;',
+      '"onDateChange"?: (event: VaMemorableDateCustomEvent<{ value: string }>) => void;\n' +
+      '        "onComponent-library-analytics"?: (event: VaMemorableDateCustomEvent<any>) => void;'
+    )
+    .replace('declare namespace LocalJSX {', [
+      'declare global {',
+      '    interface HTMLVaMemorableDateElementEventMap {',
+      '        "dateChange": { value: string; valid: boolean };',
+      '        "component-library-analytics": any;',
+      '    }',
+      '}',
+      'declare namespace LocalJSX {'
+    ].join('\n'));
+
+  const { events } = createMonitor({ definitions: source }).components.get('VaMemorableDate');
+  assert.deepStrictEqual(events.map(event => [event.name, event.eventName, event.detailType]), [
+    ['onDateChange', 'dateChange', '{ value: string; valid: boolean }'],
+    ['onComponent-library-analytics', 'component-library-analytics', 'any']
+  ]);
+});
+
+test('validation, diffs and examples use the parsed events', async () => {
+  const monitor = createMonitor();
+
+  const result = await monitor.validateMarkup('<VaAlert status="info" onCloseEvent={close} onDismiss={close} />', { filePath: 'a.jsx' });
+  assert.deepStrictEqual(result.findings.map(f => [f.type, f.attribute]), [['UNKNOWN_ATTRIBUTE', 'onDismiss']]);
+
+  // Components recorded before events were split out still compare equal
+  const recorded = Array.from(monitor.components.values()).map(({ events, ...component }) => ({
+    ...component,
+    properties: [...component.properties, ...events.map(event => ({ name: event.name, type: event.type, optional: true }))]
+  }));
+  assert.deepStrictEqual(diffComponentSets(recorded, monitor.components).propertyChanges, []);
+
+  const { examples } = await monitor.getComponentExamples('va-alert');
+  const listener = examples.find(example => example.title === 'Handling Events');
+  assert.match(listener.code, /<script>\n  const element = document\.querySelector\('va-alert'\);\n  element\.addEventListener\('closeEvent', event => \{/);
+
+  const react = convertMarkup(listener.code, 'react', monitor.components).code;
+  assert.ok(!react.includes('script'));
+  assert.match(react, /onCloseEvent=\{event => console\.log\(event\.detail\)\}/);
+});
@@ -0,0 +1,204 @@
+/* eslint-disable */
+/* tslint:disable */
+/**
+ * This is an autogenerated file created by the Stencil compiler.
+ * It contains typing information for all components that exist in this project.
+ */
+import { HTMLStencilElement, JSXBase } from "@stencil/core/internal";
+export namespace Components {
+    /**
+     * @componentName Alert
+     * @maturityCategory use
+     * @maturityLevel best_practice
+     * @guidanceHref alert
+     * @translations English
+     * @translations Spanish
+     * @slot headline - The heading of the alert, usually an h2 to h4.
+     * @slot - The body of the alert. Links and short paragraphs work
+     * best.
+     */
+    interface VaAlert {
+        /**
+          * If `true`, a close button will be displayed.
+         */
+        "closeable"?: boolean;
+        /**
+          * Determines the icon and background color. One of `info`, `error`, `success`, `warning`, or `continue`
+         */
+        "status"?: 'info' | 'error' | 'success' | 'warning' | 'continue';
+        /**
+          * If `true`, the alert will be visible.
+         */
+        "visible"?: boolean;
+    }
+    /**
+     * @componentName Button
+     * @maturityCategory use
+     * @maturityLevel deployed
+     * @guidanceHref button
+     */
+    interface VaButton {
+        /**
+          * If `true`, the button will use the disabled variant.
+         */
+        "disabled"?: boolean;
+        /**
+          * The aria-label of the component.
+         */
+        "label"?: string;
+        /**
+          * If `true`, the button will submit form data when clicked.
+         */
+        "submit"?: boolean;
+        /**
+          * The text displayed on the button.
+         */
+        "text": string;
+    }
+    /**
+     * @componentName Memorable date
+     * @maturityCategory caution
+     * @maturityLevel available
+     * @guidanceHref form/memorable-date
+     */
+    interface VaMemorableDate {
+        /**
+          * Label for the field.
+         */
+        "label": string;
+        /**
+          * Name attribute for the date input.
+         */
+        "name": string;
+        /**
+          * Set the input to required and render the (Required) text.
+         */
+        "required"?: boolean;
+    }
+    /**
+     * @componentName Notification
+     * @maturityCategory use
+     * @maturityLevel candidate
+     */
+    interface VaNotification {
+        /**
+          * The level of the heading for the headline.
+         */
+        "headingLevel"?: number;
+        /**
+          * The headline of the notification.
+         */
+        "headline"?: string;
+    }
+}
+declare namespace LocalJSX {
+    /**
+     * @componentName Alert
+     * @maturityCategory use
+     * @maturityLevel best_practice
+     * @guidanceHref alert
+     * @translations English
+     * @translations Spanish
+     * @slot headline - The heading of the alert, usually an h2 to h4.
+     * @slot - The body of the alert. Links and short paragraphs work
+     * best.
+     */
+    interface VaAlert {
+        /**
+          * If `true`, a close button will be displayed.
+         */
+        "closeable"?: boolean;
+        /**
+          * Fires when the component is closed by clicking on the close icon. This fires only when closeable is true.
+         */
+        "onCloseEvent"?: (event: VaAlertCustomEvent<any>) => void;
+        /**
+          * Determines the icon and background color. One of `info`, `error`, `success`, `warning`, or `continue`
+         */
+        "status"?: 'info' | 'error' | 'success' | 'warning' | 'continue';
+        /**
+          * If `true`, the alert will be visible.
+         */
+        "visible"?: boolean;
+    }
+    /**
+     * @componentName Button
+     * @maturityCategory use
+     * @maturityLevel deployed
+     * @guidanceHref button
+     */
+    interface VaButton {
+        /**
+          * If `true`, the button will use the disabled variant.
+         */
+        "disabled"?: boolean;
+        /**
+          * The aria-label of the component.
+         */
+        "label"?: string;
+        /**
+          * If `true`, the button will submit form data when clicked.
+         */
+        "submit"?: boolean;
+        /**
+          * The text displayed on the button.
+         */
+        "text": string;
+    }
+    /**
+     * @componentName Memorable date
+     * @maturityCategory caution
+     * @maturityLevel available
+     * @guidanceHref form/memorable-date
+     */
+    interface VaMemorableDate {
+        /**
+          * Label for the field.
+         */
+        "label": string;
+        /**
+          * Name attribute for the date input.
+         */
+        "name": string;
+        /**
+          * Fires when the date input loses focus after its value was changed
+         */
+        "onDateChange"?: (event: VaMemorableDateCustomEvent<any>) => void;
+        /**
+          * Set the input to required and render the (Required) text.
+         */
+        "required"?: boolean;
+    }
+    /**
+     * @componentName Notification
+     * @maturityCategory use
+     * @maturityLevel candidate
+     */
+    interface VaNotification {
+        /**
+          * The level of the heading for the headline.
+         */
+        "headingLevel"?: number;
+        /**
+          * The headline of the notification.
+         */
+        "headline"?: string;
+    }
+    interface IntrinsicElements {
+        "va-alert": VaAlert;
+        "va-button": VaButton;
+        "va-memorable-date": VaMemorableDate;
+        "va-notification": VaNotification;
+    }
+}
+export { LocalJSX as JSX };
+declare module "@stencil/core" {
+    export namespace JSX {
+        interface IntrinsicElements {
+            "va-alert": LocalJSX.VaAlert & JSXBase.HTMLAttributes<HTMLVaAlertElement>;
+            "va-button": LocalJSX.VaButton & JSXBase.HTMLAttributes<HTMLVaButtonElement>;
+            "va-memorable-date": LocalJSX.VaMemorableDate & JSXBase.HTMLAttributes<HTMLVaMemorableDateElement>;
+            "va-notification": LocalJSX.VaNotification & JSXBase.HTMLAttributes<HTMLVaNotificationElement>;
+        }
+    }
+}
@@ -0,0 +1,89 @@
+import React from 'react';
+import { getWebComponentDocs, propStructure, StoryDocs } from './wc-helpers';
+
+const buttonDocs = getWebComponentDocs('va-button');
+
+export default {
+  title: 'Components/Button',
+  id: 'components/va-button',
+  parameters: {
+    componentSubtitle: 'va-button web component',
+    docs: {
+      page: () => <StoryDocs data={buttonDocs} />,
+    },
+  },
+};
+
+const defaultArgs = {
+  'back': undefined,
+  'big': undefined,
+  'continue': undefined,
+  'disable-analytics': false,
+  'label': undefined,
+  'secondary': undefined,
+  'primary-alternate': undefined,
+  'submit': undefined,
+  'text': 'Edit',
+};
+
+/* A button in every story */
+const Template = ({
+  back,
+  big,
+  continue: _continue,
+  'disable-analytics': disableAnalytics,
+  label,
+  secondary,
+  'primary-alternate': primaryAlternate,
+  submit,
+  text,
+}) => {
+  return (
+    <va-button
+      back={back}
+      big={big}
+      continue={_continue}
+      disable-analytics={disableAnalytics}
+      label={label}
+      onClick={e => console.log(e)}
+      secondary={secondary}
+      primary-alternate={primaryAlternate}
+      submit={submit}
+      text={text}
+    />
+  );
+};
+
+export const Primary = Template.bind(null);
+Primary.args = {
+  ...defaultArgs,
+};
+Primary.argTypes = propStructure(buttonDocs);
+
+export const Secondary = Template.bind(null);
+Secondary.args = {
+  ...defaultArgs,
+  secondary: true,
+};
+
+export const PrimaryAlternate = Template.bind(null);
+PrimaryAlternate.args = {
+  ...defaultArgs,
+  'primary-alternate': true,
+};
+
+export const Submit = Template.bind(null);
+Submit.storyName = 'Submit button';
+Submit.args = {
+  ...defaultArgs,
+  submit: 'prevent',
+  text: `Save ${'and'} continue`,
+};
+
+export const Group = () => (
+  <>
+    {/* Buttons side by side */}
+    <va-button text="Continue" continue />
+    <va-button text="Back" back className="vads-u-margin-left--1" />
+  </>
+);
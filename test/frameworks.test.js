@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { convertMarkup, toBindingName, bindingToTagName } from '../lib/frameworks.js';
+import { createMonitor } from './helpers.js';
+
+test('maps tag names to React binding names and back', () => {
+  assert.strictEqual(toBindingName('va-button-pair'), 'VaButtonPair');
+  assert.strictEqual(toBindingName('va-step-2'), 'VaStep2');
+  assert.strictEqual(bindingToTagName('VaButtonPair'), 'va-button-pair');
+  assert.strictEqual(bindingToTagName('VaOMBInfo'), 'va-omb-info');
+});
+
+const markup = [
+  '<form class="usa-form" style="margin-top: 1rem">',
+  '  <va-memorable-date label="Date of birth" name="dob" required></va-memorable-date>',
+  '  <va-notification heading-level="2" headline="Saved {name}"></va-notification>',
+  '  <va-button text="Save" submit disabled="false"></va-button>',
+  '</form>'
+].join('\n');
+
+test('converts example markup to React bindings', () => {
+  const { components } = createMonitor();
+  const { code, imports } = convertMarkup(markup, 'react', components);
+
+  assert.deepStrictEqual(imports, [
+    "import { VaButton, VaMemorableDate, VaNotification } from '@department-of-veterans-affairs/component-library/dist/react-bindings';"
+  ]);
+  assert.strictEqual(code, [
+    imports[0],
+    '',
+    "<form className=\"usa-form\" style={{ marginTop: '1rem' }}>",
+    '  <VaMemorableDate',
+    '    label="Date of birth"',
+    '    name="dob"',
+    '    required',
+    '    onDateChange={event => console.log(event.detail)}',
+    '  />',
+    '  <VaNotification headingLevel={2} headline="Saved {name}" />',
+    '  <VaButton text="Save" submit disabled={false} />',
+    '</form>'
+  ].join('\n'));
+
+  // Several roots need a fragment; JSON attributes become object props
+  const fragment = convertMarkup('<va-alert status="info" list=\'[{"href":"/"}]\'></va-alert><p>Hi {name}</p>', 'react', components);
+  assert.deepStrictEqual(fragment.code.split('\n').slice(2), [
+    '<>',
+    '  <VaAlert',
+    '    status="info"',
+    "    list={[{ href: '/' }]}",
+    '    onCloseEvent={event => console.log(event.detail)}',
+    '  />',
+    '  <p>Hi {name}</p>',
+    '</>'
+  ]);
+});
+
+test('converts example markup to Vue and JSX web components', () => {
+  const { components } = createMonitor();
+
+  assert.strictEqual(convertMarkup(markup, 'vue', components).code, [
+    '<form class="usa-form" style="margin-top: 1rem">',
+    '  <va-memorable-date',
+    '    label="Date of birth"',
+    '    name="dob"',
+    '    required',
+    '    @dateChange="event => console.log(event.detail)"',
+    '  ></va-memorable-date>',
+    '  <va-notification :heading-level="2" headline="Saved {name}"></va-notification>',
+    '  <va-button text="Save" submit disabled="false"></va-button>',
+    '</form>'
+  ].join('\n'));
+
+  assert.strictEqual(convertMarkup('<VaButton text="Go" /> {label}', 'vue', components).code, '<va-button text="Go"></va-button>\n{{ label }}');
+
+  const { code, imports } = convertMarkup(markup, 'jsx-webcomponent', components);
+  assert.deepStrictEqual(imports, []);
+  assert.strictEqual(code.split('\n')[1], '  <va-memorable-date label="Date of birth" name="dob" required />');
+  assert.strictEqual(convertMarkup(markup, 'html', components).code, markup);
+});
+
+test('examples accept a framework option', async () => {
+  const monitor = createMonitor();
+
+  const { examples } = await monitor.getComponentExamples('va-button', { framework: 'react' });
+  assert.ok(examples.length > 0);
+  assert.ok(examples.every(example => example.framework === 'React' && example.code.startsWith('import { VaButton')));
+
+  await assert.rejects(() => monitor.getComponentExamples('va-button', { framework: 'svelte' }), error => {
+    assert.strictEqual(error.code, 'INVALID_OPTIONS');
+    assert.deepStrictEqual(error.details, { framework: 'svelte' });
+    return true;
+  });
+});
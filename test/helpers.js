@@ -0,0 +1,21 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { VAComponentMonitor } from '../lib/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+/**
+ * A monitor loaded from components.d.ts content (the fixture by default)
+ *
+ * The persistent cache stays off so tests never read or write the user's cache directory.
+ */
+export function createMonitor({ definitions = fixture, ...options } = {}) {
+  const monitor = new VAComponentMonitor({ persistentCache: false, ...options });
+  monitor.components = monitor.parseComponentMetadata(definitions);
+  monitor.lastFetch = Date.now();
+  return monitor;
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import { HistoryStore } from '../lib/history.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+const component = (tagName, maturityCategory, maturityLevel, status, properties = []) =>
+  ({ tagName, name: tagName, maturityCategory, maturityLevel, status, properties });
+
+test('records changed snapshots and builds events and timelines', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'va-history-'));
+  try {
+    const store = new HistoryStore({ directory });
+    const first = [component('va-button', 'use', 'candidate', 'EXPERIMENTAL'), component('va-alert', 'use', 'deployed', 'STABLE')];
+    const second = [component('va-button', 'use', 'best_practice', 'RECOMMENDED'), component('va-alert', 'caution', 'deployed', 'USE_WITH_CAUTION'), component('va-card', 'use', 'candidate', 'EXPERIMENTAL')];
+
+    assert.strictEqual((await store.record(first, { ref: 'main', timestamp: '2026-01-01T00:00:00.000Z' })).recorded, true);
+    assert.strictEqual((await store.record(first, { ref: 'main' })).recorded, false);
+
+    const result = await store.record(second, { ref: 'main', timestamp: '2026-02-01T00:00:00.000Z' });
+    assert.deepStrictEqual(result.events.map(e => [e.type, e.tagName]), [
+      ['component-added', 'va-card'],
+      ['component-deprecated', 'va-alert'],
+      ['maturity-upgraded', 'va-button']
+    ]);
+
+    const snapshots = await store.list();
+    assert.deepStrictEqual(snapshots.map(s => s.changes), [null, 3]);
+
+    const timeline = await store.timeline('va-button');
+    assert.deepStrictEqual(timeline.map(e => [e.timestamp, e.type, e.status]), [
+      ['2026-01-01T00:00:00.000Z', 'first-seen', 'EXPERIMENTAL'],
+      ['2026-02-01T00:00:00.000Z', 'maturity-upgraded', 'RECOMMENDED']
+    ]);
+
+    // Snapshots of other refs are compared only with their own ref
+    await store.record(first, { ref: 'v1.0.0', timestamp: '2026-03-01T00:00:00.000Z' });
+    assert.strictEqual((await store.events()).length, 3);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('leaves JSON files that are not snapshots alone', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'va-history-'));
+  try {
+    // Sorts before the snapshots, so it would be pruned first if it were listed
+    writeFileSync(join(directory, '0-config.json'), '{"keep":true}');
+    writeFileSync(join(directory, 'package.json'), '{"name":"app"}');
+
+    const store = new HistoryStore({ directory, maxEntries: 1 });
+    await store.record([component('va-button', 'use', 'candidate', 'EXPERIMENTAL')], { timestamp: '2026-01-01T00:00:00.000Z' });
+    await store.record([component('va-button', 'use', 'deployed', 'STABLE')], { timestamp: '2026-02-01T00:00:00.000Z' });
+
+    assert.deepStrictEqual((await store.list()).map(snapshot => snapshot.timestamp), ['2026-02-01T00:00:00.000Z']);
+    assert.strictEqual(await store.clear(), 1);
+    assert.deepStrictEqual(readdirSync(directory).sort(), ['0-config.json', 'package.json']);
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('watch emits change events for each new snapshot', async () => {
+  const historyDir = mkdtempSync(join(tmpdir(), 'va-history-'));
+  const originalFetch = globalThis.fetch;
+  const releases = [fixture, fixture.split('@maturityLevel deployed').join('@maturityLevel best_practice')];
+  globalThis.fetch = async () => {
+    const body = releases.length > 1 ? releases.shift() : releases[0];
+    return { status: 200, ok: true, headers: new Map(), text: async () => body };
+  };
+
+  try {
+    const monitor = new VAComponentMonitor({ historyDir, persistentCache: false });
+    const watcher = monitor.watch({ interval: 1000 });
+    const changes = [];
+    watcher.on('change', event => changes.push(event));
+
+    await new Promise((resolve, reject) => {
+      let checks = 0;
+      watcher.on('error', reject);
+      watcher.on('check', () => {
+        if (++checks === 2) resolve();
+      });
+    });
+    watcher.stop();
+
+    assert.deepStrictEqual(changes.map(e => [e.type, e.tagName, e.to]), [['maturity-upgraded', 'va-button', 'RECOMMENDED']]);
+    assert.strictEqual((await monitor.getHistory()).length, 2);
+  } finally {
+    globalThis.fetch = originalFetch;
+    rmSync(historyDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { connect } from 'net';
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startMcpHttpServer } from '../lib/mcp-http.js';
+
+function createServer() {
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+  // Slow enough for concurrent requests to overlap
+  server.setRequestHandler(ListToolsRequestSchema, () => new Promise(resolve => setTimeout(() => resolve({ tools: [] }), 20)));
+  return server;
+}
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '0' } }
+};
+
+test('streamable HTTP keeps a separate session per client behind a bearer token', async () => {
+  const httpServer = await startMcpHttpServer({ port: 0, token: 'secret', createServer });
+  const url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const unauthorized = await fetch(url, { method: 'POST', body: JSON.stringify(initialize) });
+    assert.strictEqual(unauthorized.status, 401);
+    assert.strictEqual((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).status, 400);
+
+    const first = await post(initialize);
+    const second = await post(initialize);
+    const sessionId = first.headers.get('mcp-session-id');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual((await first.json()).result.serverInfo.name, 'test');
+    assert.notStrictEqual(sessionId, second.headers.get('mcp-session-id'));
+    assert.strictEqual(httpServer.sessions.size, 2);
+
+    const initialized = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+    assert.strictEqual(initialized.status, 202);
+    const list = await post([{ jsonrpc: '2.0', id: 2, method: 'tools/list' }], { 'Mcp-Session-Id': sessionId });
+    assert.deepStrictEqual(await list.json(), [{ jsonrpc: '2.0', id: 2, result: { tools: [] } }]);
+
+    const closed = await fetch(url, { method: 'DELETE', headers: { Authorization: 'Bearer secret', 'Mcp-Session-Id': sessionId } });
+    assert.strictEqual(closed.status, 204);
+    assert.strictEqual((await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId })).status, 404);
+    assert.strictEqual(httpServer.sessions.size, 1);
+  } finally {
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+});
+
+test('streamable HTTP answers each POST even when request ids repeat, and caps sessions', async () => {
+  const httpServer = await startMcpHttpServer({ port: 0, maxSessions: 1, createServer });
+  const url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const first = await post(initialize);
+    const session = { 'Mcp-Session-Id': first.headers.get('mcp-session-id') };
+    assert.strictEqual(first.status, 200);
+
+    const full = await post(initialize);
+    assert.strictEqual(full.status, 503);
+    assert.strictEqual((await full.json()).error.message, 'Too many open sessions');
+
+    const duplicate = await post([
+      { jsonrpc: '2.0', id: 7, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 7, method: 'tools/list' }
+    ], session);
+    assert.strictEqual(duplicate.status, 400);
+
+    // Two POSTs in flight with the same id both get their response
+    const responses = await Promise.all([
+      post({ jsonrpc: '2.0', id: 7, method: 'tools/list' }, session),
+      post([{ jsonrpc: '2.0', id: 7, method: 'tools/list' }, { jsonrpc: '2.0', id: 8, method: 'tools/list' }], session)
+    ]);
+    const [single, batch] = await Promise.all(responses.map(response => response.json()));
+    assert.deepStrictEqual(single, { jsonrpc: '2.0', id: 7, result: { tools: [] } });
+    assert.deepStrictEqual(batch.map(message => message.id), [7, 8]);
+  } finally {
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+});
+
+test('a malformed request line gets a JSON-RPC 400 before any auth check', async () => {
+  const httpServer = await startMcpHttpServer({ port: 0, token: 'secret', createServer });
+  const { port } = httpServer.address();
+
+  try {
+    const response = await new Promise((resolve, reject) => {
+      const socket = connect(port, '127.0.0.1', () => socket.end('POST //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n'));
+      let text = '';
+      socket.on('data', chunk => { text += chunk; });
+      socket.on('end', () => resolve(text));
+      socket.on('error', reject);
+    });
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.strictEqual(JSON.parse(response.slice(response.indexOf('\r\n\r\n') + 4)).error.code, -32600);
+    assert.strictEqual((await fetch(`http://127.0.0.1:${port}/health`)).status, 200);
+  } finally {
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+});
+
+test('the sse transport announces a message endpoint and answers on the stream', async () => {
+  const httpServer = await startMcpHttpServer({ port: 0, transport: 'sse', createServer });
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  const controller = new AbortController();
+
+  try {
+    const stream = await fetch(`${base}/sse`, { signal: controller.signal });
+    assert.strictEqual(stream.headers.get('content-type'), 'text/event-stream');
+    const reader = stream.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const nextEvent = async () => {
+      while (!buffer.includes('\n\n')) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('stream ended');
+        buffer += decoder.decode(value, { stream: true });
+      }
+      const [event] = buffer.split('\n\n', 1);
+      buffer = buffer.slice(event.length + 2);
+      const field = name => (event.match(new RegExp(`^${name}: (.*)$`, 'm')) || [])[1];
+      return { event: field('event'), data: field('data') };
+    };
+
+    const endpoint = await nextEvent();
+    assert.strictEqual(endpoint.event, 'endpoint');
+    assert.match(endpoint.data, /^\/messages\?sessionId=/);
+    assert.strictEqual(httpServer.sessions.size, 1);
+
+    const post = body => fetch(`${base}${endpoint.data}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    assert.strictEqual((await post(initialize)).status, 202);
+    const message = await nextEvent();
+    assert.strictEqual(message.event, 'message');
+    assert.strictEqual(JSON.parse(message.data).result.serverInfo.name, 'test');
+
+    assert.strictEqual((await fetch(`${base}/messages?sessionId=nope`, { method: 'POST', body: '{}' })).status, 404);
+  } finally {
+    controller.abort();
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+});
@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ErrorCode, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { fixture } from './helpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const serverPath = join(__dirname, '..', 'bin', 'mcp-server.js');
+
+/**
+ * Run the stdio server offline against a snapshot of the fixture and connect a client
+ */
+async function startServer() {
+  const root = mkdtempSync(join(tmpdir(), 'va-mcp-'));
+  const definitionsPath = join(root, 'snapshot', 'packages', 'web-components', 'src', 'components.d.ts');
+  mkdirSync(dirname(definitionsPath), { recursive: true });
+  writeFileSync(definitionsPath, fixture);
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [serverPath],
+    env: {
+      PATH: process.env.PATH,
+      VA_MONITOR_OFFLINE: '1',
+      VA_MONITOR_SNAPSHOT: join(root, 'snapshot'),
+      VA_MONITOR_CACHE_DIR: join(root, 'cache'),
+      VA_MONITOR_HISTORY_DIR: join(root, 'history')
+    },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'test', version: '0' }, { capabilities: {} });
+  await client.connect(transport);
+
+  return {
+    client,
+    definitionsPath,
+    async close() {
+      await client.close();
+      rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test('lists and reads component resources', async () => {
+  const { client, close } = await startServer();
+  try {
+    const { resources } = await client.listResources();
+    assert.strictEqual(resources[0].uri, 'va-report://summary');
+    assert.ok(['va-component://va-alert', 'va-component://va-alert/props', 'va-component://va-alert/guidance']
+      .every(uri => resources.some(resource => resource.uri === uri)));
+
+    const [alert] = (await client.readResource({ uri: 'va-component://va-alert' })).contents;
+    assert.strictEqual(alert.mimeType, 'application/json');
+    assert.deepStrictEqual(
+      (({ tagName, maturityCategory, maturityLevel }) => ({ tagName, maturityCategory, maturityLevel }))(JSON.parse(alert.text)),
+      { tagName: 'va-alert', maturityCategory: 'use', maturityLevel: 'best_practice' }
+    );
+
+    const [props] = (await client.readResource({ uri: 'va-component://va-button/props' })).contents;
+    assert.ok(JSON.parse(props.text).properties.some(prop => prop.name === 'text' && !prop.optional));
+
+    const [guidance] = (await client.readResource({ uri: 'va-component://va-button/guidance' })).contents;
+    assert.strictEqual(guidance.mimeType, 'text/markdown');
+    assert.match(guidance.text, /Required props: `text`/);
+
+    const [report] = (await client.readResource({ uri: 'va-report://summary' })).contents;
+    assert.strictEqual(JSON.parse(report.text).total, (resources.length - 1) / 3);
+
+    await assert.rejects(() => client.readResource({ uri: 'va-component://va-nope' }), /Component "va-nope" not found/);
+    await assert.rejects(() => client.readResource({ uri: 'https://example.com/va-alert' }), /Unknown resource/);
+  } finally {
+    await close();
+  }
+});
+
+test('notifies subscribers when a resource changes', async () => {
+  const { client, definitionsPath, close } = await startServer();
+  try {
+    const updated = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+      updated.push(notification.params.uri);
+    });
+
+    await client.subscribeResource({ uri: 'va-component://va-alert' });
+    await client.subscribeResource({ uri: 'va-component://va-button' });
+
+    // va-alert moves to caution; va-button is unchanged
+    writeFileSync(definitionsPath, fixture.split('@maturityCategory use\n     * @maturityLevel best_practice').join('@maturityCategory caution\n     * @maturityLevel candidate'));
+    await client.callTool({ name: 'generate_component_report', arguments: { forceRefresh: true } });
+
+    for (let attempt = 0; attempt < 50 && updated.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepStrictEqual(updated, ['va-component://va-alert']);
+  } finally {
+    await close();
+  }
+});
+
+test('lists prompts and renders them with live component data', async () => {
+  const { client, close } = await startServer();
+  try {
+    const { prompts } = await client.listPrompts();
+    assert.deepStrictEqual(prompts.map(prompt => prompt.name), ['build_va_form_page', 'replace_buttons_with_va_button', 'review_va_markup']);
+    assert.deepStrictEqual(prompts[0].arguments.map(argument => [argument.name, argument.required]), [['description', true], ['framework', false]]);
+
+    const form = await client.getPrompt({ name: 'build_va_form_page', arguments: { description: 'date of birth', framework: 'react' } });
+    assert.strictEqual(form.description, 'Build a VA form page: date of birth');
+    const [message] = form.messages;
+    assert.strictEqual(message.role, 'user');
+    assert.match(message.content.text, /collects: date of birth/);
+    assert.match(message.content.text, /React using the component-library React bindings/);
+    assert.match(message.content.text, /- va-button — Button \(/);
+    assert.match(message.content.text, /Use with caution[\s\S]*- va-memorable-date — Memorable date/);
+
+    const buttons = await client.getPrompt({ name: 'replace_buttons_with_va_button', arguments: { code: '<button>Go</button>' } });
+    assert.match(buttons.messages[0].content.text, /- text \(required\): string/);
+    assert.match(buttons.messages[0].content.text, /```\n<button>Go<\/button>\n```$/);
+
+    const review = await client.getPrompt({ name: 'review_va_markup', arguments: { markup: '<va-alert colour="red"></va-alert>' } });
+    assert.match(review.messages[0].content.text, /Automated checks found 1 issue\(s\):\n- line 1: \[\w+\] .*colour/);
+  } finally {
+    await close();
+  }
+});
+
+test('rejects unknown prompts and missing or invalid arguments', async () => {
+  const { client, close } = await startServer();
+  try {
+    await assert.rejects(() => client.getPrompt({ name: 'review_va_markup', arguments: {} }), { code: ErrorCode.InvalidParams, message: /Missing required argument: markup/ });
+    await assert.rejects(() => client.getPrompt({ name: 'build_va_form_page', arguments: { description: ' ' } }), { code: ErrorCode.InvalidParams, message: /Missing required argument: description/ });
+    await assert.rejects(() => client.getPrompt({ name: 'build_va_form_page', arguments: { description: 'x', framework: 'svelte' } }), { code: ErrorCode.InvalidParams, message: /framework must be "html" or "react"/ });
+    await assert.rejects(() => client.getPrompt({ name: 'write_a_poem' }), { code: ErrorCode.InvalidParams, message: /Unknown prompt: write_a_poem/ });
+  } finally {
+    await close();
+  }
+});
+
+test('deprecated tool names run the renamed tool with a deprecation note', async () => {
+  const { client, close } = await startServer();
+  try {
+    const { tools } = await client.listTools();
+    const alias = tools.find(tool => tool.name === 'getComponentProperties');
+    assert.match(alias.description, /^Deprecated: use get_component_properties\./);
+    assert.deepStrictEqual(alias.inputSchema.required, ['componentName']);
+
+    const current = await client.callTool({ name: 'get_component_properties', arguments: { component: 'va-button' } });
+    const deprecated = await client.callTool({ name: 'getComponentProperties', arguments: { componentName: 'va-button' } });
+    assert.ok(!deprecated.isError);
+    assert.strictEqual(deprecated.content[0].text, current.content[0].text);
+    assert.strictEqual(
+      deprecated.content[1].text,
+      'Note: getComponentProperties is deprecated and will be removed in the next major version; use get_component_properties instead.'
+    );
+  } finally {
+    await close();
+  }
+});
+
+test('tool failures come back as structured isError results', async () => {
+  const { client, close } = await startServer();
+  const callError = async (name, args) => {
+    const result = await client.callTool({ name, arguments: args });
+    assert.strictEqual(result.isError, true);
+    return JSON.parse(result.content[0].text).error;
+  };
+
+  try {
+    const invalid = await callError('lint_components', { components: 'va-button', strict: true });
+    assert.strictEqual(invalid.code, 'INVALID_INPUT');
+    assert.deepStrictEqual(invalid.details.errors, [
+      { path: 'arguments.components', message: 'must be of type array, got string' },
+      { path: 'arguments.strict', message: 'is not a known argument' }
+    ]);
+
+    // Aliases are validated against their old argument names
+    const aliasInvalid = await callError('lintComponents', { components: ['va-button'] });
+    assert.deepStrictEqual(aliasInvalid.details.errors.map(error => error.path), ['arguments.componentNames', 'arguments.components']);
+
+    assert.deepStrictEqual(await callError('get_component_status', { component: 'va-nope' }), {
+      message: 'Component "va-nope" not found in VA Design System',
+      code: 'NOT_FOUND',
+      details: { component: 'va-nope' }
+    });
+
+    const unknown = await callError('delete_components', {});
+    assert.strictEqual(unknown.code, 'NOT_FOUND');
+    assert.ok(unknown.details.available.includes('lint_components'));
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import { findInstalledVersion, isValidRef } from '../lib/ref.js';
+
+const PACKAGE = '@department-of-veterans-affairs/component-library';
+
+function withProject(files, run) {
+  const root = mkdtempSync(join(tmpdir(), 'va-ref-'));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(join(root, path, '..'), { recursive: true });
+    writeFileSync(join(root, path), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return Promise.resolve(run(root)).finally(() => rmSync(root, { recursive: true, force: true }));
+}
+
+test('finds the installed version from node_modules, lockfiles and package.json', async () => {
+  await withProject({
+    [`node_modules/${PACKAGE}/package.json`]: { version: '48.2.0' },
+    'package-lock.json': { packages: { [`node_modules/${PACKAGE}`]: { version: '47.0.0' } } }
+  }, async root => {
+    assert.deepStrictEqual(await findInstalledVersion(root), { version: '48.2.0', source: 'node_modules' });
+  });
+
+  await withProject({
+    'package-lock.json': { lockfileVersion: 1, dependencies: { [PACKAGE]: { version: '47.0.0' } } }
+  }, async root => {
+    assert.deepStrictEqual(await findInstalledVersion(root), { version: '47.0.0', source: 'package-lock.json' });
+  });
+
+  await withProject({
+    'yarn.lock': `"@department-of-veterans-affairs/component-library@^46.0.0":\n  version "46.1.3"\n  resolved "https://registry.yarnpkg.com/x.tgz"\n`
+  }, async root => {
+    assert.deepStrictEqual(await findInstalledVersion(root), { version: '46.1.3', source: 'yarn.lock' });
+  });
+
+  await withProject({ 'package.json': { dependencies: { [PACKAGE]: '^45.0.1' } } }, async root => {
+    assert.deepStrictEqual(await findInstalledVersion(root), { version: '45.0.1', source: 'package.json' });
+  });
+
+  await withProject({ 'package.json': { dependencies: {} } }, async root => {
+    assert.strictEqual(await findInstalledVersion(root), null);
+  });
+});
+
+test('rejects refs that are not safe URL segments', () => {
+  assert.ok(isValidRef('v48.2.0'));
+  assert.ok(isValidRef('feature/new-button'));
+  assert.ok(!isValidRef('../../etc'));
+  assert.ok(!isValidRef('main?token=x'));
+  assert.throws(() => new VAComponentMonitor({ ref: 'a b' }), { code: 'INVALID_OPTIONS' });
+});
+
+test('definitions and story fetches use the installed release tag', async () => {
+  await withProject({ 'package-lock.json': { packages: { [`node_modules/${PACKAGE}`]: { version: '48.2.0' } } } }, async root => {
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async url => {
+      requests.push(url);
+      return { status: 404, ok: false, headers: new Map(), text: async () => '' };
+    };
+
+    try {
+      const monitor = new VAComponentMonitor({ ref: 'installed', projectDir: root, persistentCache: false });
+      assert.deepStrictEqual(await monitor.resolveRef(), {
+        requested: 'installed',
+        ref: 'v48.2.0',
+        version: '48.2.0',
+        source: 'package-lock.json'
+      });
+      assert.strictEqual(
+        await monitor.getDefinitionsUrl(),
+        'https://raw.githubusercontent.com/department-of-veterans-affairs/component-library/v48.2.0/packages/web-components/src/components.d.ts'
+      );
+
+      await monitor.fetchFileFromGitHub('packages/storybook/stories/va-button.stories.jsx');
+      assert.strictEqual(
+        requests[0],
+        'https://raw.githubusercontent.com/department-of-veterans-affairs/component-library/v48.2.0/packages/storybook/stories/va-button.stories.jsx'
+      );
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
+
+test('ref "installed" without the package fails with REF_NOT_RESOLVED', async () => {
+  await withProject({ 'package.json': { name: 'app' } }, async root => {
+    const monitor = new VAComponentMonitor({ ref: 'installed', projectDir: root, persistentCache: false });
+    await assert.rejects(() => monitor.fetchComponentDefinitions(), { code: 'REF_NOT_RESOLVED' });
+  });
+});
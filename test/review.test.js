@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { extractNativeElements } from '../lib/index.js';
+import { suggestNativeReplacement } from '../lib/review.js';
+import { createMonitor } from './helpers.js';
+
+test('extracts native controls and button-styled links, skipping comments', () => {
+  const source = [
+    '<button type="submit" class="usa-button">Save <b>now</b></button>',
+    '<input type="email" name="email" required>',
+    '<a href="/help">Help</a> <a class="usa-button-secondary" href="/next">Next</a>',
+    '<!-- <select name="old"></select> -->',
+    '<myButton>not native</myButton>'
+  ].join('\n');
+
+  assert.deepStrictEqual(
+    extractNativeElements(source).map(e => [e.element, e.line, e.column, e.text]),
+    [
+      ['button', 1, 1, 'Save now'],
+      ['input', 2, 1, null],
+      ['a', 3, 26, 'Next']
+    ]
+  );
+});
+
+test('suggests replacements that keep labels, names and handlers', () => {
+  const componentsByTag = new Map([
+    ['va-text-input', { status: 'RECOMMENDED', properties: [
+      { name: 'label', optional: true }, { name: 'name', optional: true }, { name: 'type', optional: true },
+      { name: 'required', optional: true }, { name: 'messageAriaDescribedby', optional: false }
+    ] }]
+  ]);
+  const [input, hidden, select] = extractNativeElements(
+    '<input type="email" name="email" placeholder="Email" required><input type="hidden" name="id"><select></select>'
+  );
+
+  assert.deepStrictEqual(suggestNativeReplacement(input, componentsByTag), {
+    component: 'va-text-input',
+    status: 'RECOMMENDED',
+    replacement: '<va-text-input label="Email" name="email" type="email" required message-aria-describedby=""></va-text-input>'
+  });
+  assert.strictEqual(suggestNativeReplacement(hidden, componentsByTag), null);
+  // No va-select in this library
+  assert.strictEqual(suggestNativeReplacement(select, componentsByTag), null);
+});
+
+test('reviews a snippet for component status, props and native elements', async () => {
+  const markup = [
+    '<va-memorable-date label="Birthday"></va-memorable-date>',
+    '<va-bogus></va-bogus>',
+    '<div className="actions"><button onClick={save}>Save</button></div>'
+  ].join('\n');
+
+  const review = await createMonitor().reviewMarkup(markup);
+
+  assert.deepStrictEqual(review.findings.map(f => [f.type, f.component, f.line]), [
+    ['CAUTION', 'va-memorable-date', 1],
+    ['MISSING_REQUIRED_PROP', 'va-memorable-date', 1],
+    ['NOT_FOUND', 'va-bogus', 2],
+    ['NATIVE_ELEMENT', 'va-button', 3]
+  ]);
+  assert.strictEqual(review.findings[3].suggestion.replacement, '<VaButton text="Save" onClick={save} />');
+  assert.deepStrictEqual(review.summary, {
+    components: 2, unknownComponents: 1, caution: 1, policy: 0, props: 1, nativeElements: 1, suppressed: 0
+  });
+  assert.strictEqual(review.hasErrors, true);
+});
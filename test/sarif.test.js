@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { createSarifLog, getGuidanceUrl } from '../lib/sarif.js';
+
+const components = [
+  { tagName: 'va-alert', name: 'Alert', guidanceHref: 'alert' },
+  { tagName: 'va-memorable-date', name: 'Memorable date', guidanceHref: 'form/memorable-date' }
+];
+
+test('maps lint issues to per-component rules with guidance links', () => {
+  const log = createSarifLog([
+    { type: 'CAUTION', severity: 'warning', component: 'va-memorable-date', message: 'caution', file: 'src/form.jsx', line: 3, column: 7 },
+    { type: 'CAUTION', severity: 'warning', component: 'Memorable date', message: 'caution again' },
+    { type: 'NOT_FOUND', severity: 'error', component: 'va-nope', message: 'missing' },
+    { type: 'ISSUES', severity: 'info', component: 'va-alert', message: 'issues' }
+  ], { components, root: '/work/app', toolVersion: '2.1.0' });
+
+  const [run] = log.runs;
+  assert.strictEqual(log.version, '2.1.0');
+  assert.deepStrictEqual(run.tool.driver.rules.map(rule => [rule.id, rule.helpUri]), [
+    ['CAUTION/va-memorable-date', 'https://design.va.gov/components/form/memorable-date'],
+    ['NOT_FOUND', 'https://design.va.gov/components/'],
+    ['ISSUES/va-alert', 'https://design.va.gov/components/alert']
+  ]);
+
+  assert.deepStrictEqual(run.results.map(result => [result.ruleIndex, result.level]), [[0, 'warning'], [0, 'warning'], [1, 'error'], [2, 'note']]);
+  assert.deepStrictEqual(run.results[0].locations[0].physicalLocation, {
+    artifactLocation: { uri: 'src/form.jsx', uriBaseId: '%SRCROOT%' },
+    region: { startLine: 3, startColumn: 7 }
+  });
+  assert.strictEqual(run.results[2].locations, undefined);
+  assert.strictEqual(run.originalUriBaseIds['%SRCROOT%'].uri, 'file:///work/app/');
+});
+
+test('builds guidance URLs from relative and absolute hrefs', () => {
+  assert.strictEqual(getGuidanceUrl('/button'), 'https://design.va.gov/components/button');
+  assert.strictEqual(getGuidanceUrl('https://example.gov/x'), 'https://example.gov/x');
+  assert.strictEqual(getGuidanceUrl(null), null);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { extractComponentUsages, globToRegExp } from '../lib/scanner.js';
+import { createMonitor } from './helpers.js';
+
+test('extracts web component tags with locations and attributes', () => {
+  const source = [
+    '<div>',
+    '  <va-alert status="warning" closeable>',
+    '    <h2 slot="headline">Heads up</h2>',
+    '  </va-alert>',
+    '  <!-- <va-modal visible></va-modal> -->',
+    '</div>'
+  ].join('\n');
+
+  const usages = extractComponentUsages(source, 'page.html');
+
+  assert.strictEqual(usages.length, 1);
+  assert.strictEqual(usages[0].tagName, 'va-alert');
+  assert.strictEqual(usages[0].line, 2);
+  assert.strictEqual(usages[0].column, 3);
+  assert.deepStrictEqual(
+    usages[0].attributes.map(a => [a.name, a.value, a.kind]),
+    [['status', 'warning', 'static'], ['closeable', null, 'boolean']]
+  );
+});
+
+test('extracts React bindings and JSX expressions', () => {
+  const source = [
+    'const ref = useRef<VaButton>(null);',
+    'return (',
+    '  <VaButton text={"Continue"} onClick={() => go(1)} {...rest} />',
+    ');'
+  ].join('\n');
+
+  const [usage, ...others] = extractComponentUsages(source, 'App.jsx');
+
+  assert.strictEqual(others.length, 0);
+  assert.strictEqual(usage.tagName, 'va-button');
+  assert.strictEqual(usage.binding, 'react');
+  assert.strictEqual(usage.hasSpread, true);
+  assert.strictEqual(usage.selfClosing, true);
+  assert.deepStrictEqual(
+    usage.attributes.map(a => [a.name, a.value, a.kind]),
+    [['text', 'Continue', 'static'], ['onClick', '() => go(1)', 'expression']]
+  );
+});
+
+test('matches minimal glob patterns', () => {
+  const regex = globToRegExp('**/*.{html,jsx}');
+  assert.ok(regex.test('index.html'));
+  assert.ok(regex.test('src/app/App.jsx'));
+  assert.ok(!regex.test('src/app/App.js'));
+});
+
+test('scanProject builds a per-file usage inventory', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-scan-'));
+  try {
+    mkdirSync(join(root, 'src'));
+    mkdirSync(join(root, 'node_modules'));
+    writeFileSync(join(root, 'src', 'form.jsx'), '<VaMemorableDate label="Birth date" name="dob" />\n<va-button text="Go"></va-button>\n');
+    writeFileSync(join(root, 'src', 'page.liquid'), '<va-made-up></va-made-up>\n');
+    writeFileSync(join(root, 'node_modules', 'ignored.html'), '<va-alert></va-alert>\n');
+
+    const result = await createMonitor().scanProject(undefined, { cwd: root });
+
+    assert.deepStrictEqual(result.files.map(f => f.file), ['src/form.jsx', 'src/page.liquid']);
+    assert.strictEqual(result.summary.totalUsages, 3);
+    assert.strictEqual(result.summary.notFound, 1);
+    assert.deepStrictEqual(
+      result.issues.map(i => [i.type, i.file, i.line]),
+      [['CAUTION', 'src/form.jsx', 1], ['NOT_FOUND', 'src/page.liquid', 1]]
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
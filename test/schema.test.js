@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { validateSchema } from '../lib/schema.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    components: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    status: { type: 'string', enum: ['STABLE', 'EXPERIMENTAL'] },
+    forceRefresh: { type: 'boolean' }
+  },
+  required: ['components'],
+  additionalProperties: false
+};
+
+test('validates tool arguments against their JSON schema', () => {
+  assert.deepStrictEqual(validateSchema({ components: ['va-button'], status: 'STABLE', forceRefresh: true }, schema), []);
+
+  assert.deepStrictEqual(validateSchema({ components: ['va-button', '', 3], status: 'stable', componentNames: [] }, schema), [
+    { path: 'arguments.components[1]', message: 'must not be empty' },
+    { path: 'arguments.components[2]', message: 'must be of type string, got integer' },
+    { path: 'arguments.status', message: 'must be one of STABLE, EXPERIMENTAL' },
+    { path: 'arguments.componentNames', message: 'is not a known argument' }
+  ]);
+
+  assert.deepStrictEqual(validateSchema({ components: [] }, schema), [
+    { path: 'arguments.components', message: 'must contain at least 1 item(s)' }
+  ]);
+  assert.deepStrictEqual(validateSchema(null, schema), [{ path: 'arguments', message: 'must be of type object, got null' }]);
+});
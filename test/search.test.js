@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { searchComponents, editDistance } from '../lib/search.js';
+import { createMonitor } from './helpers.js';
+
+test('ranks exact, prefix, typo and prop matches', () => {
+  const components = [
+    { tagName: 'va-date', name: 'Date', interfaceName: 'VaDate', status: 'STABLE', properties: [] },
+    { tagName: 'va-memorable-date', name: 'Memorable date', interfaceName: 'VaMemorableDate', status: 'USE_WITH_CAUTION', properties: [] },
+    { tagName: 'va-button', name: 'Button', interfaceName: 'VaButton', status: 'STABLE', properties: [{ name: 'secondary' }] }
+  ];
+
+  assert.strictEqual(editDistance('va-buton', 'va-button'), 1);
+  assert.deepStrictEqual(searchComponents(components, 'date').map(hit => [hit.tagName, hit.score]), [
+    ['va-date', 1],
+    ['va-memorable-date', 0.63]
+  ]);
+  assert.deepStrictEqual(searchComponents(components, 'Memorable Date')[0].matches.map(match => match.kind), ['exact', 'exact', 'exact']);
+  assert.deepStrictEqual(searchComponents(components, 'va-buton').map(hit => [hit.tagName, hit.matches[0].kind]), [['va-button', 'fuzzy']]);
+  assert.deepStrictEqual(searchComponents(components, 'secondary')[0].matches, [{ field: 'prop', value: 'secondary', kind: 'exact' }]);
+  assert.strictEqual(searchComponents(components, 'date', { limit: 1 }).length, 1);
+});
+
+test('lint suggests the closest component for unknown names', async () => {
+  const monitor = createMonitor();
+
+  const { issues } = await monitor.lintComponents(['va-memorable-daet', 'va-nothing-like-it']);
+  assert.strictEqual(issues[0].message, 'Component "va-memorable-daet" not found in VA Design System. Did you mean va-memorable-date?');
+  assert.deepStrictEqual(issues[0].suggestions, ['va-memorable-date']);
+  assert.strictEqual(issues[1].suggestions, undefined);
+  assert.deepStrictEqual(await monitor.suggestComponentNames('va-buton'), ['va-button']);
+  assert.deepStrictEqual(await monitor.suggestComponentNames('va-nothing-like-it'), []);
+
+  // Partial names resolve to the best match rather than the first one in the map
+  assert.strictEqual((await monitor.getComponentByName('memorable')).tagName, 'va-memorable-date');
+  assert.strictEqual(await monitor.getComponentByName('va-buton'), null);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { connect } from 'net';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import { startApiServer } from '../lib/server.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+test('serves component, props, validate and lint routes from a shared monitor', async () => {
+  const monitor = new VAComponentMonitor({ persistentCache: false });
+  let fetches = 0;
+  monitor.fetchComponentDefinitions = async () => {
+    fetches++;
+    return fixture;
+  };
+
+  const server = await startApiServer({ monitor, port: 0 });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = path => fetch(`${base}${path}`).then(async res => [res.status, await res.json()]);
+  const post = (path, body) => fetch(`${base}${path}`, { method: 'POST', body: JSON.stringify(body) })
+    .then(async res => [res.status, await res.json()]);
+
+  try {
+    // Concurrent cold requests share one load
+    const [[, caution], [, button]] = await Promise.all([get('/components?filter=caution'), get('/components/va-button')]);
+    assert.strictEqual(fetches, 1);
+    assert.deepStrictEqual(caution.map(c => c.tagName), ['va-memorable-date', 'va-notification']);
+    assert.strictEqual(button.status, 'STABLE');
+
+    const [, props] = await get('/components/va-memorable-date/props');
+    assert.deepStrictEqual(props.properties.filter(p => !p.optional).map(p => p.name), ['label', 'name']);
+
+    const [, lint] = await post('/lint', { components: ['va-alert', 'va-bogus'] });
+    assert.deepStrictEqual(lint.issues.map(i => [i.type, i.component]), [['NOT_FOUND', 'va-bogus']]);
+
+    const [, markup] = await post('/validate', { markup: '<va-button colour="red"></va-button>', filePath: 'a.html' });
+    assert.deepStrictEqual(markup.findings.map(f => [f.type, f.file]), [['UNKNOWN_ATTRIBUTE', 'a.html'], ['MISSING_REQUIRED_PROP', 'a.html']]);
+
+    assert.deepStrictEqual(await get('/components/va-nothing-like-this'), [404, { error: 'Component "va-nothing-like-this" not found', code: 'NOT_FOUND' }]);
+    assert.deepStrictEqual((await post('/lint', { components: 'va-alert' }))[0], 400);
+    const notAllowed = await fetch(`${base}/validate`);
+    assert.strictEqual(notAllowed.status, 405);
+    assert.strictEqual(notAllowed.headers.get('allow'), 'POST');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('answers a malformed request line with 400 instead of crashing', async () => {
+  const monitor = new VAComponentMonitor({ persistentCache: false });
+  monitor.fetchComponentDefinitions = async () => fixture;
+  const server = await startApiServer({ monitor, port: 0 });
+
+  // fetch() refuses to send this URL, so write the request line by hand
+  const sendRaw = request => new Promise((resolve, reject) => {
+    const socket = connect(server.address().port, '127.0.0.1', () => socket.end(request));
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+  });
+
+  try {
+    const response = await sendRaw('GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.strictEqual(JSON.parse(response.slice(response.indexOf('\r\n\r\n') + 4)).code, 'INVALID_INPUT');
+
+    // The server is still up
+    const health = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+    assert.strictEqual(health.status, 200);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
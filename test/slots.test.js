@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { createMonitor, fixture } from './helpers.js';
+
+test('parses @slot tags from the component JSDoc', async () => {
+  const monitor = createMonitor();
+
+  const { slots } = await monitor.getComponentProperties('va-alert');
+  assert.deepStrictEqual(slots, [
+    { name: 'headline', description: 'The heading of the alert, usually an h2 to h4.' },
+    { name: '', description: 'The body of the alert. Links and short paragraphs work best.' }
+  ]);
+  assert.deepStrictEqual((await monitor.getComponentProperties('va-button')).slots, []);
+
+  assert.deepStrictEqual(monitor.extractSlots([
+    '     * @componentName Card',
+    '     * @slot',
+    '     * @slot footer-link',
+    '     * @slotted not a slot',
+    '     * @slot actions Buttons for the card'
+  ].join('\n')), [
+    { name: '', description: null },
+    { name: 'footer-link', description: null },
+    { name: 'actions', description: 'Buttons for the card' }
+  ]);
+});
+
+test('generated examples fill the documented slots', async () => {
+  const source = fixture.replace(
+    '     * @guidanceHref button\n',
+    '     * @guidanceHref button\n     * @slot link - A link after the text\n     * @slot actions\n'
+  );
+  const monitor = createMonitor({ definitions: source });
+
+  const [alert] = (await monitor.getComponentExamples('va-alert')).examples;
+  assert.strictEqual(alert.code, [
+    '<va-alert status="info">',
+    '  <h2 slot="headline">Service Information</h2>',
+    '  <p>Learn about the benefits and services available to you.</p>',
+    '</va-alert>'
+  ].join('\n'));
+
+  const [button] = (await monitor.getComponentExamples('va-button')).examples;
+  assert.match(button.code, /\n {2}<a slot="link" href="\/example-page">Learn more<\/a>\n {2}<va-button slot="actions" text="Continue"><\/va-button>\n<\/va-button>$/);
+
+  const [notification] = (await monitor.getComponentExamples('va-notification')).examples;
+  assert.ok(!notification.code.includes('slot='));
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import { LocalSnapshot, createTarball, readTarball } from '../lib/snapshot.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+function createCheckout(root) {
+  const checkout = join(root, 'component-library-1.0.0');
+  mkdirSync(join(checkout, 'packages', 'web-components', 'src'), { recursive: true });
+  mkdirSync(join(checkout, 'packages', 'storybook', 'stories'), { recursive: true });
+  writeFileSync(join(checkout, 'packages', 'web-components', 'src', 'components.d.ts'), fixture);
+  writeFileSync(
+    join(checkout, 'packages', 'storybook', 'stories', 'va-alert.stories.js'),
+    'const Template = () => (<va-alert status="info"><h2 slot="headline">Hi</h2></va-alert>);\n'
+  );
+  return checkout;
+}
+
+test('tar archives round-trip, including long paths', () => {
+  const longPath = `component-library-1.0.0/${'nested/'.repeat(16)}file.txt`;
+  const files = readTarball(createTarball(new Map([['a.txt', 'first'], [longPath, 'second']])));
+
+  assert.strictEqual(files.get('a.txt'), 'first');
+  assert.strictEqual(files.get(longPath), 'second');
+});
+
+test('offline monitor reads definitions and stories from a checkout', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-snapshot-'));
+  try {
+    createCheckout(root);
+    const monitor = new VAComponentMonitor({ offline: true, snapshot: root, persistentCache: false });
+
+    const alert = await monitor.getComponentByName('va-alert');
+    assert.strictEqual(alert.status, 'RECOMMENDED');
+
+    const examples = await monitor.getOfficialExamples('va-alert');
+    assert.strictEqual(examples.examples[0].source, 'storybook');
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('snapshot create writes a tarball usable in offline mode', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-snapshot-'));
+  try {
+    const checkout = createCheckout(root);
+    const source = new VAComponentMonitor({ offline: true, snapshot: checkout, persistentCache: false });
+    const result = await source.createSnapshot(join(root, 'out', 'snapshot.tgz'));
+
+    assert.strictEqual(result.components, 4);
+    assert.deepStrictEqual(result.files, [
+      'packages/web-components/src/components.d.ts',
+      'packages/storybook/stories/va-alert.stories.js'
+    ]);
+
+    const snapshot = await LocalSnapshot.open(result.path);
+    assert.strictEqual((await snapshot.getManifest()).components, 4);
+
+    const offline = new VAComponentMonitor({ offline: true, snapshot: result.path, persistentCache: false });
+    assert.strictEqual((await offline.getComponents()).size, 4);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('offline mode without a snapshot fails with SNAPSHOT_NOT_FOUND', async () => {
+  const monitor = new VAComponentMonitor({ offline: true, persistentCache: false });
+  monitor.snapshotPath = null;
+
+  await assert.rejects(() => monitor.fetchComponentDefinitions(), { code: 'SNAPSHOT_NOT_FOUND' });
+});
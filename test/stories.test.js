@@ -0,0 +1,267 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { VAComponentMonitor } from '../lib/index.js';
+import { parseStories, storyNameFromExport } from '../lib/stories.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const buttonStories = readFileSync(join(__dirname, 'fixtures', 'va-button.stories.jsx'), 'utf8');
+
+test('resolves named stories, their args and the template they render', () => {
+  const { title, stories } = parseStories(buttonStories);
+
+  assert.strictEqual(title, 'Components/Button');
+  assert.deepStrictEqual(stories.map(story => [story.exportName, story.name, story.template]), [
+    ['Primary', 'Primary', 'Template'],
+    ['Secondary', 'Secondary', 'Template'],
+    ['PrimaryAlternate', 'Primary Alternate', 'Template'],
+    ['Submit', 'Submit button', 'Template'],
+    ['Group', 'Group', null]
+  ]);
+
+  // Spreads of shared args are resolved; undefined values stay as keys
+  assert.deepStrictEqual(stories[1].args, {
+    back: undefined,
+    big: undefined,
+    continue: undefined,
+    'disable-analytics': false,
+    label: undefined,
+    secondary: true,
+    'primary-alternate': undefined,
+    submit: undefined,
+    text: 'Edit'
+  });
+  assert.strictEqual(stories[3].args.text, 'Save and continue');
+
+  assert.strictEqual(stories[0].markup, [
+    '<va-button',
+    '  back={back}',
+    '  big={big}',
+    '  continue={_continue}',
+    '  disable-analytics={disableAnalytics}',
+    '  label={label}',
+    '  onClick={e => console.log(e)}',
+    '  secondary={secondary}',
+    '  primary-alternate={primaryAlternate}',
+    '  submit={submit}',
+    '  text={text}',
+    '></va-button>'
+  ].join('\n'));
+  assert.strictEqual(stories[4].markup, [
+    '<va-button text="Continue" continue></va-button>',
+    '<va-button text="Back" back class="vads-u-margin-left--1"></va-button>'
+  ].join('\n'));
+});
+
+test('parses CSF3 TypeScript stories with lit templates', () => {
+  const source = [
+    "import type { Meta, StoryObj } from '@storybook/web-components';",
+    "import { html } from 'lit';",
+    'type Story = StoryObj<{ status: string }>;',
+    "const meta: Meta = { title: 'Components/Alert', component: 'va-alert', args: { status: 'info' } } satisfies Meta;",
+    'export default meta;',
+    'export const Default: Story = {',
+    "  args: { visible: true as boolean },",
+    '  render: ({ status }: { status: string }) => html`',
+    '    <va-alert status=${status}>',
+    '      <h2 slot="headline">Alert</h2>',
+    '    </va-alert>',
+    '  `,',
+    '};',
+    "export const Error: Story = { ...Default, name: 'Error state', args: { status: 'error' } };"
+  ].join('\n');
+
+  const { component, stories } = parseStories(source);
+  assert.strictEqual(component, 'va-alert');
+  assert.deepStrictEqual(stories.map(story => [story.name, story.args]), [
+    ['Default', { status: 'info', visible: true }],
+    ['Error state', { status: 'error' }]
+  ]);
+  assert.strictEqual(stories[1].markup, '<va-alert status=${status}>\n  <h2 slot="headline">Alert</h2>\n</va-alert>');
+  assert.strictEqual(storyNameFromExport('WithHintText2'), 'With Hint Text 2');
+});
+
+test('renders templates with each story\'s args', () => {
+  const { stories } = parseStories(buttonStories);
+
+  assert.deepStrictEqual(stories.map(story => story.html), [
+    '<va-button text="Edit"></va-button>',
+    '<va-button secondary text="Edit"></va-button>',
+    '<va-button primary-alternate text="Edit"></va-button>',
+    '<va-button submit="prevent" text="Save and continue"></va-button>',
+    '<va-button text="Continue" continue></va-button>\n<va-button text="Back" back class="vads-u-margin-left--1"></va-button>'
+  ]);
+  assert.deepStrictEqual(stories[0].unresolved, []);
+
+  const source = [
+    "export default { title: 'Radio', args: { label: 'Pick one' } };",
+    "const options = ['Yes', 'No'];",
+    'const Template = args => {',
+    '  const { hint, showError = false } = args;',
+    '  return (',
+    '    <va-radio label={args.label} hint={hint} error={showError && \'Choose one\'} id={useId()}>',
+    '      {options.map((option, index) => <va-radio-option key={option} label={option} value={index} />)}',
+    '      {hint && <p className="hint">Hint: {hint}</p>}',
+    '    </va-radio>',
+    '  );',
+    '};',
+    'export const Default = Template.bind({});',
+    'export const Error = Template.bind({});',
+    "Error.args = { hint: 'Required', showError: true };",
+    'export const Lit = {',
+    '  args: { checked: true, items: [1] },',
+    '  render: ({ label, checked, items }) => html`',
+    '    <va-checkbox label="${label}" ?checked=${checked} ?tile=${false} @vaChange=${onChange} .items=${items}></va-checkbox>',
+    '  `',
+    '};'
+  ].join('\n');
+  const [plain, error, lit] = parseStories(source).stories;
+
+  assert.strictEqual(plain.html, [
+    '<va-radio label="Pick one" id={useId()}>',
+    '  <va-radio-option label="Yes" value="0"></va-radio-option>',
+    '  <va-radio-option label="No" value="1"></va-radio-option>',
+    '</va-radio>'
+  ].join('\n'));
+  assert.deepStrictEqual(plain.unresolved, ['useId()']);
+  // Longer tags put one attribute per line
+  assert.deepStrictEqual(error.html.split('\n').slice(0, 6), [
+    '<va-radio',
+    '  label="Pick one"',
+    '  hint="Required"',
+    '  error="Choose one"',
+    '  id={useId()}',
+    '>'
+  ]);
+  assert.strictEqual(error.html.split('\n')[8], '  <p class="hint">Hint: Required</p>');
+  assert.strictEqual(lit.html, '<va-checkbox label="Pick one" checked .items=${items}></va-checkbox>');
+  assert.deepStrictEqual(lit.unresolved, ['items']);
+});
+
+test('turns each story rendering the component into an example', () => {
+  const monitor = new VAComponentMonitor({ persistentCache: false });
+  const examples = monitor.extractHTMLFromStorybook(buttonStories, 'va-button', 'va-button.stories.jsx');
+
+  assert.strictEqual(examples.length, 5);
+  assert.deepStrictEqual({ ...examples[3], args: undefined }, {
+    title: 'Submit button',
+    description: '"Submit button" story from va-button.stories.jsx',
+    code: '<va-button submit="prevent" text="Save and continue"></va-button>',
+    framework: 'HTML/Web Components',
+    source: 'storybook',
+    story: 'Submit',
+    args: undefined,
+    rendered: true,
+    unresolved: []
+  });
+  assert.deepStrictEqual(monitor.extractHTMLFromStorybook(buttonStories, 'va-alert', 'va-button.stories.jsx'), []);
+  assert.deepStrictEqual(monitor.extractHTMLFromStorybook('export const Broken = () => (<va-button', 'va-button', 'x.js'), []);
+});
+
+test('parses plain JavaScript stories with function templates', () => {
+  const source = [
+    "import { html } from 'lit';",
+    "export default { title: 'Components/Link', component: 'va-link' };",
+    'function Template({ href, text, active = false }) {',
+    '  return html`<va-link href="${href}" text="${text}" ?active=${active}></va-link>`;',
+    '}',
+    'export const Default = Template.bind(null);',
+    "Default.args = { href: '/benefits', text: 'Benefits' };",
+    'export const Active = Template.bind(null);',
+    "Active.storyName = 'Active link';",
+    'Active.args = { ...Default.args, active: true };'
+  ].join('\n');
+
+  const { title, component, stories } = parseStories(source);
+  assert.strictEqual(title, 'Components/Link');
+  assert.strictEqual(component, 'va-link');
+  assert.deepStrictEqual(stories.map(story => [story.name, story.template, story.args, story.html]), [
+    ['Default', 'Template', { href: '/benefits', text: 'Benefits' }, '<va-link href="/benefits" text="Benefits"></va-link>'],
+    ['Active link', 'Template', { href: '/benefits', text: 'Benefits', active: true }, '<va-link href="/benefits" text="Benefits" active></va-link>']
+  ]);
+});
+
+test('tells regular expression literals from division', () => {
+  const source = [
+    "export default { title: 'Components/Text input' };",
+    'const ZIP = /^\\d{5}(?:-\\d{4})?$/;',
+    'const QUOTES = /["\'`]/g, COMMENT = /\\/\\*.*?\\*\\//, SLASHES = /[/]+\\//g;',
+    'const ratio = (width) / 2 / 1;',
+    'const isTag = name => /^va-/i.test(name) && name.length / 2 > 1;',
+    'function strip(value) { return /x/.test(value) ? value.replace(QUOTES, "") : value; }',
+    'const Template = ({ label, value }) => (',
+    '  <va-text-input label={label} pattern={ZIP.source} value={value.replace(/\\s+/g, "")} />',
+    ');',
+    'export const Zip = Template.bind({});',
+    "Zip.args = { label: 'Zip code', value: '12345' };"
+  ].join('\n');
+
+  const [zip] = parseStories(source).stories;
+  assert.deepStrictEqual(zip.args, { label: 'Zip code', value: '12345' });
+  assert.strictEqual(zip.html, [
+    '<va-text-input',
+    '  label="Zip code"',
+    '  pattern={ZIP.source}',
+    '  value={value.replace(/\\s+/g, "")}',
+    '></va-text-input>'
+  ].join('\n'));
+  assert.deepStrictEqual(zip.unresolved, ['ZIP.source', 'value.replace(/\\s+/g, "")']);
+});
+
+test('skips class declarations and expressions between stories', () => {
+  const source = [
+    "import React, { Component } from 'react';",
+    "export default { title: 'Components/Modal' };",
+    'class ModalDemo extends Component {',
+    '  static defaultProps = { title: "Hi" };',
+    '  state = { open: false };',
+    '  #toggle = () => this.setState(({ open }) => ({ open: !open }));',
+    '  get label() { return `Open ${this.props.title}`; }',
+    '  render() {',
+    '    const { open } = this.state;',
+    '    return <va-modal visible={open} modal-title={this.props.title} onCloseEvent={this.#toggle}>{"}"}</va-modal>;',
+    '  }',
+    '}',
+    'const Wrapped = class extends ModalDemo {};',
+    'const Template = ({ title }) => <va-modal modal-title={title} visible />;',
+    'export const Default = Template.bind({});',
+    "Default.args = { title: 'Confirm' };",
+    'export const Stateful = () => <ModalDemo title="Stateful" />;'
+  ].join('\n');
+
+  const { title, stories } = parseStories(source);
+  assert.strictEqual(title, 'Components/Modal');
+  assert.deepStrictEqual(stories.map(story => [story.exportName, story.template, story.html]), [
+    ['Default', 'Template', '<va-modal modal-title="Confirm" visible></va-modal>'],
+    ['Stateful', null, '<ModalDemo title="Stateful" />']
+  ]);
+});
+
+test('matches stories that render the React binding of a tag with digits', () => {
+  const monitor = new VAComponentMonitor({ persistentCache: false });
+  const source = "export default { title: 'Step' };\nexport const Default = () => <VaStep2 label=\"One\" />;\n";
+
+  const examples = monitor.extractHTMLFromStorybook(source, 'va-step-2', 'va-step-2.stories.jsx');
+  assert.deepStrictEqual(examples.map(example => example.code), ['<VaStep2 label="One" />']);
+});
+
+test('flags stories whose template output depends on something unresolved', () => {
+  const monitor = new VAComponentMonitor({ persistentCache: false });
+  const source = [
+    "export default { title: 'Button', args: { text: 'Go' } };",
+    'export const Flagged = ({ text }) => (useFlag() ? <va-button big text={text} /> : <va-button text={text} />);',
+    'export const Big = ({ big, text }) => (big ? <va-button big text={text} /> : <va-button text={text} />);',
+    'Big.args = { big: true };'
+  ].join('\n');
+
+  const [flagged, big] = monitor.extractHTMLFromStorybook(source, 'va-button', 'va-button.stories.jsx');
+  assert.deepStrictEqual([flagged.code, flagged.rendered, flagged.unresolved], [
+    'useFlag() ? <va-button big text={text} /> : <va-button text={text} />',
+    false,
+    ['useFlag()']
+  ]);
+  assert.deepStrictEqual([big.code, big.rendered, big.unresolved], ['<va-button big text="Go"></va-button>', true, []]);
+});
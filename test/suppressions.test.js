@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { extractSuppressions } from '../lib/suppressions.js';
+import { createMonitor } from './helpers.js';
+
+test('parses HTML, line and JSX block directives', () => {
+  const source = [
+    '<!-- va-monitor-disable-next-line caution, unknown-attribute -- approved by design review -->',
+    '<va-memorable-date></va-memorable-date>',
+    '<VaAlert /> // va-monitor-disable-line',
+    '{/* va-monitor-disable-next-line experimental */}',
+    '// va-monitor-disable-nextline typo is not a directive'
+  ].join('\n');
+
+  assert.deepStrictEqual(
+    extractSuppressions(source, 'a.jsx').map(s => [s.directive, s.line, s.targetLine, s.types, s.justification]),
+    [
+      ['va-monitor-disable-next-line', 1, 2, ['CAUTION', 'UNKNOWN_ATTRIBUTE'], 'approved by design review'],
+      ['va-monitor-disable-line', 3, 3, null, null],
+      ['va-monitor-disable-next-line', 4, 5, ['EXPERIMENTAL'], null]
+    ]
+  );
+});
+
+test('scans drop suppressed findings and report stale and unjustified directives', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-suppressions-'));
+  try {
+    writeFileSync(join(root, 'page.html'), [
+      '<!-- va-monitor-disable-next-line caution -- approved by design review -->',
+      '<va-memorable-date label="Birthday" name="dob"></va-memorable-date>',
+      '<va-notification></va-notification> <!-- va-monitor-disable-line experimental -->',
+      '<!-- va-monitor-disable-next-line not-found -- removed component -->',
+      '<va-button text="Save" colour="red"></va-button> <!-- va-monitor-disable-line unknown-attribute -- legacy -->'
+    ].join('\n'));
+
+    const scan = await createMonitor().scanProject(['**/*.html'], { cwd: root });
+    assert.deepStrictEqual(scan.issues, []);
+    assert.deepStrictEqual(scan.suppressions.suppressed.map(i => i.type), ['CAUTION', 'EXPERIMENTAL']);
+    assert.deepStrictEqual(scan.suppressions.stale.map(s => s.line), [4]);
+
+    const props = await createMonitor().validateMarkupFiles(['**/*.html'], { cwd: root });
+    assert.deepStrictEqual(props.findings, []);
+    assert.deepStrictEqual(props.suppressions.suppressed.map(f => f.attribute), ['colour']);
+    assert.deepStrictEqual(props.suppressions.stale, []);
+
+    const strict = await createMonitor({ config: { suppressions: { requireJustification: true } } })
+      .scanProject(['**/*.html'], { cwd: root });
+    assert.deepStrictEqual(strict.issues.map(i => [i.type, i.line]), [
+      ['EXPERIMENTAL', 3],
+      ['UNJUSTIFIED_SUPPRESSION', 3]
+    ]);
+    assert.strictEqual(strict.hasErrors, true);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
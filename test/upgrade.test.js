@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+import { analyzeUpgradeImpact, checkUpgrade, diffComponentSets, extractComponentUsages } from '../lib/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = readFileSync(join(__dirname, 'fixtures', 'components.d.ts'), 'utf8');
+
+const prop = (name, type = 'string', optional = true) => ({ name, type, optional });
+
+const current = [
+  { tagName: 'va-alert', name: 'Alert', maturityCategory: 'use', maturityLevel: 'deployed', properties: [prop('closeable', 'boolean'), prop('status')] },
+  { tagName: 'va-button', name: 'Button', maturityCategory: 'use', maturityLevel: 'deployed', properties: [prop('text', 'string', false), prop('submit', 'boolean'), prop('label')] },
+  { tagName: 'va-old-link', name: 'Link', interfaceName: 'VaLink', maturityCategory: 'use', maturityLevel: 'deployed', properties: [] },
+  { tagName: 'va-gone', name: 'Gone', maturityCategory: 'use', maturityLevel: 'deployed', properties: [] }
+];
+
+const target = [
+  { tagName: 'va-alert', name: 'Alert', maturityCategory: 'caution', maturityLevel: 'deployed', properties: [prop('status')] },
+  { tagName: 'va-button', name: 'Button', maturityCategory: 'use', maturityLevel: 'deployed', properties: [prop('text', 'string', false), prop('submit', "'yes' | 'no'"), prop('label', 'string', false)] },
+  { tagName: 'va-link', name: 'Link', interfaceName: 'VaLink', maturityCategory: 'use', maturityLevel: 'deployed', properties: [] }
+];
+
+const markup = [
+  '<va-alert closeable status="info"></va-alert>',
+  '<va-button text="Go" submit="true" label="Go"></va-button>',
+  '<va-button text="Back" {...props}></va-button>',
+  '<va-button text="Next"></va-button>',
+  '<va-old-link></va-old-link><va-gone></va-gone>'
+].join('\n');
+
+test('lists every usage affected by the upgrade', () => {
+  const diff = diffComponentSets(current, target, { from: 'v1', to: 'v2' });
+  const usages = extractComponentUsages(markup, 'form.jsx');
+  const targetByTag = new Map(target.map(component => [component.tagName, component]));
+
+  const result = analyzeUpgradeImpact(usages, diff, targetByTag);
+
+  assert.deepStrictEqual(result.impacts.map(i => [i.line, i.type, i.severity]), [
+    [1, 'NEW_CAUTION', 'warning'],
+    [1, 'PROP_REMOVED', 'error'],
+    [2, 'PROP_TYPE_CHANGED', 'error'],
+    [4, 'PROP_NOW_REQUIRED', 'error'],
+    [5, 'COMPONENT_RENAMED', 'error'],
+    [5, 'COMPONENT_REMOVED', 'error']
+  ]);
+  assert.strictEqual(result.impacts.find(i => i.type === 'COMPONENT_RENAMED').replacement, 'va-link');
+  assert.deepStrictEqual(result.affectedFiles, ['form.jsx']);
+  assert.strictEqual(result.summary.newlyRequired, 1);
+});
+
+test('checkUpgrade compares the installed version with the target', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-upgrade-'));
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+  let bothRequested;
+  const requested = new Promise(resolve => { bothRequested = resolve; });
+  globalThis.fetch = async url => {
+    requests.push(url);
+    if (requests.length === 2) bothRequested();
+    await requested;
+    return { status: 404, ok: false, headers: new Map(), text: async () => '' };
+  };
+
+  try {
+    writeFileSync(join(root, 'package-lock.json'), JSON.stringify({
+      packages: { 'node_modules/@department-of-veterans-affairs/component-library': { version: '1.2.3' } }
+    }));
+    writeFileSync(join(root, 'page.html'), '<va-button text="Go"></va-button>');
+
+    // Both refs are resolved before any definitions are fetched
+    await assert.rejects(
+      () => checkUpgrade('v2.0.0', ['**/*.html'], { cwd: root, persistentCache: false, retryAttempts: 0 }),
+      { code: 'FETCH_ERROR' }
+    );
+    assert.ok(requests.some(url => url.includes('/v1.2.3/')));
+    assert.ok(requests.some(url => url.includes('/v2.0.0/')));
+  } finally {
+    globalThis.fetch = originalFetch;
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('checkUpgrade reports breaking changes between the fetched definitions', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'va-upgrade-'));
+  const originalFetch = globalThis.fetch;
+  const definitions = {
+    '/v1.2.3/': fixture,
+    '/v2.0.0/': fixture
+      .split('"label"?: string;').join('"label": string;')
+      .split('"submit"?: boolean;').join('"submit"?: "yes" | "no";')
+  };
+  globalThis.fetch = async url => {
+    const [, content] = Object.entries(definitions).find(([ref]) => url.includes(ref));
+    return { status: 200, ok: true, headers: new Map(), text: async () => content };
+  };
+
+  try {
+    writeFileSync(join(root, 'package-lock.json'), JSON.stringify({
+      packages: { 'node_modules/@department-of-veterans-affairs/component-library': { version: '1.2.3' } }
+    }));
+    writeFileSync(join(root, 'page.html'), '<va-alert status="info"></va-alert>\n<va-button text="Go" submit></va-button>\n');
+
+    const result = await checkUpgrade('v2.0.0', ['**/*.html'], { cwd: root, persistentCache: false, retryAttempts: 0 });
+
+    assert.strictEqual(result.from, 'v1.2.3');
+    assert.strictEqual(result.to, 'v2.0.0');
+    assert.deepStrictEqual(result.impacts.map(i => [i.file, i.line, i.type, i.attribute]), [
+      ['page.html', 2, 'PROP_NOW_REQUIRED', 'label'],
+      ['page.html', 2, 'PROP_TYPE_CHANGED', 'submit']
+    ]);
+    assert.deepStrictEqual(result.changes.propertyChanges.map(change => change.tagName), ['va-button']);
+    assert.strictEqual(result.changes.summary.typeChanges, 1);
+    assert.strictEqual(result.changes.summary.optionalityChanges, 1);
+    assert.deepStrictEqual(result.affectedFiles, ['page.html']);
+    assert.strictEqual(result.hasErrors, true);
+  } finally {
+    globalThis.fetch = originalFetch;
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { analyzePropertyType } from '../lib/validator.js';
+import { createMonitor } from './helpers.js';
+
+test('reports union violations, wrong types and unknown attributes with locations', async () => {
+  const markup = [
+    '<va-alert status="danger" closeable colour="red">',
+    '  <p>Body</p>',
+    '</va-alert>',
+    '<va-notification heading-level="two" headline="Saved"></va-notification>'
+  ].join('\n');
+
+  const result = await createMonitor().validateMarkup(markup, { filePath: 'page.html' });
+
+  assert.deepStrictEqual(
+    result.findings.map(f => [f.type, f.attribute, f.line, f.column]),
+    [
+      ['INVALID_VALUE', 'status', 1, 11],
+      ['UNKNOWN_ATTRIBUTE', 'colour', 1, 37],
+      ['INVALID_TYPE', 'heading-level', 4, 18]
+    ]
+  );
+  assert.strictEqual(result.findings[0].file, 'page.html');
+  assert.match(result.findings[0].message, /expected one of 'info', 'error'/);
+  assert.strictEqual(result.hasErrors, true);
+});
+
+test('reports missing required props unless a spread can provide them', async () => {
+  const markup = [
+    '<VaButton onClick={save} className="wide" />',
+    '<VaButton {...buttonProps} />',
+    '<VaMemorableDate label="Date of birth" name="dob" required onDateChange={update} />'
+  ].join('\n');
+
+  const result = await createMonitor().validateMarkup(markup);
+
+  assert.deepStrictEqual(
+    result.findings.map(f => [f.type, f.attribute, f.line]),
+    [['MISSING_REQUIRED_PROP', 'text', 1]]
+  );
+  assert.strictEqual(result.summary.validated, 3);
+});
+
+test('skips dynamic expressions and accepts JSON for complex types', async () => {
+  const result = await createMonitor().validateMarkup('<va-alert :status="currentStatus" visible="false"></va-alert>');
+  assert.deepStrictEqual(result.findings, []);
+
+  const type = analyzePropertyType("'info' | 'error' | undefined");
+  assert.deepStrictEqual(type.stringLiterals, ['info', 'error']);
+  assert.strictEqual(type.allowsString, false);
+});
@@ -0,0 +1,55 @@
+// Type definitions for va-design-system-monitor/eslint-plugin
+// Kept structural so the package doesn't depend on ESLint's own types
+
+import type { VAComponent, VAComponentMonitorOptions } from './index';
+
+export type MaturityThreshold = 'candidate' | 'available' | 'deployed' | 'best_practice';
+
+/** Shared settings read from `settings['va-design-system']` */
+export interface VADesignSystemSettings extends Pick<VAComponentMonitorOptions, 'ref' | 'projectDir' | 'definitionsUrl' | 'offline' | 'snapshot' | 'cacheDir' | 'persistentCache' | 'requestTimeout'> {
+  minimumLevel?: MaturityThreshold;
+}
+
+export interface AllowOption {
+  allow?: string[];
+}
+
+export interface NoExperimentalComponentsOption extends AllowOption {
+  minimumLevel?: MaturityThreshold;
+}
+
+export interface VARuleModule {
+  meta: {
+    type: 'problem';
+    docs: { description: string; recommended: boolean; url: string };
+    messages: Record<string, string>;
+    schema: object[];
+  };
+  create(context: any): Record<string, (node: any) => void>;
+}
+
+export type RuleName = 'no-caution-components' | 'no-experimental-components' | 'no-unknown-va-components' | 'valid-va-props';
+
+export interface FlatConfig {
+  name: string;
+  plugins: Record<string, VADesignSystemPlugin>;
+  rules: Record<string, 'error' | 'warn' | 'off' | ['error' | 'warn', object]>;
+}
+
+export interface VADesignSystemPlugin {
+  meta: { name: string; version: string };
+  rules: Record<RuleName, VARuleModule>;
+  configs: {
+    recommended: FlatConfig;
+    strict: FlatConfig;
+  };
+}
+
+export declare const PLUGIN_NAMESPACE: 'va-design-system';
+export declare const rules: VADesignSystemPlugin['rules'];
+
+/** Use already-loaded components instead of loading them on first lint */
+export function setComponents(components: Map<string, VAComponent> | VAComponent[], settings?: { 'va-design-system'?: VADesignSystemSettings }): void;
+
+declare const plugin: VADesignSystemPlugin;
+export default plugin;
@@ -1,3 +1,5 @@
+import { EventEmitter } from 'events';
+
 export interface ComponentProperty {
   name: string;
   type: string;
@@ -5,6 +7,29 @@ export interface ComponentProperty {
   description: string | null;
 }
 
+export interface ComponentSlot {
+  /** Slot name for the `slot` attribute; empty for the default slot */
+  name: string;
+  description: string | null;
+}
+
+export interface ComponentEvent {
+  /** JSX / React bindings handler prop, e.g. onVaChange */
+  name: string;
+  /** DOM event name for addEventListener, e.g. vaChange */
+  eventName: string;
+  /** Type of event.detail */
+  detailType: string;
+  /** Handler type as declared in components.d.ts */
+  type: string;
+  description: string | null;
+}
+
+export interface ComponentEventsData {
+  component: ComponentPropertiesData['component'];
+  events: ComponentEvent[];
+}
+
 export interface ComponentPropertiesData {
   component: {
     name: string;
@@ -13,6 +38,7 @@ export interface ComponentPropertiesData {
     maturityLevel: string;
   };
   properties: ComponentProperty[];
+  slots: ComponentSlot[];
 }
 
 export interface VAComponent {
@@ -24,6 +50,8 @@ export interface VAComponent {
   guidanceHref?: string | null;
   translations: string[];
   properties: ComponentProperty[];
+  events: ComponentEvent[];
+  slots: ComponentSlot[];
   status: ComponentStatus;
   recommendation: string;
 }
@@ -73,10 +101,32 @@ export interface ComponentValidation {
 }
 
 export interface LintIssue {
-  type: 'NOT_FOUND' | 'CAUTION' | 'EXPERIMENTAL' | 'ISSUES';
+  type: 'NOT_FOUND' | 'CAUTION' | 'EXPERIMENTAL' | 'ISSUES' | PolicyIssueType;
   component: string;
   message: string;
   severity: 'error' | 'warning' | 'info';
+  /** "Did you mean" tag names for NOT_FOUND issues */
+  suggestions?: string[];
+}
+
+export interface SearchOptions {
+  /** Maximum number of hits (default 10) */
+  limit?: number;
+  /** Lowest score to return, from 0 to 1 (default 0.3) */
+  minScore?: number;
+}
+
+export interface ComponentSearchHit {
+  tagName: string | null;
+  name: string;
+  status: ComponentStatus;
+  /** 1 for an exact tag or name match */
+  score: number;
+  matches: Array<{
+    field: 'tagName' | 'name' | 'interfaceName' | 'prop';
+    value: string;
+    kind: 'exact' | 'prefix' | 'substring' | 'fuzzy';
+  }>;
 }
 
 export interface LintResult {
@@ -86,6 +136,245 @@ export interface LintResult {
   summary: ValidationSummary;
 }
 
+export interface ScannedAttribute {
+  name: string;
+  rawName: string;
+  value: string | null;
+  kind: 'static' | 'expression' | 'boolean';
+  line: number;
+  column: number;
+}
+
+export interface ComponentUsage {
+  tagName: string;
+  element: string;
+  binding: 'web-component' | 'react';
+  file: string | null;
+  line: number;
+  column: number;
+  attributes: ScannedAttribute[];
+  hasSpread: boolean;
+  selfClosing: boolean;
+}
+
+export interface ResolvedComponentUsage extends ComponentUsage {
+  found: boolean;
+  component: {
+    name: string;
+    tagName?: string;
+    status: ComponentStatus;
+    maturityCategory: string;
+    maturityLevel: string;
+    recommendation: string;
+  } | null;
+}
+
+export interface LocatedLintIssue extends LintIssue {
+  file: string;
+  line: number;
+  column: number;
+}
+
+export interface ComponentInventoryEntry {
+  tagName: string;
+  found: boolean;
+  name: string | null;
+  status: ComponentStatus | null;
+  maturityCategory: string | null;
+  maturityLevel: string | null;
+  usageCount: number;
+  files: string[];
+}
+
+export interface ScanOptions {
+  cwd?: string;
+  ignore?: string[];
+  /** Report va-monitor-disable comments without a justification (default: from the project config) */
+  requireJustification?: boolean;
+}
+
+/** A va-monitor-disable-line / va-monitor-disable-next-line comment */
+export interface Suppression {
+  file: string | null;
+  line: number;
+  column: number;
+  directive: 'va-monitor-disable-line' | 'va-monitor-disable-next-line';
+  /** Line whose findings are suppressed */
+  targetLine: number;
+  /** Issue types, or null for all */
+  types: string[] | null;
+  justification: string | null;
+}
+
+export type SuppressedFinding<T> = T & {
+  suppression: { directive: Suppression['directive']; line: number; justification: string | null };
+};
+
+export interface SuppressionReport<T> {
+  suppressed: Array<SuppressedFinding<T>>;
+  /** Directives that no longer match a finding */
+  stale: Suppression[];
+  /** Directives ignored because a justification is required */
+  unjustified: Suppression[];
+}
+
+/** Reported for each unjustified directive when justifications are required */
+export interface UnjustifiedSuppressionFinding {
+  type: 'UNJUSTIFIED_SUPPRESSION';
+  severity: 'error' | 'warning' | 'info';
+  component: null;
+  message: string;
+  file: string | null;
+  line: number;
+  column: number;
+}
+
+/** Anything with an issue type that can be recorded in a baseline */
+export interface BaselineFinding {
+  type: string;
+  component?: string | null;
+  file?: string | null;
+  attribute?: string;
+  message?: string;
+}
+
+export interface BaselineEntry {
+  /** Hash of type, file, component and attribute (line numbers are not part of it) */
+  fingerprint: string;
+  /** Command that recorded the entry, e.g. "scan" */
+  scope?: string;
+  type: string;
+  component: string | null;
+  file: string | null;
+  attribute?: string;
+  /** Occurrences recorded; more than this are reported as new */
+  count: number;
+  message?: string;
+}
+
+export interface Baseline {
+  version: 1;
+  tool: 'va-design-system-monitor';
+  createdAt: string;
+  entries: BaselineEntry[];
+}
+
+export interface BaselineComparison<T extends BaselineFinding> {
+  /** Findings not covered by the baseline */
+  findings: Array<T & { fingerprint: string }>;
+  baselined: T[];
+  /** Baseline entries (or part of their count) no longer found */
+  resolved: Array<BaselineEntry & { resolved: number }>;
+  summary: { new: number; baselined: number; resolved: number };
+}
+
+export interface ScanResult {
+  root: string;
+  files: Array<{ file: string; usages: ResolvedComponentUsage[] }>;
+  components: ComponentInventoryEntry[];
+  issues: Array<LocatedLintIssue | UnjustifiedSuppressionFinding>;
+  suppressions: SuppressionReport<LocatedLintIssue>;
+  hasErrors: boolean;
+  hasWarnings: boolean;
+  summary: {
+    filesScanned: number;
+    filesWithUsages: number;
+    totalUsages: number;
+    uniqueComponents: number;
+    notFound: number;
+    caution: number;
+    suppressed: number;
+  };
+}
+
+export interface AttributeFinding {
+  type: 'UNKNOWN_ATTRIBUTE' | 'MISSING_REQUIRED_PROP' | 'INVALID_TYPE' | 'INVALID_VALUE';
+  severity: 'error' | 'warning';
+  component: string;
+  message: string;
+  file: string | null;
+  line: number;
+  column: number;
+  attribute: string;
+  value?: string | null;
+  expected?: string;
+  propType?: string;
+}
+
+export interface MarkupValidationResult {
+  root?: string;
+  findings: Array<AttributeFinding | UnjustifiedSuppressionFinding>;
+  suppressions: SuppressionReport<AttributeFinding>;
+  hasErrors: boolean;
+  hasWarnings: boolean;
+  summary: {
+    usages: number;
+    validated: number;
+    unknownAttributes: number;
+    missingRequired: number;
+    invalidValues: number;
+    suppressed: number;
+    filesScanned?: number;
+  };
+}
+
+/** A native button, form control or button-styled link found in markup */
+export interface NativeElement {
+  element: 'button' | 'input' | 'select' | 'textarea' | 'a';
+  file: string | null;
+  line: number;
+  column: number;
+  attributes: ScannedAttribute[];
+  /** Text content of buttons and links */
+  text: string | null;
+}
+
+export interface NativeElementFinding {
+  type: 'NATIVE_ELEMENT';
+  severity: 'error' | 'warning' | 'info';
+  /** Suggested VA component */
+  component: string;
+  element: NativeElement['element'];
+  message: string;
+  file: string | null;
+  line: number;
+  column: number;
+  suggestion: {
+    component: string;
+    status: ComponentStatus;
+    /** Replacement markup (React binding for JSX snippets) */
+    replacement: string;
+  };
+}
+
+export type MarkupReviewFinding = LintIssue & { file: string | null; line: number; column: number }
+  | AttributeFinding
+  | NativeElementFinding;
+
+export interface MarkupReviewResult {
+  usages: Array<{
+    tagName: string;
+    element: string;
+    line: number;
+    column: number;
+    found: boolean;
+    status: ComponentStatus | null;
+  }>;
+  findings: Array<MarkupReviewFinding | UnjustifiedSuppressionFinding>;
+  suppressions: SuppressionReport<MarkupReviewFinding>;
+  hasErrors: boolean;
+  hasWarnings: boolean;
+  summary: {
+    components: number;
+    unknownComponents: number;
+    caution: number;
+    policy: number;
+    props: number;
+    nativeElements: number;
+    suppressed: number;
+  };
+}
+
 export interface ComponentReport {
   total: number;
   statusCounts: Record<ComponentStatus, number>;
@@ -98,18 +387,345 @@ export interface ComponentReport {
 export interface VAComponentMonitorOptions {
   cacheTimeout?: number;
   definitionsUrl?: string;
+  requestTimeout?: number;
+  /** Set to false to disable the on-disk cache (default: true) */
+  persistentCache?: boolean;
+  /** Cache directory (default: $XDG_CACHE_HOME/va-design-system-monitor) */
+  cacheDir?: string;
+  /** Maximum cache size in bytes before the oldest entries are evicted (default: 50MB) */
+  cacheMaxSize?: number;
+  /** How long a stale entry may be served while it is revalidated in the background (default: 24h) */
+  staleWhileRevalidate?: number;
+  /** Read definitions and stories from a local snapshot instead of GitHub */
+  offline?: boolean;
+  /** Snapshot archive (.tgz) or component-library checkout used in offline mode */
+  snapshot?: string;
+  /** component-library branch, tag or commit SHA, or "installed" to match the project's package version (default: main) */
+  ref?: string;
+  /** Project directory used to resolve ref "installed" (default: process.cwd()) */
+  projectDir?: string;
+  /** Release tag template used to resolve ref "installed" (default: "v{version}") */
+  tagFormat?: string;
+  /** Record every fetched component set in the local history (default: false, or VA_MONITOR_HISTORY) */
+  history?: boolean;
+  /** History directory (default: $XDG_DATA_HOME/va-design-system-monitor/history) */
+  historyDir?: string;
+  /** Number of snapshots kept before the oldest are removed (default: 500) */
+  historyMaxEntries?: number;
+  /**
+   * Project policy: a config object or the result of loadConfig(). Convenience functions
+   * also accept a config file path, or true to search from `cwd`.
+   */
+  config?: ProjectConfigFile | ProjectConfig | string | true;
+  /** Environment used to pick minimumMaturity (default: VA_MONITOR_ENV, NODE_ENV or "default") */
+  env?: string;
+}
+
+export type SeverityOverride = 'error' | 'warning' | 'info' | 'off';
+export type PolicyIssueType = 'DENIED' | 'BELOW_MINIMUM_MATURITY';
+
+/** Contents of .vadsmonitorrc / va-monitor.config.js */
+export interface ProjectConfigFile {
+  /** A maturity level, or levels per environment with an optional "default" */
+  minimumMaturity?: MaturityLevel | Record<string, MaturityLevel>;
+  /** Components that are never reported (tag or component names) */
+  allow?: string[];
+  /** Components that are always reported as DENIED */
+  deny?: string[];
+  /** Severity per issue type, e.g. { "CAUTION": "error", "ISSUES": "off" } */
+  severity?: Record<string, SeverityOverride>;
+  /** Globs skipped while scanning */
+  ignore?: string[];
+  suppressions?: { requireJustification?: boolean };
+}
+
+/** A validated configuration as returned by loadConfig() */
+export interface ProjectConfig {
+  filepath: string | null;
+  minimumMaturity: Record<string, MaturityLevel>;
+  allow: string[];
+  deny: string[];
+  severity: Record<string, SeverityOverride>;
+  ignore: string[];
+  suppressions: { requireJustification: boolean };
+}
+
+/** A configuration resolved for one environment */
+export interface UsagePolicy {
+  environment: string;
+  filepath: string | null;
+  minimumLevel: MaturityLevel | null;
+  allow: Set<string>;
+  deny: Set<string>;
+  severity: Record<string, SeverityOverride>;
+  ignore: string[];
+  requireJustification: boolean;
+}
+
+export interface ResolvedRef {
+  /** The ref as configured, e.g. "installed" */
+  requested: string;
+  /** The git ref component data is read from */
+  ref: string;
+  /** Installed package version, when resolved from the project */
+  version: string | null;
+  /** Where the installed version was found */
+  source: 'node_modules' | 'package-lock.json' | 'yarn.lock' | 'package.json' | null;
+}
+
+export interface SnapshotResult {
+  path: string;
+  version: number;
+  createdAt: string;
+  source: string;
+  ref: string | null;
+  components: number;
+  files: string[];
+}
+
+export interface DiffComponentSummary {
+  tagName: string | null;
+  name: string;
+  status: ComponentStatus;
+  maturityCategory: string;
+  maturityLevel: string;
+}
+
+export interface MaturitySnapshot {
+  maturityCategory: string;
+  maturityLevel: string;
+  status: ComponentStatus;
+}
+
+export interface DiffProperty {
+  name: string;
+  type: string;
+  optional: boolean;
+}
+
+export interface ComponentPropertyChanges {
+  tagName: string;
+  name: string;
+  added: DiffProperty[];
+  removed: DiffProperty[];
+  typeChanged: Array<{ name: string; from: string; to: string }>;
+  optionalityChanged: Array<{ name: string; from: boolean; to: boolean }>;
+}
+
+export interface ComponentSetDiff {
+  from: string | null;
+  to: string | null;
+  added: DiffComponentSummary[];
+  removed: DiffComponentSummary[];
+  /** Removed/added pairs that share an interface name or most of their props */
+  renamed: Array<{ from: string; to: string; similarity: number }>;
+  maturityChanges: Array<{
+    tagName: string;
+    name: string;
+    from: MaturitySnapshot;
+    to: MaturitySnapshot;
+    change: 'promoted' | 'demoted' | 'changed';
+  }>;
+  propertyChanges: ComponentPropertyChanges[];
+  hasChanges: boolean;
+  summary: {
+    added: number;
+    removed: number;
+    renamed: number;
+    maturityChanges: number;
+    promoted: number;
+    demoted: number;
+    componentsWithPropertyChanges: number;
+    propertiesAdded: number;
+    propertiesRemoved: number;
+    typeChanges: number;
+    optionalityChanges: number;
+  };
+}
+
+export type UpgradeImpactType =
+  | 'COMPONENT_REMOVED'
+  | 'COMPONENT_RENAMED'
+  | 'PROP_REMOVED'
+  | 'PROP_TYPE_CHANGED'
+  | 'PROP_NOW_REQUIRED'
+  | 'NEW_CAUTION';
+
+export interface UpgradeImpact {
+  type: UpgradeImpactType;
+  severity: 'error' | 'warning';
+  component: string;
+  message: string;
+  file: string | null;
+  line: number;
+  column: number;
+  attribute?: string;
+  /** Tag name to use instead, for renamed components */
+  replacement?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface UpgradeImpactResult {
+  impacts: UpgradeImpact[];
+  affectedFiles: string[];
+  hasErrors: boolean;
+  hasWarnings: boolean;
+  summary: {
+    usages: number;
+    impacts: number;
+    removedComponents: number;
+    renamedComponents: number;
+    removedProps: number;
+    typeChanges: number;
+    newlyRequired: number;
+    newCaution: number;
+  };
+}
+
+export interface UpgradeCheckResult extends UpgradeImpactResult {
+  from: string;
+  to: string;
+  root: string;
+  changes: ComponentSetDiff;
+  suppressions: SuppressionReport<UpgradeImpact>;
+  summary: UpgradeImpactResult['summary'] & { filesScanned: number; affectedFiles: number; suppressed: number };
+}
+
+export type ChangeEventType =
+  | 'component-added'
+  | 'component-removed'
+  | 'component-renamed'
+  | 'component-deprecated'
+  | 'maturity-upgraded'
+  | 'maturity-downgraded'
+  | 'maturity-changed'
+  | 'props-changed';
+
+export interface ChangeEvent {
+  type: ChangeEventType;
+  tagName: string;
+  name: string;
+  timestamp: string;
+  ref: string | null;
+  hash: string;
+  previousHash: string;
+  message: string;
+  /** Previous status, or the previous tag name for renames */
+  from?: string;
+  /** New status, or the new tag name for renames */
+  to?: string;
+  maturity?: { from: MaturitySnapshot; to: MaturitySnapshot };
+  properties?: Omit<ComponentPropertyChanges, 'tagName' | 'name'>;
+}
+
+export interface TimelineEntry extends Omit<Partial<ChangeEvent>, 'type'> {
+  type: ChangeEventType | 'first-seen';
+  timestamp: string;
+  ref: string | null;
+  hash: string;
+  message: string;
+  status: ComponentStatus | null;
+  maturityCategory: string | null;
+  maturityLevel: string | null;
+}
+
+export interface HistorySnapshotSummary {
+  id: string;
+  timestamp: string;
+  ref: string | null;
+  source: string | null;
+  hash: string;
+  components: number;
+}
+
+export interface HistoryRecordResult {
+  recorded: boolean;
+  snapshot: HistorySnapshotSummary;
+  previous: HistorySnapshotSummary | null;
+  events: ChangeEvent[];
+}
+
+export interface ComponentWatcher extends EventEmitter {
+  on(event: 'change', listener: (event: ChangeEvent) => void): this;
+  on(event: 'check', listener: (result: HistoryRecordResult) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  stop(): void;
+}
+
+export interface SarifFinding {
+  type: string;
+  severity: 'error' | 'warning' | 'info';
+  component?: string | null;
+  message: string;
+  file?: string | null;
+  line?: number;
+  column?: number;
+  attribute?: string;
+  guidanceHref?: string | null;
+  /** Suppressed findings are kept in the log with an inSource suppression */
+  suppression?: { justification: string | null };
+}
+
+export interface SarifOptions {
+  /** Components used to resolve each finding's guidanceHref */
+  components?: Map<string, VAComponent> | VAComponent[];
+  /** Directory that finding file paths are relative to */
+  root?: string | null;
+  toolVersion?: string;
+}
+
+/** A SARIF 2.1.0 log (see https://docs.oasis-open.org/sarif/sarif/v2.1.0/) */
+export interface SarifLog {
+  $schema: string;
+  version: '2.1.0';
+  runs: Array<{
+    tool: { driver: { name: string; informationUri: string; version?: string; rules: Array<Record<string, any>> } };
+    results: Array<Record<string, any>>;
+    originalUriBaseIds?: Record<string, { uri: string }>;
+  }>;
+}
+
+export interface CacheStatus {
+  enabled: boolean;
+  directory: string | null;
+  entries: number;
+  totalSize: number;
+  maxSize: number;
+  items: Array<{
+    key: string;
+    size: number;
+    fetchedAt: string;
+    etag: string | null;
+    lastModified: string | null;
+    notFound: boolean;
+  }>;
+}
+
+export interface CacheWarmResult {
+  components: number;
+  storyFiles: number;
+  missingStories: string[];
 }
 
 export declare class VAComponentMonitor {
   constructor(options?: VAComponentMonitorOptions);
   
-  fetchComponentDefinitions(): Promise<string>;
+  /** Policy from the `config` option, or null */
+  readonly policy: UsagePolicy | null;
+  
+  resolveRef(): Promise<ResolvedRef>;
+  getDefinitionsUrl(): Promise<string>;
+  fetchComponentDefinitions(forceRefresh?: boolean): Promise<string>;
+  fetchFileFromGitHub(filePath: string): Promise<string | null>;
   parseComponentMetadata(content: string): Map<string, VAComponent>;
   determineComponentStatus(category: string, level: string): ComponentStatus;
   getRecommendation(category: string, level: string): string;
   
   getComponents(forceRefresh?: boolean): Promise<Map<string, VAComponent>>;
   getComponentByName(name: string): Promise<VAComponent | null>;
+  searchComponents(query: string, options?: SearchOptions): Promise<ComponentSearchHit[]>;
+  suggestComponentNames(name: string, limit?: number): Promise<string[]>;
   getComponentsByStatus(status: ComponentStatus): Promise<VAComponent[]>;
   getRecommendedComponents(): Promise<VAComponent[]>;
   getCautionComponents(): Promise<VAComponent[]>;
@@ -120,15 +736,102 @@ export declare class VAComponentMonitor {
   // Utility methods
   isProductionReady(componentName: string): Promise<boolean>;
   getSuggestedAlternatives(componentName: string, category?: string): Promise<VAComponent[]>;
+  createLintIssue(requested: string, component: VAComponent | ValidationResult['component']): LintIssue | null;
   lintComponents(componentNames: string[]): Promise<LintResult>;
+  scanProject(patterns?: string[], options?: ScanOptions): Promise<ScanResult>;
+  validateMarkup(source: string, options?: { filePath?: string }): Promise<MarkupValidationResult>;
+  reviewMarkup(source: string, options?: { filePath?: string; requireJustification?: boolean }): Promise<MarkupReviewResult>;
+  validateMarkupFiles(patterns?: string[], options?: ScanOptions): Promise<MarkupValidationResult>;
+  validateUsages(usages: ComponentUsage[]): Promise<MarkupValidationResult>;
   getComponentProperties(componentName: string): Promise<ComponentPropertiesData | null>;
+  getComponentEvents(componentName: string): Promise<ComponentEventsData | null>;
+  createSarifReport(findings: SarifFinding[], options?: Omit<SarifOptions, 'components'>): Promise<SarifLog>;
+
+  // Persistent cache
+  getCacheStatus(): Promise<CacheStatus>;
+  clearCache(): Promise<number>;
+  warmCache(options?: { stories?: boolean }): Promise<CacheWarmResult>;
+
+  // History
+  recordHistory(forceRefresh?: boolean): Promise<HistoryRecordResult>;
+  getHistory(options?: { ref?: string }): Promise<Array<HistorySnapshotSummary & { changes: number | null }>>;
+  getHistoryEvents(options?: { ref?: string }): Promise<ChangeEvent[]>;
+  getComponentTimeline(componentName: string, options?: { ref?: string }): Promise<TimelineEntry[]>;
+  clearHistory(): Promise<number>;
+  watch(options?: { interval?: number }): ComponentWatcher;
+
+  // Offline snapshots
+  getStoryPaths(tagName: string): string[];
+  createSnapshot(outputPath: string, options?: { stories?: boolean }): Promise<SnapshotResult>;
 }
 
 // Convenience functions
 export function checkComponent(componentName: string, options?: VAComponentMonitorOptions): Promise<VAComponent | null>;
+export function searchComponents(query: string, options?: VAComponentMonitorOptions & SearchOptions): Promise<ComponentSearchHit[]>;
 export function validateComponents(componentNames: string[], options?: VAComponentMonitorOptions): Promise<ComponentValidation>;
 export function lintComponents(componentNames: string[], options?: VAComponentMonitorOptions): Promise<LintResult>;
 export function getComponentProperties(componentName: string, options?: VAComponentMonitorOptions): Promise<ComponentPropertiesData | null>;
+export function getComponentEvents(componentName: string, options?: VAComponentMonitorOptions): Promise<ComponentEventsData | null>;
+export function scanProject(patterns?: string | string[], options?: VAComponentMonitorOptions & ScanOptions): Promise<ScanResult>;
+export function validateMarkup(source: string, options?: VAComponentMonitorOptions & { filePath?: string }): Promise<MarkupValidationResult>;
+export function reviewMarkup(source: string, options?: VAComponentMonitorOptions & { filePath?: string }): Promise<MarkupReviewResult>;
+export function validateMarkupFiles(patterns?: string | string[], options?: VAComponentMonitorOptions & ScanOptions): Promise<MarkupValidationResult>;
+export function loadConfig(options?: { cwd?: string; configFile?: string }): Promise<ProjectConfig | null>;
+export declare const CONFIG_FILES: readonly string[];
+export function loadBaseline(path: string): Promise<Baseline>;
+export function saveBaseline(
+  path: string,
+  findings: BaselineFinding[],
+  options?: { scope?: string; timestamp?: string }
+): Promise<Baseline>;
+export function compareWithBaseline<T extends BaselineFinding>(
+  findings: T[],
+  baseline: Baseline,
+  options?: { scope?: string }
+): BaselineComparison<T>;
+export function fingerprintFinding(finding: BaselineFinding): string;
+export declare const DEFAULT_BASELINE_FILE: '.va-monitor-baseline.json';
+export declare const PolicyIssueType: { readonly [K in PolicyIssueType]: K };
+export function diffRefs(fromRef: string, toRef: string, options?: VAComponentMonitorOptions): Promise<ComponentSetDiff>;
+export function diffComponentSets(
+  before: Map<string, VAComponent> | VAComponent[],
+  after: Map<string, VAComponent> | VAComponent[],
+  options?: { from?: string; to?: string; detectRenames?: boolean }
+): ComponentSetDiff;
+export function checkUpgrade(targetRef: string, patterns?: string | string[], options?: VAComponentMonitorOptions & ScanOptions): Promise<UpgradeCheckResult>;
+export function analyzeUpgradeImpact(
+  usages: ComponentUsage[],
+  diff: ComponentSetDiff,
+  targetComponents?: Map<string, VAComponent>
+): UpgradeImpactResult;
+export declare const ChangeEventType: {
+  readonly COMPONENT_ADDED: 'component-added';
+  readonly COMPONENT_REMOVED: 'component-removed';
+  readonly COMPONENT_RENAMED: 'component-renamed';
+  readonly COMPONENT_DEPRECATED: 'component-deprecated';
+  readonly MATURITY_UPGRADED: 'maturity-upgraded';
+  readonly MATURITY_DOWNGRADED: 'maturity-downgraded';
+  readonly MATURITY_CHANGED: 'maturity-changed';
+  readonly PROPS_CHANGED: 'props-changed';
+};
+export declare const UpgradeImpactType: { readonly [K in UpgradeImpactType]: K };
+export function createSarifLog(findings: SarifFinding[], options?: SarifOptions): SarifLog;
+export function getGuidanceUrl(guidanceHref: string | null | undefined): string | null;
+export function extractComponentUsages(source: string, filePath?: string | null): ComponentUsage[];
+export function extractNativeElements(source: string, filePath?: string | null): NativeElement[];
+
+export type ExampleFramework = 'html' | 'react' | 'vue' | 'jsx-webcomponent';
+export declare const EXAMPLE_FRAMEWORKS: readonly ExampleFramework[];
+export declare const REACT_BINDINGS_PACKAGE: string;
+/** Convert HTML example markup to a framework's syntax; React code starts with the bindings import */
+export function convertMarkup(code: string, framework: ExampleFramework, components?: VAComponent[] | Map<string, VAComponent>): { code: string; imports: string[] };
+
+export declare const DEFAULT_SCAN_PATTERNS: readonly string[];
+export declare const DEFAULT_IGNORE_PATTERNS: readonly string[];
+
+export function findInstalledVersion(projectDir?: string, packageName?: string): Promise<{ version: string; source: NonNullable<ResolvedRef['source']> } | null>;
+export declare const DEFAULT_REF: 'main';
+export declare const INSTALLED_REF: 'installed';
 
 // Constants
 export declare const ComponentStatus: {